@@ -0,0 +1,55 @@
+// In-memory stand-in for the Redis wrapper, with glob matching for delPattern
+jest.mock('../config/redis', () => {
+  const keys = new Map();
+  const globToRegExp = (pattern) => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  const client = {
+    isConnected: true,
+    keys,
+    async set(key, data) { keys.set(key, data); return true; },
+    async del(key) { keys.delete(key); return true; },
+    async delPattern(pattern) {
+      const matcher = globToRegExp(pattern);
+      const matched = [...keys.keys()].filter(key => matcher.test(key));
+      matched.forEach(key => keys.delete(key));
+      return matched.length;
+    },
+    clearCaloricResults(userId) { return this.delPattern(`calorie:${userId}:*`); }
+  };
+  return client;
+});
+
+const redisClient = require('../config/redis');
+const { clearUserCache } = require('../middleware/cache');
+
+describe('clearUserCache', () => {
+  beforeEach(() => {
+    redisClient.keys.clear();
+    [
+      'cache:user:u1:/profile',
+      'cache:health:u1:metrics',
+      'cache:health:u1:diseases',
+      'cache:meals:u1:daily:2026-01-05',
+      'cache:meals:u1:weekly:2026-01-05',
+      'calorie:u1:abc123',
+      'cache:health:u10:metrics',
+      'cache:meals:u2:daily:2026-01-05',
+      'calorie:u2:abc123'
+    ].forEach(key => redisClient.keys.set(key, {}));
+  });
+
+  it('removes every cached entry for the user', async () => {
+    await clearUserCache('u1');
+
+    expect([...redisClient.keys.keys()].filter(key => key.includes(':u1:'))).toEqual([]);
+  });
+
+  it('leaves other users\' entries alone', async () => {
+    await clearUserCache('u1');
+
+    expect([...redisClient.keys.keys()].sort()).toEqual([
+      'cache:health:u10:metrics',
+      'cache:meals:u2:daily:2026-01-05',
+      'calorie:u2:abc123'
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+const { screenMessage, safetyReply } = require('../utils/chatSafety');
+
+const flagIds = (text) => {
+  const screening = screenMessage(text);
+  return screening && screening.type === 'red-flag' ? screening.flags.map(flag => flag.id) : [];
+};
+
+describe('screenMessage', () => {
+  it.each([
+    ['I have crushing chest pain after dinner', 'chest-pain'],
+    ["I can't breathe properly since lunch", 'breathing'],
+    ['my face is drooping and I have slurred speech', 'stroke'],
+    ['I want to end my life', 'self-harm'],
+    ['I fainted at the gym', 'fainting'],
+    ['I was throwing up blood this morning', 'bleeding'],
+    ['my throat is swelling after eating peanuts', 'anaphylaxis'],
+    ['my blood sugar is 450', 'blood-sugar'],
+    ['glucose was below 45 this morning', 'blood-sugar']
+  ])('flags "%s" as %s', (text, id) => {
+    expect(flagIds(text)).toContain(id);
+  });
+
+  it('reports every red flag in a message', () => {
+    expect(flagIds('chest pressure and shortness of breath')).toEqual(['chest-pain', 'breathing']);
+  });
+
+  it('catches diagnosis requests', () => {
+    expect(screenMessage('Do I have diabetes?')).toEqual({ type: 'diagnosis' });
+    expect(screenMessage("what's wrong with me")).toEqual({ type: 'diagnosis' });
+    expect(screenMessage('Am I anemic?')).toEqual({ type: 'diagnosis' });
+  });
+
+  it('lets ordinary nutrition questions through', () => {
+    expect(screenMessage('What should I eat for breakfast to keep my blood sugar at 100?')).toBeNull();
+    expect(screenMessage('Is chicken breast a good source of protein?')).toBeNull();
+    expect(screenMessage('I have diabetes, which snacks are best?')).toBeNull();
+  });
+});
+
+describe('safetyReply', () => {
+  it('sends red flags to emergency care, with crisis lines for self-harm', () => {
+    const reply = safetyReply(screenMessage('I keep thinking about suicide'));
+    expect(reply).toContain('thoughts of self-harm');
+    expect(reply).toContain('emergency number');
+    expect(reply).toContain('988');
+
+    expect(safetyReply(screenMessage('I have chest pain'))).not.toContain('988');
+  });
+
+  it('declines to diagnose', () => {
+    expect(safetyReply({ type: 'diagnosis' })).toContain("I can't diagnose conditions");
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { hashPassword, comparePassword, needsRehash } = require('../utils/encryption');
+
+const PASSWORD = 'Secret#123';
+
+// A stored value in the legacy format: salt + IV + the password AES-encrypted
+// with a PBKDF2 key derived from itself
+const legacyHash = (password) => {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const key = crypto.pbkdf2Sync(password, salt, 100000, 32, 'sha512');
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return Buffer.concat([salt, iv, cipher.update(password, 'utf8'), cipher.final()]).toString('base64');
+};
+
+// A scrypt hash made with other parameters than the current ones
+const scryptHash = (password, { ln, r, p }) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64, { N: 2 ** ln, r, p });
+  return `$scrypt$v=1$ln=${ln},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+describe('scrypt hashes', () => {
+  let hashed;
+
+  beforeAll(async () => {
+    hashed = await hashPassword(PASSWORD);
+  });
+
+  it('stores the version and parameters with a fresh salt', async () => {
+    expect(hashed).toMatch(/^\$scrypt\$v=1\$ln=15,r=8,p=3\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    expect(await hashPassword(PASSWORD)).not.toBe(hashed);
+  });
+
+  it('verifies the right password only', async () => {
+    expect(await comparePassword(PASSWORD, hashed)).toBe(true);
+    expect(await comparePassword('Secret#124', hashed)).toBe(false);
+    expect(needsRehash(hashed)).toBe(false);
+  });
+
+  it('rejects malformed and truncated hashes without throwing', async () => {
+    const prefix = hashed.slice(0, hashed.lastIndexOf('$'));
+    const hash = hashed.slice(hashed.lastIndexOf('$') + 1);
+
+    expect(await comparePassword(PASSWORD, '$scrypt$junk')).toBe(false);
+    expect(await comparePassword(PASSWORD, prefix)).toBe(false);
+    expect(await comparePassword(PASSWORD, `${prefix}$${hash.slice(0, 20)}`)).toBe(false);
+    expect(await comparePassword(PASSWORD, hashed.replace('ln=15,r=8,p=3', 'ln=x,r=8,p=3'))).toBe(false);
+    expect(await comparePassword(PASSWORD, '')).toBe(false);
+    expect(needsRehash('$scrypt$junk')).toBe(true);
+  });
+
+  it('asks for a rehash when the parameters change', async () => {
+    const older = scryptHash(PASSWORD, { ln: 14, r: 8, p: 1 });
+
+    expect(await comparePassword(PASSWORD, older)).toBe(true);
+    expect(needsRehash(older)).toBe(true);
+    expect(needsRehash(hashed.replace('$v=1$', '$v=0$'))).toBe(true);
+  });
+});
+
+describe('legacy AES values', () => {
+  const legacy = legacyHash(PASSWORD);
+
+  it('still verify, and always need a rehash', async () => {
+    expect(await comparePassword(PASSWORD, legacy)).toBe(true);
+    expect(await comparePassword('nope', legacy)).toBe(false);
+    expect(needsRehash(legacy)).toBe(true);
+  });
+});
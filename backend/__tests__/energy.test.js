@@ -0,0 +1,51 @@
+const { ageFromDateOfBirth, mifflinStJeor, harrisBenedict, estimateEnergyNeeds } = require('../utils/energy');
+
+const person = { weight: 80, height: 180, age: 30 };
+
+describe('ageFromDateOfBirth', () => {
+  it('counts a year only once the birthday has passed', () => {
+    const dateOfBirth = new Date(1990, 5, 15);
+    expect(ageFromDateOfBirth(dateOfBirth, new Date(2026, 5, 14))).toBe(35);
+    expect(ageFromDateOfBirth(dateOfBirth, new Date(2026, 5, 15))).toBe(36);
+    expect(ageFromDateOfBirth(null)).toBeNull();
+  });
+});
+
+describe('BMR equations', () => {
+  it('applies the Mifflin-St Jeor sex constants, with the midpoint for other', () => {
+    expect(mifflinStJeor({ ...person, sex: 'male' })).toBe(1780);
+    expect(mifflinStJeor({ ...person, sex: 'female' })).toBe(1614);
+    expect(mifflinStJeor({ ...person, sex: 'other' })).toBe(1697);
+  });
+
+  it('gives the revised Harris-Benedict estimate', () => {
+    expect(Math.round(harrisBenedict({ ...person, sex: 'male' }))).toBe(1854);
+    expect(Math.round(harrisBenedict({ ...person, sex: 'female' }))).toBe(1615);
+  });
+});
+
+describe('estimateEnergyNeeds', () => {
+  it('needs height and weight', () => {
+    expect(estimateEnergyNeeds({ healthMetrics: { weight: 80 } })).toBeNull();
+  });
+
+  it('multiplies BMR by the activity level', () => {
+    const thirtyYearsAgo = new Date();
+    thirtyYearsAgo.setFullYear(thirtyYearsAgo.getFullYear() - 30);
+
+    const energy = estimateEnergyNeeds({
+      healthMetrics: { weight: 80, height: 180 },
+      profile: { dateOfBirth: thirtyYearsAgo, sex: 'male', activityLevel: 'moderate' }
+    });
+
+    expect(energy).toMatchObject({ age: 30, bmr: 1780, harrisBenedictBmr: 1854, tdee: 2759, activityMultiplier: 1.55 });
+    expect(energy.assumptions).toEqual([]);
+  });
+
+  it('fills in and reports missing profile details', () => {
+    const energy = estimateEnergyNeeds({ healthMetrics: { weight: 80, height: 180 } });
+
+    expect(energy).toMatchObject({ age: 30, sex: 'other', activityLevel: 'light', bmr: 1697, tdee: 2333 });
+    expect(energy.assumptions).toHaveLength(3);
+  });
+});
@@ -0,0 +1,87 @@
+const { planGoal, targetWeightWarnings, projectWeights } = require('../utils/goals');
+
+const now = new Date('2026-01-01T00:00:00Z');
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const male = { currentWeight: 80, tdee: 2500, sex: 'male' };
+
+describe('planGoal', () => {
+  it('turns a weekly rate into a daily calorie adjustment', () => {
+    const plan = planGoal({ mode: 'weekly-rate', weeklyRate: -0.5 }, male, now);
+
+    expect(plan).toMatchObject({ direction: 'lose', weeklyRate: -0.5, dailyCalorieAdjustment: -550, targetCalories: 1950, capped: false });
+    expect(plan.warnings).toEqual([]);
+  });
+
+  it('caps loss at 1% of body weight a week', () => {
+    const plan = planGoal({ mode: 'weekly-rate', weeklyRate: -2 }, male, now);
+
+    expect(plan).toMatchObject({ requestedWeeklyRate: -2, weeklyRate: -0.8, targetCalories: 1620, capped: true });
+    expect(plan.warnings[0]).toContain('capped at 0.8 kg/week');
+  });
+
+  it('caps gain at half a kilo a week', () => {
+    expect(planGoal({ mode: 'weekly-rate', weeklyRate: 1 }, male, now)).toMatchObject({ weeklyRate: 0.5, capped: true });
+  });
+
+  it('keeps intake above the minimum for the sex', () => {
+    const plan = planGoal({ mode: 'weekly-rate', weeklyRate: -0.5 }, { currentWeight: 70, tdee: 1600, sex: 'female' }, now);
+
+    expect(plan).toMatchObject({ targetCalories: 1200, dailyCalorieAdjustment: -400, weeklyRate: -0.36, capped: true });
+  });
+
+  it('plans no loss when the minimum intake is above maintenance', () => {
+    const context = { currentWeight: 45, tdee: 1100, sex: 'female' };
+    const plan = planGoal({ mode: 'weekly-rate', targetWeight: 42, weeklyRate: -0.25 }, context, now);
+
+    expect(plan).toMatchObject({ direction: 'lose', targetCalories: 1200, weeklyRate: 0, projectedEndDate: null, capped: true });
+    expect(plan.warnings).toEqual([expect.stringContaining("can't create a calorie deficit")]);
+    expect(planGoal({ mode: 'weekly-rate', weeklyRate: 0 }, context, now)).toMatchObject({ direction: 'maintain', weeklyRate: 0 });
+  });
+
+  it('works out the rate for a target date and projects the end date', () => {
+    const targetDate = new Date(now.getTime() + 12 * WEEK_MS);
+    const plan = planGoal({ mode: 'target-date', targetWeight: 77, targetDate }, male, now);
+
+    expect(plan).toMatchObject({ direction: 'lose', weeklyRate: -0.25, dailyCalorieAdjustment: -275, remainingKg: -3 });
+    expect(plan.projectedEndDate).toEqual(targetDate);
+    expect(plan.warnings).toEqual([]);
+  });
+
+  it('warns when a safe pace misses the target date', () => {
+    const plan = planGoal({ mode: 'target-date', targetWeight: 70, targetDate: new Date(now.getTime() + 4 * WEEK_MS) }, male, now);
+
+    expect(plan.capped).toBe(true);
+    expect(plan.warnings[plan.warnings.length - 1]).toContain('after your target date');
+  });
+
+  it('maintains once within half a kilo of the target', () => {
+    const plan = planGoal({ mode: 'weekly-rate', targetWeight: 80.3, weeklyRate: 0.25 }, male, now);
+    expect(plan).toMatchObject({ direction: 'maintain', dailyCalorieAdjustment: 0, targetCalories: 2500 });
+  });
+
+  it('flags passed target dates and rates pointing away from the target', () => {
+    expect(planGoal({ mode: 'target-date', targetWeight: 75, targetDate: new Date('2025-12-01') }, male, now).warnings[0])
+      .toContain('target date has passed');
+    expect(planGoal({ mode: 'weekly-rate', targetWeight: 75, weeklyRate: 0.25 }, male, now).warnings[0])
+      .toContain('points away from your target weight');
+  });
+});
+
+describe('targetWeightWarnings', () => {
+  it('warns about underweight targets only', () => {
+    expect(targetWeightWarnings(50, 180)[0]).toContain('BMI of 15.4, which is underweight');
+    expect(targetWeightWarnings(70, 180)).toEqual([]);
+  });
+});
+
+describe('projectWeights', () => {
+  it('projects one point a week and stops at the target', () => {
+    const points = projectWeights(
+      { startWeight: 80, startDate: now, targetWeight: 78, plannedWeeklyRate: -0.5 },
+      new Date(now.getTime() + 10 * WEEK_MS)
+    );
+
+    expect(points.map(point => point.weight)).toEqual([80, 79.5, 79, 78.5, 78]);
+    expect(points[1].date).toEqual(new Date(now.getTime() + WEEK_MS));
+  });
+});
@@ -0,0 +1,162 @@
+const { getLLMProvider, setLLMProvider, completeJson } = require('../utils/llm');
+const { createMockProvider } = require('../utils/llm/mockProvider');
+const { extractJson, repairRecommendation, validateRecommendation } = require('../utils/recommendationSchema');
+
+const LLM_ENV = ['LLM_PROVIDER', 'LLM_API_KEY', 'OPENAI_API_KEY', 'LLM_BASE_URL', 'LLM_JSON_ATTEMPTS'];
+
+// A provider that answers with the given replies in turn and records each request
+const scriptedProvider = (replies) => {
+  const requests = [];
+  return {
+    requests,
+    complete: async (request) => {
+      requests.push({ ...request, messages: [...request.messages] });
+      return { content: replies[requests.length - 1], model: 'scripted' };
+    }
+  };
+};
+
+const recommendationOptions = {
+  messages: [{ role: 'user', content: 'Recommend calories' }],
+  parse: extractJson,
+  repair: repairRecommendation,
+  validate: validateRecommendation
+};
+
+const validReply = JSON.stringify({
+  summary: 'Eat well.',
+  calories: 2100,
+  macros: { protein: 30, carbs: 40, fat: 30 },
+  foodsToFavor: ['Oats'],
+  foodsToAvoid: [],
+  warnings: [],
+  tips: []
+});
+
+describe('getLLMProvider', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    LLM_ENV.forEach(name => {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    LLM_ENV.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+    jest.restoreAllMocks();
+  });
+
+  it('has no provider without an API key or a custom base URL', () => {
+    expect(getLLMProvider()).toBeNull();
+
+    process.env.OPENAI_API_KEY = 'your-openai-api-key-here';
+    expect(getLLMProvider()).toBeNull();
+  });
+
+  it('uses the OpenAI-compatible adapter with a key or a local server', () => {
+    process.env.LLM_API_KEY = 'sk-test';
+    expect(getLLMProvider().name).toBe('openai-compatible');
+
+    delete process.env.LLM_API_KEY;
+    process.env.LLM_BASE_URL = 'http://localhost:11434/v1';
+    expect(getLLMProvider().name).toBe('openai-compatible');
+  });
+
+  it('picks the mock provider and rejects unknown ones', () => {
+    process.env.LLM_PROVIDER = 'Mock';
+    expect(getLLMProvider().name).toBe('mock');
+
+    process.env.LLM_PROVIDER = 'nope';
+    expect(getLLMProvider()).toBeNull();
+  });
+
+  it('returns an injected provider until it is cleared', () => {
+    const stub = scriptedProvider([]);
+    setLLMProvider(stub);
+    expect(getLLMProvider()).toBe(stub);
+
+    setLLMProvider(null);
+    expect(getLLMProvider()).toBeNull();
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider();
+  const messages = [{ role: 'user', content: 'Anything at all' }];
+
+  it('answers JSON requests with a valid recommendation', async () => {
+    const { content } = await provider.complete({ messages, responseFormat: 'json' });
+    expect(validateRecommendation(JSON.parse(content)).valid).toBe(true);
+  });
+
+  it('answers text requests with the same calorie summary every time', async () => {
+    const first = await provider.complete({ messages });
+    const second = await provider.complete({ messages: [{ role: 'user', content: 'Something else' }] });
+
+    expect(first.content).toContain('Recommended Daily Calorie Intake: 2000 calories');
+    expect(second.content).toBe(first.content);
+  });
+
+  it('streams the last user message back', async () => {
+    let reply = '';
+    for await (const delta of provider.stream({ messages })) reply += delta;
+    expect(reply).toContain('"Anything at all"');
+  });
+});
+
+describe('completeJson', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the first valid reply', async () => {
+    const provider = scriptedProvider([validReply]);
+    const { value, attempts, completion } = await completeJson(provider, recommendationOptions);
+
+    expect(attempts).toBe(1);
+    expect(value.calories).toBe(2100);
+    expect(completion.model).toBe('scripted');
+    expect(provider.requests[0].responseFormat).toBe('json');
+  });
+
+  it('repairs near-miss replies without asking again', async () => {
+    const provider = scriptedProvider([
+      '```json\n{"summary": "Eat well.", "dailyCalories": "2,100 kcal", "macros": {"protein": 0.3, "carbs": 0.4, "fat": 0.3}, "foodsToFavor": "Oats; Beans",}\n```'
+    ]);
+    const { value, attempts } = await completeJson(provider, recommendationOptions);
+
+    expect(attempts).toBe(1);
+    expect(value.calories).toBe(2100);
+    expect(value.macros).toEqual({ protein: 30, carbs: 40, fat: 30 });
+    expect(value.foodsToFavor).toEqual(['Oats', 'Beans']);
+  });
+
+  it('shows the model its reply and the errors, then retries', async () => {
+    const provider = scriptedProvider(['not json', validReply]);
+    const { attempts } = await completeJson(provider, { ...recommendationOptions, attempts: 2 });
+
+    expect(attempts).toBe(2);
+    const retry = provider.requests[1].messages;
+    expect(retry).toHaveLength(3);
+    expect(retry[1]).toEqual({ role: 'assistant', content: 'not json' });
+    expect(retry[2].content).toContain('Reply was not valid JSON');
+  });
+
+  it('gives up after the configured attempts', async () => {
+    const provider = scriptedProvider(['{"calories": 50}', '{"calories": 50}']);
+
+    await expect(completeJson(provider, { ...recommendationOptions, attempts: 2 }))
+      .rejects.toThrow(/failed validation after 2 attempts: calories must be an integer/);
+    expect(provider.requests).toHaveLength(2);
+  });
+});
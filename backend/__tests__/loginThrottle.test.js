@@ -0,0 +1,147 @@
+jest.mock('../config/redis', () => ({ isConnected: false }));
+jest.mock('../models/User', () => ({ findOne: jest.fn() }));
+jest.mock('../utils/authTokens', () => ({ sendUnlockEmail: jest.fn() }));
+
+const User = require('../models/User');
+const { sendUnlockEmail } = require('../utils/authTokens');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  recordSecondFactorSuccess,
+  claimLoginChallenge,
+  releaseLoginChallenge,
+  unlockAccount,
+  unblockIp,
+  listLocks
+} = require('../utils/loginThrottle');
+
+const failTimes = async (email, ip, times) => {
+  let block = null;
+  for (let i = 0; i < times; i++) block = await recordLoginFailure(email, ip);
+  return block;
+};
+
+describe('loginThrottle (memory store)', () => {
+  let now = Date.parse('2026-01-05T10:00:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    User.findOne.mockResolvedValue({ _id: 'u1', name: 'Ann', email: 'ann@example.com' });
+    sendUnlockEmail.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    // Move past every window so tests don't share state
+    now += 24 * 60 * 60 * 1000;
+  });
+
+  it('allows the first two failures without a delay', async () => {
+    expect(await failTimes('a@example.com', '10.0.0.1', 2)).toBeNull();
+    expect(await checkLoginAllowed('a@example.com', '10.0.0.1')).toBeNull();
+  });
+
+  it('makes each attempt from the third failure wait longer', async () => {
+    const third = await failTimes('b@example.com', '10.0.0.2', 3);
+    expect(third.retryAfter).toBe(1);
+
+    now += 1000;
+    expect(await checkLoginAllowed('b@example.com', '10.0.0.2')).toBeNull();
+    expect((await recordLoginFailure('b@example.com', '10.0.0.2')).retryAfter).toBe(2);
+
+    now += 2000;
+    expect((await recordLoginFailure('b@example.com', '10.0.0.2')).retryAfter).toBe(4);
+  });
+
+  it('forgets account failures after a successful login', async () => {
+    await failTimes('c@example.com', '10.0.0.3', 2);
+    await recordLoginSuccess('c@example.com');
+    expect(await failTimes('c@example.com', '10.0.0.3', 2)).toBeNull();
+  });
+
+  it('locks the account at the threshold and emails an unlock link', async () => {
+    let block;
+    for (let i = 0; i < 10; i++) {
+      block = await recordLoginFailure('ann@example.com', '10.0.0.4');
+      now += 60 * 1000;
+    }
+
+    expect(block.locked).toBe(true);
+    expect(sendUnlockEmail).toHaveBeenCalledTimes(1);
+    expect((await checkLoginAllowed('ann@example.com', '10.0.0.4')).locked).toBe(true);
+
+    const { accounts } = await listLocks();
+    expect(accounts.map(lock => lock.email)).toContain('ann@example.com');
+
+    await unlockAccount('ann@example.com');
+    expect(await checkLoginAllowed('ann@example.com', '10.0.0.4')).toBeNull();
+  });
+
+  it('lifts the lock by itself once the lockout ends', async () => {
+    for (let i = 0; i < 10; i++) {
+      await recordLoginFailure('d@example.com', '10.0.0.5');
+      now += 60 * 1000;
+    }
+    now += 15 * 60 * 1000;
+    expect(await checkLoginAllowed('d@example.com', '10.0.0.5')).toBeNull();
+  });
+
+  it('blocks an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 50; i++) await recordLoginFailure(`spray${i}@example.com`, '10.0.0.6');
+
+    const block = await checkLoginAllowed('someone@example.com', '10.0.0.6');
+    expect(block.locked).toBeUndefined();
+    expect(block.retryAfter).toBeGreaterThan(0);
+    expect((await listLocks()).ips.map(entry => entry.ip)).toContain('10.0.0.6');
+
+    await unblockIp('10.0.0.6');
+    expect(await checkLoginAllowed('someone@example.com', '10.0.0.6')).toBeNull();
+  });
+
+  it('counts wrong 2FA codes per user and blocks at the fifth', async () => {
+    const remaining = [];
+    for (let i = 0; i < 5; i++) remaining.push(await recordSecondFactorFailure('u2'));
+
+    expect(remaining).toEqual([4, 3, 2, 1, 0]);
+    expect((await checkSecondFactorAllowed('u2')).retryAfter).toBe(15 * 60);
+    expect(await checkSecondFactorAllowed('u3')).toBeNull();
+
+    now += 15 * 60 * 1000;
+    expect(await checkSecondFactorAllowed('u2')).toBeNull();
+  });
+
+  it('forgets wrong 2FA codes after a successful second factor', async () => {
+    for (let i = 0; i < 4; i++) await recordSecondFactorFailure('u4');
+    await recordSecondFactorSuccess('u4');
+    expect(await recordSecondFactorFailure('u4')).toBe(4);
+  });
+
+  it('lets a login challenge be claimed once at a time', async () => {
+    expect(await claimLoginChallenge('jti-1', 300)).toBe(true);
+    expect(await claimLoginChallenge('jti-1', 300)).toBe(false);
+
+    await releaseLoginChallenge('jti-1');
+    expect(await claimLoginChallenge('jti-1', 300)).toBe(true);
+  });
+
+  it('caps the memory store, dropping old counters before locks', async () => {
+    for (let i = 0; i < 10; i++) {
+      await recordLoginFailure('ann@example.com', '10.1.0.1');
+      now += 60 * 1000;
+    }
+    await failTimes('early@example.com', '10.1.0.2', 2);
+
+    // Each failure stores an account and an IP counter
+    for (let i = 0; i < 6000; i++) {
+      await recordLoginFailure(`flood${i}@example.com`, `10.2.${Math.floor(i / 250)}.${i % 250}`);
+    }
+
+    expect((await checkLoginAllowed('ann@example.com', '10.1.0.1')).locked).toBe(true);
+    // The early counter was evicted, so this counts as a first failure again
+    expect(await recordLoginFailure('early@example.com', '10.1.0.2')).toBeNull();
+  });
+});
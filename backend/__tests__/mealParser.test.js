@@ -0,0 +1,94 @@
+const {
+  parseItemText,
+  parseMealText,
+  parseHelpPrompt,
+  createParseValidator,
+  applyParseHelp
+} = require('../utils/mealParser');
+
+const catalog = [
+  { _id: 'egg', name: 'Egg', unit: '100g', calories: 155, protein: 13, servingSizes: [{ label: '1 large egg', grams: 50 }, { label: '1 small egg', grams: 38 }] },
+  { _id: 'toast', name: 'Whole Wheat Bread', aliases: ['toast'], unit: '100g', calories: 250, servingSizes: [{ label: '1 slice', grams: 30 }] },
+  { _id: 'chicken', name: 'Chicken Breast', unit: '100g', calories: 165, servingSizes: [] },
+  { _id: 'thigh', name: 'Chicken Thigh', unit: '100g', calories: 209, servingSizes: [] },
+  { _id: 'rice', name: 'White Rice (cooked)', unit: '100g', calories: 130, servingSizes: [{ label: '1 cup', grams: 158 }] },
+  { _id: 'mac', name: 'Mac and Cheese', unit: '100g', calories: 164, servingSizes: [] },
+  { _id: 'milk', name: 'Milk', unit: '100ml', calories: 42, servingSizes: [] }
+];
+
+describe('parseItemText', () => {
+  it.each([
+    ['2 large eggs', { quantity: 2, unit: null, size: 'large', phrase: 'eggs' }],
+    ['200g chicken breast', { quantity: 200, unit: 'g', size: null, phrase: 'chicken breast' }],
+    ['a slice of toast', { quantity: 1, unit: 'slice', size: null, phrase: 'toast' }],
+    ['1 1/2 cups rice', { quantity: 1.5, unit: 'cup', size: null, phrase: 'rice' }],
+    ['half a banana', { quantity: 0.5, unit: null, size: null, phrase: 'banana' }],
+    ['a couple of eggs', { quantity: 2, unit: null, size: null, phrase: 'eggs' }],
+    ['rice 200g', { quantity: 200, unit: 'g', size: null, phrase: 'rice' }],
+    ['eggs x2', { quantity: 2, unit: null, size: null, phrase: 'eggs' }]
+  ])('reads "%s"', (text, expected) => {
+    expect(parseItemText(text)).toEqual(expected);
+  });
+});
+
+describe('parseMealText', () => {
+  it('splits items and resolves portions from serving sizes', () => {
+    const [eggs, toast] = parseMealText('two large eggs and a slice of toast', catalog);
+
+    expect(eggs).toMatchObject({ status: 'matched', food: { foodId: 'egg', quantity: 100, calories: 155 } });
+    expect(toast).toMatchObject({ status: 'matched', food: { foodId: 'toast', quantity: 30, calories: 75 } });
+  });
+
+  it('keeps "and" inside a catalog food name', () => {
+    const items = parseMealText('mac and cheese', catalog);
+    expect(items).toHaveLength(1);
+    expect(items[0].food.foodId).toBe('mac');
+  });
+
+  it('converts measured units and uses ml for drinks', () => {
+    const [milk] = parseMealText('250 ml milk', catalog);
+    expect(milk.food).toMatchObject({ quantity: 250, unit: 'ml', calories: 105 });
+  });
+
+  it('marks ties, estimated portions and unknown foods for review', () => {
+    const [chicken, cereal, milk] = parseMealText('chicken, a bowl of cereal, a glass of milk', catalog);
+
+    expect(chicken.status).toBe('ambiguous');
+    expect(chicken.alternatives).toHaveLength(1);
+    expect(cereal).toMatchObject({ status: 'unmatched', food: null });
+    expect(milk).toMatchObject({ status: 'ambiguous', reason: 'Portion size estimated for "glass"', food: { quantity: 250 } });
+  });
+});
+
+describe('LLM help', () => {
+  const items = parseMealText('chicken, a bowl of cereal', catalog).map((item, index) => ({ ...item, index }));
+
+  it('lists the unresolved items and catalog foods in the prompt', () => {
+    const { prompt, foods } = parseHelpPrompt(items, catalog);
+    expect(prompt).toContain('Item 1: "a bowl of cereal"');
+    expect(prompt).toContain('* Egg (1 large egg = 50 g; 1 small egg = 38 g)');
+    expect(foods).toBe(catalog);
+  });
+
+  it('accepts only catalog foods with sensible amounts', () => {
+    const validate = createParseValidator(items, catalog);
+
+    expect(validate({ items: [{ index: 0, food: 'chicken breast', grams: '150' }, { index: 1, food: null }] }))
+      .toEqual({ valid: true, errors: [], value: { 0: { food: catalog[2], grams: 150 }, 1: { food: null, grams: null } } });
+    expect(validate({ items: [{ index: 0, food: 'Granola', grams: 50 }, { index: 1, food: 'Milk', grams: 0 }, { index: 7, food: null }] }).errors)
+      .toEqual([
+        '"Granola" is not in the catalog; copy a catalog name exactly or use null',
+        'Item 1 needs grams between 1 and 3000',
+        'Unknown item index 7'
+      ]);
+    expect(validate('nope').valid).toBe(false);
+  });
+
+  it('marks items the model matched, keeping the parser\'s picks as alternatives', () => {
+    const helped = applyParseHelp(items, { 0: { food: catalog[3], grams: 120 } });
+
+    expect(helped[0]).toMatchObject({ status: 'matched', reason: 'Matched with AI help', food: { foodId: 'thigh', quantity: 120 } });
+    expect(helped[0].alternatives.map(food => food.foodId)).toEqual(['chicken']);
+    expect(helped[1]).toBe(items[1]);
+  });
+});
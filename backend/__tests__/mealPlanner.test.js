@@ -0,0 +1,161 @@
+const {
+  PLAN_DAYS,
+  MEAL_TYPES,
+  planCalorieTarget,
+  filterCatalog,
+  buildRuleBasedDays,
+  finalizePlan,
+  repairPlan,
+  createPlanValidator
+} = require('../utils/mealPlanner');
+
+const food = (name, category, calories, extra = {}) => ({ _id: name.toLowerCase(), name, category, unit: '100g', calories, protein: 10, carbs: 10, fat: 5, sodium: 100, servingSizes: [], ...extra });
+
+const catalog = [
+  food('Oats', 'Grains', 380),
+  food('Brown Rice', 'Grains', 120),
+  food('Chicken Breast', 'Poultry', 165),
+  food('Lentils', 'Legumes', 115),
+  food('Broccoli', 'Vegetables', 35),
+  food('Spinach', 'Vegetables', 23),
+  food('Apple', 'Fruits', 52, { servingSizes: [{ label: '1 medium', grams: 180 }] }),
+  food('Banana', 'Fruits', 89),
+  food('Greek Yogurt', 'Dairy', 60),
+  food('Almonds', 'Nuts and Seeds', 580),
+  food('Tofu', 'Tofu', 76)
+];
+
+const user = ({ goalPlan = null, macroTargets = {} } = {}) => ({
+  macroTargets,
+  getGoalPlan: () => goalPlan,
+  getMacroTargets: () => ({ calories: 2000 })
+});
+
+// A reply in the plan shape: the catalog's foods in turn, 150 g per meal
+const planReply = () => ({
+  days: Array.from({ length: PLAN_DAYS }, (unused, dayIndex) => Object.fromEntries(
+    MEAL_TYPES.map((mealType, mealIndex) => [mealType, [{ food: catalog[(dayIndex + mealIndex) % catalog.length].name, grams: 150 }]])
+  ))
+});
+
+const dayCalories = (day) => MEAL_TYPES.reduce((sum, mealType) => sum + day[mealType].reduce((total, item) => total + item.food.calories * item.grams / 100, 0), 0);
+
+describe('planCalorieTarget', () => {
+  it('prefers the request, then the goal, macro targets and maintenance estimate', () => {
+    expect(planCalorieTarget(user(), 1800)).toEqual({ calories: 1800, basis: 'requested' });
+    expect(planCalorieTarget(user({ goalPlan: { targetCalories: 1700 } }), null, { tdee: 2400 })).toEqual({ calories: 1700, basis: 'weight goal' });
+    expect(planCalorieTarget(user({ macroTargets: { calories: 2100 } }), null, { tdee: 2400 })).toEqual({ calories: 2100, basis: 'macro targets' });
+    expect(planCalorieTarget(user(), null, { tdee: 2400 })).toEqual({ calories: 2400, basis: 'maintenance estimate' });
+    expect(planCalorieTarget(user(), null, null)).toEqual({ calories: 2000, basis: 'default' });
+  });
+});
+
+describe('filterCatalog', () => {
+  it('keeps every food when there are no medications', () => {
+    expect(filterCatalog(catalog)).toEqual({ allowed: catalog, excluded: [] });
+  });
+});
+
+describe('buildRuleBasedDays', () => {
+  const days = buildRuleBasedDays(catalog, 2000);
+
+  it('fills every meal of every day from the catalog', () => {
+    expect(days).toHaveLength(PLAN_DAYS);
+    days.forEach(day => {
+      MEAL_TYPES.forEach(mealType => {
+        expect(day[mealType].length).toBeGreaterThan(0);
+        day[mealType].forEach(item => expect(catalog).toContain(item.food));
+      });
+    });
+  });
+
+  it('follows the meal patterns and rotates foods between meals and days', () => {
+    expect(days[0].breakfast.map(item => item.food.name)).toEqual(['Brown Rice', 'Greek Yogurt', 'Apple']);
+    expect(days[0].lunch.map(item => item.food.name)).toEqual(['Chicken Breast', 'Oats', 'Broccoli']);
+    expect(days[1].lunch[0].food.name).toBe('Tofu');
+  });
+
+  it('scales portions towards the calorie target', () => {
+    days.forEach(day => expect(Math.abs(dayCalories(day) - 2000)).toBeLessThan(400));
+  });
+});
+
+describe('finalizePlan', () => {
+  const startDate = new Date(2026, 0, 5);
+
+  it('dates the days, totals nutrients and flags days off target', () => {
+    const rawDays = Array.from({ length: PLAN_DAYS }, () => ({
+      breakfast: [{ food: catalog[0], grams: 100 }],
+      lunch: [],
+      dinner: [],
+      snack: []
+    }));
+
+    const { days, warnings } = finalizePlan(rawDays, { catalog, calorieTarget: 2000, limits: {}, startDate });
+
+    expect(days[0]).toMatchObject({ date: '2026-01-05', totals: { calories: 380 } });
+    expect(days[6].date).toBe('2026-01-11');
+    expect(days[0].meals).toEqual([expect.objectContaining({ mealType: 'breakfast', totalCalories: 380 })]);
+    expect(warnings[0]).toBe('2026-01-05: 380 kcal is 81% under the 2000 kcal target');
+  });
+
+  it('rescales LLM days within bounds when asked', () => {
+    const rawDays = [{ breakfast: [{ food: catalog[1], grams: 1000 }], lunch: [], dinner: [], snack: [] }];
+    const { days } = finalizePlan(rawDays, { catalog, calorieTarget: 1500, limits: {}, startDate, rescale: true });
+    expect(days[0].totals.calories).toBe(1500);
+  });
+
+  it('swaps out the biggest contributor to a day over a nutrient limit', () => {
+    const salty = food('Salted Chicken', 'Poultry', 165, { sodium: 2000 });
+    const limits = { sodium: { label: 'Sodium', unit: 'mg', limit: 1500, diseases: ['Hypertension'] } };
+    const rawDays = [{ breakfast: [], lunch: [{ food: salty, grams: 100 }], dinner: [], snack: [] }];
+
+    const { days, warnings } = finalizePlan(rawDays, { catalog: [...catalog, salty], calorieTarget: 165, limits, startDate });
+
+    expect(days[0].meals[0].foods[0].name).not.toBe('Salted Chicken');
+    expect(days[0].totals.sodium).toBeLessThanOrEqual(1500);
+    expect(warnings).toEqual([]);
+  });
+});
+
+describe('LLM plans', () => {
+  const validate = createPlanValidator(catalog);
+
+  it('repairs common deviations from the plan shape', () => {
+    const repaired = repairPlan([{ meals: { breakfast: 'Oats', lunch: { name: 'Lentils', quantity: '200 g' }, dinner: [], snacks: [{ food: 'Apple', amount: 120 }] } }]);
+    expect(repaired).toEqual({
+      days: [{
+        breakfast: [{ food: 'Oats' }],
+        lunch: [{ food: 'Lentils', grams: 200 }],
+        dinner: [],
+        snack: [{ food: 'Apple', grams: 120 }]
+      }]
+    });
+  });
+
+  it('accepts catalog foods and falls back to typical portions', () => {
+    const plan = planReply();
+    plan.days[0].snack = [{ food: 'apple', grams: 0 }];
+
+    const result = validate(plan);
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toHaveLength(PLAN_DAYS);
+    expect(result.value[0].breakfast).toEqual([{ food: catalog[0], grams: 150 }]);
+    expect(result.value[0].snack).toEqual([{ food: catalog[6], grams: 180 }]);
+  });
+
+  it('rejects unknown foods, missing meals and the wrong number of days', () => {
+    const plan = planReply();
+    plan.days[0].lunch = [{ food: 'Pizza', grams: 200 }];
+    plan.days[1].dinner = [];
+    plan.days.pop();
+
+    expect(validate(plan).errors).toEqual([
+      `days must have exactly ${PLAN_DAYS} entries (got ${PLAN_DAYS - 1})`,
+      'Day 2 has no dinner',
+      'Unknown foods: Pizza. Use only names from the catalog, copied exactly'
+    ]);
+    expect(validate({}).valid).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+const {
+  extractJson,
+  repairRecommendation,
+  validateRecommendation,
+  renderRecommendationMarkdown
+} = require('../utils/recommendationSchema');
+
+const recommendation = {
+  summary: 'Eat well.',
+  calories: 2000,
+  macros: { protein: 25, carbs: 45, fat: 30 },
+  foodsToFavor: ['Oats', 'Beans'],
+  foodsToAvoid: ['Soda'],
+  warnings: [],
+  tips: ['Drink water']
+};
+
+describe('extractJson', () => {
+  it('reads a bare object, a fenced block or an object inside prose', () => {
+    expect(extractJson('{"a": 1}')).toEqual({ a: 1 });
+    expect(extractJson('Sure!\n```json\n{"a": 1}\n```\nEnjoy.')).toEqual({ a: 1 });
+    expect(extractJson('Here it is: {"a": {"b": 2}} hope that helps')).toEqual({ a: { b: 2 } });
+  });
+
+  it('forgives trailing commas', () => {
+    expect(extractJson('{"a": [1, 2,], "b": 3,}')).toEqual({ a: [1, 2], b: 3 });
+  });
+
+  it('returns null when there is no usable object', () => {
+    expect(extractJson('no json here')).toBeNull();
+    expect(extractJson('{"a": }')).toBeNull();
+    expect(extractJson(null)).toBeNull();
+  });
+});
+
+describe('repairRecommendation', () => {
+  it('reads numbers out of strings and alternate keys', () => {
+    const repaired = repairRecommendation({ recommendedCalories: '1,850 kcal', macroSplit: { proteinPercent: '30%', carbohydrates: 40, fat: 30 } });
+    expect(repaired.calories).toBe(1850);
+    expect(repaired.macros).toEqual({ protein: 30, carbs: 40, fat: 30 });
+  });
+
+  it('turns macro fractions into percentages', () => {
+    expect(repairRecommendation({ macros: { protein: 0.25, carbs: 0.45, fat: 0.3 } }).macros)
+      .toEqual({ protein: 25, carbs: 45, fat: 30 });
+  });
+
+  it('splits lists sent as one string and fills in missing ones', () => {
+    const repaired = repairRecommendation({ foodsToFavor: '- Oats\n- Beans', tips: 'Walk daily; Sleep well' });
+    expect(repaired.foodsToFavor).toEqual(['Oats', 'Beans']);
+    expect(repaired.tips).toEqual(['Walk daily', 'Sleep well']);
+    expect(repaired.warnings).toEqual([]);
+    expect(repaired.summary).toBe('');
+  });
+});
+
+describe('validateRecommendation', () => {
+  it('accepts a schema-shaped recommendation and drops extra fields', () => {
+    const result = validateRecommendation({ ...recommendation, extra: 'ignored' });
+    expect(result.valid).toBe(true);
+    expect(result.value).toEqual(recommendation);
+  });
+
+  it('rejects out-of-range calories and macros that do not add up', () => {
+    const result = validateRecommendation({ ...recommendation, calories: 500, macros: { protein: 50, carbs: 50, fat: 30 } });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('calories must be an integer'),
+      'macros must add up to 100 (got 130)'
+    ]));
+  });
+
+  it('allows rounding in the macro total', () => {
+    expect(validateRecommendation({ ...recommendation, macros: { protein: 33, carbs: 33, fat: 33 } }).valid).toBe(true);
+  });
+
+  it('needs at least one food to favor and string lists', () => {
+    expect(validateRecommendation({ ...recommendation, foodsToFavor: [] }).errors)
+      .toContain('foodsToFavor must list at least one food');
+    expect(validateRecommendation({ ...recommendation, tips: [42] }).errors)
+      .toContain('tips must be an array of short strings');
+  });
+});
+
+describe('renderRecommendationMarkdown', () => {
+  it('renders the calories, macros and only the non-empty lists', () => {
+    const markdown = renderRecommendationMarkdown(recommendation);
+    expect(markdown).toContain('**Recommended Daily Calorie Intake: 2000 calories**');
+    expect(markdown).toContain('25% protein, 45% carbs, 30% fat');
+    expect(markdown).toContain('• Soda');
+    expect(markdown).not.toContain('**Warnings:**');
+  });
+});
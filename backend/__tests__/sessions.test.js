@@ -0,0 +1,114 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../models/Session', () => {
+  const docs = new Map();
+  const withMethods = (doc) => doc && {
+    ...doc,
+    previousTokenHashes: [...doc.previousTokenHashes],
+    isActive: () => !doc.revokedAt && doc.expiresAt > new Date()
+  };
+
+  return {
+    docs,
+    MAX_PREVIOUS_TOKENS: 10,
+    create: jest.fn(async (data) => {
+      const doc = { previousTokenHashes: [], revokedAt: null, ...data };
+      docs.set(String(data._id), doc);
+      return withMethods(doc);
+    }),
+    findById: jest.fn(async (id) => withMethods(docs.get(String(id)))),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const doc = docs.get(String(filter._id));
+      if (!doc || doc.refreshTokenHash !== filter.refreshTokenHash || doc.revokedAt) return null;
+      Object.assign(doc, update.$set);
+      const { $each, $slice } = update.$push.previousTokenHashes;
+      doc.previousTokenHashes = [...doc.previousTokenHashes, ...$each].slice($slice);
+      return withMethods(doc);
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      const doc = docs.get(String(filter._id));
+      if (!doc || (filter.revokedAt === null && doc.revokedAt)) return { modifiedCount: 0 };
+      Object.assign(doc, update.$set);
+      return { modifiedCount: 1 };
+    })
+  };
+});
+
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken } = require('../utils/sessions');
+
+const request = (userAgent = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0', ip = '10.0.0.1') => ({
+  ip,
+  get: (header) => (header.toLowerCase() === 'user-agent' ? userAgent : undefined)
+});
+
+describe('refresh token rotation', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.parse('2026-01-05T10:00:00Z') });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const start = async () => createSession({ _id: '65a000000000000000000001' }, request());
+
+  it('rotates to a new token', async () => {
+    const { refreshToken } = await start();
+    const result = await rotateRefreshToken(refreshToken, request());
+
+    expect(result.ok).toBe(true);
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect((await rotateRefreshToken(result.refreshToken, request())).ok).toBe(true);
+  });
+
+  it('lets the same device repeat a token just after rotating it', async () => {
+    const { session, refreshToken } = await start();
+    await rotateRefreshToken(refreshToken, request());
+
+    jest.advanceTimersByTime(5000);
+    expect(await rotateRefreshToken(refreshToken, request())).toEqual({ ok: false, reason: 'superseded' });
+    expect(Session.docs.get(String(session._id)).revokedAt).toBeNull();
+  });
+
+  it('treats a quick replay from another device as reuse', async () => {
+    const { session, refreshToken } = await start();
+    await rotateRefreshToken(refreshToken, request());
+
+    const replay = await rotateRefreshToken(refreshToken, request('curl/8.0', '203.0.113.9'));
+    expect(replay).toEqual({ ok: false, reason: 'reuse-detected' });
+    expect(Session.docs.get(String(session._id)).revokedReason).toBe('reuse-detected');
+  });
+
+  it('treats a replay after the grace period as reuse', async () => {
+    const { refreshToken } = await start();
+    const rotated = await rotateRefreshToken(refreshToken, request());
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect((await rotateRefreshToken(refreshToken, request())).reason).toBe('reuse-detected');
+    // The whole session is gone, including the newest token
+    expect((await rotateRefreshToken(rotated.refreshToken, request())).reason).toBe('invalid');
+  });
+
+  it('recognises tokens older than the stored history', async () => {
+    const { refreshToken: first } = await start();
+    let current = first;
+    for (let i = 0; i < Session.MAX_PREVIOUS_TOKENS + 2; i++) {
+      current = (await rotateRefreshToken(current, request())).refreshToken;
+    }
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect((await rotateRefreshToken(first, request())).reason).toBe('reuse-detected');
+  });
+
+  it('rejects tokens with a forged signature without touching the session', async () => {
+    const { session, refreshToken } = await start();
+    const [sessionId, random] = refreshToken.split('.');
+
+    expect((await rotateRefreshToken(`${sessionId}.${random}.forged`, request())).reason).toBe('invalid');
+    expect((await rotateRefreshToken(`${sessionId}.nonsense`, request())).reason).toBe('invalid');
+    expect(Session.docs.get(String(session._id)).revokedAt).toBeNull();
+  });
+});
@@ -94,6 +94,115 @@ class RedisClient {
     }
   }
 
+  // Delete every key matching a glob pattern (uses SCAN, safe on large keyspaces)
+  async delPattern(pattern) {
+    try {
+      if (!this.isConnected || !this.client) return 0;
+      let deleted = 0;
+      for await (const keys of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        const batch = Array.isArray(keys) ? keys : [keys];
+        if (batch.length > 0) {
+          deleted += await this.client.del(batch);
+        }
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Redis DEL pattern error:', error.message);
+      return 0;
+    }
+  }
+
+  // Set a key only if it does not exist yet; true when this call set it
+  async setIfAbsent(key, data, expireInSeconds = 3600) {
+    try {
+      if (!this.isConnected || !this.client) return false;
+      const result = await this.client.set(key, JSON.stringify(data), { NX: true, EX: expireInSeconds });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis SET NX error:', error.message);
+      return false;
+    }
+  }
+
+  // Increment a counter; the expiry starts when the key is created
+  async incr(key, expireInSeconds = 3600) {
+    try {
+      if (!this.isConnected || !this.client) return null;
+      const value = await this.client.incr(key);
+      if (value === 1) await this.client.expire(key, expireInSeconds);
+      return value;
+    } catch (error) {
+      console.error('Redis INCR error:', error.message);
+      return null;
+    }
+  }
+
+  // Seconds until a key expires (negative when missing or without expiry)
+  async ttl(key) {
+    try {
+      if (!this.isConnected || !this.client) return -2;
+      return await this.client.ttl(key);
+    } catch (error) {
+      console.error('Redis TTL error:', error.message);
+      return -2;
+    }
+  }
+
+  // Every key matching a glob pattern with its value (uses SCAN)
+  async getPattern(pattern) {
+    try {
+      if (!this.isConnected || !this.client) return [];
+      const entries = [];
+      for await (const keys of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+        const batch = Array.isArray(keys) ? keys : [keys];
+        if (batch.length === 0) continue;
+        const values = await this.client.mGet(batch);
+        batch.forEach((key, index) => {
+          if (values[index]) entries.push({ key, value: JSON.parse(values[index]) });
+        });
+      }
+      return entries;
+    } catch (error) {
+      console.error('Redis GET pattern error:', error.message);
+      return [];
+    }
+  }
+
+  // Add a member to a sorted set
+  async zAdd(key, score, member) {
+    try {
+      if (!this.isConnected || !this.client) return false;
+      await this.client.zAdd(key, { score, value: member });
+      return true;
+    } catch (error) {
+      console.error('Redis ZADD error:', error.message);
+      return false;
+    }
+  }
+
+  // Sorted set members with a score up to maxScore, lowest first
+  async zRangeByScore(key, maxScore, limit = 100) {
+    try {
+      if (!this.isConnected || !this.client) return [];
+      return await this.client.zRangeByScore(key, '-inf', maxScore, { LIMIT: { offset: 0, count: limit } });
+    } catch (error) {
+      console.error('Redis ZRANGEBYSCORE error:', error.message);
+      return [];
+    }
+  }
+
+  // Remove a sorted set member; true when this call removed it
+  async zRem(key, member) {
+    try {
+      if (!this.isConnected || !this.client) return false;
+      const removed = await this.client.zRem(key, member);
+      return removed === 1;
+    } catch (error) {
+      console.error('Redis ZREM error:', error.message);
+      return false;
+    }
+  }
+
   // Check if key exists
   async exists(key) {
     try {
@@ -243,35 +352,20 @@ class RedisClient {
   }
 
   // 3️⃣ Calorie Calculation Caching
-  async setCaloricResult(bmi, diseaseTypes, calorieData, ttlSeconds = 7200) {
+  // Entries are per user and keyed on a hash of every input behind the
+  // recommendation, so any profile change misses the cache by itself
+  async setCaloricResult(userId, inputHash, calorieData, ttlSeconds = 7200) {
     try {
       if (!this.isConnected || !this.client) return false;
-      
-      // Create a normalized key from BMI and diseases
-      const bmiRange = Math.floor(bmi / 2.5) * 2.5; // Group BMI in 2.5 ranges
-      const diseaseKey = Array.isArray(diseaseTypes) 
-        ? diseaseTypes.sort().join(',') 
-        : diseaseTypes || 'none';
-      
-      const cacheKey = `calorie:${bmiRange}:${diseaseKey}`;
-      
+
+      const cacheKey = `calorie:${userId}:${inputHash}`;
       const resultData = {
-        bmiRange,
-        diseases: diseaseTypes,
         result: calorieData,
-        cachedAt: new Date().toISOString(),
-        hitCount: 1
+        cachedAt: new Date().toISOString()
       };
 
-      // Check if key exists to increment hit count
-      const existing = await this.client.get(cacheKey);
-      if (existing) {
-        const existingData = JSON.parse(existing);
-        resultData.hitCount = (existingData.hitCount || 0) + 1;
-      }
-
       await this.client.setEx(cacheKey, ttlSeconds, JSON.stringify(resultData));
-      console.log(`🧮 Calorie result cached (BMI: ${bmiRange}, Diseases: ${diseaseKey}, Hits: ${resultData.hitCount})`);
+      console.log(`🧮 Calorie result cached for user ${userId} (${inputHash.slice(0, 12)})`);
       return true;
     } catch (error) {
       console.error('Redis calorie cache SET error:', error.message);
@@ -279,25 +373,20 @@ class RedisClient {
     }
   }
 
-  async getCaloricResult(bmi, diseaseTypes) {
+  async getCaloricResult(userId, inputHash) {
     try {
       if (!this.isConnected || !this.client) return null;
-      
-      const bmiRange = Math.floor(bmi / 2.5) * 2.5;
-      const diseaseKey = Array.isArray(diseaseTypes) 
-        ? diseaseTypes.sort().join(',') 
-        : diseaseTypes || 'none';
-      
-      const cacheKey = `calorie:${bmiRange}:${diseaseKey}`;
+
+      const cacheKey = `calorie:${userId}:${inputHash}`;
       const data = await this.client.get(cacheKey);
-      
+
       if (data) {
         const parsedData = JSON.parse(data);
-        console.log(`🧮 Calorie cache HIT (BMI: ${bmiRange}, Diseases: ${diseaseKey}, Hits: ${parsedData.hitCount})`);
+        console.log(`🧮 Calorie cache HIT for user ${userId} (${inputHash.slice(0, 12)})`);
         return parsedData.result;
       }
-      
-      console.log(`🧮 Calorie cache MISS (BMI: ${bmiRange}, Diseases: ${diseaseKey})`);
+
+      console.log(`🧮 Calorie cache MISS for user ${userId} (${inputHash.slice(0, 12)})`);
       return null;
     } catch (error) {
       console.error('Redis calorie cache GET error:', error.message);
@@ -305,6 +394,11 @@ class RedisClient {
     }
   }
 
+  // Drop every cached recommendation for a user
+  async clearCaloricResults(userId) {
+    return this.delPattern(`calorie:${userId}:*`);
+  }
+
   // 🔥 Cache Analytics
   async getCacheAnalytics() {
     try {
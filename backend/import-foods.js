@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { DEFAULT_SEED_FILE, loadFoodFile, importFoods } = require('./utils/foodImporter');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const replace = args.includes('--replace');
+const filePath = args.find(arg => !arg.startsWith('--')) || DEFAULT_SEED_FILE;
+
+if (args.includes('--help')) {
+    console.log('Usage: node import-foods.js [dataset.csv|dataset.json] [--replace]');
+    console.log('  Without a file, the bundled seeds/foods.json is loaded.');
+    console.log('  --replace overwrites foods that already exist (matched by name).');
+    console.log('  CSV columns: name, category, unit, calories, protein, carbs, fat, fiber,');
+    console.log('               sugar, saturatedFat, sodium, potassium, aliases, servingSizes');
+    process.exit(0);
+}
+
+let records;
+try {
+    records = loadFoodFile(filePath);
+} catch (error) {
+    console.log(`❌ Could not read ${filePath}: ${error.message}`);
+    process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/health-guard')
+    .then(async () => {
+        console.log('✅ Connected to MongoDB');
+        console.log(`📦 Importing ${records.length} records from ${filePath}`);
+
+        const summary = await importFoods(records, { source: 'import', replace });
+
+        summary.errors.forEach(error => console.log(`⚠️  ${error}`));
+        console.log(`✅ Inserted: ${summary.inserted}, Updated: ${summary.updated}, Skipped: ${summary.skipped}`);
+
+        process.exit(0);
+    })
+    .catch(err => {
+        console.error('❌ Database error:', err);
+        process.exit(1);
+    });
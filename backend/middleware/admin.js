@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Setting = require('../models/Setting');
 
 const admin = async (req, res, next) => {
     try {
@@ -25,6 +26,14 @@ const admin = async (req, res, next) => {
             return res.status(403).json({ message: 'Access denied: Admin privileges required' });
         }
 
+        // Admins without 2FA have to set it up (under /api/auth/2fa) before going further
+        if (!user.twoFactor?.enabled && await Setting.getValue('requireAdminTwoFactor')) {
+            return res.status(403).json({
+                message: 'Two-factor authentication is required for admin accounts',
+                twoFactorSetupRequired: true
+            });
+        }
+
         next();
     } catch (error) {
         console.error('Admin middleware error:', error);
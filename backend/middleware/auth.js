@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { findActiveSession } = require('../utils/sessions');
 
 const auth = async (req, res, next) => {
   try {
@@ -12,7 +13,18 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+
+    // Tokens from before sessions existed carry no session id
+    if (!decoded.sid) {
+      return res.status(401).json({
+        message: 'Session expired. Please log in again.'
+      });
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId),
+      findActiveSession(decoded)
+    ]);
     
     if (!user) {
       return res.status(401).json({
@@ -20,7 +32,15 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (!session) {
+      return res.status(401).json({
+        message: 'Session has ended. Please log in again.'
+      });
+    }
+
     req.user = user;
+    // Not req.session, which belongs to express-session
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -147,15 +147,64 @@ const healthCacheKey = (dataType) => {
 
 /**
  * Meal data cache key generator
+ * The meal routes take the date as a path param (/daily/:date?), so read that first
  */
 const mealCacheKey = (timeframe) => {
   return (req) => {
     const userId = req.user?._id || req.user?.userId;
-    const date = req.query.date || new Date().toISOString().split('T')[0];
+    const date = req.params?.date || req.query.date || new Date().toISOString().split('T')[0];
     return `cache:meals:${userId}:${timeframe}:${date}`;
   };
 };
 
+/**
+ * Clear every daily/weekly meal cache entry for a user.
+ * A change to one day shows up in that day's entry and in the weekly window of
+ * each of the following six days, so the whole user prefix is dropped.
+ * Await this before responding so the client's refetch doesn't read stale data.
+ */
+const clearMealCache = async (userId) => {
+  try {
+    if (!redisClient.isConnected || !userId) return;
+    await redisClient.delPattern(`cache:meals:${userId}:*`);
+  } catch (error) {
+    console.error('Meal cache invalidation error:', error.message);
+  }
+};
+
+/**
+ * Clear a user's cached calorie recommendations.
+ * Cache keys already hash every input behind a recommendation; this also
+ * frees the stale entries as soon as metrics, profile, goal, conditions or
+ * medications change.
+ */
+const clearRecommendationCache = async (userId) => {
+  try {
+    if (!redisClient.isConnected || !userId) return;
+    await redisClient.clearCaloricResults(userId);
+  } catch (error) {
+    console.error('Recommendation cache invalidation error:', error.message);
+  }
+};
+
+/**
+ * Clear everything cached for a user: profile, health and meal responses and
+ * calorie recommendations. Used when account details behind them change.
+ */
+const clearUserCache = async (userId) => {
+  try {
+    if (!redisClient.isConnected || !userId) return;
+    await Promise.all([
+      redisClient.delPattern(`cache:user:${userId}:*`),
+      redisClient.delPattern(`cache:health:${userId}:*`),
+      redisClient.delPattern(`cache:meals:${userId}:*`),
+      redisClient.clearCaloricResults(userId)
+    ]);
+  } catch (error) {
+    console.error('User cache invalidation error:', error.message);
+  }
+};
+
 /**
  * Cache warming function - preload frequently accessed data
  */
@@ -199,5 +248,8 @@ module.exports = {
   userCacheKey,
   healthCacheKey,
   mealCacheKey,
+  clearMealCache,
+  clearRecommendationCache,
+  clearUserCache,
   warmCache
 };
\ No newline at end of file
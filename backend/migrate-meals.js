@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const Meal = require('./models/Meal');
+require('dotenv').config();
+
+// Moves meals embedded in User documents into the dedicated meals collection.
+// Meal _ids are kept, so re-running after a partial failure won't duplicate meals.
+const keepEmbedded = process.argv.includes('--keep-embedded');
+
+if (process.argv.includes('--help')) {
+    console.log('Usage: node migrate-meals.js [--keep-embedded]');
+    process.exit(0);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/health-guard')
+    .then(async () => {
+        console.log('✅ Connected to MongoDB');
+
+        // Meals are no longer part of the User schema, so read the raw documents
+        const cursor = User.collection.find(
+            { 'meals.0': { $exists: true } },
+            { projection: { email: 1, meals: 1 } }
+        );
+
+        let usersMigrated = 0;
+        let mealsMigrated = 0;
+
+        for await (const user of cursor) {
+            const meals = user.meals.map(meal => ({
+                _id: meal._id,
+                userId: user._id,
+                date: meal.date,
+                mealType: meal.mealType,
+                foods: meal.foods,
+                totalCalories: meal.totalCalories,
+                notes: meal.notes
+            }));
+
+            const existingIds = await Meal.distinct('_id', {
+                _id: { $in: meals.map(meal => meal._id) }
+            });
+            const existing = new Set(existingIds.map(id => id.toString()));
+            const toInsert = meals.filter(meal => !existing.has(meal._id.toString()));
+
+            if (toInsert.length > 0) {
+                await Meal.insertMany(toInsert);
+            }
+
+            if (!keepEmbedded) {
+                await User.collection.updateOne({ _id: user._id }, { $unset: { meals: '' } });
+            }
+
+            usersMigrated++;
+            mealsMigrated += toInsert.length;
+            console.log(`🍽️  ${user.email}: moved ${toInsert.length} of ${meals.length} meals`);
+        }
+
+        console.log(`✅ Migrated ${mealsMigrated} meals for ${usersMigrated} users`);
+        if (keepEmbedded) {
+            console.log('👉 Embedded meals were kept. Re-run without --keep-embedded to remove them.');
+        }
+
+        process.exit(0);
+    })
+    .catch(err => {
+        console.error('❌ Database error:', err);
+        process.exit(1);
+    });
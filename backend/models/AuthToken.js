@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['password-reset', 'email-verification', 'email-change', 'account-unlock'];
+
+// A single-use link sent by email. Only the SHA-256 hash of the token is
+// stored; `email` is the address the link was sent to (the new address for
+// email changes).
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+// MongoDB removes tokens once they have expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authTokenSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const SAFETY_TYPES = ['red-flag', 'diagnosis'];
+
+const chatMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Set on replies that came from the safety rails instead of the model
+  safety: {
+    type: String,
+    enum: SAFETY_TYPES
+  },
+  // The stream was cut off (client left or the model failed) before the reply finished
+  interrupted: {
+    type: Boolean,
+    default: false
+  },
+  model: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A conversation with the AI health coach
+const chatThreadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    default: 'New conversation',
+    maxlength: 100
+  },
+  messages: [chatMessageSchema]
+}, {
+  timestamps: true
+});
+
+chatThreadSchema.index({ userId: 1, updatedAt: -1 });
+
+chatThreadSchema.statics.SAFETY_TYPES = SAFETY_TYPES;
+
+module.exports = mongoose.model('ChatThread', chatThreadSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A private food only visible to the user who created it. Values are per
+// 100g/100ml like the shared catalog, or per serving when copied off a label.
+const customFoodSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Food name is required'],
+    trim: true,
+    maxlength: [100, 'Food name cannot be more than 100 characters']
+  },
+  unit: {
+    type: String,
+    enum: ['100g', '100ml', 'serving'],
+    default: 'serving'
+  },
+  servingLabel: {
+    type: String,
+    trim: true,
+    default: '1 serving'
+  },
+  calories: {
+    type: Number,
+    required: [true, 'Calories are required'],
+    min: [0, 'Calories cannot be negative']
+  },
+  protein: { type: Number, min: 0, default: 0 },
+  carbs: { type: Number, min: 0, default: 0 },
+  fat: { type: Number, min: 0, default: 0 },
+  fiber: { type: Number, min: 0, default: 0 },
+  sugar: { type: Number, min: 0, default: 0 },
+  saturatedFat: { type: Number, min: 0, default: 0 },
+  sodium: { type: Number, min: 0, default: 0 }, // mg
+  potassium: { type: Number, min: 0, default: 0 }, // mg
+  notes: String
+}, {
+  timestamps: true
+});
+
+customFoodSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomFood', customFoodSchema);
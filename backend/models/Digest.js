@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const metricChangeSchema = new mongoose.Schema({
+  field: String,
+  label: String,
+  unit: String,
+  start: Number,
+  end: Number,
+  change: Number,
+  readings: Number
+}, { _id: false });
+
+const medicationChangeSchema = new mongoose.Schema({
+  name: String,
+  dosage: String,
+  date: Date
+}, { _id: false });
+
+// A weekly progress summary: the numbers behind it and the narrative written from them
+const digestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weekStart: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  weekEnd: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['ai', 'template'],
+    required: true
+  },
+  model: String,
+  narrative: {
+    type: String,
+    required: true
+  },
+  stats: {
+    calories: {
+      daysLogged: Number,
+      average: Number,
+      target: Number,
+      total: Number,
+      days: [{
+        _id: false,
+        date: String,
+        calories: Number
+      }],
+      macros: {
+        protein: Number,
+        carbs: Number,
+        fat: Number
+      }
+    },
+    metrics: [metricChangeSchema],
+    medications: {
+      started: [medicationChangeSchema],
+      stopped: [medicationChangeSchema],
+      adherence: Number
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One digest per user per week; regenerating replaces it
+digestSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+digestSchema.index({ userId: 1, weekStart: -1 });
+
+module.exports = mongoose.model('Digest', digestSchema);
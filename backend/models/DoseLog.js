@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const DOSE_STATUSES = ['taken', 'late', 'skipped'];
+
+// One entry per dose a user marks. Scheduled doses carry the slot they belong
+// to; as-needed doses have no slot and just record when they were taken.
+const doseLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: DOSE_STATUSES,
+    required: true
+  },
+  takenAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One log per scheduled slot; as-needed doses (scheduledFor null) may repeat.
+// Named so it doesn't clash with the earlier non-unique index on the same keys.
+doseLogSchema.index(
+  { userId: 1, medicationId: 1, scheduledFor: 1 },
+  { name: 'one_log_per_slot', unique: true, partialFilterExpression: { scheduledFor: { $type: 'date' } } }
+);
+doseLogSchema.index({ userId: 1, createdAt: -1 });
+
+doseLogSchema.statics.DOSE_STATUSES = DOSE_STATUSES;
+
+// Logs in a window: scheduled doses by slot, as-needed doses by when they were
+// taken, or when they were logged for skipped ones (no takenAt)
+doseLogSchema.statics.findInRange = function (userId, from, to) {
+  return this.find({
+    userId,
+    $or: [
+      { scheduledFor: { $gte: from, $lte: to } },
+      { scheduledFor: null, takenAt: { $gte: from, $lte: to } },
+      { scheduledFor: null, takenAt: null, createdAt: { $gte: from, $lte: to } }
+    ]
+  }).sort({ scheduledFor: 1, takenAt: 1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('DoseLog', doseLogSchema);
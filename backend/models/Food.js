@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { NUTRIENT_FIELDS } = require('../utils/nutrition');
+
+// Nutrient values are per 100g (or 100ml for liquids), matching `unit`
+const foodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Food name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Food name cannot be more than 100 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  category: {
+    type: String,
+    trim: true,
+    default: 'Other'
+  },
+  unit: {
+    type: String,
+    enum: ['100g', '100ml'],
+    default: '100g'
+  },
+  calories: {
+    type: Number,
+    required: [true, 'Calories are required'],
+    min: [0, 'Calories cannot be negative']
+  },
+  protein: { type: Number, min: 0, default: 0 },
+  carbs: { type: Number, min: 0, default: 0 },
+  fat: { type: Number, min: 0, default: 0 },
+  fiber: { type: Number, min: 0, default: 0 },
+  sugar: { type: Number, min: 0, default: 0 },
+  saturatedFat: { type: Number, min: 0, default: 0 },
+  sodium: { type: Number, min: 0, default: 0 }, // mg
+  potassium: { type: Number, min: 0, default: 0 }, // mg
+  servingSizes: [{
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    grams: {
+      type: Number,
+      required: true,
+      min: [0.1, 'Serving size must be positive']
+    }
+  }],
+  source: {
+    type: String,
+    enum: ['seed', 'import', 'admin'],
+    default: 'admin'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+foodSchema.index(
+  { name: 'text', aliases: 'text', category: 'text' },
+  { weights: { name: 10, aliases: 5, category: 1 }, name: 'food_text_search' }
+);
+
+// Nutrient fields shared by the importer, admin routes and meal logging
+foodSchema.statics.NUTRIENT_FIELDS = NUTRIENT_FIELDS;
+
+// Search active foods by name/alias. Full words go through the text index;
+// partial words (type-ahead) fall back to a prefix match.
+foodSchema.statics.search = async function (term, limit = 20) {
+  const searchTerm = (term || '').trim();
+  const filter = { active: true };
+
+  if (!searchTerm) {
+    const [foods, total] = await Promise.all([
+      this.find(filter).sort({ name: 1 }).limit(limit).lean(),
+      this.countDocuments(filter)
+    ]);
+    return { foods, total };
+  }
+
+  const textFilter = { ...filter, $text: { $search: searchTerm } };
+  const textMatches = await this.find(textFilter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  if (textMatches.length > 0) {
+    const total = await this.countDocuments(textFilter);
+    return { foods: textMatches, total };
+  }
+
+  const escaped = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(^|\\s|\\()${escaped}`, 'i');
+  const prefixFilter = { ...filter, $or: [{ name: pattern }, { aliases: pattern }] };
+
+  const [foods, total] = await Promise.all([
+    this.find(prefixFilter).sort({ name: 1 }).limit(limit).lean(),
+    this.countDocuments(prefixFilter)
+  ]);
+  return { foods, total };
+};
+
+module.exports = mongoose.model('Food', foodSchema);
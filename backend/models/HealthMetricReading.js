@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Every PUT /api/health/metrics appends one reading here, so the history
+// survives even though User.healthMetrics only keeps the latest snapshot.
+const healthMetricReadingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  height: {
+    type: Number,
+    min: [50, 'Height must be at least 50 cm'],
+    max: [250, 'Height cannot exceed 250 cm']
+  },
+  weight: {
+    type: Number,
+    min: [20, 'Weight must be at least 20 kg'],
+    max: [300, 'Weight cannot exceed 300 kg']
+  },
+  bloodPressureSystolic: {
+    type: Number,
+    min: [70, 'Systolic pressure must be at least 70 mmHg'],
+    max: [200, 'Systolic pressure cannot exceed 200 mmHg']
+  },
+  bloodPressureDiastolic: {
+    type: Number,
+    min: [40, 'Diastolic pressure must be at least 40 mmHg'],
+    max: [130, 'Diastolic pressure cannot exceed 130 mmHg']
+  },
+  bloodSugar: {
+    type: Number,
+    min: [50, 'Blood sugar must be at least 50 mg/dL'],
+    max: [400, 'Blood sugar cannot exceed 400 mg/dL']
+  },
+  cholesterol: {
+    type: Number,
+    min: [100, 'Cholesterol must be at least 100 mg/dL'],
+    max: [400, 'Cholesterol cannot exceed 400 mg/dL']
+  }
+}, {
+  timestamps: true
+});
+
+healthMetricReadingSchema.index({ userId: 1, recordedAt: -1 });
+
+// Metric fields that can be charted / downsampled
+healthMetricReadingSchema.statics.METRIC_FIELDS = [
+  'height',
+  'weight',
+  'bloodPressureSystolic',
+  'bloodPressureDiastolic',
+  'bloodSugar',
+  'cholesterol'
+];
+
+// Get readings for a user, optionally averaged per day/week/month bucket
+healthMetricReadingSchema.statics.getHistory = async function (userId, options = {}) {
+  const { from, to, metric, interval = 'raw' } = options;
+  const fields = metric ? [metric] : this.METRIC_FIELDS;
+
+  const match = { userId: new mongoose.Types.ObjectId(userId) };
+  if (from || to) {
+    match.recordedAt = {};
+    if (from) match.recordedAt.$gte = from;
+    if (to) match.recordedAt.$lte = to;
+  }
+  if (metric) {
+    match[metric] = { $ne: null };
+  }
+
+  if (interval === 'raw') {
+    const projection = { recordedAt: 1 };
+    fields.forEach(field => { projection[field] = 1; });
+
+    const readings = await this.find(match, projection).sort({ recordedAt: 1 }).lean();
+    return readings.map(reading => {
+      const point = { date: reading.recordedAt, count: 1 };
+      fields.forEach(field => { point[field] = reading[field] ?? null; });
+      return point;
+    });
+  }
+
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[interval];
+  const group = {
+    _id: { $dateTrunc: { date: '$recordedAt', unit, startOfWeek: 'monday' } },
+    count: { $sum: 1 }
+  };
+  fields.forEach(field => { group[field] = { $avg: `$${field}` }; });
+
+  const buckets = await this.aggregate([
+    { $match: match },
+    { $group: group },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return buckets.map(bucket => {
+    const point = { date: bucket._id, count: bucket.count };
+    fields.forEach(field => {
+      point[field] = bucket[field] !== null ? Math.round(bucket[field] * 10) / 10 : null;
+    });
+    return point;
+  });
+};
+
+module.exports = mongoose.model('HealthMetricReading', healthMetricReadingSchema);
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const { MACRO_FIELDS, sumNutrients } = require('../utils/nutrition');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Day buckets follow the server's local day, same as the date ranges below
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const foodItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true,
+    default: 'grams'
+  },
+  calories: {
+    type: Number,
+    required: true
+  },
+  protein: Number,
+  carbs: Number,
+  fat: Number,
+  fiber: Number,
+  sugar: Number,
+  saturatedFat: Number,
+  sodium: Number, // mg
+  potassium: Number // mg
+});
+
+const mealSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  mealType: {
+    type: String,
+    enum: MEAL_TYPES,
+    required: true
+  },
+  foods: [foodItemSchema],
+  totalCalories: {
+    type: Number,
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+mealSchema.index({ userId: 1, date: 1 });
+
+// 🎯 HELPER FUNCTIONS
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const emptyBreakdown = () => ({
+  breakfast: 0,
+  lunch: 0,
+  dinner: 0,
+  snack: 0
+});
+
+const pickMacros = (totals) => {
+  const macros = {};
+  MACRO_FIELDS.forEach(field => {
+    macros[field] = totals[field] || 0;
+  });
+  return macros;
+};
+
+mealSchema.statics.MEAL_TYPES = MEAL_TYPES;
+
+// Find a user's meals within a day
+mealSchema.statics.findForDay = function (userId, date = new Date()) {
+  return this.find({
+    userId,
+    date: { $gte: startOfDay(date), $lte: endOfDay(date) }
+  }).sort({ date: 1 });
+};
+
+// Calculate daily calories consumed
+mealSchema.statics.getDailyCalories = async function (userId, date = new Date()) {
+  const dayMeals = await this.findForDay(userId, date);
+
+  const mealBreakdown = emptyBreakdown();
+  let totalCalories = 0;
+
+  dayMeals.forEach(meal => {
+    mealBreakdown[meal.mealType] += meal.totalCalories;
+    totalCalories += meal.totalCalories;
+  });
+
+  const nutrients = sumNutrients(dayMeals.flatMap(meal => meal.foods));
+
+  return {
+    totalCalories,
+    mealBreakdown,
+    macros: pickMacros(nutrients),
+    nutrients,
+    mealCount: dayMeals.length,
+    meals: dayMeals
+  };
+};
+
+// Get weekly calorie summary (the 7 days ending on `date`)
+mealSchema.statics.getWeeklyCalories = async function (userId, date = new Date()) {
+  const rangeStart = startOfDay(date);
+  rangeStart.setDate(rangeStart.getDate() - 6);
+  const rangeEnd = endOfDay(date);
+
+  const totals = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        date: { $gte: rangeStart, $lte: rangeEnd }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: SERVER_TIMEZONE } },
+          mealType: '$mealType'
+        },
+        calories: { $sum: '$totalCalories' },
+        // Inner $sum adds up the meal's food items, outer one the day's meals
+        ...Object.fromEntries(MACRO_FIELDS.map(field => [field, { $sum: { $sum: `$foods.${field}` } }]))
+      }
+    }
+  ]);
+
+  const weekData = [];
+
+  for (let i = 0; i < 7; i++) {
+    const day = new Date(rangeStart);
+    day.setDate(day.getDate() + i);
+    const dateKey = toDateKey(day);
+
+    const dayTotals = totals.filter(total => total._id.day === dateKey);
+
+    const mealBreakdown = emptyBreakdown();
+    dayTotals.forEach(total => {
+      mealBreakdown[total._id.mealType] += total.calories;
+    });
+
+    weekData.push({
+      date: dateKey,
+      calories: Object.values(mealBreakdown).reduce((sum, calories) => sum + calories, 0),
+      mealBreakdown,
+      macros: pickMacros(sumNutrients(dayTotals))
+    });
+  }
+
+  return weekData;
+};
+
+module.exports = mongoose.model('Meal', mealSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Meal = require('./Meal');
+const { NUTRIENT_FIELDS } = require('../utils/nutrition');
+
+// Same food entry shape as a logged meal, plus the catalog food it came from
+const plannedFoodSchema = Meal.schema.path('foods').schema.clone();
+plannedFoodSchema.add({
+  foodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food'
+  }
+});
+
+const plannedMealSchema = new mongoose.Schema({
+  mealType: {
+    type: String,
+    enum: Meal.MEAL_TYPES,
+    required: true
+  },
+  foods: [plannedFoodSchema],
+  totalCalories: {
+    type: Number,
+    required: true
+  },
+  // Set once the planned meal has been logged to the meal tracker
+  loggedMealId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meal',
+    default: null
+  }
+});
+
+const planDaySchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  meals: [plannedMealSchema],
+  totals: Object.fromEntries(NUTRIENT_FIELDS.map(field => [field, Number]))
+});
+
+// A saved 7-day meal plan built from the food catalog
+const mealPlanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Plan name cannot be more than 100 characters']
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  calorieTarget: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['ai', 'rule-based'],
+    required: true
+  },
+  model: String,
+  days: [planDaySchema],
+  warnings: [String]
+}, {
+  timestamps: true
+});
+
+mealPlanSchema.index({ userId: 1, startDate: -1 });
+
+module.exports = mongoose.model('MealPlan', mealPlanSchema);
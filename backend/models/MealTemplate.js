@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Meal = require('./Meal');
+
+// A named, reusable meal ("Usual breakfast") that can be logged again in one step
+const mealTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  mealType: {
+    type: String,
+    enum: Meal.MEAL_TYPES,
+    required: true
+  },
+  // Same food entry shape as a logged meal
+  foods: [Meal.schema.path('foods').schema],
+  totalCalories: {
+    type: Number,
+    required: true
+  },
+  notes: String,
+  timesUsed: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+mealTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('MealTemplate', mealTemplateSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['medication-dose', 'meal-logging', 'metric-check-in', 'weekly-digest', 'test'];
+
+// In-app inbox entries. Email and webhook deliveries are not stored.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  data: mongoose.Schema.Types.Mixed,
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
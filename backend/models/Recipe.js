@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { NUTRIENT_FIELDS, sumNutrients, divideNutrients } = require('../utils/nutrition');
+
+const nutrientFields = {};
+NUTRIENT_FIELDS.forEach(field => {
+  nutrientFields[field] = { type: Number, default: 0 };
+});
+
+const ingredientSchema = new mongoose.Schema({
+  // Where the nutrients came from; manual ingredients have neither id
+  foodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food'
+  },
+  customFoodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomFood'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.1, 'Quantity must be a positive number']
+  },
+  unit: {
+    type: String,
+    required: true,
+    default: 'grams'
+  },
+  ...nutrientFields
+}, { _id: false });
+
+const recipeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Recipe name is required'],
+    trim: true,
+    maxlength: [100, 'Recipe name cannot be more than 100 characters']
+  },
+  servings: {
+    type: Number,
+    required: true,
+    min: [1, 'A recipe must yield at least one serving'],
+    default: 1
+  },
+  servingLabel: {
+    type: String,
+    trim: true,
+    default: '1 serving'
+  },
+  ingredients: {
+    type: [ingredientSchema],
+    validate: [list => list.length > 0, 'A recipe needs at least one ingredient']
+  },
+  totals: nutrientFields,
+  perServing: nutrientFields,
+  instructions: String
+}, {
+  timestamps: true
+});
+
+recipeSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Keep totals and per-serving macros in sync with the ingredient list
+recipeSchema.pre('validate', function (next) {
+  const totals = sumNutrients(this.ingredients);
+  this.totals = totals;
+  this.perServing = divideNutrients(totals, this.servings);
+  next();
+});
+
+module.exports = mongoose.model('Recipe', recipeSchema);
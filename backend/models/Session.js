@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens kept per session after rotation, for the retry grace period
+// (older tokens are still recognised by their signature)
+const MAX_PREVIOUS_TOKENS = 10;
+
+const REVOKE_REASONS = ['logout', 'revoked', 'reuse-detected', 'password-change'];
+
+// One signed-in device. Access tokens carry the session id (`sid`) and are
+// only accepted while the session is live; the refresh token rotates on every
+// use and only its SHA-256 hash is stored.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Session name cannot be more than 100 characters']
+  },
+  userAgent: String,
+  ip: String,
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [{
+    _id: false,
+    hash: String,
+    rotatedAt: Date,
+    // Hash of the user agent and IP that rotated it
+    fingerprint: String
+  }],
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every refresh; idle sessions lapse
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+sessionSchema.statics.MAX_PREVIOUS_TOKENS = MAX_PREVIOUS_TOKENS;
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// App-wide settings changed from the admin panel, one document per key
+const DEFAULTS = {
+  requireAdminTwoFactor: false
+};
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: Object.keys(DEFAULTS),
+    required: true,
+    unique: true
+  },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The stored value, or the default when it was never set
+settingSchema.statics.getValue = async function (key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+settingSchema.statics.setValue = async function (key, value, updatedBy) {
+  await this.updateOne({ key }, { $set: { value, updatedBy } }, { upsert: true });
+  return value;
+};
+
+// Every setting with defaults filled in
+settingSchema.statics.getAll = async function () {
+  const settings = await this.find({});
+  return settings.reduce((all, setting) => ({ ...all, [setting.key]: setting.value }), { ...DEFAULTS });
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
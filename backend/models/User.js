@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
-const { hashPassword, comparePassword } = require('../utils/encryption');
+const { hashPassword, comparePassword, needsRehash } = require('../utils/encryption');
+const { resolveMacroTargets } = require('../utils/nutrition');
+const { TIME_PATTERN } = require('../utils/medicationSchedule');
+const { isValidTimeZone } = require('../utils/dates');
+const { ACTIVITY_LEVELS, SEXES, ageFromDateOfBirth, estimateEnergyNeeds } = require('../utils/energy');
+const { GOAL_MODES, planGoal } = require('../utils/goals');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,6 +21,26 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Set once the user follows a verification (or email change) link
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // TOTP second factor. The secret and recovery code hashes are never selected by default.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    // Set during enrollment until the first code confirms it
+    pendingSecret: { type: String, select: false },
+    // Time step of the last accepted code, so codes can't be replayed
+    lastUsedCounter: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{ _id: false, hash: String, usedAt: Date }],
+      select: false
+    }
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -27,6 +52,18 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Personal details used for energy (BMR/TDEE) estimates
+  profile: {
+    dateOfBirth: Date,
+    sex: {
+      type: String,
+      enum: SEXES
+    },
+    activityLevel: {
+      type: String,
+      enum: Object.keys(ACTIVITY_LEVELS)
+    }
+  },
   healthMetrics: {
     height: {
       type: Number,
@@ -97,51 +134,99 @@ const userSchema = new mongoose.Schema({
     },
     endDate: Date,
     notes: String,
+    // Structured dose times; when empty the times are derived from `frequency`
+    schedule: {
+      asNeeded: {
+        type: Boolean,
+        default: false
+      },
+      times: [{
+        type: String,
+        match: [TIME_PATTERN, 'Dose times must be HH:MM']
+      }],
+      daysOfWeek: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }]
+    },
     active: {
       type: Boolean,
       default: true
     }
   }],
-  meals: [{
-    date: {
-      type: Date,
-      required: true,
-      default: Date.now
+  macroTargets: {
+    mode: {
+      type: String,
+      enum: ['grams', 'percent'],
+      default: 'percent'
+    },
+    calories: {
+      type: Number,
+      min: [800, 'Calorie target must be at least 800'],
+      max: [6000, 'Calorie target cannot exceed 6000']
     },
-    mealType: {
+    protein: { type: Number, min: 0 },
+    carbs: { type: Number, min: 0 },
+    fat: { type: Number, min: 0 },
+    fiber: { type: Number, min: 0 },
+    updatedAt: Date
+  },
+  // Weight goal: a target weight by a date, or a weekly rate of change
+  goal: {
+    mode: {
       type: String,
-      enum: ['breakfast', 'lunch', 'dinner', 'snack'],
-      required: true
+      enum: GOAL_MODES
     },
-    foods: [{
-      name: {
-        type: String,
-        required: true
-      },
-      quantity: {
-        type: Number,
-        required: true
-      },
-      unit: {
-        type: String,
-        required: true,
-        default: 'grams'
-      },
-      calories: {
-        type: Number,
-        required: true
-      },
-      protein: Number,
-      carbs: Number,
-      fat: Number,
-      fiber: Number
-    }],
-    totalCalories: {
+    targetWeight: {
       type: Number,
-      required: true
+      min: [20, 'Target weight must be at least 20 kg'],
+      max: [300, 'Target weight cannot exceed 300 kg']
     },
-    notes: String
-  }],
+    targetDate: Date,
+    // kg per week; negative to lose weight
+    weeklyRate: Number,
+    // Snapshot when the goal was set, used to draw the projected line
+    startWeight: Number,
+    startDate: Date,
+    plannedWeeklyRate: Number
+  },
+  notificationSettings: {
+    channels: {
+      inApp: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+      webhook: { type: Boolean, default: false }
+    },
+    webhookUrl: {
+      type: String,
+      trim: true
+    },
+    // IANA zone that reminder times, quiet hours and dose days follow; the server's when unset
+    timeZone: {
+      type: String,
+      validate: [isValidTimeZone, 'Unknown time zone']
+    },
+    // Reminders due inside quiet hours wait until they end
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: [TIME_PATTERN, 'Quiet hours must be HH:MM'], default: '22:00' },
+      end: { type: String, match: [TIME_PATTERN, 'Quiet hours must be HH:MM'], default: '07:00' }
+    },
+    reminders: {
+      medicationDoses: { type: Boolean, default: true },
+      mealLogging: { type: Boolean, default: true },
+      mealTimes: {
+        breakfast: { type: String, match: [TIME_PATTERN, 'Meal reminder times must be HH:MM'], default: '09:30' },
+        lunch: { type: String, match: [TIME_PATTERN, 'Meal reminder times must be HH:MM'], default: '13:30' },
+        dinner: { type: String, match: [TIME_PATTERN, 'Meal reminder times must be HH:MM'], default: '20:00' }
+      },
+      metricCheckIn: { type: Boolean, default: true },
+      metricCheckInTime: { type: String, match: [TIME_PATTERN, 'Check-in time must be HH:MM'], default: '09:00' },
+      metricCheckInDays: { type: [{ type: Number, min: 0, max: 6 }], default: [1] },
+      // "Your weekly digest is ready" on Mondays
+      weeklyDigest: { type: Boolean, default: true }
+    }
+  },
   aiRecommendations: [{
     type: {
       type: String,
@@ -157,7 +242,50 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     },
     calories: Number,
-    reasoning: String
+    reasoning: String,
+    // Structured sections (recommendations saved before these existed only have `content`)
+    summary: String,
+    macros: {
+      protein: Number,
+      carbs: Number,
+      fat: Number
+    },
+    foodsToFavor: [String],
+    foodsToAvoid: [String],
+    warnings: [String],
+    tips: [String],
+    // Which engine produced it, so feedback can be traced back to a prompt and model
+    source: {
+      type: String,
+      enum: ['ai', 'rule-based']
+    },
+    model: String,
+    // Set when the user asked for another take on an earlier recommendation
+    regeneratedFrom: mongoose.Schema.Types.ObjectId,
+    userNote: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    feedback: {
+      rating: {
+        type: Number,
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+      },
+      flaggedUnsafe: {
+        type: Boolean,
+        default: false
+      },
+      flagReason: {
+        type: String,
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+      },
+      comment: {
+        type: String,
+        maxlength: [1000, 'Comment cannot be more than 1000 characters']
+      },
+      updatedAt: Date
+    }
   }]
 }, {
   timestamps: true
@@ -180,6 +308,23 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await comparePassword(candidatePassword, this.password);
 };
 
+// Whether the stored hash predates the current scheme or its parameters
+userSchema.methods.passwordNeedsRehash = function () {
+  return needsRehash(this.password);
+};
+
+// Hash and store a new password, writing just the password field
+userSchema.methods.setPassword = async function (password) {
+  this.password = await hashPassword(password);
+  await this.constructor.updateOne({ _id: this._id }, { $set: { password: this.password } });
+};
+
+// Replace the stored hash with one in the current scheme. Call only after the
+// password has been verified.
+userSchema.methods.rehashPassword = async function (password) {
+  await this.setPassword(password);
+};
+
 // Calculate BMI
 userSchema.methods.calculateBMI = function () {
   if (!this.healthMetrics.height || !this.healthMetrics.weight) return null;
@@ -187,6 +332,30 @@ userSchema.methods.calculateBMI = function () {
   return this.healthMetrics.weight / (heightInMeters * heightInMeters);
 };
 
+// Age in whole years, or null without a date of birth
+userSchema.methods.getAge = function () {
+  return ageFromDateOfBirth(this.profile && this.profile.dateOfBirth);
+};
+
+// Daily macro targets in grams (defaults fill anything not set)
+userSchema.methods.getMacroTargets = function () {
+  const settings = this.macroTargets ? this.macroTargets.toObject() : {};
+  return resolveMacroTargets(settings);
+};
+
+// Calorie plan for the current goal, or null without a goal or height/weight
+userSchema.methods.getGoalPlan = function (now = new Date()) {
+  if (!this.goal || !this.goal.mode) return null;
+  const energy = estimateEnergyNeeds(this);
+  if (!energy) return null;
+
+  return planGoal(this.goal, {
+    currentWeight: this.healthMetrics.weight,
+    tdee: energy.tdee,
+    sex: energy.sex
+  }, now);
+};
+
 // Get health status summary
 userSchema.methods.getHealthSummary = function () {
   const bmi = this.calculateBMI();
@@ -201,56 +370,4 @@ userSchema.methods.getHealthSummary = function () {
   };
 };
 
-// Calculate daily calories consumed
-userSchema.methods.getDailyCalories = function (date = new Date()) {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  const dayMeals = this.meals.filter(meal =>
-    meal.date >= startOfDay && meal.date <= endOfDay
-  );
-
-  const totalCalories = dayMeals.reduce((total, meal) => total + meal.totalCalories, 0);
-
-  const mealBreakdown = {
-    breakfast: 0,
-    lunch: 0,
-    dinner: 0,
-    snack: 0
-  };
-
-  dayMeals.forEach(meal => {
-    mealBreakdown[meal.mealType] += meal.totalCalories;
-  });
-
-  return {
-    totalCalories,
-    mealBreakdown,
-    mealCount: dayMeals.length,
-    meals: dayMeals
-  };
-};
-
-// Get weekly calorie summary
-userSchema.methods.getWeeklyCalories = function (date = new Date()) {
-  const weekData = [];
-
-  for (let i = 6; i >= 0; i--) {
-    const day = new Date(date);
-    day.setDate(day.getDate() - i);
-
-    const dayCalories = this.getDailyCalories(day);
-    weekData.push({
-      date: day.toISOString().split('T')[0],
-      calories: dayCalories.totalCalories,
-      mealBreakdown: dayCalories.mealBreakdown
-    });
-  }
-
-  return weekData;
-};
-
 module.exports = mongoose.model('User', userSchema);
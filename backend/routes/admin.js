@@ -1,8 +1,25 @@
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const router = express.Router();
 const User = require('../models/User');
+const Food = require('../models/Food');
+const Meal = require('../models/Meal');
+const HealthMetricReading = require('../models/HealthMetricReading');
+const CustomFood = require('../models/CustomFood');
+const Recipe = require('../models/Recipe');
+const MealTemplate = require('../models/MealTemplate');
+const DoseLog = require('../models/DoseLog');
+const Notification = require('../models/Notification');
+const ChatThread = require('../models/ChatThread');
+const MealPlan = require('../models/MealPlan');
+const Digest = require('../models/Digest');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const Setting = require('../models/Setting');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const redisClient = require('../config/redis');
+const { listLocks, unlockAccount, unblockIp } = require('../utils/loginThrottle');
 
 // Apply auth and admin middleware to all routes
 router.use(auth);
@@ -92,6 +109,107 @@ router.get('/users', async (req, res) => {
     }
 });
 
+// @route   GET /api/admin/settings
+// @desc    App-wide security settings
+// @access  Private/Admin
+router.get('/settings', async (req, res) => {
+    try {
+        res.json(await Setting.getAll());
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/admin/settings
+// @desc    Update settings (requireAdminTwoFactor)
+// @access  Private/Admin
+router.put('/settings', [
+    body('requireAdminTwoFactor')
+        .optional()
+        .isBoolean()
+        .withMessage('requireAdminTwoFactor must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { requireAdminTwoFactor } = req.body;
+
+        if (requireAdminTwoFactor !== undefined) {
+            // Otherwise the admin turning it on would lock themselves out at once
+            if (requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+                return res.status(400).json({
+                    message: 'Turn on two-factor authentication for your own account first'
+                });
+            }
+            await Setting.setValue('requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+        }
+
+        res.json(await Setting.getAll());
+    } catch (error) {
+        console.error('Error updating settings:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   GET /api/admin/locked-accounts
+// @desc    Accounts locked and IPs blocked after failed logins
+// @access  Private/Admin
+router.get('/locked-accounts', async (req, res) => {
+    try {
+        const { accounts, ips } = await listLocks();
+
+        // Locks are kept by email, including emails without an account
+        const users = await User.find({ email: { $in: accounts.map(lock => lock.email) } }).select('name email');
+        const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+        res.json({
+            accounts: accounts.map(lock => {
+                const user = usersByEmail.get(lock.email);
+                return { ...lock, user: user ? { _id: user._id, name: user.name } : null };
+            }),
+            ips
+        });
+    } catch (error) {
+        console.error('Error fetching locked accounts:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/admin/locked-accounts/:email
+// @desc    Unlock an account before its lockout ends
+// @access  Private/Admin
+router.delete('/locked-accounts/:email', async (req, res) => {
+    try {
+        await unlockAccount(req.params.email.toLowerCase());
+        console.log(`🔓 Admin ${req.user._id} unlocked ${req.params.email}`);
+        res.json({ message: 'Account unlocked' });
+    } catch (error) {
+        console.error('Error unlocking account:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/admin/blocked-ips/:ip
+// @desc    Let an IP try logging in again
+// @access  Private/Admin
+router.delete('/blocked-ips/:ip', async (req, res) => {
+    try {
+        await unblockIp(req.params.ip);
+        console.log(`🔓 Admin ${req.user._id} unblocked ${req.params.ip}`);
+        res.json({ message: 'IP unblocked' });
+    } catch (error) {
+        console.error('Error unblocking IP:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete a user
 // @access  Private/Admin
@@ -108,6 +226,19 @@ router.delete('/users/:id', async (req, res) => {
         }
 
         await User.findByIdAndDelete(req.params.id);
+        await Meal.deleteMany({ userId: req.params.id });
+        await HealthMetricReading.deleteMany({ userId: req.params.id });
+        await CustomFood.deleteMany({ userId: req.params.id });
+        await Recipe.deleteMany({ userId: req.params.id });
+        await MealTemplate.deleteMany({ userId: req.params.id });
+        await DoseLog.deleteMany({ userId: req.params.id });
+        await Notification.deleteMany({ userId: req.params.id });
+        await ChatThread.deleteMany({ userId: req.params.id });
+        await MealPlan.deleteMany({ userId: req.params.id });
+        await Digest.deleteMany({ userId: req.params.id });
+        await Session.deleteMany({ userId: req.params.id });
+        await AuthToken.deleteMany({ userId: req.params.id });
+        await redisClient.clearCaloricResults(req.params.id);
         res.json({ message: 'User removed' });
     } catch (error) {
         console.error(error);
@@ -115,4 +246,320 @@ router.delete('/users/:id', async (req, res) => {
     }
 });
 
+// 🤖 AI RECOMMENDATION FEEDBACK
+
+// Ratings at or below this count as low
+const LOW_RATING = 2;
+
+const FEEDBACK_FILTERS = {
+    attention: { $or: [{ 'rec.feedback.flaggedUnsafe': true }, { 'rec.feedback.rating': { $lte: LOW_RATING } }] },
+    flagged: { 'rec.feedback.flaggedUnsafe': true },
+    low: { 'rec.feedback.rating': { $lte: LOW_RATING } },
+    all: {}
+};
+
+// @route   GET /api/admin/recommendation-feedback
+// @desc    Aggregate user feedback on recommendations and list low-rated or flagged ones
+// @access  Private/Admin
+router.get('/recommendation-feedback', async (req, res) => {
+    try {
+        const filter = FEEDBACK_FILTERS[req.query.filter] ? req.query.filter : 'attention';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const [result] = await User.aggregate([
+            { $unwind: '$aiRecommendations' },
+            { $project: { name: 1, email: 1, rec: '$aiRecommendations' } },
+            { $match: { 'rec.feedback.updatedAt': { $exists: true } } },
+            {
+                $facet: {
+                    summary: [
+                        {
+                            $group: {
+                                _id: null,
+                                total: { $sum: 1 },
+                                rated: { $sum: { $cond: [{ $gt: ['$rec.feedback.rating', null] }, 1, 0] } },
+                                averageRating: { $avg: '$rec.feedback.rating' },
+                                flagged: { $sum: { $cond: ['$rec.feedback.flaggedUnsafe', 1, 0] } }
+                            }
+                        }
+                    ],
+                    ratings: [
+                        { $match: { 'rec.feedback.rating': { $exists: true } } },
+                        { $group: { _id: '$rec.feedback.rating', count: { $sum: 1 } } },
+                        { $sort: { _id: 1 } }
+                    ],
+                    bySource: [
+                        {
+                            $group: {
+                                _id: { source: { $ifNull: ['$rec.source', 'unknown'] }, model: '$rec.model' },
+                                count: { $sum: 1 },
+                                averageRating: { $avg: '$rec.feedback.rating' },
+                                flagged: { $sum: { $cond: ['$rec.feedback.flaggedUnsafe', 1, 0] } },
+                                lowRated: {
+                                    $sum: {
+                                        $cond: [
+                                            { $and: [{ $gt: ['$rec.feedback.rating', null] }, { $lte: ['$rec.feedback.rating', LOW_RATING] }] },
+                                            1,
+                                            0
+                                        ]
+                                    }
+                                }
+                            }
+                        },
+                        { $sort: { count: -1 } }
+                    ],
+                    items: [
+                        { $match: FEEDBACK_FILTERS[filter] },
+                        { $sort: { 'rec.feedback.updatedAt': -1 } },
+                        { $limit: limit },
+                        {
+                            $project: {
+                                _id: '$rec._id',
+                                user: { _id: '$_id', name: '$name', email: '$email' },
+                                createdAt: '$rec.createdAt',
+                                source: '$rec.source',
+                                model: '$rec.model',
+                                summary: '$rec.summary',
+                                calories: '$rec.calories',
+                                content: '$rec.content',
+                                reasoning: '$rec.reasoning',
+                                userNote: '$rec.userNote',
+                                regeneratedFrom: '$rec.regeneratedFrom',
+                                feedback: '$rec.feedback'
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+
+        const summary = result.summary[0] || { total: 0, rated: 0, averageRating: null, flagged: 0 };
+
+        res.json({
+            filter,
+            summary: {
+                total: summary.total,
+                rated: summary.rated,
+                averageRating: summary.averageRating === null ? null : Math.round(summary.averageRating * 10) / 10,
+                flagged: summary.flagged
+            },
+            ratings: result.ratings.map(rating => ({ rating: rating._id, count: rating.count })),
+            bySource: result.bySource.map(group => ({
+                source: group._id.source,
+                model: group._id.model || null,
+                count: group.count,
+                averageRating: group.averageRating === null ? null : Math.round(group.averageRating * 10) / 10,
+                flagged: group.flagged,
+                lowRated: group.lowRated
+            })),
+            items: result.items
+        });
+    } catch (error) {
+        console.error('Recommendation feedback error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// 🥗 FOOD DATABASE MANAGEMENT
+
+// Cached /api/meals/food-database responses must not outlive an edit
+const clearFoodDatabaseCache = () => redisClient.delPattern('cache:*food-database*');
+
+const foodValidation = (optional = false) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Food name must be between 1 and 100 characters'),
+        field('calories')
+            .isFloat({ min: 0 })
+            .withMessage('Calories must be a non-negative number'),
+        ...['protein', 'carbs', 'fat', 'fiber', 'sugar', 'saturatedFat', 'sodium', 'potassium'].map(nutrient =>
+            body(nutrient)
+                .optional()
+                .isFloat({ min: 0 })
+                .withMessage(`${nutrient} must be a non-negative number`)
+        ),
+        body('unit')
+            .optional()
+            .isIn(['100g', '100ml'])
+            .withMessage('Unit must be 100g or 100ml'),
+        body('aliases')
+            .optional()
+            .isArray()
+            .withMessage('Aliases must be an array'),
+        body('servingSizes')
+            .optional()
+            .isArray()
+            .withMessage('Serving sizes must be an array'),
+        body('servingSizes.*.label')
+            .trim()
+            .notEmpty()
+            .withMessage('Serving size label is required'),
+        body('servingSizes.*.grams')
+            .isFloat({ min: 0.1 })
+            .withMessage('Serving size grams must be a positive number')
+    ];
+};
+
+const pickFoodFields = (data) => {
+    const fields = ['name', 'aliases', 'category', 'unit', 'servingSizes', 'active', ...Food.NUTRIENT_FIELDS];
+    const food = {};
+    fields.forEach(field => {
+        if (data[field] !== undefined) food[field] = data[field];
+    });
+    return food;
+};
+
+// @route   GET /api/admin/foods
+// @desc    List foods in the catalog (paginated, optional search)
+// @access  Private/Admin
+router.get('/foods', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.search && req.query.search.trim()) {
+            const escaped = req.query.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(escaped, 'i');
+            filter.$or = [{ name: pattern }, { aliases: pattern }, { category: pattern }];
+        }
+
+        const foods = await Food.find(filter)
+            .sort({ name: 1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Food.countDocuments(filter);
+
+        res.json({
+            foods,
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalFoods: total
+        });
+    } catch (error) {
+        console.error('Food list error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+const foodIdParam = param('id').isMongoId().withMessage('Invalid food id');
+
+// @route   GET /api/admin/foods/:id
+// @desc    Get a single food
+// @access  Private/Admin
+router.get('/foods/:id', foodIdParam, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const food = await Food.findById(req.params.id);
+
+        if (!food) {
+            return res.status(404).json({ message: 'Food not found' });
+        }
+
+        res.json(food);
+    } catch (error) {
+        console.error('Food fetch error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   POST /api/admin/foods
+// @desc    Add a food to the catalog
+// @access  Private/Admin
+router.post('/foods', foodValidation(), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const food = await Food.create({ ...pickFoodFields(req.body), source: 'admin' });
+        await clearFoodDatabaseCache();
+
+        res.status(201).json({ message: 'Food created', food });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A food with this name already exists' });
+        }
+        console.error('Food create error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   PUT /api/admin/foods/:id
+// @desc    Update a food
+// @access  Private/Admin
+router.put('/foods/:id', [foodIdParam, ...foodValidation(true)], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const food = await Food.findByIdAndUpdate(
+            req.params.id,
+            { $set: pickFoodFields(req.body) },
+            { new: true, runValidators: true }
+        );
+
+        if (!food) {
+            return res.status(404).json({ message: 'Food not found' });
+        }
+
+        await clearFoodDatabaseCache();
+        res.json({ message: 'Food updated', food });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A food with this name already exists' });
+        }
+        console.error('Food update error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// @route   DELETE /api/admin/foods/:id
+// @desc    Remove a food from the catalog
+// @access  Private/Admin
+router.delete('/foods/:id', foodIdParam, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const food = await Food.findByIdAndDelete(req.params.id);
+
+        if (!food) {
+            return res.status(404).json({ message: 'Food not found' });
+        }
+
+        await clearFoodDatabaseCache();
+        res.json({ message: 'Food removed' });
+    } catch (error) {
+        console.error('Food delete error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
 module.exports = router;
@@ -1,8 +1,19 @@
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
+const { body, param, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
 const redisClient = require('../config/redis');
 const User = require('../models/User');
+const { ACTIVITY_LEVELS, estimateEnergyNeeds } = require('../utils/energy');
+const { getLLMProvider, completeJson } = require('../utils/llm');
+const { interactionsForMedications } = require('../utils/interactions');
+const {
+  SCHEMA_DESCRIPTION,
+  extractJson,
+  repairRecommendation,
+  validateRecommendation,
+  renderRecommendationMarkdown
+} = require('../utils/recommendationSchema');
 
 const router = express.Router();
 
@@ -13,17 +24,27 @@ const generateHealthPrompt = (user) => {
   const activeMedications = medications.filter(m => m.active);
   
   const bmi = user.calculateBMI();
+  const energy = estimateEnergyNeeds(user);
+  const profile = user.profile || {};
+  const goalPlan = user.getGoalPlan();
   
   return `
     As a qualified nutritionist and health expert, please provide personalized calorie recommendations for this user:
     
     User Health Profile:
+    - Age: ${profile.dateOfBirth ? user.getAge() : 'Not provided'}
+    - Sex: ${profile.sex || 'Not provided'}
+    - Activity Level: ${profile.activityLevel ? ACTIVITY_LEVELS[profile.activityLevel].label : 'Not provided'}
     - Height: ${healthMetrics.height || 'Not provided'} cm
     - Weight: ${healthMetrics.weight || 'Not provided'} kg
     - BMI: ${bmi ? bmi.toFixed(1) : 'Cannot calculate'}
     - Blood Pressure: ${healthMetrics.bloodPressureSystolic || 'Not provided'}/${healthMetrics.bloodPressureDiastolic || 'Not provided'} mmHg
     - Blood Sugar: ${healthMetrics.bloodSugar || 'Not provided'} mg/dL
     - Cholesterol: ${healthMetrics.cholesterol || 'Not provided'} mg/dL
+    - Estimated BMR (Mifflin-St Jeor): ${energy ? `${energy.bmr} kcal/day` : 'Cannot calculate'}
+    - Estimated maintenance calories (TDEE): ${energy ? `${energy.tdee} kcal/day` : 'Cannot calculate'}${energy && energy.assumptions.length > 0 ? ` (${energy.assumptions.join('; ')})` : ''}
+    
+    Weight Goal: ${goalPlan ? describeGoal(user.goal, goalPlan) : 'None set'}
     
     Current Health Conditions: ${activeDiseases.length > 0 ? activeDiseases.join(', ') : 'None reported'}
     
@@ -31,15 +52,120 @@ const generateHealthPrompt = (user) => {
       activeMedications.map(m => `${m.name} (${m.dosage}, ${m.frequency})`).join(', ') : 
       'None reported'}
     
-    Please provide:
-    1. Recommended daily calorie intake
-    2. Specific dietary recommendations based on their health conditions
-    3. Foods to avoid given their current medications and health conditions
-    4. General health tips
-    5. Any warnings or considerations
+    Respond with a single JSON object and nothing else, matching this shape:
+    ${SCHEMA_DESCRIPTION}
     
-    Please be specific with calorie numbers and provide practical, actionable advice. Format your response in a clear, structured way.
+    The calories should be a specific daily target${goalPlan ? ' that supports their weight goal without exceeding the safe rate above' : ''}.
+    Foods to favor and avoid should reflect their health conditions, and warnings should cover their medications and conditions.
+  `;
+};
+
+// One-line goal summary shared by the prompt and the fallback
+const describeGoal = (goal, plan) => {
+  const target = typeof goal.targetWeight === 'number' ? ` to ${goal.targetWeight} kg` : '';
+  const by = goal.mode === 'target-date' ? ` by ${new Date(goal.targetDate).toISOString().split('T')[0]}` : '';
+  if (plan.direction === 'maintain') return `Maintain current weight${target}`;
+
+  const verb = plan.direction === 'lose' ? 'Lose weight' : 'Gain weight';
+  const adjustment = plan.dailyCalorieAdjustment < 0
+    ? `${Math.abs(plan.dailyCalorieAdjustment)} kcal/day deficit`
+    : `${plan.dailyCalorieAdjustment} kcal/day surplus`;
+  return `${verb}${target}${by}; safe planned rate ${Math.abs(plan.weeklyRate)} kg/week (${adjustment}, target ${plan.targetCalories} kcal/day)${plan.capped ? ', capped from the requested rate for safety' : ''}`;
+};
+
+// Bump when the prompt or the fallback changes, so older cached results stop matching
+const RECOMMENDATION_CACHE_VERSION = 3;
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+const metricOrNull = (value) => (typeof value === 'number' ? value : null);
+
+// Every input that shapes a recommendation, normalized so equivalent profiles compare equal
+const recommendationInputs = (user, llm) => {
+  const { healthMetrics } = user;
+  const profile = user.profile || {};
+  const goalPlan = user.getGoalPlan();
+
+  return {
+    version: RECOMMENDATION_CACHE_VERSION,
+    engine: llm ? `${llm.name}:${llm.model}` : 'rule-based',
+    age: profile.dateOfBirth ? user.getAge() : null,
+    sex: profile.sex || null,
+    activityLevel: profile.activityLevel || null,
+    metrics: ['height', 'weight', 'bloodPressureSystolic', 'bloodPressureDiastolic', 'bloodSugar', 'cholesterol']
+      .map(field => metricOrNull(healthMetrics[field])),
+    goal: goalPlan ? {
+      mode: user.goal.mode,
+      targetWeight: metricOrNull(user.goal.targetWeight),
+      targetDate: user.goal.targetDate ? new Date(user.goal.targetDate).toISOString().split('T')[0] : null,
+      direction: goalPlan.direction,
+      weeklyRate: goalPlan.weeklyRate,
+      targetCalories: goalPlan.targetCalories,
+      dailyCalorieAdjustment: goalPlan.dailyCalorieAdjustment,
+      capped: Boolean(goalPlan.capped)
+    } : null,
+    diseases: user.diseases
+      .filter(d => d.diagnosed)
+      .map(d => normalizeText(d.name))
+      .sort(),
+    medications: user.medications
+      .filter(m => m.active)
+      .map(m => [m.name, m.dosage, m.frequency].map(normalizeText).join('|'))
+      .sort()
+  };
+};
+
+// Cache key for a user's recommendation: a hash of the normalized inputs
+const recommendationCacheKey = (user, llm) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(recommendationInputs(user, llm)))
+  .digest('hex');
+
+// Generate a recommendation with the configured LLM; replies that don't match
+// the schema are repaired where possible, otherwise retried. A note from the
+// user ("I'm vegetarian") is passed on with the prompt.
+const generateAIRecommendation = async (llm, user, note) => {
+  let prompt = generateHealthPrompt(user);
+  if (note) {
+    prompt += `
+    The user asked for this recommendation to be redone and added this note; respect it where it is safe to do so:
+    "${note}"
   `;
+  }
+
+  const { value, completion, attempts } = await completeJson(llm, {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a qualified nutritionist and health expert. Provide accurate, safe, and personalized health advice. Always include specific calorie recommendations. Reply with JSON only.'
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    parse: extractJson,
+    repair: repairRecommendation,
+    validate: validateRecommendation
+  });
+
+  return {
+    ...value,
+    content: renderRecommendationMarkdown(value),
+    reasoning: `AI-generated recommendation based on health profile (${completion.model}${attempts > 1 ? `, ${attempts} attempts` : ''})`,
+    source: 'ai',
+    model: completion.model
+  };
+};
+
+// Add a recommendation to the user's history and return the saved entry
+const saveRecommendation = async (user, data) => {
+  user.aiRecommendations.push({
+    type: 'calorie',
+    ...data,
+    createdAt: new Date()
+  });
+  await user.save();
+  return user.aiRecommendations[user.aiRecommendations.length - 1];
 };
 
 // Get AI-powered calorie recommendations
@@ -54,114 +180,54 @@ router.post('/calorie-recommendation', auth, async (req, res) => {
       });
     }
 
-    // 🎯 CALORIE CALCULATION CACHING
-    // Calculate BMI and get user diseases for cache key
-    const bmi = user.calculateBMI();
-    const activeDiseases = user.diseases.filter(d => d.diagnosed).map(d => d.name);
-    
-    // Try to get cached result first
-    const cachedResult = await redisClient.getCaloricResult(bmi, activeDiseases);
+    // 🎯 CALORIE RECOMMENDATION CACHING
+    // The key covers every input behind the recommendation and the engine that
+    // answers it; ?fresh=true skips the lookup and replaces the cached result
+    const llm = getLLMProvider();
+    const cacheKey = recommendationCacheKey(user, llm);
+    const fresh = req.query.fresh === 'true';
+
+    const cachedResult = fresh ? null : await redisClient.getCaloricResult(user._id, cacheKey);
     if (cachedResult) {
-      console.log(`🧮 Serving calorie recommendation from cache (BMI: ${bmi}, Diseases: ${activeDiseases.join(',')})`);
-      
       // Save cached recommendation to user's history
-      const recommendation = {
-        type: 'calorie',
-        content: cachedResult.content,
-        calories: cachedResult.calories,
-        reasoning: cachedResult.reasoning + ' (Cached result)',
-        createdAt: new Date()
-      };
-
-      user.aiRecommendations.push(recommendation);
-      await user.save();
+      const recommendation = await saveRecommendation(user, {
+        ...cachedResult,
+        reasoning: cachedResult.reasoning + ' (Cached result)'
+      });
 
       return res.json({
         message: 'Calorie recommendation retrieved from cache',
+        cached: true,
         recommendation
       });
     }
 
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
+    if (!llm) {
       // Fallback to rule-based recommendations
       const fallbackRecommendation = generateFallbackRecommendation(user);
       
       // 🎯 Cache the fallback recommendation
-      await redisClient.setCaloricResult(bmi, activeDiseases, fallbackRecommendation, 7200); // 2 hours
+      await redisClient.setCaloricResult(user._id, cacheKey, fallbackRecommendation, 7200); // 2 hours
       
-      // Save recommendation
-      const recommendation = {
-        type: 'calorie',
-        content: fallbackRecommendation.content,
-        calories: fallbackRecommendation.calories,
-        reasoning: fallbackRecommendation.reasoning,
-        createdAt: new Date()
-      };
-
-      user.aiRecommendations.push(recommendation);
-      await user.save();
+      const recommendation = await saveRecommendation(user, fallbackRecommendation);
 
       return res.json({
         message: 'Calorie recommendation generated successfully (using rule-based system)',
+        cached: false,
         recommendation
       });
     }
 
-    // Generate AI recommendation using OpenAI
-    const prompt = generateHealthPrompt(user);
-    
-    const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model: 'gpt-3.5-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a qualified nutritionist and health expert. Provide accurate, safe, and personalized health advice. Always include specific calorie recommendations.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 1000,
-      temperature: 0.7
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const recommendationData = await generateAIRecommendation(llm, user);
 
-    const aiResponse = response.data.choices[0].message.content;
-    
-    // Extract calorie recommendation from AI response
-    const calorieMatch = aiResponse.match(/(\d{1,4})\s*(?:to\s*(\d{1,4}))?\s*calories/i);
-    const recommendedCalories = calorieMatch ? 
-      (calorieMatch[2] ? Math.round((parseInt(calorieMatch[1]) + parseInt(calorieMatch[2])) / 2) : parseInt(calorieMatch[1])) :
-      null;
-
-    // Prepare recommendation data
-    const recommendationData = {
-      content: aiResponse,
-      calories: recommendedCalories,
-      reasoning: 'AI-generated recommendation based on health profile'
-    };
-
-    // 🎯 Cache the AI recommendation for similar users
-    await redisClient.setCaloricResult(bmi, activeDiseases, recommendationData, 10800); // 3 hours
-
-    // Save recommendation
-    const recommendation = {
-      type: 'calorie',
-      ...recommendationData,
-      createdAt: new Date()
-    };
+    // 🎯 Cache the AI recommendation until this user's inputs change
+    await redisClient.setCaloricResult(user._id, cacheKey, recommendationData, 10800); // 3 hours
 
-    user.aiRecommendations.push(recommendation);
-    await user.save();
+    const recommendation = await saveRecommendation(user, recommendationData);
 
     res.json({
       message: 'AI calorie recommendation generated successfully',
+      cached: false,
       recommendation
     });
 
@@ -171,18 +237,7 @@ router.post('/calorie-recommendation', auth, async (req, res) => {
     // Fallback to rule-based recommendation on error
     try {
       const user = await User.findById(req.user._id);
-      const fallbackRecommendation = generateFallbackRecommendation(user);
-      
-      const recommendation = {
-        type: 'calorie',
-        content: fallbackRecommendation.content,
-        calories: fallbackRecommendation.calories,
-        reasoning: fallbackRecommendation.reasoning,
-        createdAt: new Date()
-      };
-
-      user.aiRecommendations.push(recommendation);
-      await user.save();
+      const recommendation = await saveRecommendation(user, generateFallbackRecommendation(user));
 
       res.json({
         message: 'Fallback calorie recommendation generated',
@@ -197,22 +252,24 @@ router.post('/calorie-recommendation', auth, async (req, res) => {
   }
 });
 
+// Macro split (% of calories) used by the rule-based system
+const DEFAULT_MACRO_SPLIT = { protein: 20, carbs: 50, fat: 30 };
+const LOWER_CARB_MACRO_SPLIT = { protein: 25, carbs: 40, fat: 35 };
+
 // Rule-based fallback recommendation system
 const generateFallbackRecommendation = (user) => {
-  const { healthMetrics, diseases } = user;
+  const { healthMetrics, diseases, medications } = user;
   const bmi = user.calculateBMI();
   
-  // Basic BMR calculation (Mifflin-St Jeor Equation)
-  // Note: This is a simplified version, real implementation would need gender and age
-  const estimatedAge = 30; // Default assumption
-  const estimatedGender = 'mixed'; // Default assumption
+  // BMR (Mifflin-St Jeor) scaled by the user's activity level
+  const energy = estimateEnergyNeeds(user);
+  let dailyCalories = energy.tdee;
   
-  // Rough BMR calculation
-  let baseBMR = 10 * healthMetrics.weight + 6.25 * healthMetrics.height - 5 * estimatedAge;
-  let dailyCalories = Math.round(baseBMR * 1.5); // Light activity level
-  
-  // Adjust based on BMI
-  if (bmi < 18.5) {
+  // A weight goal sets the deficit/surplus; without one, adjust based on BMI
+  const goalPlan = user.getGoalPlan();
+  if (goalPlan) {
+    dailyCalories = goalPlan.targetCalories;
+  } else if (bmi < 18.5) {
     dailyCalories += 200; // Increase for underweight
   } else if (bmi > 25) {
     dailyCalories -= 300; // Decrease for overweight
@@ -220,53 +277,88 @@ const generateFallbackRecommendation = (user) => {
   
   // Adjust based on health conditions
   const activeDiseases = diseases.filter(d => d.diagnosed);
-  let adjustments = [];
+  let macros = DEFAULT_MACRO_SPLIT;
+  const foodsToFavor = [];
+  const foodsToAvoid = [];
+  const tips = [];
   
   activeDiseases.forEach(disease => {
     switch (disease.name.toLowerCase()) {
       case 'diabetes type 1':
       case 'diabetes type 2':
-        adjustments.push('Focus on complex carbohydrates and limit simple sugars');
+        macros = LOWER_CARB_MACRO_SPLIT;
+        foodsToFavor.push('Non-starchy vegetables', 'Legumes and whole grains');
+        foodsToAvoid.push('Sugary drinks and sweets', 'White bread and refined grains');
+        tips.push('Focus on complex carbohydrates and limit simple sugars');
         break;
       case 'hypertension':
-        adjustments.push('Limit sodium intake to less than 2300mg per day');
+        foodsToFavor.push('Potassium-rich fruit and vegetables');
+        foodsToAvoid.push('Processed and cured meats', 'Salty snacks and canned soups');
+        tips.push('Limit sodium intake to less than 2300mg per day');
         break;
       case 'heart disease':
-        adjustments.push('Focus on heart-healthy fats and limit saturated fats');
+        foodsToFavor.push('Oily fish', 'Nuts and olive oil');
+        foodsToAvoid.push('Fried foods', 'Fatty cuts of red meat');
+        tips.push('Focus on heart-healthy fats and limit saturated fats');
         break;
       case 'high cholesterol':
-        adjustments.push('Limit dietary cholesterol and increase fiber intake');
+        foodsToFavor.push('Oats and beans (soluble fiber)');
+        foodsToAvoid.push('Butter and full-fat dairy', 'Pastries and baked goods');
+        tips.push('Limit dietary cholesterol and increase fiber intake');
         break;
     }
   });
-  
-  const content = `
-**Recommended Daily Calorie Intake: ${dailyCalories} calories**
 
-**Your Health Profile Summary:**
-- BMI: ${bmi ? bmi.toFixed(1) : 'Not available'} ${bmi ? getBMICategory(bmi) : ''}
-- Blood Pressure: ${healthMetrics.bloodPressureSystolic || 'Not provided'}/${healthMetrics.bloodPressureDiastolic || 'Not provided'} mmHg
-- Blood Sugar: ${healthMetrics.bloodSugar || 'Not provided'} mg/dL
+  foodsToFavor.push('Vegetables and fruit', 'Lean proteins', 'Whole grains');
+  if (foodsToAvoid.length === 0) foodsToAvoid.push('Sugary drinks', 'Highly processed snacks');
+  tips.push(
+    'Eat 5-6 small meals throughout the day',
+    'Stay hydrated with at least 8 glasses of water daily',
+    'Regular physical activity is recommended',
+    'Monitor your health metrics regularly'
+  );
 
-**Dietary Recommendations:**
-${adjustments.length > 0 ? adjustments.map(adj => `• ${adj}`).join('\n') : '• Follow a balanced diet with variety from all food groups'}
-• Eat 5-6 small meals throughout the day
-• Stay hydrated with at least 8 glasses of water daily
-• Include lean proteins, whole grains, fruits, and vegetables
+  // Medication-specific cautions from the drug-food interaction knowledge base
+  const warnings = [];
+  interactionsForMedications(medications.filter(m => m.active)).forEach(interaction => {
+    foodsToAvoid.push(`${interaction.food} (with ${interaction.medications.join(', ')})`);
+    warnings.push(`${interaction.medications.join(', ')}: ${interaction.advice}`);
+  });
+  if (goalPlan) warnings.push(...goalPlan.warnings);
+  if (energy.assumptions.length > 0) {
+    warnings.push(`Your profile is incomplete: ${energy.assumptions.join('; ')}. Complete your profile in Health Metrics for a more accurate estimate.`);
+  }
+  warnings.push('This is a general recommendation. Please consult a healthcare professional or registered dietitian for personalized advice.');
 
-**General Health Tips:**
-• Regular physical activity is recommended
-• Monitor your health metrics regularly
-• Consult with healthcare professionals for personalized advice
-• This is a general recommendation - individual needs may vary
+  const activity = ACTIVITY_LEVELS[energy.activityLevel].label.toLowerCase();
+  let summary = `With a basal metabolic rate of ${energy.bmr} kcal/day (Mifflin-St Jeor) and a ${activity} lifestyle, you burn about ${energy.tdee} kcal/day.`;
+  if (goalPlan) {
+    summary += ` Weight goal: ${describeGoal(user.goal, goalPlan)}.`;
+  } else if (bmi && (bmi < 18.5 || bmi > 25)) {
+    summary += ` The target is adjusted for a BMI of ${bmi.toFixed(1)} ${getBMICategory(bmi)}.`;
+  }
 
-**Note:** This recommendation is based on general health guidelines. Please consult with a healthcare professional or registered dietitian for personalized advice.
-  `;
+  const structured = {
+    summary,
+    calories: dailyCalories,
+    macros: { ...macros },
+    foodsToFavor: [...new Set(foodsToFavor)],
+    foodsToAvoid: [...new Set(foodsToAvoid)],
+    warnings,
+    tips
+  };
+
+  const profileSection = `**Your Health Profile Summary:**
+- Age: ${energy.age}${user.profile?.dateOfBirth ? '' : ' (assumed)'}
+- BMI: ${bmi ? bmi.toFixed(1) : 'Not available'} ${bmi ? getBMICategory(bmi) : ''}
+- Blood Pressure: ${healthMetrics.bloodPressureSystolic || 'Not provided'}/${healthMetrics.bloodPressureDiastolic || 'Not provided'} mmHg
+- Blood Sugar: ${healthMetrics.bloodSugar || 'Not provided'} mg/dL`;
   
   return {
-    content: content.trim(),
-    calories: dailyCalories,
-    reasoning: 'Rule-based calculation using BMR and health profile adjustments'
+    ...structured,
+    content: renderRecommendationMarkdown(structured, [profileSection]),
+    reasoning: `Rule-based calculation: Mifflin-St Jeor BMR ${energy.bmr} kcal × ${energy.activityMultiplier} activity multiplier, ${goalPlan ? `${goalPlan.dailyCalorieAdjustment >= 0 ? '+' : ''}${goalPlan.dailyCalorieAdjustment} kcal/day for the weight goal` : 'adjusted for BMI'} and health conditions`,
+    source: 'rule-based'
   };
 };
 
@@ -294,6 +386,161 @@ router.get('/recommendations', auth, async (req, res) => {
   }
 });
 
+const recommendationIdParam = param('recommendationId')
+  .isMongoId()
+  .withMessage('Invalid recommendation id');
+
+// Rate a recommendation or flag it as unsafe; only the fields sent are changed
+router.put('/recommendations/:recommendationId/feedback', [
+  auth,
+  recommendationIdParam,
+  body('rating')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+  body('flaggedUnsafe')
+    .optional()
+    .isBoolean()
+    .withMessage('flaggedUnsafe must be true or false'),
+  body('flagReason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = ['rating', 'flaggedUnsafe', 'flagReason', 'comment'].filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        message: 'Send a rating, an unsafe flag or a comment'
+      });
+    }
+
+    const set = { 'aiRecommendations.$.feedback.updatedAt': new Date() };
+    const unset = {};
+    fields.forEach(field => {
+      const path = `aiRecommendations.$.feedback.${field}`;
+      if (req.body[field] === null || req.body[field] === '') unset[path] = '';
+      else set[path] = field === 'rating' ? parseInt(req.body[field], 10) : req.body[field];
+    });
+    // Clearing the flag clears its reason too
+    if (req.body.flaggedUnsafe === false) {
+      delete set['aiRecommendations.$.feedback.flagReason'];
+      unset['aiRecommendations.$.feedback.flagReason'] = '';
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, 'aiRecommendations._id': req.params.recommendationId },
+      { $set: set, $unset: unset },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'Recommendation not found'
+      });
+    }
+
+    res.json({
+      message: 'Feedback saved',
+      recommendation: user.aiRecommendations.id(req.params.recommendationId)
+    });
+  } catch (error) {
+    console.error('Error saving recommendation feedback:', error);
+    res.status(500).json({
+      message: 'Failed to save feedback'
+    });
+  }
+});
+
+// Ask for a new take on a recommendation, optionally with a note ("I'm vegetarian").
+// Notes change the answer, so this never reads from or writes to the cache.
+router.post('/recommendations/:recommendationId/regenerate', [
+  auth,
+  recommendationIdParam,
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const original = user.aiRecommendations.id(req.params.recommendationId);
+    if (!original) {
+      return res.status(404).json({
+        message: 'Recommendation not found'
+      });
+    }
+
+    if (!user.healthMetrics.height || !user.healthMetrics.weight) {
+      return res.status(400).json({
+        message: 'Please complete your health metrics (height and weight) before getting AI recommendations'
+      });
+    }
+
+    const note = req.body.note || undefined;
+    let recommendationData = null;
+    const llm = getLLMProvider();
+    if (llm) {
+      try {
+        recommendationData = await generateAIRecommendation(llm, user, note);
+      } catch (error) {
+        console.error('AI regeneration error, using rule-based system:', error.message);
+      }
+    }
+    if (!recommendationData) {
+      recommendationData = generateFallbackRecommendation(user);
+      if (note) {
+        recommendationData.warnings = [
+          'Your note could not be taken into account because the AI service is unavailable; this is the standard rule-based recommendation.',
+          ...recommendationData.warnings
+        ];
+        recommendationData.content = renderRecommendationMarkdown(recommendationData);
+      }
+    }
+
+    const recommendation = await saveRecommendation(user, {
+      ...recommendationData,
+      regeneratedFrom: original._id,
+      userNote: note
+    });
+
+    res.json({
+      message: recommendationData.source === 'ai'
+        ? 'AI calorie recommendation regenerated successfully'
+        : 'Calorie recommendation regenerated (using rule-based system)',
+      recommendation
+    });
+  } catch (error) {
+    console.error('Error regenerating recommendation:', error);
+    res.status(500).json({
+      message: 'Failed to regenerate recommendation'
+    });
+  }
+});
+
 // Delete a recommendation
 router.delete('/recommendations/:recommendationId', auth, async (req, res) => {
   try {
@@ -1,9 +1,34 @@
+const crypto = require('crypto');
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { cache, invalidateCache } = require('../middleware/cache');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const auth = require('../middleware/auth');
+const { cache, invalidateCache, clearUserCache } = require('../middleware/cache');
 const { validatePasswordStrength } = require('../utils/encryption');
+const { createSession, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const {
+  issuedRecently,
+  findToken,
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmails
+} = require('../utils/authTokens');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  recordSecondFactorSuccess,
+  claimLoginChallenge,
+  releaseLoginChallenge,
+  unlockAccount
+} = require('../utils/loginThrottle');
 const redisClient = require('../config/redis');
 
 const router = express.Router();
@@ -26,6 +51,75 @@ const warmCache = async (userId, userData) => {
   }
 };
 
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const weakPassword = (res, password) => {
+  const passwordValidation = validatePasswordStrength(password);
+  if (passwordValidation.isValid) return false;
+  res.status(400).json({
+    message: 'Password is too weak',
+    strength: passwordValidation.strength,
+    suggestions: passwordValidation.suggestions
+  });
+  return true;
+};
+
+// Throttled or locked logins get 429, so clients can tell them from a wrong password
+const loginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(429).json({
+    message: block.message,
+    retryAfter: block.retryAfter,
+    locked: !!block.locked
+  });
+};
+
+// The user fields sent to the client after login and on /verify
+const publicUser = async (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  // Admins without 2FA are kept out of the admin panel while it is required
+  twoFactorSetupRequired: user.role === 'admin' && !user.twoFactor?.enabled &&
+    !!(await Setting.getValue('requireAdminTwoFactor'))
+});
+
+// Start a session and send the login response
+const completeLogin = async (user, req, res) => {
+  const { token, refreshToken } = await createSession(user, req, req.body.deviceName);
+  await warmCache(user._id, user);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: await publicUser(user)
+  });
+};
+
+// 🔑 TWO-FACTOR LOGIN CHALLENGES
+// A correct password with 2FA on returns a short-lived challenge token instead
+// of a session; /login/2fa trades it plus a code for the real tokens.
+
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const issueLoginChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: 'login-2fa', jti: crypto.randomUUID() },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS }
+);
+
 // Register a new user
 router.post('/register', [
   body('name')
@@ -37,8 +131,13 @@ router.post('/register', [
     .normalizeEmail()
     .withMessage('Please enter a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long'),
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name must be between 1 and 100 characters')
 ], async (req, res) => {
   try {
     console.log('📝 Registration attempt:', { email: req.body.email, name: req.body.name });
@@ -56,14 +155,9 @@ router.post('/register', [
     const { name, email, password } = req.body;
 
     // Validate password strength
-    const passwordValidation = validatePasswordStrength(password);
-    if (!passwordValidation.isValid) {
-      console.log('❌ Weak password:', passwordValidation);
-      return res.status(400).json({
-        message: 'Password is too weak',
-        strength: passwordValidation.strength,
-        suggestions: passwordValidation.suggestions
-      });
+    if (weakPassword(res, password)) {
+      console.log('❌ Weak password rejected for:', email);
+      return;
     }
 
     // Check if user already exists
@@ -87,46 +181,21 @@ router.post('/register', [
     await user.save();
     console.log('✅ User created successfully:', email);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken } = await createSession(user, req, req.body.deviceName);
+    await warmCache(user._id, user);
 
-    // 🎯 REDIS SESSION MANAGEMENT (Registration)
-    // Store session in Redis with TTL (7 days = 604800 seconds)
-    if (redisClient && redisClient.isConnected) {
-      try {
-        await redisClient.setSession(user._id, token, 604800);
-        // Warm cache with user data for better performance
-        await warmCache(user._id, user);
-      } catch (error) {
-        console.warn('⚠️ Failed to store session in Redis:', error.message);
-      }
-    }
-
-    // Store session in Redis (legacy - keeping for compatibility)
-    if (redisClient && redisClient.isConnected && redisClient.client) {
-      try {
-        await redisClient.client.set(
-          `session:legacy:${user._id}`,
-          JSON.stringify({ userId: user._id, loginTime: new Date() }),
-          { EX: 604800 } // 7 days in seconds
-        );
-      } catch (error) {
-        console.warn('⚠️ Failed to store legacy session:', error.message);
-      }
+    // The account works without it; the user can resend from their Account page
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.warn('⚠️ Failed to send verification email:', error.message);
     }
 
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
+      refreshToken,
+      user: await publicUser(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -161,7 +230,12 @@ router.post('/login', [
     .withMessage('Please enter a valid email'),
   body('password')
     .exists()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name must be between 1 and 100 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -176,13 +250,26 @@ router.post('/login', [
     const { email, password } = req.body;
     console.log('🔍 Login attempt for email:', email);
 
+    const block = await checkLoginAllowed(email, req.ip);
+    if (block) {
+      console.log('🚫 Login blocked for:', email);
+      return loginBlocked(res, block);
+    }
+
+    // Unknown emails count as failures too, so lockouts don't reveal which accounts exist
+    const rejectLogin = async () => {
+      const failureBlock = await recordLoginFailure(email, req.ip);
+      if (failureBlock) return loginBlocked(res, failureBlock);
+      return res.status(401).json({
+        message: 'Invalid email or password'
+      });
+    };
+
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
       console.log('❌ User not found:', email);
-      return res.status(401).json({
-        message: 'Invalid email or password'
-      });
+      return rejectLogin();
     }
 
     console.log('✅ User found, checking password...');
@@ -192,55 +279,31 @@ router.post('/login', [
 
     if (!isPasswordValid) {
       console.log('❌ Password validation failed for user:', email);
-      return res.status(401).json({
-        message: 'Invalid email or password'
-      });
+      return rejectLogin();
     }
 
-    console.log('✅ Login successful for user:', email);
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // 🎯 REDIS SESSION MANAGEMENT (Login)
-    // Store session in Redis with TTL (7 days = 604800 seconds)
-    if (redisClient && redisClient.isConnected) {
+    // Upgrade hashes from older schemes while we have the plain password
+    if (user.passwordNeedsRehash()) {
       try {
-        await redisClient.setSession(user._id, token, 604800);
-        // Warm cache with user data for better performance
-        await warmCache(user._id, user);
+        await user.rehashPassword(password);
+        console.log('🔐 Upgraded password hash for user:', email);
       } catch (error) {
-        console.warn('⚠️ Failed to store session in Redis:', error.message);
+        console.warn('⚠️ Failed to upgrade password hash:', error.message);
       }
     }
 
-    // Store session in Redis (legacy - keeping for compatibility)
-    if (redisClient && redisClient.isConnected && redisClient.client) {
-      try {
-        await redisClient.client.set(
-          `session:legacy:${user._id}`,
-          JSON.stringify({ userId: user._id, loginTime: new Date() }),
-          { EX: 604800 } // 7 days in seconds
-        );
-      } catch (error) {
-        console.warn('⚠️ Failed to store legacy session:', error.message);
-      }
+    if (user.twoFactor?.enabled) {
+      console.log('🔑 Password accepted, waiting for second factor:', email);
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user)
+      });
     }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    console.log('✅ Login successful for user:', email);
+    await recordLoginSuccess(email);
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -250,41 +313,132 @@ router.post('/login', [
   }
 });
 
-// Verify token
-router.get('/verify', async (req, res) => {
+// Second login step: a code from the authenticator app or a recovery code
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name must be between 1 and 100 characters')
+], async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
+    if (validationFailed(req, res)) return;
 
-    if (!token) {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Enter a code or a recovery code' });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login expired. Please log in again.' });
+    }
+
+    if (challenge.purpose !== 'login-2fa') {
+      return res.status(401).json({ message: 'Please log in again.' });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Please log in again.' });
+    }
+
+    // Wrong codes count against the account like wrong passwords
+    const block = await checkLoginAllowed(user.email, req.ip) || await checkSecondFactorAllowed(user._id);
+    if (block) return loginBlocked(res, block);
+
+    // Each challenge signs in once
+    if (!await claimLoginChallenge(challenge.jti, LOGIN_CHALLENGE_TTL_SECONDS)) {
+      return res.status(401).json({ message: 'Please log in again.' });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await releaseLoginChallenge(challenge.jti);
+      const remaining = await recordSecondFactorFailure(user._id);
+      const failureBlock = await recordLoginFailure(user.email, req.ip) || await checkSecondFactorAllowed(user._id);
+      if (failureBlock) return loginBlocked(res, failureBlock);
+
+      return res.status(401).json({ message: 'Invalid code', attemptsRemaining: remaining });
+    }
+
+    if (method === 'recovery-code') {
+      console.log(`🔑 User ${user._id} signed in with a recovery code`);
+    }
+
+    await Promise.all([recordLoginSuccess(user.email), recordSecondFactorSuccess(user._id)]);
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result.ok) {
       return res.status(401).json({
-        message: 'No token provided'
+        message: result.reason === 'superseded'
+          ? 'Refresh token was already used. Use the newest one.'
+          : 'Session expired. Please log in again.',
+        reason: result.reason
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
+    if (!(await User.exists({ _id: result.session.userId }))) {
+      await revokeSession(result.session._id);
       return res.status(401).json({
-        message: 'Invalid token'
+        message: 'Invalid token. User not found.'
       });
     }
 
     res.json({
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresAt: result.expiresAt
     });
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({
-      message: 'Invalid token'
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Internal server error'
     });
   }
 });
 
-// Logout user (cleanup session and cache)
+// Verify token
+router.get('/verify', auth, async (req, res) => {
+  try {
+    res.json(await publicUser(req.user));
+  } catch (error) {
+    console.error('Token verification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Logout user (end this session and clean up cache)
 router.post('/logout', async (req, res) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
@@ -295,23 +449,21 @@ router.post('/logout', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Logging out with an expired access token is fine; the signature still has to match
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
     const userId = decoded.userId;
 
-    // 🎯 REDIS SESSION CLEANUP
-    // Delete session using new Redis methods
-    await redisClient.deleteSession(userId);
+    if (decoded.sid) {
+      await revokeSession(decoded.sid, 'logout', userId);
+    }
 
-    // Clean up Redis session and cache (legacy)
     if (redisClient.isConnected) {
-      const sessionKey = `session:legacy:${userId}`;
       const cacheKey = `user:${userId}:profile`;
       const healthKey = `healthData:${userId}`;
 
-      await redisClient.del(sessionKey);
       await redisClient.del(cacheKey);
       await redisClient.del(healthKey);
-      console.log(`✅ Cleaned up all sessions and cache for user ${userId}`);
+      console.log(`✅ Cleaned up cache for user ${userId}`);
     }
 
     // Invalidate related caches
@@ -325,6 +477,12 @@ router.post('/logout', async (req, res) => {
       message: 'Logout successful'
     });
   } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        message: 'Invalid token.'
+      });
+    }
+
     console.error('Logout error:', error);
     res.status(500).json({
       message: 'Error during logout',
@@ -333,4 +491,308 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// ✉️ PASSWORD RESET & EMAIL VERIFICATION
+
+// Email a reset link. The reply is the same whether or not the address has an account.
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !(await issuedRecently(user._id, 'password-reset'))) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (error) {
+        console.error('Failed to send password reset email:', error.message);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a reset link is on its way.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Set a new password from a reset link; signs out every device
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+    if (weakPassword(res, req.body.password)) return;
+
+    const authToken = await consumeToken(req.body.token, ['password-reset']);
+    const user = authToken && await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        message: 'This reset link is invalid or has expired. Request a new one.'
+      });
+    }
+
+    await user.setPassword(req.body.password);
+    const revoked = await revokeUserSessions(user._id, 'password-change');
+    await unlockAccount(user.email);
+
+    // Following the link proved the address works
+    if (!user.emailVerified && authToken.email === user.email) {
+      await User.updateOne({ _id: user._id }, { $set: { emailVerified: true, emailVerifiedAt: new Date() } });
+    }
+
+    console.log(`🔐 Password reset for user ${user._id}, signed out ${revoked} session(s)`);
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Lift a lockout from the link emailed when it started
+router.post('/unlock', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const authToken = await consumeToken(req.body.token, ['account-unlock']);
+    const user = authToken && await User.findById(authToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        message: 'This unlock link is invalid or has expired.'
+      });
+    }
+
+    await unlockAccount(user.email);
+
+    console.log(`🔓 Account unlocked from email link for user ${user._id}`);
+    res.json({ message: 'Your account is unlocked. You can log in again.' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Confirm an address from a verification or email change link
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const purposes = ['email-verification', 'email-change'];
+    const invalidLink = () => res.status(400).json({
+      message: 'This link is invalid or has expired.'
+    });
+
+    // Checked before the token is used up, so a refused link still works later
+    const pending = await findToken(req.body.token, purposes);
+    const user = pending && await User.findById(pending.userId);
+    if (!user) return invalidLink();
+
+    const update = { emailVerified: true, emailVerifiedAt: new Date() };
+
+    if (pending.purpose === 'email-change') {
+      if (await User.exists({ email: pending.email, _id: { $ne: user._id } })) {
+        return res.status(400).json({
+          message: 'That email address is now used by another account'
+        });
+      }
+      update.email = pending.email;
+    } else if (pending.email !== user.email) {
+      // The address changed after this link was sent
+      return res.status(400).json({
+        message: 'This link is for an email address no longer on your account.'
+      });
+    }
+
+    // Another request may have used the link in the meantime
+    if (!(await consumeToken(req.body.token, purposes))) return invalidLink();
+
+    await User.updateOne({ _id: user._id }, { $set: update });
+
+    // Cached profile and health responses may still show the old address
+    await redisClient.del(`user:${user._id}:profile`);
+    await clearUserCache(user._id);
+
+    res.json({
+      message: update.email ? `Your email is now ${update.email}` : 'Email address confirmed',
+      email: update.email || user.email
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'That email address is now used by another account'
+      });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Your email is already confirmed' });
+    }
+    if (await issuedRecently(req.user._id, 'email-verification')) {
+      return res.status(429).json({ message: 'A link was just sent. Wait a minute before asking again.' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: `Verification link sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Failed to send verification email' });
+  }
+});
+
+// Start an email change; it takes effect once the new address is confirmed
+router.post('/change-email', [
+  auth,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('password')
+    .exists()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { email, password } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    // Password guesses here count towards the same lockout as at /login
+    const block = await checkLoginAllowed(user.email, req.ip);
+    if (block) return loginBlocked(res, block);
+
+    if (!(await user.comparePassword(password))) {
+      const failureBlock = await recordLoginFailure(user.email, req.ip);
+      if (failureBlock) return loginBlocked(res, failureBlock);
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    await recordLoginSuccess(user.email);
+
+    if (email === user.email) {
+      return res.status(400).json({ message: 'That is already your email address' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'User with this email already exists' });
+    }
+
+    await sendEmailChangeEmails(user, email);
+    res.json({ message: `Confirmation link sent to ${email}. Your email changes once you follow it.` });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Failed to start email change' });
+  }
+});
+
+// 📱 SESSIONS (signed-in devices)
+
+const sessionIdParam = param('id').isMongoId().withMessage('Invalid session id');
+
+const sessionSummary = (session, currentId) => ({
+  id: session._id,
+  name: session.name,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.equals(currentId)
+});
+
+// List the user's live sessions, most recently used first
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => sessionSummary(session, req.authSession._id)));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+});
+
+// Rename a session
+router.put('/sessions/:id', [
+  auth,
+  sessionIdParam,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { name: req.body.name } },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json(sessionSummary(session, req.authSession._id));
+  } catch (error) {
+    console.error('Error renaming session:', error);
+    res.status(500).json({ message: 'Failed to rename session' });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'revoked', req.authSession._id);
+    res.json({ message: `Signed out ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ message: 'Failed to sign out other sessions' });
+  }
+});
+
+// Sign out one device (the current one included)
+router.delete('/sessions/:id', [auth, sessionIdParam], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (!(await revokeSession(req.params.id, 'revoked', req.user._id))) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Failed to sign out session' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const ChatThread = require('../models/ChatThread');
+const { getLLMProvider } = require('../utils/llm');
+const { buildCoachContext } = require('../utils/coachContext');
+const { SAFETY_RULES, screenMessage, safetyReply } = require('../utils/chatSafety');
+
+const router = express.Router();
+
+const MAX_MESSAGE_LENGTH = 2000;
+// Earlier turns sent back to the model with each message
+const MAX_HISTORY_MESSAGES = 20;
+const MAX_TITLE_LENGTH = 60;
+// Messages per conversation (both sides), which keeps thread documents small
+const MAX_THREAD_MESSAGES = 200;
+
+const validateThreadId = param('id')
+  .isMongoId()
+  .withMessage('Invalid thread id');
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// First line of the opening message, shortened to fit the thread list
+const titleFromMessage = (content) => {
+  const firstLine = content.split('\n')[0].trim();
+  return firstLine.length > MAX_TITLE_LENGTH ? `${firstLine.slice(0, MAX_TITLE_LENGTH - 1)}…` : firstLine;
+};
+
+const coachSystemPrompt = (context) => `You are a friendly, encouraging health coach inside a health tracking app. You help the user with nutrition, meal choices and healthy habits, using their own data below.
+
+${SAFETY_RULES}
+
+${context}`;
+
+// 📡 SERVER-SENT EVENTS
+// Events: "message" (the saved user message), "token" ({ delta }), "done" ({ message }), "error" ({ message })
+
+const startEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Add the coach's reply to the thread and return the saved entry.
+// Pushed atomically so the rest of the history never has to be loaded.
+const appendReply = async (thread, reply) => {
+  const message = thread.messages.create({ role: 'assistant', ...reply });
+  await ChatThread.updateOne({ _id: thread._id }, { $push: { messages: message } });
+  return message;
+};
+
+// 🧵 THREADS
+
+// List the user's conversations, most recent first
+router.get('/threads', auth, async (req, res) => {
+  try {
+    const threads = await ChatThread.find(
+      { userId: req.user._id },
+      { title: 1, createdAt: 1, updatedAt: 1, messages: { $slice: -1 } }
+    ).sort({ updatedAt: -1 });
+
+    res.json(threads.map(thread => ({
+      _id: thread._id,
+      title: thread.title,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      lastMessage: thread.messages[0] || null
+    })));
+  } catch (error) {
+    console.error('Error fetching chat threads:', error);
+    res.status(500).json({ message: 'Failed to fetch conversations' });
+  }
+});
+
+// Start a conversation
+router.post('/threads', [
+  auth,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const thread = await ChatThread.create({
+      userId: req.user._id,
+      ...(req.body.title ? { title: req.body.title } : {})
+    });
+
+    res.status(201).json({
+      message: 'Conversation started',
+      thread
+    });
+  } catch (error) {
+    console.error('Error creating chat thread:', error);
+    res.status(500).json({ message: 'Failed to start conversation' });
+  }
+});
+
+// Get a conversation with its messages
+router.get('/threads/:id', [auth, validateThreadId], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const thread = await ChatThread.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!thread) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.json(thread);
+  } catch (error) {
+    console.error('Error fetching chat thread:', error);
+    res.status(500).json({ message: 'Failed to fetch conversation' });
+  }
+});
+
+// Rename a conversation
+router.put('/threads/:id', [
+  auth,
+  validateThreadId,
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const thread = await ChatThread.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: { title: req.body.title } },
+      { new: true, projection: { messages: 0 } }
+    );
+    if (!thread) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.json({
+      message: 'Conversation renamed',
+      thread
+    });
+  } catch (error) {
+    console.error('Error renaming chat thread:', error);
+    res.status(500).json({ message: 'Failed to rename conversation' });
+  }
+});
+
+// Delete a conversation
+router.delete('/threads/:id', [auth, validateThreadId], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const thread = await ChatThread.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!thread) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting chat thread:', error);
+    res.status(500).json({ message: 'Failed to delete conversation' });
+  }
+});
+
+// 💬 MESSAGES
+
+// Send a message and stream the coach's reply as server-sent events
+router.post('/threads/:id/messages', [
+  auth,
+  validateThreadId,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: MAX_MESSAGE_LENGTH })
+    .withMessage(`Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const threadFilter = { _id: req.params.id, userId: req.user._id };
+    if (!(await ChatThread.exists(threadFilter))) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    // Safety rails answer without the model, so they work even when no LLM is configured
+    const { content } = req.body;
+    const screening = screenMessage(content);
+    const llm = screening ? null : getLLMProvider();
+    if (!screening && !llm) {
+      return res.status(503).json({
+        message: 'The AI coach is not available: no LLM provider is configured'
+      });
+    }
+
+    // Only added while there is room for it and the reply; loads just the recent turns
+    const thread = await ChatThread.findOneAndUpdate(
+      { ...threadFilter, [`messages.${MAX_THREAD_MESSAGES - 2}`]: { $exists: false } },
+      { $push: { messages: { role: 'user', content } } },
+      { new: true, projection: { title: 1, messages: { $slice: -MAX_HISTORY_MESSAGES } } }
+    );
+    if (!thread) {
+      return res.status(409).json({
+        message: 'This conversation is full. Start a new one to keep chatting.'
+      });
+    }
+
+    // The opening message names the conversation
+    await ChatThread.updateOne(
+      { _id: thread._id, 'messages.1': { $exists: false } },
+      { $set: { title: titleFromMessage(content) } }
+    );
+
+    startEventStream(res);
+    sendEvent(res, 'message', { message: thread.messages[thread.messages.length - 1] });
+
+    if (screening) {
+      const reply = safetyReply(screening);
+      sendEvent(res, 'token', { delta: reply });
+      const saved = await appendReply(thread, { content: reply, safety: screening.type });
+      sendEvent(res, 'done', { message: saved });
+      return res.end();
+    }
+
+    // Stop generating if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    let reply = '';
+    let failure = null;
+    try {
+      const context = await buildCoachContext(req.user);
+      const history = thread.messages.map(message => ({
+        role: message.role,
+        content: message.content
+      }));
+
+      for await (const delta of llm.stream({
+        messages: [{ role: 'system', content: coachSystemPrompt(context) }, ...history],
+        signal: controller.signal
+      })) {
+        reply += delta;
+        sendEvent(res, 'token', { delta });
+      }
+      if (!reply.trim()) failure = new Error('LLM returned an empty response');
+    } catch (error) {
+      failure = error;
+    }
+
+    if (controller.signal.aborted) {
+      if (reply) await appendReply(thread, { content: reply, model: llm.model, interrupted: true });
+      return;
+    }
+
+    if (failure) {
+      console.error('Chat reply error:', failure);
+      const saved = reply ? await appendReply(thread, { content: reply, model: llm.model, interrupted: true }) : null;
+      sendEvent(res, 'error', {
+        message: 'The coach could not finish this reply. Please try again.',
+        partial: saved
+      });
+      return res.end();
+    }
+
+    const saved = await appendReply(thread, { content: reply, model: llm.model });
+    sendEvent(res, 'done', { message: saved });
+    res.end();
+  } catch (error) {
+    console.error('Chat message error:', error);
+    if (res.headersSent) {
+      sendEvent(res, 'error', { message: 'Failed to send message' });
+      return res.end();
+    }
+    res.status(500).json({ message: 'Failed to send message' });
+  }
+});
+
+module.exports = router;
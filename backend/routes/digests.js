@@ -0,0 +1,119 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const Digest = require('../models/Digest');
+const { parseLocalDate, toDateKey } = require('../utils/dates');
+const { weekStartOf, lastCompletedWeekStart, generateDigest, digestToMarkdown } = require('../utils/digest');
+
+const router = express.Router();
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// 📰 WEEKLY DIGESTS
+
+// List digests, newest week first (without the stats)
+router.get('/digests', auth, async (req, res) => {
+  try {
+    const digests = await Digest.find({ userId: req.user._id }, { stats: 0 })
+      .sort({ weekStart: -1 })
+      .limit(52);
+    res.json(digests);
+  } catch (error) {
+    console.error('Error fetching digests:', error);
+    res.status(500).json({ message: 'Failed to fetch digests' });
+  }
+});
+
+// Write (or rewrite) the digest for the week containing `date`; defaults to
+// the last completed week. Weeks that haven't ended yet are refused.
+router.post('/digests', [
+  auth,
+  body('date')
+    .optional()
+    .matches(DATE_KEY)
+    .withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const weekStart = req.body.date ? weekStartOf(parseLocalDate(req.body.date)) : lastCompletedWeekStart();
+    if (weekStart > lastCompletedWeekStart()) {
+      return res.status(400).json({
+        message: `The week of ${toDateKey(weekStart)} hasn't finished yet`
+      });
+    }
+
+    const digest = await generateDigest(req.user, weekStart);
+
+    res.json({
+      message: digest.source === 'ai' ? 'Weekly digest written' : 'Weekly digest written (using the template)',
+      digest
+    });
+  } catch (error) {
+    console.error('Error generating digest:', error);
+    res.status(500).json({ message: 'Failed to generate digest' });
+  }
+});
+
+router.get('/digests/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid digest id')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const digest = await Digest.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!digest) {
+      return res.status(404).json({ message: 'Digest not found' });
+    }
+
+    res.json(digest);
+  } catch (error) {
+    console.error('Error fetching digest:', error);
+    res.status(500).json({ message: 'Failed to fetch digest' });
+  }
+});
+
+// Download a digest as Markdown (default) or JSON
+router.get('/digests/:id/export', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid digest id'),
+  query('format')
+    .optional()
+    .isIn(['markdown', 'json'])
+    .withMessage('Format must be markdown or json')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const digest = await Digest.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!digest) {
+      return res.status(404).json({ message: 'Digest not found' });
+    }
+
+    const filename = `health-digest-${digest.weekStart}`;
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(digest);
+    }
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+    res.send(digestToMarkdown(digest));
+  } catch (error) {
+    console.error('Error exporting digest:', error);
+    res.status(500).json({ message: 'Failed to export digest' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,71 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const { cache, invalidateCache, healthCacheKey } = require('../middleware/cache');
+const { cache, invalidateCache, healthCacheKey, clearMealCache, clearRecommendationCache } = require('../middleware/cache');
 const redisClient = require('../config/redis');
 const User = require('../models/User');
+const HealthMetricReading = require('../models/HealthMetricReading');
+const Meal = require('../models/Meal');
+const DoseLog = require('../models/DoseLog');
+const { ACTIVITY_LEVELS, SEXES, MIN_AGE, MAX_AGE, ageFromDateOfBirth, estimateEnergyNeeds } = require('../utils/energy');
+const { GOAL_MODES, targetWeightWarnings, projectWeights } = require('../utils/goals');
+const { findInteractions, interactionsForMedications, foodsFromMeals } = require('../utils/interactions');
+const {
+  LATE_AFTER_MINUTES,
+  TIME_PATTERN,
+  getSchedule,
+  expectedDoses,
+  doseStatus,
+  computeAdherence
+} = require('../utils/medicationSchedule');
+const { calendarDay, addCalendarDays, zonedDateTime, endOfZonedDay } = require('../utils/dates');
 
 const router = express.Router();
 
+// How far back logged meals are cross-checked against medications
+const INTERACTION_LOOKBACK_DAYS = 30;
+
+const findRecentMeals = (userId, days) => {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+  since.setHours(0, 0, 0, 0);
+  return Meal.find({ userId, date: { $gte: since } }).sort({ date: -1 });
+};
+
+const scheduleValidation = () => [
+  body('schedule.asNeeded')
+    .optional()
+    .isBoolean()
+    .withMessage('asNeeded must be true or false'),
+  body('schedule.times')
+    .optional()
+    .isArray({ max: 12 })
+    .withMessage('Dose times must be a list of up to 12 times'),
+  body('schedule.times.*')
+    .matches(TIME_PATTERN)
+    .withMessage('Dose times must be HH:MM'),
+  body('schedule.daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be a list'),
+  body('schedule.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)')
+];
+
+// Normalise a submitted schedule: sorted unique times/days, no times when as-needed
+const pickSchedule = (schedule = {}) => {
+  const asNeeded = schedule.asNeeded === true || schedule.asNeeded === 'true';
+  return {
+    asNeeded,
+    times: asNeeded ? [] : [...new Set(schedule.times || [])].sort(),
+    daysOfWeek: asNeeded ? [] : [...new Set((schedule.daysOfWeek || []).map(Number))].sort()
+  };
+};
+
+// Dose days follow the user's time zone, like their reminders
+const timeZoneOf = (user) => user.notificationSettings?.timeZone;
+
 // Get user's health metrics with enhanced caching
 router.get('/metrics', auth, cache(3600, healthCacheKey('metrics')), async (req, res) => {
   try {
@@ -88,24 +147,40 @@ router.put('/metrics', auth, invalidateCache(['health', 'summary']), [
       cholesterol
     } = req.body;
 
-    const updateData = {
-      lastUpdated: new Date()
-    };
+    const recordedAt = new Date();
+    const readingData = {};
 
     // Only update provided fields
-    if (height !== undefined) updateData.height = height;
-    if (weight !== undefined) updateData.weight = weight;
-    if (bloodPressureSystolic !== undefined) updateData.bloodPressureSystolic = bloodPressureSystolic;
-    if (bloodPressureDiastolic !== undefined) updateData.bloodPressureDiastolic = bloodPressureDiastolic;
-    if (bloodSugar !== undefined) updateData.bloodSugar = bloodSugar;
-    if (cholesterol !== undefined) updateData.cholesterol = cholesterol;
+    if (height !== undefined) readingData.height = height;
+    if (weight !== undefined) readingData.weight = weight;
+    if (bloodPressureSystolic !== undefined) readingData.bloodPressureSystolic = bloodPressureSystolic;
+    if (bloodPressureDiastolic !== undefined) readingData.bloodPressureDiastolic = bloodPressureDiastolic;
+    if (bloodSugar !== undefined) readingData.bloodSugar = bloodSugar;
+    if (cholesterol !== undefined) readingData.cholesterol = cholesterol;
+
+    // Merge into the latest snapshot instead of replacing it, so a partial
+    // update doesn't wipe the metrics that weren't sent
+    const updateData = { 'healthMetrics.lastUpdated': recordedAt };
+    Object.entries(readingData).forEach(([field, value]) => {
+      updateData[`healthMetrics.${field}`] = value;
+    });
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
-      { $set: { healthMetrics: updateData } },
+      { $set: updateData },
       { new: true, runValidators: true }
     );
 
+    // Keep every update as a timestamped reading for the history charts
+    await HealthMetricReading.create({
+      userId: req.user._id,
+      recordedAt,
+      ...readingData
+    });
+
+    // Cached calorie recommendations were built from the old metrics
+    await clearRecommendationCache(req.user._id);
+
     res.json({
       message: 'Health metrics updated successfully',
       healthMetrics: user.healthMetrics
@@ -118,6 +193,297 @@ router.put('/metrics', auth, invalidateCache(['health', 'summary']), [
   }
 });
 
+// Get health metric history, optionally downsampled per day/week/month
+router.get('/metrics/history', auth, [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('metric')
+    .optional()
+    .isIn(HealthMetricReading.METRIC_FIELDS)
+    .withMessage(`metric must be one of: ${HealthMetricReading.METRIC_FIELDS.join(', ')}`),
+  query('interval')
+    .optional()
+    .isIn(['raw', 'daily', 'weekly', 'monthly'])
+    .withMessage('interval must be raw, daily, weekly or monthly')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { metric, interval = 'raw' } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    // A bare date for "to" should include that whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    const history = await HealthMetricReading.getHistory(req.user._id, {
+      from,
+      to,
+      metric,
+      interval
+    });
+
+    res.json({
+      metric: metric || 'all',
+      interval,
+      from: from || null,
+      to: to || null,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching health metric history:', error);
+    res.status(500).json({
+      message: 'Failed to fetch health metric history'
+    });
+  }
+});
+
+// Profile response: stored fields plus the derived age and energy estimate
+const profileResponse = (user) => ({
+  dateOfBirth: user.profile?.dateOfBirth || null,
+  sex: user.profile?.sex || null,
+  activityLevel: user.profile?.activityLevel || null,
+  age: user.getAge(),
+  energy: estimateEnergyNeeds(user),
+  activityLevels: Object.entries(ACTIVITY_LEVELS).map(([value, level]) => ({ value, ...level }))
+});
+
+// Get the personal profile (date of birth, sex, activity level)
+router.get('/profile', auth, async (req, res) => {
+  try {
+    res.json(profileResponse(req.user));
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      message: 'Failed to fetch profile'
+    });
+  }
+});
+
+// Update the personal profile; null clears a field
+router.put('/profile', auth, [
+  body('dateOfBirth')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date')
+    .bail()
+    .custom(value => {
+      const age = ageFromDateOfBirth(value);
+      if (age < MIN_AGE || age > MAX_AGE) {
+        throw new Error(`Age must be between ${MIN_AGE} and ${MAX_AGE}`);
+      }
+      return true;
+    }),
+  body('sex')
+    .optional({ nullable: true })
+    .isIn(SEXES)
+    .withMessage(`Sex must be one of: ${SEXES.join(', ')}`),
+  body('activityLevel')
+    .optional({ nullable: true })
+    .isIn(Object.keys(ACTIVITY_LEVELS))
+    .withMessage(`Activity level must be one of: ${Object.keys(ACTIVITY_LEVELS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const set = {};
+    const unset = {};
+    ['dateOfBirth', 'sex', 'activityLevel'].forEach(field => {
+      if (req.body[field] === undefined) return;
+      if (req.body[field] === null) {
+        unset[`profile.${field}`] = '';
+      } else {
+        set[`profile.${field}`] = field === 'dateOfBirth' ? new Date(req.body[field]) : req.body[field];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: set, $unset: unset },
+      { new: true, runValidators: true }
+    );
+
+    await clearRecommendationCache(req.user._id);
+
+    res.json({
+      message: 'Profile updated successfully',
+      profile: profileResponse(user)
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+// Goal response: the stored goal plus its current calorie plan
+const goalResponse = (user) => {
+  if (!user.goal || !user.goal.mode) return { goal: null, plan: null };
+  const plan = user.getGoalPlan();
+  if (plan) plan.warnings.push(...targetWeightWarnings(user.goal.targetWeight, user.healthMetrics.height));
+  return { goal: user.goal, plan };
+};
+
+// Get the weight goal and its calorie plan
+router.get('/goal', auth, async (req, res) => {
+  try {
+    res.json(goalResponse(req.user));
+  } catch (error) {
+    console.error('Error fetching goal:', error);
+    res.status(500).json({
+      message: 'Failed to fetch goal'
+    });
+  }
+});
+
+// Set the weight goal (replaces any existing goal)
+router.put('/goal', auth, [
+  body('mode')
+    .isIn(GOAL_MODES)
+    .withMessage(`Mode must be one of: ${GOAL_MODES.join(', ')}`),
+  body('targetWeight')
+    .if(body('mode').equals('target-date'))
+    .exists({ checkNull: true })
+    .withMessage('A target weight is required with a target date'),
+  body('targetWeight')
+    .optional({ nullable: true })
+    .isFloat({ min: 20, max: 300 })
+    .withMessage('Target weight must be between 20 and 300 kg'),
+  body('targetDate')
+    .if(body('mode').equals('target-date'))
+    .isISO8601()
+    .withMessage('Target date must be a valid date')
+    .bail()
+    .custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Target date must be in the future');
+      }
+      return true;
+    }),
+  body('weeklyRate')
+    .if(body('mode').equals('weekly-rate'))
+    .isFloat({ min: -2, max: 2 })
+    .withMessage('Weekly rate must be between -2 and 2 kg per week')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.healthMetrics.weight || !user.healthMetrics.height) {
+      return res.status(400).json({
+        message: 'Please record your height and weight before setting a goal'
+      });
+    }
+
+    const { mode, targetWeight, targetDate, weeklyRate } = req.body;
+    user.goal = {
+      mode,
+      targetWeight: targetWeight != null ? parseFloat(targetWeight) : undefined,
+      targetDate: mode === 'target-date' ? new Date(targetDate) : undefined,
+      weeklyRate: mode === 'weekly-rate' ? parseFloat(weeklyRate) : undefined,
+      startWeight: user.healthMetrics.weight,
+      startDate: new Date()
+    };
+    user.goal.plannedWeeklyRate = user.getGoalPlan().weeklyRate;
+    await user.save();
+    await clearRecommendationCache(req.user._id);
+
+    res.json({
+      message: 'Goal saved successfully',
+      ...goalResponse(user)
+    });
+  } catch (error) {
+    console.error('Error saving goal:', error);
+    res.status(500).json({
+      message: 'Failed to save goal'
+    });
+  }
+});
+
+// Remove the weight goal
+router.delete('/goal', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $unset: { goal: '' } });
+    await clearRecommendationCache(req.user._id);
+    res.json({
+      message: 'Goal removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing goal:', error);
+    res.status(500).json({
+      message: 'Failed to remove goal'
+    });
+  }
+});
+
+// Projected versus actual weight since the goal was set
+router.get('/goal/progress', auth, async (req, res) => {
+  try {
+    const { goal, plan } = goalResponse(req.user);
+    if (!goal) {
+      return res.status(404).json({
+        message: 'No goal set'
+      });
+    }
+
+    const now = new Date();
+    // Project to the expected finish (12 weeks ahead for open-ended rates),
+    // but never more than two years out
+    const horizon = new Date(now);
+    horizon.setFullYear(horizon.getFullYear() + 2);
+    const openEnded = new Date(now);
+    openEnded.setDate(openEnded.getDate() + 12 * 7);
+    let until = plan?.projectedEndDate || goal.targetDate || openEnded;
+    if (until < now) until = now;
+    if (until > horizon) until = horizon;
+
+    const actual = await HealthMetricReading.getHistory(req.user._id, {
+      from: goal.startDate,
+      metric: 'weight',
+      interval: 'weekly'
+    });
+
+    res.json({
+      goal,
+      plan,
+      projected: projectWeights(goal, until),
+      actual: actual.map(point => ({ date: point.date, weight: point.weight }))
+    });
+  } catch (error) {
+    console.error('Error fetching goal progress:', error);
+    res.status(500).json({
+      message: 'Failed to fetch goal progress'
+    });
+  }
+});
+
 // Get user's diseases with caching
 router.get('/diseases', auth, cache(3600, healthCacheKey('diseases')), async (req, res) => {
   try {
@@ -157,6 +523,10 @@ router.put('/diseases', auth, async (req, res) => {
     console.log('✅ User found and updated successfully');
     console.log('📋 Updated diseases count:', user.diseases.length);
 
+    // Daily meal summaries embed the disease-driven nutrient limits
+    await clearMealCache(req.user._id);
+    await clearRecommendationCache(req.user._id);
+
     res.json({
       message: 'Diseases updated successfully',
       diseases: user.diseases
@@ -194,7 +564,8 @@ router.post('/medications', [
     .withMessage('Dosage is required'),
   body('frequency')
     .notEmpty()
-    .withMessage('Frequency is required')
+    .withMessage('Frequency is required'),
+  ...scheduleValidation()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -206,15 +577,16 @@ router.post('/medications', [
       });
     }
 
-    const { name, dosage, frequency, notes, endDate } = req.body;
+    const { name, dosage, frequency, notes, startDate, endDate, schedule } = req.body;
 
     const medication = {
       name,
       dosage,
       frequency,
       notes,
+      schedule: pickSchedule(schedule),
       endDate: endDate ? new Date(endDate) : undefined,
-      startDate: new Date(),
+      startDate: startDate ? new Date(startDate) : new Date(),
       active: true
     };
 
@@ -223,10 +595,19 @@ router.post('/medications', [
       { $push: { medications: medication } },
       { new: true, runValidators: true }
     );
+    await clearRecommendationCache(req.user._id);
+
+    // Check the new medication against recently logged meals
+    const recentMeals = await findRecentMeals(req.user._id, INTERACTION_LOOKBACK_DAYS);
+    const interactions = findInteractions(
+      [user.medications[user.medications.length - 1]],
+      foodsFromMeals(recentMeals)
+    );
 
     res.status(201).json({
       message: 'Medication added successfully',
-      medications: user.medications
+      medications: user.medications,
+      interactions
     });
   } catch (error) {
     console.error('Error adding medication:', error);
@@ -237,25 +618,36 @@ router.post('/medications', [
 });
 
 // Update medication
-router.put('/medications/:medicationId', auth, async (req, res) => {
+router.put('/medications/:medicationId', [auth, ...scheduleValidation()], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { medicationId } = req.params;
     const updates = req.body;
 
+    const changes = {
+      'medications.$.name': updates.name,
+      'medications.$.dosage': updates.dosage,
+      'medications.$.frequency': updates.frequency,
+      'medications.$.notes': updates.notes,
+      'medications.$.endDate': updates.endDate ? new Date(updates.endDate) : undefined,
+      'medications.$.active': updates.active !== undefined ? updates.active : true
+    };
+    if (updates.schedule) changes['medications.$.schedule'] = pickSchedule(updates.schedule);
+
     const user = await User.findOneAndUpdate(
       { 
         _id: req.user._id, 
         'medications._id': medicationId 
       },
       { 
-        $set: {
-          'medications.$.name': updates.name,
-          'medications.$.dosage': updates.dosage,
-          'medications.$.frequency': updates.frequency,
-          'medications.$.notes': updates.notes,
-          'medications.$.endDate': updates.endDate ? new Date(updates.endDate) : undefined,
-          'medications.$.active': updates.active !== undefined ? updates.active : true
-        }
+        $set: changes
       },
       { new: true }
     );
@@ -266,6 +658,8 @@ router.put('/medications/:medicationId', auth, async (req, res) => {
       });
     }
 
+    await clearRecommendationCache(req.user._id);
+
     res.json({
       message: 'Medication updated successfully',
       medications: user.medications
@@ -295,6 +689,9 @@ router.delete('/medications/:medicationId', auth, async (req, res) => {
       });
     }
 
+    await DoseLog.deleteMany({ userId: req.user._id, medicationId });
+    await clearRecommendationCache(req.user._id);
+
     res.json({
       message: 'Medication deleted successfully',
       medications: user.medications
@@ -307,6 +704,299 @@ router.delete('/medications/:medicationId', auth, async (req, res) => {
   }
 });
 
+// 💊 DOSE LOG & ADHERENCE
+
+// Doses for a day (default today): each scheduled slot with its logged status,
+// plus as-needed medications with whatever was logged that day
+router.get('/medications/doses', [
+  auth,
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timeZone = timeZoneOf(req.user);
+    const now = new Date();
+    const day = req.query.date ? new Date(`${req.query.date.slice(0, 10)}T00:00:00Z`) : calendarDay(now, timeZone);
+    const from = zonedDateTime(day, '00:00', timeZone);
+    const to = endOfZonedDay(from, timeZone);
+
+    const activeMedications = req.user.medications.filter(m => m.active);
+    const logs = await DoseLog.findInRange(req.user._id, from, to);
+
+    const doses = [];
+    const asNeeded = [];
+
+    activeMedications.forEach(medication => {
+      const medicationLogs = logs.filter(log => log.medicationId.equals(medication._id));
+
+      if (getSchedule(medication).asNeeded) {
+        asNeeded.push({
+          medicationId: medication._id,
+          name: medication.name,
+          dosage: medication.dosage,
+          logs: medicationLogs
+        });
+        return;
+      }
+
+      expectedDoses(medication, from, to, timeZone).forEach(slot => {
+        const log = medicationLogs.find(entry => entry.scheduledFor && entry.scheduledFor.getTime() === slot.getTime());
+        const overdue = now.getTime() > slot.getTime() + LATE_AFTER_MINUTES * 60 * 1000;
+
+        doses.push({
+          medicationId: medication._id,
+          name: medication.name,
+          dosage: medication.dosage,
+          scheduledFor: slot,
+          status: log ? log.status : overdue ? 'missed' : 'pending',
+          takenAt: log ? log.takenAt : null,
+          logId: log ? log._id : null
+        });
+      });
+    });
+
+    doses.sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+    res.json({
+      date: day.toISOString().split('T')[0],
+      doses,
+      asNeeded
+    });
+  } catch (error) {
+    console.error('Error fetching doses:', error);
+    res.status(500).json({
+      message: 'Failed to fetch doses'
+    });
+  }
+});
+
+// Mark a dose as taken, late or skipped. Scheduled doses are identified by
+// their slot and can be re-marked; as-needed doses add a new entry each time.
+router.post('/medications/:medicationId/doses', [
+  auth,
+  param('medicationId').isMongoId().withMessage('Invalid medication id'),
+  body('status')
+    .optional()
+    .isIn(DoseLog.DOSE_STATUSES)
+    .withMessage('Status must be taken, late or skipped'),
+  body('scheduledFor')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('scheduledFor must be a date/time'),
+  body('takenAt')
+    .optional()
+    .isISO8601()
+    .withMessage('takenAt must be a date/time'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const medication = req.user.medications.id(req.params.medicationId);
+    if (!medication) {
+      return res.status(404).json({
+        message: 'Medication not found'
+      });
+    }
+
+    const scheduledFor = req.body.scheduledFor ? new Date(req.body.scheduledFor) : null;
+    const asNeeded = getSchedule(medication).asNeeded;
+
+    if (!asNeeded) {
+      const isSlot = scheduledFor && expectedDoses(medication, scheduledFor, scheduledFor, timeZoneOf(req.user)).length === 1;
+      if (!isSlot) {
+        return res.status(400).json({
+          message: 'scheduledFor must match one of this medication\'s scheduled dose times'
+        });
+      }
+    }
+
+    const requestedStatus = req.body.status || 'taken';
+    const takenAt = requestedStatus === 'skipped'
+      ? undefined
+      : req.body.takenAt ? new Date(req.body.takenAt) : new Date();
+    const status = requestedStatus === 'taken' ? doseStatus(scheduledFor, takenAt) : requestedStatus;
+
+    const entry = {
+      userId: req.user._id,
+      medicationId: medication._id,
+      scheduledFor: asNeeded ? null : scheduledFor,
+      status,
+      takenAt,
+      notes: req.body.notes
+    };
+
+    const markSlot = () => DoseLog.findOneAndUpdate(
+      { userId: req.user._id, medicationId: medication._id, scheduledFor },
+      { $set: entry, ...(takenAt ? {} : { $unset: { takenAt: 1 } }) },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // A concurrent mark of the same slot may win the insert; the retry updates its log
+    const dose = asNeeded
+      ? await DoseLog.create(entry)
+      : await markSlot().catch(error => (error.code === 11000 ? markSlot() : Promise.reject(error)));
+
+    res.status(201).json({
+      message: `Dose marked as ${status}`,
+      dose
+    });
+  } catch (error) {
+    console.error('Error logging dose:', error);
+    res.status(500).json({
+      message: 'Failed to log dose'
+    });
+  }
+});
+
+// Undo a dose entry
+router.delete('/medications/doses/:doseId', [
+  auth,
+  param('doseId').isMongoId().withMessage('Invalid dose id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dose = await DoseLog.findOneAndDelete({ _id: req.params.doseId, userId: req.user._id });
+
+    if (!dose) {
+      return res.status(404).json({
+        message: 'Dose entry not found'
+      });
+    }
+
+    res.json({
+      message: 'Dose entry removed'
+    });
+  } catch (error) {
+    console.error('Error deleting dose:', error);
+    res.status(500).json({
+      message: 'Failed to delete dose entry'
+    });
+  }
+});
+
+// Adherence per medication over the last `days` days (default 30)
+router.get('/medications/adherence', [
+  auth,
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = req.query.days ? parseInt(req.query.days, 10) : 30;
+    const timeZone = timeZoneOf(req.user);
+    const to = new Date();
+    const from = zonedDateTime(addCalendarDays(calendarDay(to, timeZone), -(days - 1)), '00:00', timeZone);
+
+    const logs = await DoseLog.findInRange(req.user._id, from, to);
+
+    // Active medications, plus stopped ones that still have doses in the window
+    const medications = req.user.medications.filter(medication =>
+      medication.active || logs.some(log => log.medicationId.equals(medication._id))
+    );
+
+    const adherence = medications.map(medication => computeAdherence(
+      medication,
+      logs.filter(log => log.medicationId.equals(medication._id)),
+      from,
+      to,
+      timeZone
+    ));
+
+    const scheduled = adherence.filter(entry => !entry.asNeeded);
+    const expected = scheduled.reduce((sum, entry) => sum + entry.expected, 0);
+    const takenOrLate = scheduled.reduce((sum, entry) => sum + entry.taken + entry.late, 0);
+
+    res.json({
+      days,
+      from,
+      to,
+      medications: adherence,
+      overall: {
+        expected,
+        taken: takenOrLate,
+        adherence: expected > 0 ? Math.round((takenOrLate / expected) * 100) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error computing adherence:', error);
+    res.status(500).json({
+      message: 'Failed to compute adherence'
+    });
+  }
+});
+
+// Drug–food interaction report: active medications against meals logged in the window
+router.get('/interactions', [
+  auth,
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = req.query.days ? parseInt(req.query.days, 10) : INTERACTION_LOOKBACK_DAYS;
+    const activeMedications = req.user.medications.filter(m => m.active);
+    const meals = await findRecentMeals(req.user._id, days);
+
+    res.json({
+      days,
+      medicationsChecked: activeMedications.length,
+      mealsChecked: meals.length,
+      interactions: findInteractions(activeMedications, foodsFromMeals(meals)),
+      watchList: interactionsForMedications(activeMedications)
+    });
+  } catch (error) {
+    console.error('Error building interaction report:', error);
+    res.status(500).json({
+      message: 'Failed to build interaction report'
+    });
+  }
+});
+
 // Get health summary
 router.get('/summary', auth, async (req, res) => {
   try {
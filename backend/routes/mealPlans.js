@@ -0,0 +1,400 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { clearMealCache } = require('../middleware/cache');
+const Food = require('../models/Food');
+const Meal = require('../models/Meal');
+const MealPlan = require('../models/MealPlan');
+const { estimateEnergyNeeds } = require('../utils/energy');
+const { getNutrientLimits } = require('../utils/dietRules');
+const { getLLMProvider, completeJson } = require('../utils/llm');
+const { extractJson } = require('../utils/recommendationSchema');
+const { parseLocalDate, toDateKey, addDays } = require('../utils/dates');
+const {
+  PLAN_DAYS,
+  MIN_PORTION_GRAMS,
+  MAX_PORTION_GRAMS,
+  planCalorieTarget,
+  filterCatalog,
+  buildRuleBasedDays,
+  buildPlanDays,
+  finalizePlan,
+  mealPlanPrompt,
+  repairPlan,
+  createPlanValidator
+} = require('../utils/mealPlanner');
+
+const router = express.Router();
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+// Catalog foods considered when planning
+const MAX_CATALOG_FOODS = 500;
+// A week of meals needs more room than a single recommendation
+const MEAL_PLAN_MAX_TOKENS = 3000;
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// 🍽️ GENERATE
+
+// Generate a 7-day plan from the food catalog (not saved until POST /meal-plans)
+router.post('/meal-plan', [
+  auth,
+  body('startDate')
+    .optional()
+    .matches(DATE_KEY)
+    .withMessage('Start date must be YYYY-MM-DD'),
+  body('calories')
+    .optional({ nullable: true })
+    .isInt({ min: 800, max: 6000 })
+    .withMessage('Calories must be between 800 and 6000')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const user = req.user;
+    const startDate = req.body.startDate || toDateKey(new Date());
+    const { calories: calorieTarget, basis } = planCalorieTarget(
+      user,
+      req.body.calories ? parseInt(req.body.calories, 10) : null,
+      estimateEnergyNeeds(user)
+    );
+
+    const catalog = await Food.find({ active: true }).sort({ name: 1 }).limit(MAX_CATALOG_FOODS).lean();
+    const { allowed, excluded } = filterCatalog(catalog, user.medications.filter(m => m.active));
+    if (allowed.length === 0) {
+      return res.status(503).json({
+        message: 'The food catalog is empty, so no plan can be built yet'
+      });
+    }
+
+    const limits = getNutrientLimits(user.diseases);
+    const options = { catalog: allowed, calorieTarget, limits, startDate: parseLocalDate(startDate) };
+
+    // Ask the LLM first; anything it can't produce falls back to the rule-based builder
+    let result = null;
+    let source = 'rule-based';
+    let model;
+    const llm = getLLMProvider();
+    if (llm) {
+      try {
+        const { value, completion } = await completeJson(llm, {
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a registered dietitian who writes practical weekly meal plans. Reply with JSON only.'
+            },
+            {
+              role: 'user',
+              content: mealPlanPrompt({
+                catalog: allowed,
+                calorieTarget,
+                limits,
+                conditions: user.diseases.filter(d => d.diagnosed).map(d => d.name),
+                excluded
+              })
+            }
+          ],
+          parse: extractJson,
+          repair: repairPlan,
+          validate: createPlanValidator(allowed),
+          maxTokens: MEAL_PLAN_MAX_TOKENS
+        });
+        result = finalizePlan(value, { ...options, rescale: true });
+        source = 'ai';
+        model = completion.model;
+      } catch (error) {
+        console.error('AI meal plan error, using rule-based plan:', error.message);
+      }
+    }
+    if (!result) {
+      result = finalizePlan(buildRuleBasedDays(allowed, calorieTarget), options);
+    }
+
+    res.json({
+      message: source === 'ai'
+        ? 'AI meal plan generated successfully'
+        : 'Meal plan generated successfully (using rule-based system)',
+      plan: {
+        name: `Meal plan from ${startDate}`,
+        startDate,
+        calorieTarget,
+        calorieBasis: basis,
+        source,
+        model,
+        days: result.days,
+        warnings: result.warnings,
+        restrictions: {
+          nutrientLimits: limits,
+          excludedFoods: excluded
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Meal plan generation error:', error);
+    res.status(500).json({ message: 'Failed to generate meal plan' });
+  }
+});
+
+// 💾 SAVED PLANS
+
+// List saved plans, newest start date first
+router.get('/meal-plans', auth, async (req, res) => {
+  try {
+    const plans = await MealPlan.find({ userId: req.user._id }, { days: 0 })
+      .sort({ startDate: -1, createdAt: -1 });
+    res.json(plans);
+  } catch (error) {
+    console.error('Error fetching meal plans:', error);
+    res.status(500).json({ message: 'Failed to fetch meal plans' });
+  }
+});
+
+// Save a plan. Foods are looked up again by catalog id, so nutrients always
+// come from the catalog rather than the request.
+router.post('/meal-plans', [
+  auth,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Plan name must be between 1 and 100 characters'),
+  body('startDate')
+    .matches(DATE_KEY)
+    .withMessage('Start date must be YYYY-MM-DD'),
+  body('calorieTarget')
+    .isInt({ min: 800, max: 6000 })
+    .withMessage('Calorie target must be between 800 and 6000'),
+  body('source')
+    .isIn(['ai', 'rule-based'])
+    .withMessage('Source must be ai or rule-based'),
+  body('model')
+    .optional()
+    .isString(),
+  body('days')
+    .isArray({ min: 1, max: PLAN_DAYS })
+    .withMessage(`A plan has between 1 and ${PLAN_DAYS} days`),
+  body('days.*.meals')
+    .isArray({ max: Meal.MEAL_TYPES.length * 2 })
+    .withMessage('Each day needs a list of meals'),
+  body('days.*.meals.*.mealType')
+    .isIn(Meal.MEAL_TYPES)
+    .withMessage('Meal type must be breakfast, lunch, dinner, or snack'),
+  body('days.*.meals.*.foods')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Each meal needs at least one food'),
+  body('days.*.meals.*.foods.*.foodId')
+    .isMongoId()
+    .withMessage('Each food needs a catalog food id'),
+  body('days.*.meals.*.foods.*.quantity')
+    .isFloat({ min: MIN_PORTION_GRAMS, max: MAX_PORTION_GRAMS })
+    .withMessage(`Quantities must be between ${MIN_PORTION_GRAMS} and ${MAX_PORTION_GRAMS}`)
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { name, startDate, calorieTarget, source, model, days } = req.body;
+
+    const foodIds = [...new Set(days.flatMap(day => day.meals.flatMap(meal => meal.foods.map(food => food.foodId))))];
+    const foods = await Food.find({ _id: { $in: foodIds }, active: true }).lean();
+    const foodsById = new Map(foods.map(food => [String(food._id), food]));
+    if (foodsById.size !== foodIds.length) {
+      return res.status(400).json({ message: 'Some foods in this plan are no longer in the catalog' });
+    }
+
+    const rawDays = days.map(day => {
+      const rawDay = {};
+      day.meals.forEach(meal => {
+        rawDay[meal.mealType] = (rawDay[meal.mealType] || []).concat(meal.foods.map(food => ({
+          food: foodsById.get(food.foodId),
+          grams: Number(food.quantity)
+        })));
+      });
+      return rawDay;
+    });
+
+    const { days: planDays, warnings } = buildPlanDays(rawDays, {
+      startDate: parseLocalDate(startDate),
+      calorieTarget,
+      limits: getNutrientLimits(req.user.diseases)
+    });
+
+    const plan = await MealPlan.create({
+      userId: req.user._id,
+      name: name || `Meal plan from ${startDate}`,
+      startDate,
+      calorieTarget,
+      source,
+      model,
+      days: planDays,
+      warnings
+    });
+
+    res.status(201).json({
+      message: 'Meal plan saved',
+      plan
+    });
+  } catch (error) {
+    console.error('Error saving meal plan:', error);
+    res.status(500).json({ message: 'Failed to save meal plan' });
+  }
+});
+
+// The planned meals for one day, from the most recent saved plan covering it.
+// Declared before /:id so "for-date" is not taken for a plan id.
+router.get('/meal-plans/for-date/:date', [
+  auth,
+  param('date')
+    .matches(DATE_KEY)
+    .withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { date } = req.params;
+    const earliestStart = toDateKey(addDays(parseLocalDate(date), -(PLAN_DAYS - 1)));
+    const plan = await MealPlan.findOne({
+      userId: req.user._id,
+      startDate: { $gte: earliestStart, $lte: date },
+      'days.date': date
+    }).sort({ startDate: -1, createdAt: -1 });
+
+    if (!plan) {
+      return res.status(404).json({ message: 'No meal plan for this date' });
+    }
+
+    res.json({
+      plan: { _id: plan._id, name: plan.name, calorieTarget: plan.calorieTarget },
+      day: plan.days.find(day => day.date === date)
+    });
+  } catch (error) {
+    console.error('Error fetching planned meals:', error);
+    res.status(500).json({ message: 'Failed to fetch planned meals' });
+  }
+});
+
+router.get('/meal-plans/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid meal plan id')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const plan = await MealPlan.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!plan) {
+      return res.status(404).json({ message: 'Meal plan not found' });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Error fetching meal plan:', error);
+    res.status(500).json({ message: 'Failed to fetch meal plan' });
+  }
+});
+
+router.delete('/meal-plans/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid meal plan id')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const plan = await MealPlan.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!plan) {
+      return res.status(404).json({ message: 'Meal plan not found' });
+    }
+
+    res.json({ message: 'Meal plan deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting meal plan:', error);
+    res.status(500).json({ message: 'Failed to delete meal plan' });
+  }
+});
+
+// Log one planned meal ({ date, mealType }) to the meal tracker
+router.post('/meal-plans/:id/log', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid meal plan id'),
+  body('date')
+    .matches(DATE_KEY)
+    .withMessage('Date must be YYYY-MM-DD'),
+  body('mealType')
+    .isIn(Meal.MEAL_TYPES)
+    .withMessage('Meal type must be breakfast, lunch, dinner, or snack')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const { date, mealType } = req.body;
+    const plan = await MealPlan.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!plan) {
+      return res.status(404).json({ message: 'Meal plan not found' });
+    }
+
+    const day = plan.days.find(planDay => planDay.date === date);
+    const plannedMeal = day && day.meals.find(meal => meal.mealType === mealType);
+    if (!plannedMeal) {
+      return res.status(404).json({ message: `No ${mealType} planned for ${date}` });
+    }
+
+    // A planned meal can be logged again once its logged copy has been deleted
+    if (plannedMeal.loggedMealId && await Meal.exists({ _id: plannedMeal.loggedMealId, userId: req.user._id })) {
+      return res.status(409).json({ message: `This ${mealType} has already been logged` });
+    }
+
+    // Claim the slot before creating the meal, so a double click can't log it twice.
+    // The update only matches while the slot still holds what we read above.
+    const previousMealId = plannedMeal.loggedMealId || null;
+    const mealId = new mongoose.Types.ObjectId();
+    const setLoggedMeal = (from, to) => MealPlan.updateOne(
+      { _id: plan._id, userId: req.user._id },
+      { $set: { 'days.$[day].meals.$[meal].loggedMealId': to } },
+      { arrayFilters: [{ 'day.date': date }, { 'meal.mealType': mealType, 'meal.loggedMealId': from }] }
+    );
+
+    const claim = await setLoggedMeal(previousMealId, mealId);
+    if (claim.modifiedCount === 0) {
+      return res.status(409).json({ message: `This ${mealType} has already been logged` });
+    }
+
+    let meal;
+    try {
+      meal = await Meal.create({
+        _id: mealId,
+        userId: req.user._id,
+        // Today's meals get the current time; other days the usual midday
+        date: date === toDateKey(new Date()) ? new Date() : parseLocalDate(date),
+        mealType,
+        foods: plannedMeal.toObject().foods.map(({ _id, foodId, ...food }) => food),
+        totalCalories: plannedMeal.totalCalories,
+        notes: `From meal plan "${plan.name}"`
+      });
+    } catch (error) {
+      await setLoggedMeal(mealId, previousMealId);
+      throw error;
+    }
+
+    await clearMealCache(req.user._id);
+
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, meal.date);
+
+    res.status(201).json({
+      message: `Logged planned ${mealType}`,
+      meal,
+      dailyCalories
+    });
+  } catch (error) {
+    console.error('Error logging planned meal:', error);
+    res.status(500).json({ message: 'Failed to log planned meal' });
+  }
+});
+
+module.exports = router;
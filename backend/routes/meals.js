@@ -1,25 +1,38 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
+const Meal = require('../models/Meal');
 const User = require('../models/User');
+const Food = require('../models/Food');
+const CustomFood = require('../models/CustomFood');
+const Recipe = require('../models/Recipe');
+const MealTemplate = require('../models/MealTemplate');
+const { NUTRIENT_FIELDS, MACRO_FIELDS, scaleNutrients, sumNutrients, compareMacros } = require('../utils/nutrition');
+const { getNutrientLimits, checkNutrientLimits } = require('../utils/dietRules');
+const { findInteractions, foodsFromMeals } = require('../utils/interactions');
+const { parseLocalDate } = require('../utils/dates');
+const { MAX_TEXT_LENGTH, parseMealText, parseHelpPrompt, createParseValidator, applyParseHelp } = require('../utils/mealParser');
+const { getLLMProvider, completeJson } = require('../utils/llm');
+const { extractJson } = require('../utils/recommendationSchema');
 const auth = require('../middleware/auth');
-const { cache, invalidateCache, mealCacheKey } = require('../middleware/cache');
+const { cache, mealCacheKey, clearMealCache } = require('../middleware/cache');
 
 const router = express.Router();
 
 // Get user's meals for a specific date with caching
 router.get('/daily/:date?', auth, cache(1800, mealCacheKey('daily')), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
     const date = req.params.date ? new Date(req.params.date) : new Date();
-    const dailyCalories = user.getDailyCalories(date);
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, date);
+    const macroTargets = req.user.getMacroTargets();
+    const nutrientLimits = getNutrientLimits(req.user.diseases);
 
     res.json({
       date: date.toISOString().split('T')[0],
-      ...dailyCalories
+      ...dailyCalories,
+      macroTargets,
+      macroProgress: compareMacros(dailyCalories.macros, macroTargets),
+      nutrientLimits,
+      nutrientWarnings: checkNutrientLimits(nutrientLimits, dailyCalories.nutrients)
     });
   } catch (error) {
     console.error('Error fetching daily meals:', error);
@@ -30,18 +43,26 @@ router.get('/daily/:date?', auth, cache(1800, mealCacheKey('daily')), async (req
 // Get weekly calorie summary with caching
 router.get('/weekly/:date?', auth, cache(3600, mealCacheKey('weekly')), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
     const date = req.params.date ? new Date(req.params.date) : new Date();
-    const weeklyData = user.getWeeklyCalories(date);
+    const weeklyData = await Meal.getWeeklyCalories(req.user._id, date);
+    const macroTargets = req.user.getMacroTargets();
+
+    const weeklyMacros = {};
+    const averageDailyMacros = {};
+    const weekTotals = sumNutrients(weeklyData.map(day => day.macros));
+    MACRO_FIELDS.forEach(field => {
+      weeklyMacros[field] = weekTotals[field];
+      averageDailyMacros[field] = Math.round((weekTotals[field] / 7) * 10) / 10;
+    });
 
     res.json({
       weeklyData,
       totalWeeklyCalories: weeklyData.reduce((sum, day) => sum + day.calories, 0),
-      averageDailyCalories: Math.round(weeklyData.reduce((sum, day) => sum + day.calories, 0) / 7)
+      averageDailyCalories: Math.round(weeklyData.reduce((sum, day) => sum + day.calories, 0) / 7),
+      macroTargets,
+      weeklyMacros,
+      averageDailyMacros,
+      macroProgress: compareMacros(weeklyMacros, macroTargets, 7)
     });
   } catch (error) {
     console.error('Error fetching weekly meals:', error);
@@ -49,16 +70,9 @@ router.get('/weekly/:date?', auth, cache(3600, mealCacheKey('weekly')), async (r
   }
 });
 
-// Add a new meal with cache invalidation
-router.post('/add', [
-  auth,
-  invalidateCache(['meals', 'daily', 'weekly']),
-  body('mealType')
-    .isIn(['breakfast', 'lunch', 'dinner', 'snack'])
-    .withMessage('Meal type must be breakfast, lunch, dinner, or snack'),
-  body('foods')
-    .isArray({ min: 1 })
-    .withMessage('At least one food item is required'),
+// Each item of a `foods` array, shared by logged meals and templates.
+// Numbers are coerced so totals add up instead of concatenating strings.
+const foodItemValidation = () => [
   body('foods.*.name')
     .trim()
     .isLength({ min: 1 })
@@ -66,11 +80,36 @@ router.post('/add', [
   body('foods.*.quantity')
     .isNumeric()
     .isFloat({ min: 0.1 })
-    .withMessage('Quantity must be a positive number'),
+    .withMessage('Quantity must be a positive number')
+    .toFloat(),
   body('foods.*.calories')
     .isNumeric()
     .isFloat({ min: 0 })
     .withMessage('Calories must be a non-negative number')
+    .toFloat(),
+  ...NUTRIENT_FIELDS.filter(nutrient => nutrient !== 'calories').map(nutrient =>
+    body(`foods.*.${nutrient}`)
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage(`${nutrient} must be a non-negative number`)
+      .toFloat()
+  )
+];
+
+// Add a new meal with cache invalidation
+router.post('/add', [
+  auth,
+  body('mealType')
+    .isIn(['breakfast', 'lunch', 'dinner', 'snack'])
+    .withMessage('Meal type must be breakfast, lunch, dinner, or snack'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('foods')
+    .isArray({ min: 1 })
+    .withMessage('At least one food item is required'),
+  ...foodItemValidation()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -81,35 +120,45 @@ router.post('/add', [
       });
     }
 
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
     const { mealType, foods, date, notes } = req.body;
 
     // Calculate total calories for the meal
     const totalCalories = foods.reduce((sum, food) => sum + food.calories, 0);
 
     // Create new meal
-    const newMeal = {
-      date: date ? new Date(date) : new Date(),
+    const newMeal = await Meal.create({
+      userId: req.user._id,
+      date: date ? parseLocalDate(date) : new Date(),
       mealType,
       foods,
       totalCalories,
       notes
-    };
+    });
 
-    user.meals.push(newMeal);
-    await user.save();
+    await clearMealCache(req.user._id);
 
     // Get updated daily calories
-    const dailyCalories = user.getDailyCalories(newMeal.date);
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, newMeal.date);
+
+    // Flag any disease-driven daily limit this meal pushes the day over
+    const warnings = checkNutrientLimits(
+      getNutrientLimits(req.user.diseases),
+      dailyCalories.nutrients,
+      sumNutrients(newMeal.foods)
+    );
+
+    // Check the meal's foods against the user's active medications
+    const interactions = findInteractions(
+      req.user.medications.filter(m => m.active),
+      foodsFromMeals([newMeal])
+    );
 
     res.status(201).json({
       message: 'Meal added successfully',
       meal: newMeal,
-      dailyCalories
+      dailyCalories,
+      warnings,
+      interactions
     });
   } catch (error) {
     console.error('Error adding meal:', error);
@@ -117,10 +166,641 @@ router.post('/add', [
   }
 });
 
+// 🎯 MACRO TARGETS
+
+// Get the user's macro target settings and the resolved daily grams
+router.get('/macro-targets', auth, async (req, res) => {
+  try {
+    res.json({
+      settings: req.user.macroTargets,
+      targets: req.user.getMacroTargets()
+    });
+  } catch (error) {
+    console.error('Error fetching macro targets:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set macro targets as grams per day or as percentages of a calorie target
+router.put('/macro-targets', [
+  auth,
+  body('mode')
+    .isIn(['grams', 'percent'])
+    .withMessage('Mode must be grams or percent'),
+  body('calories')
+    .optional({ nullable: true })
+    .isFloat({ min: 800, max: 6000 })
+    .withMessage('Calorie target must be between 800 and 6000'),
+  ...MACRO_FIELDS.map(field =>
+    body(field)
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage(`${field} must be a non-negative number`)
+  ),
+  body('fat').custom((fat, { req }) => {
+    if (req.body.mode !== 'percent') return true;
+    const share = ['protein', 'carbs', 'fat'].reduce((sum, field) => sum + (Number(req.body[field]) || 0), 0);
+    if (Math.abs(share - 100) > 1) {
+      throw new Error('Protein, carbs and fat percentages must add up to 100');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const macroTargets = { mode: req.body.mode, updatedAt: new Date() };
+    ['calories', ...MACRO_FIELDS].forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== null) {
+        macroTargets[field] = Number(req.body[field]);
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { macroTargets } },
+      { new: true, runValidators: true }
+    );
+
+    // Daily and weekly summaries embed the targets
+    await clearMealCache(req.user._id);
+
+    res.json({
+      message: 'Macro targets updated successfully',
+      settings: user.macroTargets,
+      targets: user.getMacroTargets()
+    });
+  } catch (error) {
+    console.error('Error updating macro targets:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🥫 CUSTOM FOODS
+
+const customFoodIdParam = param('id').isMongoId().withMessage('Invalid custom food id');
+
+const customFoodValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Food name must be between 1 and 100 characters'),
+    field('calories')
+      .isFloat({ min: 0 })
+      .withMessage('Calories must be a non-negative number'),
+    body('unit')
+      .optional()
+      .isIn(['100g', '100ml', 'serving'])
+      .withMessage('Unit must be 100g, 100ml or serving'),
+    ...NUTRIENT_FIELDS.filter(nutrient => nutrient !== 'calories').map(nutrient =>
+      body(nutrient)
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage(`${nutrient} must be a non-negative number`)
+    )
+  ];
+};
+
+const pickCustomFoodFields = (data) => {
+  const food = {};
+  ['name', 'unit', 'servingLabel', 'notes', ...NUTRIENT_FIELDS].forEach(field => {
+    if (data[field] !== undefined) food[field] = data[field];
+  });
+  return food;
+};
+
+// Get the user's private foods
+router.get('/custom-foods', auth, async (req, res) => {
+  try {
+    const customFoods = await CustomFood.find({ userId: req.user._id }).sort({ name: 1 });
+    res.json({ customFoods });
+  } catch (error) {
+    console.error('Error fetching custom foods:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a private food
+router.post('/custom-foods', [auth, ...customFoodValidation()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customFood = await CustomFood.create({
+      ...pickCustomFoodFields(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Custom food saved successfully',
+      customFood
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a custom food with this name' });
+    }
+    console.error('Error saving custom food:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a private food
+router.put('/custom-foods/:id', [auth, customFoodIdParam, ...customFoodValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customFood = await CustomFood.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: pickCustomFoodFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!customFood) {
+      return res.status(404).json({ message: 'Custom food not found' });
+    }
+
+    res.json({
+      message: 'Custom food updated successfully',
+      customFood
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a custom food with this name' });
+    }
+    console.error('Error updating custom food:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a private food
+router.delete('/custom-foods/:id', [auth, customFoodIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customFood = await CustomFood.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!customFood) {
+      return res.status(404).json({ message: 'Custom food not found' });
+    }
+
+    res.json({ message: 'Custom food deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting custom food:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🍲 RECIPES
+
+const recipeIdParam = param('id').isMongoId().withMessage('Invalid recipe id');
+
+const recipeValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Recipe name must be between 1 and 100 characters'),
+    field('servings')
+      .isFloat({ min: 1 })
+      .withMessage('Servings must be at least 1'),
+    field('ingredients')
+      .isArray({ min: 1 })
+      .withMessage('At least one ingredient is required'),
+    body('ingredients.*.quantity')
+      .isFloat({ min: 0.1 })
+      .withMessage('Ingredient quantity must be a positive number')
+  ];
+};
+
+// Get the user's saved recipes
+router.get('/recipes', auth, async (req, res) => {
+  try {
+    const recipes = await Recipe.find({ userId: req.user._id }).sort({ name: 1 });
+    res.json({ recipes });
+  } catch (error) {
+    console.error('Error fetching recipes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a recipe; per-serving macros are computed from the ingredients
+router.post('/recipes', [auth, ...recipeValidation()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, servings, servingLabel, instructions } = req.body;
+    const ingredients = await resolveIngredients(req.user._id, req.body.ingredients);
+
+    const recipe = await Recipe.create({
+      userId: req.user._id,
+      name,
+      servings,
+      servingLabel,
+      instructions,
+      ingredients
+    });
+
+    res.status(201).json({
+      message: 'Recipe saved successfully',
+      recipe
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a recipe with this name' });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error saving recipe:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a recipe
+router.put('/recipes/:id', [auth, recipeIdParam, ...recipeValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recipe = await Recipe.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    const { name, servings, servingLabel, instructions, ingredients } = req.body;
+
+    if (name) recipe.name = name;
+    if (servings) recipe.servings = servings;
+    if (servingLabel !== undefined) recipe.servingLabel = servingLabel;
+    if (instructions !== undefined) recipe.instructions = instructions;
+    if (ingredients) recipe.ingredients = await resolveIngredients(req.user._id, ingredients);
+
+    await recipe.save();
+
+    res.json({
+      message: 'Recipe updated successfully',
+      recipe
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a recipe with this name' });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating recipe:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a recipe
+router.delete('/recipes/:id', [auth, recipeIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const recipe = await Recipe.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    res.json({ message: 'Recipe deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ⭐ MEAL TEMPLATES
+
+const templateIdParam = param('id').isMongoId().withMessage('Invalid meal template id');
+
+// Get the user's meal templates, most used first
+router.get('/templates', auth, async (req, res) => {
+  try {
+    const templates = await MealTemplate.find({ userId: req.user._id }).sort({ timesUsed: -1, name: 1 });
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching meal templates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a template from a logged meal ({ name, mealId }) or from scratch ({ name, mealType, foods })
+router.post('/templates', [
+  auth,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  body('mealId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid meal id'),
+  body('mealType')
+    .optional()
+    .isIn(Meal.MEAL_TYPES)
+    .withMessage('Meal type must be breakfast, lunch, dinner, or snack'),
+  body('foods')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one food item is required'),
+  ...foodItemValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, mealId } = req.body;
+    let source = req.body;
+
+    if (mealId) {
+      source = await Meal.findOne({ _id: mealId, userId: req.user._id }).lean();
+      if (!source) {
+        return res.status(404).json({ message: 'Meal not found' });
+      }
+    } else if (!source.mealType || !source.foods) {
+      return res.status(400).json({ message: 'Provide a mealId, or a mealType and foods' });
+    }
+
+    const foods = source.foods.map(({ _id, ...food }) => food);
+    const template = await MealTemplate.create({
+      userId: req.user._id,
+      name,
+      mealType: source.mealType,
+      foods,
+      totalCalories: foods.reduce((sum, food) => sum + food.calories, 0),
+      notes: source.notes
+    });
+
+    res.status(201).json({
+      message: 'Meal template saved successfully',
+      template
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a template with this name' });
+    }
+    console.error('Error saving meal template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a meal template
+router.delete('/templates/:id', [auth, templateIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await MealTemplate.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Meal template not found' });
+    }
+
+    res.json({ message: 'Meal template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting meal template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log a template as a new meal on a date
+router.post('/templates/:id/apply', [
+  auth,
+  templateIdParam,
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('mealType')
+    .optional()
+    .isIn(Meal.MEAL_TYPES)
+    .withMessage('Meal type must be breakfast, lunch, dinner, or snack')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await MealTemplate.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Meal template not found' });
+    }
+
+    const meal = await Meal.create({
+      userId: req.user._id,
+      date: req.body.date ? parseLocalDate(req.body.date) : new Date(),
+      mealType: req.body.mealType || template.mealType,
+      foods: template.toObject().foods.map(({ _id, ...food }) => food),
+      totalCalories: template.totalCalories,
+      notes: template.notes
+    });
+
+    template.timesUsed += 1;
+    await template.save();
+    await clearMealCache(req.user._id);
+
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, meal.date);
+
+    res.status(201).json({
+      message: `Logged "${template.name}"`,
+      meal,
+      dailyCalories
+    });
+  } catch (error) {
+    console.error('Error applying meal template:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Copy a day's meals (or just one meal type) to another date
+router.post('/copy', [
+  auth,
+  body('fromDate')
+    .isISO8601()
+    .withMessage('fromDate must be a valid date'),
+  body('toDate')
+    .isISO8601()
+    .withMessage('toDate must be a valid date'),
+  body('mealType')
+    .optional()
+    .isIn(Meal.MEAL_TYPES)
+    .withMessage('Meal type must be breakfast, lunch, dinner, or snack')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mealType } = req.body;
+    const fromDate = parseLocalDate(req.body.fromDate);
+    const toDate = parseLocalDate(req.body.toDate);
+
+    let sourceMeals = await Meal.findForDay(req.user._id, fromDate).lean();
+    if (mealType) {
+      sourceMeals = sourceMeals.filter(meal => meal.mealType === mealType);
+    }
+
+    if (sourceMeals.length === 0) {
+      return res.status(404).json({
+        message: mealType ? `No ${mealType} logged on that date` : 'No meals logged on that date'
+      });
+    }
+
+    // Keep each meal's time of day on the target date
+    const copies = sourceMeals.map(meal => {
+      const date = new Date(toDate);
+      date.setHours(meal.date.getHours(), meal.date.getMinutes(), meal.date.getSeconds(), 0);
+
+      return {
+        userId: req.user._id,
+        date,
+        mealType: meal.mealType,
+        foods: meal.foods.map(({ _id, ...food }) => food),
+        totalCalories: meal.totalCalories,
+        notes: meal.notes
+      };
+    });
+
+    const meals = await Meal.insertMany(copies);
+    await clearMealCache(req.user._id);
+
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, toDate);
+
+    res.status(201).json({
+      message: `Copied ${meals.length} meal${meals.length === 1 ? '' : 's'}`,
+      meals,
+      dailyCalories
+    });
+  } catch (error) {
+    console.error('Error copying meals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// 🗣️ NATURAL-LANGUAGE ENTRY
+
+// Parse free text ("two eggs and a slice of toast") into catalog foods for the
+// user to confirm; nothing is logged until they post the foods to /add
+router.post('/parse', [
+  auth,
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: MAX_TEXT_LENGTH })
+    .withMessage(`Describe the meal in 1-${MAX_TEXT_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const catalog = await Food.find({ active: true })
+      .select(['name', 'aliases', 'unit', 'servingSizes', ...NUTRIENT_FIELDS])
+      .lean();
+    let items = parseMealText(req.body.text, catalog);
+    let source = 'parser';
+
+    // Let the LLM settle whatever the parser couldn't; its answers are limited to catalog foods
+    const unresolved = items
+      .map((item, index) => ({ ...item, index }))
+      .filter(item => item.status !== 'matched');
+    const llm = unresolved.length > 0 && catalog.length > 0 ? getLLMProvider() : null;
+    if (llm) {
+      try {
+        const { prompt, foods } = parseHelpPrompt(unresolved, catalog);
+        const { value } = await completeJson(llm, {
+          messages: [
+            { role: 'system', content: 'You match meal descriptions to foods in a nutrition database. Reply with JSON only.' },
+            { role: 'user', content: prompt }
+          ],
+          parse: extractJson,
+          validate: createParseValidator(unresolved, foods)
+        });
+        items = applyParseHelp(items, value);
+        source = 'ai';
+      } catch (error) {
+        console.error('AI meal parsing error, keeping parser results:', error.message);
+      }
+    }
+
+    res.json({
+      items,
+      source,
+      needsReview: items.some(item => item.status !== 'matched')
+    });
+  } catch (error) {
+    console.error('Error parsing meal text:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update a meal with cache invalidation
 router.put('/:mealId', [
   auth,
-  invalidateCache(['meals', 'daily', 'weekly']),
+  param('mealId').isMongoId().withMessage('Invalid meal id'),
   body('mealType')
     .optional()
     .isIn(['breakfast', 'lunch', 'dinner', 'snack'])
@@ -154,12 +834,7 @@ router.put('/:mealId', [
       });
     }
 
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    const meal = user.meals.id(req.params.mealId);
+    const meal = await Meal.findOne({ _id: req.params.mealId, userId: req.user._id });
     if (!meal) {
       return res.status(404).json({ message: 'Meal not found' });
     }
@@ -173,10 +848,11 @@ router.put('/:mealId', [
     }
     if (notes !== undefined) meal.notes = notes;
 
-    await user.save();
+    await meal.save();
+    await clearMealCache(req.user._id);
 
     // Get updated daily calories
-    const dailyCalories = user.getDailyCalories(meal.date);
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, meal.date);
 
     res.json({
       message: 'Meal updated successfully',
@@ -190,24 +866,28 @@ router.put('/:mealId', [
 });
 
 // Delete a meal with cache invalidation
-router.delete('/:mealId', auth, invalidateCache(['meals', 'daily', 'weekly']), async (req, res) => {
+router.delete('/:mealId', [
+  auth,
+  param('mealId').isMongoId().withMessage('Invalid meal id')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    const meal = user.meals.id(req.params.mealId);
+    const meal = await Meal.findOneAndDelete({ _id: req.params.mealId, userId: req.user._id });
     if (!meal) {
       return res.status(404).json({ message: 'Meal not found' });
     }
 
-    const mealDate = meal.date;
-    meal.deleteOne();
-    await user.save();
+    await clearMealCache(req.user._id);
 
     // Get updated daily calories
-    const dailyCalories = user.getDailyCalories(mealDate);
+    const dailyCalories = await Meal.getDailyCalories(req.user._id, meal.date);
 
     res.json({
       message: 'Meal deleted successfully',
@@ -219,66 +899,31 @@ router.delete('/:mealId', auth, invalidateCache(['meals', 'daily', 'weekly']), a
   }
 });
 
-// Get food database/suggestions with caching (cached for 24 hours since it rarely changes)
+// Get food database/suggestions with caching (cached for 24 hours; admin edits clear it)
 router.get('/food-database', cache(86400), async (req, res) => {
   try {
     const { search } = req.query;
-    
-    // Basic food database - in a real app, this would be a separate collection
-    const foodDatabase = [
-      // Grains & Cereals
-      { name: 'Rice (cooked)', calories: 130, protein: 2.7, carbs: 28, fat: 0.3, unit: '100g' },
-      { name: 'Wheat Bread', calories: 265, protein: 9, carbs: 49, fat: 3.2, unit: '100g' },
-      { name: 'Oats', calories: 389, protein: 16.9, carbs: 66.3, fat: 6.9, unit: '100g' },
-      { name: 'Quinoa (cooked)', calories: 120, protein: 4.4, carbs: 22, fat: 1.9, unit: '100g' },
-      
-      // Proteins
-      { name: 'Chicken Breast', calories: 165, protein: 31, carbs: 0, fat: 3.6, unit: '100g' },
-      { name: 'Eggs', calories: 155, protein: 13, carbs: 1.1, fat: 11, unit: '100g' },
-      { name: 'Salmon', calories: 208, protein: 20, carbs: 0, fat: 13, unit: '100g' },
-      { name: 'Lentils (cooked)', calories: 116, protein: 9, carbs: 20, fat: 0.4, unit: '100g' },
-      { name: 'Tofu', calories: 76, protein: 8, carbs: 1.9, fat: 4.8, unit: '100g' },
-      
-      // Vegetables
-      { name: 'Broccoli', calories: 34, protein: 2.8, carbs: 7, fat: 0.4, unit: '100g' },
-      { name: 'Spinach', calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4, unit: '100g' },
-      { name: 'Tomato', calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2, unit: '100g' },
-      { name: 'Carrots', calories: 41, protein: 0.9, carbs: 10, fat: 0.2, unit: '100g' },
-      { name: 'Potato', calories: 77, protein: 2, carbs: 17, fat: 0.1, unit: '100g' },
-      
-      // Fruits
-      { name: 'Apple', calories: 52, protein: 0.3, carbs: 14, fat: 0.2, unit: '100g' },
-      { name: 'Banana', calories: 89, protein: 1.1, carbs: 23, fat: 0.3, unit: '100g' },
-      { name: 'Orange', calories: 47, protein: 0.9, carbs: 12, fat: 0.1, unit: '100g' },
-      { name: 'Mango', calories: 60, protein: 0.8, carbs: 15, fat: 0.4, unit: '100g' },
-      
-      // Dairy
-      { name: 'Milk (whole)', calories: 61, protein: 3.2, carbs: 4.8, fat: 3.3, unit: '100ml' },
-      { name: 'Greek Yogurt', calories: 59, protein: 10, carbs: 3.6, fat: 0.4, unit: '100g' },
-      { name: 'Cheese (cheddar)', calories: 403, protein: 25, carbs: 1.3, fat: 33, unit: '100g' },
-      
-      // Nuts & Seeds
-      { name: 'Almonds', calories: 579, protein: 21, carbs: 22, fat: 50, unit: '100g' },
-      { name: 'Walnuts', calories: 654, protein: 15, carbs: 14, fat: 65, unit: '100g' },
-      { name: 'Peanuts', calories: 567, protein: 26, carbs: 16, fat: 49, unit: '100g' },
-      
-      // Oils & Fats
-      { name: 'Olive Oil', calories: 884, protein: 0, carbs: 0, fat: 100, unit: '100ml' },
-      { name: 'Butter', calories: 717, protein: 0.9, carbs: 0.1, fat: 81, unit: '100g' }
-    ];
-    
-    let filteredFoods = foodDatabase;
-    
-    if (search && search.trim()) {
-      const searchTerm = search.toLowerCase().trim();
-      filteredFoods = foodDatabase.filter(food => 
-        food.name.toLowerCase().includes(searchTerm)
-      );
-    }
-    
+    const { foods, total } = await Food.search(search, 20); // Limit to 20 results
+
     res.json({
-      foods: filteredFoods.slice(0, 20), // Limit to 20 results
-      total: filteredFoods.length
+      foods: foods.map(food => ({
+        _id: food._id,
+        name: food.name,
+        category: food.category,
+        aliases: food.aliases,
+        unit: food.unit,
+        calories: food.calories,
+        protein: food.protein,
+        carbs: food.carbs,
+        fat: food.fat,
+        fiber: food.fiber,
+        sugar: food.sugar,
+        saturatedFat: food.saturatedFat,
+        sodium: food.sodium,
+        potassium: food.potassium,
+        servingSizes: food.servingSizes
+      })),
+      total
     });
   } catch (error) {
     console.error('Error fetching food database:', error);
@@ -286,4 +931,55 @@ router.get('/food-database', cache(86400), async (req, res) => {
   }
 });
 
+// 🎯 HELPER FUNCTIONS
+
+// Turn recipe ingredient input into stored ingredients with nutrients filled in.
+// Catalog foods scale per 100g/ml, custom foods per their own unit, and
+// manual ingredients keep the nutrient values sent with them.
+async function resolveIngredients(userId, ingredients) {
+  return Promise.all(ingredients.map(async (ingredient) => {
+    const quantity = Number(ingredient.quantity);
+
+    if (ingredient.foodId) {
+      const food = await Food.findById(ingredient.foodId).lean();
+      if (!food) throw badRequest(`Food ${ingredient.foodId} not found`);
+      return {
+        foodId: food._id,
+        name: food.name,
+        quantity,
+        unit: food.unit === '100ml' ? 'ml' : 'grams',
+        ...scaleNutrients(food, quantity)
+      };
+    }
+
+    if (ingredient.customFoodId) {
+      const customFood = await CustomFood.findOne({ _id: ingredient.customFoodId, userId }).lean();
+      if (!customFood) throw badRequest(`Custom food ${ingredient.customFoodId} not found`);
+      return {
+        customFoodId: customFood._id,
+        name: customFood.name,
+        quantity,
+        unit: { '100g': 'grams', '100ml': 'ml', serving: 'servings' }[customFood.unit],
+        ...scaleNutrients(customFood, quantity)
+      };
+    }
+
+    if (!ingredient.name || ingredient.calories === undefined) {
+      throw badRequest('Each ingredient needs a foodId, customFoodId, or a name and calories');
+    }
+
+    const manual = { name: ingredient.name, quantity, unit: ingredient.unit || 'grams' };
+    NUTRIENT_FIELDS.forEach(field => {
+      manual[field] = Number(ingredient[field]) || 0;
+    });
+    return manual;
+  }));
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
 module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { deliver } = require('../utils/notificationChannels');
+const { assertPublicUrl } = require('../utils/publicAddress');
+const { TIME_PATTERN } = require('../utils/medicationSchedule');
+const { isValidTimeZone } = require('../utils/dates');
+
+const router = express.Router();
+
+// 📥 INBOX
+
+// Get the user's in-app notifications, newest first
+router.get('/', [
+  auth,
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be true or false'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { userId: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(req.query.limit ? parseInt(req.query.limit, 10) : 50),
+      Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unread badge count
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark everything read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { userId: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ⚙️ SETTINGS
+// Declared before /:id so "settings" is not taken for a notification id
+
+router.get('/settings', auth, async (req, res) => {
+  try {
+    res.json({ settings: req.user.notificationSettings });
+  } catch (error) {
+    console.error('Error fetching notification settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const SETTING_FIELDS = [
+  'channels.inApp',
+  'channels.email',
+  'channels.webhook',
+  'webhookUrl',
+  'timeZone',
+  'quietHours.enabled',
+  'quietHours.start',
+  'quietHours.end',
+  'reminders.medicationDoses',
+  'reminders.mealLogging',
+  'reminders.mealTimes.breakfast',
+  'reminders.mealTimes.lunch',
+  'reminders.mealTimes.dinner',
+  'reminders.metricCheckIn',
+  'reminders.metricCheckInTime',
+  'reminders.metricCheckInDays',
+  'reminders.weeklyDigest'
+];
+
+const readPath = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Update any subset of the settings
+router.put('/settings', [
+  auth,
+  ...['channels.inApp', 'channels.email', 'channels.webhook', 'quietHours.enabled',
+    'reminders.medicationDoses', 'reminders.mealLogging', 'reminders.metricCheckIn', 'reminders.weeklyDigest'].map(field =>
+    body(field)
+      .optional()
+      .isBoolean()
+      .withMessage(`${field} must be true or false`)
+  ),
+  ...['quietHours.start', 'quietHours.end', 'reminders.mealTimes.breakfast', 'reminders.mealTimes.lunch',
+    'reminders.mealTimes.dinner', 'reminders.metricCheckInTime'].map(field =>
+    body(field)
+      .optional()
+      .matches(TIME_PATTERN)
+      .withMessage(`${field} must be HH:MM`)
+  ),
+  body('reminders.metricCheckInDays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Check-in days must be a list'),
+  body('reminders.metricCheckInDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Check-in days must be 0 (Sunday) to 6 (Saturday)'),
+  body('timeZone')
+    .optional()
+    .isString()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be an IANA name such as Europe/London'),
+  body('webhookUrl')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook URL must be an http(s) URL')
+    .bail()
+    .custom(async (url) => {
+      try {
+        await assertPublicUrl(url);
+      } catch (error) {
+        throw new Error(`Webhook ${error.message}`);
+      }
+      return true;
+    }),
+  body('channels.webhook').custom((enabled, { req }) => {
+    const url = req.body.webhookUrl !== undefined ? req.body.webhookUrl : req.user.notificationSettings?.webhookUrl;
+    if (enabled === true && !url) {
+      throw new Error('Set a webhook URL before enabling webhook delivery');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    SETTING_FIELDS.forEach(field => {
+      const value = readPath(req.body, field);
+      if (value !== undefined) updates[`notificationSettings.${field}`] = value;
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Notification settings updated successfully',
+      settings: user.notificationSettings
+    });
+  } catch (error) {
+    console.error('Error updating notification settings:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a test notification through every enabled channel
+router.post('/test', auth, async (req, res) => {
+  try {
+    const results = await deliver(req.user, {
+      type: 'test',
+      title: 'Test notification',
+      body: 'Notifications are working. Reminders will arrive through the same channels.',
+      data: {}
+    });
+
+    res.json({
+      message: 'Test notification sent',
+      results
+    });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const notificationIdParam = param('id').isMongoId().withMessage('Invalid notification id');
+
+// Mark one notification read
+router.put('/:id/read', [auth, notificationIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', [auth, notificationIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const {
+  generateSecret,
+  matchTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  recordSecondFactorSuccess
+} = require('../utils/loginThrottle');
+
+const router = express.Router();
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const passwordField = body('password')
+  .isString()
+  .notEmpty()
+  .withMessage('Password is required');
+
+const isRequiredFor = async (user) =>
+  user.role === 'admin' && !!(await Setting.getValue('requireAdminTwoFactor'));
+
+// Wrong passwords get 400, not 401, so clients don't mistake them for an expired session
+const passwordIsWrong = async (user, password) => {
+  const withPassword = await User.findById(user._id).select('+password');
+  return !(await withPassword.comparePassword(password));
+};
+
+const secondFactorBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(429).json({ message: block.message, retryAfter: block.retryAfter });
+  return false;
+};
+
+// Turning 2FA off or replacing recovery codes needs the password and a second
+// factor; `code` may be an app code or a recovery code. Wrong answers count
+// towards the same per-user limit as wrong codes at /login/2fa.
+const confirmIdentity = async (req, res) => {
+  const block = await checkSecondFactorAllowed(req.user._id);
+  if (block) return secondFactorBlocked(res, block);
+
+  const refuse = async (message) => {
+    const remaining = await recordSecondFactorFailure(req.user._id);
+    const failureBlock = await checkSecondFactorAllowed(req.user._id);
+    if (failureBlock) return secondFactorBlocked(res, failureBlock);
+    res.status(400).json({ message, attemptsRemaining: remaining });
+    return false;
+  };
+
+  if (await passwordIsWrong(req.user, req.body.password)) {
+    return refuse('Password is incorrect');
+  }
+
+  const code = String(req.body.code || '').replace(/\s/g, '');
+  const factor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+  if (!code || !(await verifySecondFactor(req.user, factor))) {
+    return refuse('Invalid code');
+  }
+
+  await recordSecondFactorSuccess(req.user._id);
+  return true;
+};
+
+// 🔑 TWO-FACTOR AUTHENTICATION
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.enabled
+        ? user.twoFactor.recoveryCodes.filter(code => !code.usedAt).length
+        : 0,
+      required: await isRequiredFor(user)
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ message: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enrollment: a new secret to add to an authenticator app
+router.post('/setup', [auth, passwordField], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+    if (await passwordIsWrong(req.user, req.body.password)) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrollment with a code from the app; returns the recovery codes once
+router.post('/enable', [
+  auth,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    const secret = user.twoFactor?.pendingSecret;
+    if (user.twoFactor?.enabled || !secret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = matchTotp(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid code. Check the time on your phone and try again.' });
+    }
+
+    const recovery = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': secret,
+        'twoFactor.lastUsedCounter': step,
+        'twoFactor.recoveryCodes': recovery.stored
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    });
+
+    console.log(`🔑 Two-factor authentication turned on for user ${user._id}`);
+    res.json({
+      message: 'Two-factor authentication is on',
+      recoveryCodes: recovery.codes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor:', error);
+    res.status(500).json({ message: 'Failed to turn on two-factor authentication' });
+  }
+});
+
+router.post('/disable', [auth, passwordField], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already off' });
+    }
+    if (await isRequiredFor(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+    if (!(await confirmIdentity(req, res))) return;
+
+    await User.updateOne({ _id: req.user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': '',
+        'twoFactor.secret': '',
+        'twoFactor.lastUsedCounter': '',
+        'twoFactor.recoveryCodes': ''
+      }
+    });
+
+    console.log(`🔑 Two-factor authentication turned off for user ${req.user._id}`);
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    res.status(500).json({ message: 'Failed to turn off two-factor authentication' });
+  }
+});
+
+// Replace every recovery code (the old ones stop working)
+router.post('/recovery-codes', [auth, passwordField], async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is off' });
+    }
+    if (!(await confirmIdentity(req, res))) return;
+
+    const recovery = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.recoveryCodes': recovery.stored } });
+
+    res.json({
+      message: 'New recovery codes created',
+      recoveryCodes: recovery.codes
+    });
+  } catch (error) {
+    console.error('Error replacing recovery codes:', error);
+    res.status(500).json({ message: 'Failed to create recovery codes' });
+  }
+});
+
+module.exports = router;
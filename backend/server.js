@@ -5,6 +5,9 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const session = require('express-session');
 const redisClient = require('./config/redis');
+const { seedDefaultFoods } = require('./utils/foodImporter');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
+const { startDigestScheduler } = require('./utils/digestScheduler');
 require('dotenv').config();
 
 // Add process error handlers
@@ -23,6 +26,11 @@ const healthRoutes = require('./routes/health');
 const aiRoutes = require('./routes/ai');
 const mealsRoutes = require('./routes/meals');
 const redisAnalyticsRoutes = require('./routes/redis-analytics');
+const notificationRoutes = require('./routes/notifications');
+const chatRoutes = require('./routes/chat');
+const mealPlanRoutes = require('./routes/mealPlans');
+const digestRoutes = require('./routes/digests');
+const twoFactorRoutes = require('./routes/twoFactor');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -81,6 +89,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/health-gu
 
     // Initialize Redis after MongoDB connection
     await initializeRedis();
+
+    // Load the starter food catalog on a fresh database
+    await seedDefaultFoods();
+
+    // Reminders need both the database and (optionally) Redis
+    startReminderScheduler();
+    startDigestScheduler();
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -104,14 +119,24 @@ const adminRoutes = require('./routes/admin');
 // ... other imports ...
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/auth/2fa', twoFactorRoutes); // Handle proxy-rewritten paths
 app.use('/api/auth', authRoutes);
 app.use('/auth', authRoutes); // Handle proxy-rewritten paths
 app.use('/api/health', healthRoutes);
 app.use('/health', healthRoutes); // Handle proxy-rewritten paths
+app.use('/api/ai/chat', chatRoutes);
+app.use('/ai/chat', chatRoutes); // Handle proxy-rewritten paths
+app.use('/api/ai', mealPlanRoutes);
+app.use('/ai', mealPlanRoutes); // Handle proxy-rewritten paths
+app.use('/api/ai', digestRoutes);
+app.use('/ai', digestRoutes); // Handle proxy-rewritten paths
 app.use('/api/ai', aiRoutes);
 app.use('/ai', aiRoutes); // Handle proxy-rewritten paths
 app.use('/api/meals', mealsRoutes);
 app.use('/meals', mealsRoutes); // Handle proxy-rewritten paths
+app.use('/api/notifications', notificationRoutes);
+app.use('/notifications', notificationRoutes); // Handle proxy-rewritten paths
 
 // Admin Routes (User Management & Stats)
 app.use('/api/admin', adminRoutes);
@@ -0,0 +1,73 @@
+const net = require('net');
+require('dotenv').config();
+
+// Minimal SMTP server for development: accepts every message and prints it.
+// Usage: npm run mail-sink   (listens on SMTP_PORT, default 1025)
+
+const port = parseInt(process.env.SMTP_PORT || '1025', 10);
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let message = { from: '', to: [], lines: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 health-guard-sink ESMTP ready');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+
+            if (inData) {
+                if (line === '.') {
+                    inData = false;
+                    console.log('\n📧 ─────────────────────────────────────────');
+                    console.log(`From: ${message.from}`);
+                    console.log(`To:   ${message.to.join(', ')}`);
+                    console.log(message.lines.join('\n'));
+                    message = { from: '', to: [], lines: [] };
+                    reply('250 OK: message accepted');
+                } else {
+                    // Undo dot-stuffing
+                    message.lines.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 health-guard-sink');
+            } else if (command === 'MAIL') {
+                message.from = line.slice(10).trim();
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                message.to.push(line.slice(8).trim());
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                message = { from: '', to: [], lines: [] };
+                reply('250 OK');
+            } else if (command === 'NOOP') {
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+
+    socket.on('error', (error) => console.error('❌ SMTP sink connection error:', error.message));
+});
+
+server.listen(port, () => {
+    console.log(`📬 SMTP sink listening on port ${port} — messages are printed here, never delivered`);
+});
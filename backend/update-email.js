@@ -30,10 +30,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/health-gu
         }
 
         user.email = newEmail;
+        // Nobody has confirmed the new address yet
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
         await user.save();
 
         console.log(`✅ Successfully updated email from "${currentEmail}" to "${newEmail}"`);
         console.log('👉 Please logout and login with your NEW EMAIL.');
+        console.log('👉 Users can change their own email from the Account page; this script skips the confirmation link.');
 
         process.exit(0);
     })
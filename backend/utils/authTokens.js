@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { sendMail } = require('./mailer');
+
+/**
+ * Emailed, single-use tokens for password resets, email verification, email
+ * changes and unlocking an account after failed logins. Issuing a token replaces any unused one for the same purpose,
+ * so only the newest link works.
+ */
+
+const TOKEN_TTL_MS = {
+  'password-reset': 60 * 60 * 1000,
+  'email-verification': 24 * 60 * 60 * 1000,
+  'email-change': 24 * 60 * 60 * 1000,
+  'account-unlock': 60 * 60 * 1000
+};
+// Repeat requests inside this window don't send another email
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const APP_URL = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a token and invalidate older unused ones
+ * @param {Object} user - User document
+ * @param {string} purpose - One of AuthToken.PURPOSES
+ * @param {string} [email] - Address the link goes to (defaults to the user's)
+ * @returns {Promise<string>} - The raw token, to put in the link
+ */
+const issueToken = async (user, purpose, email = user.email) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await AuthToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+
+  return token;
+};
+
+const issuedRecently = async (userId, purpose) => {
+  return !!(await AuthToken.exists({
+    userId,
+    purpose,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) }
+  }));
+};
+
+const usableTokenFilter = (token, purposes) => ({
+  tokenHash: hashToken(String(token)),
+  purpose: { $in: purposes },
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Look a token up without using it, to check it can be acted on first
+ * @returns {Promise<Object|null>} - The token document, or null if unknown, used or expired
+ */
+const findToken = async (token, purposes) => {
+  if (!token) return null;
+  return AuthToken.findOne(usableTokenFilter(token, purposes));
+};
+
+/**
+ * Use up a token. Marking it used is atomic, so a link only ever works once.
+ * @param {string} token - Raw token from the link
+ * @param {string[]} purposes - Purposes accepted here
+ * @returns {Promise<Object|null>} - The token document, or null if unknown, used or expired
+ */
+const consumeToken = async (token, purposes) => {
+  if (!token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    usableTokenFilter(token, purposes),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// ✉️ EMAILS
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, 'email-verification');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Health Guard email address',
+    text: `Hi ${user.name},\n\nConfirm this address for your Health Guard account:\n${APP_URL()}/verify-email?token=${token}\n\n` +
+      'The link works once and expires in 24 hours. If you didn\'t create an account, ignore this email.\n\n— Health Guard'
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, 'password-reset');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Health Guard password',
+    text: `Hi ${user.name},\n\nSomeone (hopefully you) asked to reset your password. Choose a new one here:\n` +
+      `${APP_URL()}/reset-password?token=${token}\n\n` +
+      'The link works once and expires in 1 hour. If you didn\'t ask, ignore this email and your password stays the same.\n\n— Health Guard'
+  });
+};
+
+// The link goes to the new address; the old address is told about the request
+const sendEmailChangeEmails = async (user, newEmail) => {
+  const token = await issueToken(user, 'email-change', newEmail);
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new Health Guard email address',
+    text: `Hi ${user.name},\n\nConfirm ${newEmail} as the new email address for your Health Guard account:\n` +
+      `${APP_URL()}/verify-email?token=${token}\n\n` +
+      'Until you do, you keep signing in with your current address. The link expires in 24 hours.\n\n— Health Guard'
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Health Guard email address is changing',
+    text: `Hi ${user.name},\n\nA request was made to change your account email to ${newEmail}. ` +
+      'Nothing changes until the new address is confirmed.\n\n' +
+      'If this wasn\'t you, change your password and sign out other devices from your Account page.\n\n— Health Guard'
+  });
+};
+
+// Sent when failed logins lock the account; the link lifts the lock early
+const sendUnlockEmail = async (user, lockedUntil) => {
+  const token = await issueToken(user, 'account-unlock');
+  const minutes = Math.max(1, Math.round((new Date(lockedUntil) - Date.now()) / 60000));
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Health Guard account was locked',
+    text: `Hi ${user.name},\n\nThere were too many failed attempts to sign in to your account, so it is locked ` +
+      `for the next ${minutes} minute(s). If that was you, unlock it now:\n${APP_URL()}/unlock-account?token=${token}\n\n` +
+      'If it wasn\'t you, someone may be guessing your password. Reset it here, which also lifts the lock:\n' +
+      `${APP_URL()}/forgot-password\n\n— Health Guard`
+  });
+};
+
+module.exports = {
+  issueToken,
+  issuedRecently,
+  findToken,
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmails,
+  sendUnlockEmail
+};
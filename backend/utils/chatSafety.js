@@ -0,0 +1,115 @@
+/**
+ * Safety rails for the AI health coach.
+ * Messages are screened before they reach the model: red-flag symptoms get an
+ * escalation reply and diagnosis requests a refusal, both without calling the
+ * LLM. The system prompt repeats the same rules for anything that slips past.
+ */
+
+// Symptoms that need urgent care rather than nutrition advice
+const RED_FLAGS = [
+  {
+    id: 'chest-pain',
+    label: 'chest pain or pressure',
+    pattern: /\bchest (pain|pressure|tightness)|\b(pain|tightness|pressure) in (my )?chest|\bheart attack\b/i
+  },
+  {
+    id: 'breathing',
+    label: 'difficulty breathing',
+    pattern: /\b(can'?t|cannot|struggling to|hard to|trouble|difficulty) breath(e|ing)|\bshort(ness)? of breath\b/i
+  },
+  {
+    id: 'stroke',
+    label: 'possible stroke signs',
+    pattern: /\b(face|mouth) (is )?droop|\bslurred speech\b|\bnumb(ness)? (on|in) (one|the left|the right) side\b|\b(having|signs of) a stroke\b/i
+  },
+  {
+    id: 'self-harm',
+    label: 'thoughts of self-harm',
+    pattern: /\b(kill|hurt|harm) myself\b|\bsuicid(e|al)\b|\bend my life\b|\bself[- ]harm\b/i
+  },
+  {
+    id: 'fainting',
+    label: 'fainting or seizures',
+    pattern: /\b(fainted|fainting|passed out|pass out|blacked out|seizure|convulsion)/i
+  },
+  {
+    id: 'bleeding',
+    label: 'serious bleeding',
+    pattern: /\b(vomiting|throwing up|coughing( up)?) blood\b|\bblood in (my )?(stool|vomit|urine)\b|\bblack,? tarry stool|\bbleeding (heavily|won'?t stop)/i
+  },
+  {
+    id: 'anaphylaxis',
+    label: 'a severe allergic reaction',
+    pattern: /\b(throat|tongue|lips?) (is |are )?(swelling|swollen|closing)|\banaphyla/i
+  },
+  {
+    id: 'blood-sugar',
+    label: 'a dangerous blood sugar level',
+    // mg/dL: above 400 or below 54
+    pattern: /\b(blood sugar|glucose) (is |was |of |at )*((over|above) )?[4-9]\d\d\b|\b(blood sugar|glucose) (is |was |of |at )*((under|below) )?([1-4]\d|5[0-3])\b|\bketoacidosis\b|\bDKA\b/i
+  }
+];
+
+// Requests to identify a condition, which the coach must not do
+const DIAGNOSIS_PATTERNS = [
+  /\bdo i have (an? )?([\w'-]+ ){0,2}(disease|disorder|syndrome|infection|diabetes|cancer|hypertension|an(a)?emia|celiac|coeliac|ibs|gout|deficiency|allergy|intolerance)\b/i,
+  /\bdiagnos(e|is) (me|my)\b/i,
+  /\bcan you diagnose\b/i,
+  /\bwhat(?:'s| is) wrong with me\b/i,
+  /\bwhat (disease|condition|illness) do i have\b/i,
+  /\bam i (diabetic|pre-?diabetic|anemic|anaemic|hypertensive|having a)\b/i
+];
+
+const EMERGENCY_NUMBER_NOTE = 'call your local emergency number (911 in the US, 112 in the EU, 999 in the UK)';
+
+/**
+ * Check a user message against the safety rails
+ * @param {string} text
+ * @returns {Object|null} - { type: 'red-flag', flags } or { type: 'diagnosis' }, null when clear
+ */
+const screenMessage = (text) => {
+  const flags = RED_FLAGS.filter(flag => flag.pattern.test(text));
+  if (flags.length > 0) return { type: 'red-flag', flags };
+  if (DIAGNOSIS_PATTERNS.some(pattern => pattern.test(text))) return { type: 'diagnosis' };
+  return null;
+};
+
+/**
+ * The coach's reply for a screened message
+ */
+const safetyReply = (screening) => {
+  if (screening.type === 'red-flag') {
+    const labels = screening.flags.map(flag => flag.label).join(' and ');
+    const lines = [
+      `What you describe (${labels}) can be a sign of a medical emergency, and it's not something I can assess.`,
+      '',
+      `**Please get help now:** ${EMERGENCY_NUMBER_NOTE}, or go to the nearest emergency department. Don't wait to see if it passes.`
+    ];
+    if (screening.flags.some(flag => flag.id === 'self-harm')) {
+      lines.push('', "If you're thinking about harming yourself, you can call or text 988 (Suicide & Crisis Lifeline, US) or contact your local crisis line at any time. You don't have to go through this alone.");
+    }
+    lines.push('', "Once you're safe and have been seen, I'm happy to help with your diet and daily habits.");
+    return lines.join('\n');
+  }
+
+  return [
+    "I can't diagnose conditions or tell you whether you have one; that needs a doctor who can examine you and order the right tests.",
+    '',
+    "If you're worried about symptoms, please book an appointment with your doctor. In the meantime I can help with things like meal ideas, reading your logged nutrition, or how your diet fits the conditions and medications already in your profile."
+  ].join('\n');
+};
+
+// Ground rules included in every coach system prompt
+const SAFETY_RULES = `Rules you must always follow:
+- You are a nutrition and healthy-habits coach, not a doctor. Never diagnose a condition or say whether the user has one.
+- Never tell the user to start, stop or change the dose of a medication; refer medication questions to their doctor or pharmacist.
+- If the user mentions symptoms that could be an emergency (chest pain, trouble breathing, stroke signs, fainting, severe bleeding, thoughts of self-harm), tell them to ${EMERGENCY_NUMBER_NOTE} and do not give other advice.
+- Base advice on the user's profile below; if something you need is missing, say so instead of guessing.
+- Keep replies short and practical, and recommend a healthcare professional for anything beyond general guidance.`;
+
+module.exports = {
+  RED_FLAGS,
+  SAFETY_RULES,
+  screenMessage,
+  safetyReply
+};
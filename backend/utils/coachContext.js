@@ -0,0 +1,105 @@
+const Meal = require('../models/Meal');
+const { ACTIVITY_LEVELS, estimateEnergyNeeds } = require('./energy');
+const { interactionsForMedications } = require('./interactions');
+const { toDateKey } = require('./dates');
+
+/**
+ * Grounding for the AI health coach: a plain-text snapshot of the user's
+ * metrics, conditions, medications, goal and the last 7 days of meals.
+ * Rebuilt on every turn so replies reflect the latest data.
+ */
+
+const RECENT_DAYS = 7;
+// Food names listed per day; the rest are summarised as a count
+const MAX_FOODS_PER_DAY = 12;
+
+const valueOrMissing = (value, unit = '') => (value ? `${value}${unit}` : 'not recorded');
+
+const describeMetrics = (user) => {
+  const { healthMetrics } = user;
+  const bmi = user.calculateBMI();
+  const energy = estimateEnergyNeeds(user);
+  const profile = user.profile || {};
+
+  return [
+    `- Age: ${profile.dateOfBirth ? user.getAge() : 'not provided'}; sex: ${profile.sex || 'not provided'}; activity: ${profile.activityLevel ? ACTIVITY_LEVELS[profile.activityLevel].label : 'not provided'}`,
+    `- Height: ${valueOrMissing(healthMetrics.height, ' cm')}; weight: ${valueOrMissing(healthMetrics.weight, ' kg')}; BMI: ${bmi ? bmi.toFixed(1) : 'unknown'}`,
+    `- Blood pressure: ${healthMetrics.bloodPressureSystolic && healthMetrics.bloodPressureDiastolic ? `${healthMetrics.bloodPressureSystolic}/${healthMetrics.bloodPressureDiastolic} mmHg` : 'not recorded'}; blood sugar: ${valueOrMissing(healthMetrics.bloodSugar, ' mg/dL')}; cholesterol: ${valueOrMissing(healthMetrics.cholesterol, ' mg/dL')}`,
+    `- Estimated maintenance calories: ${energy ? `${energy.tdee} kcal/day` : 'unknown (height and weight needed)'}`
+  ].join('\n');
+};
+
+const describeGoal = (user) => {
+  const plan = user.getGoalPlan();
+  if (!plan) return 'None set';
+  const target = typeof user.goal.targetWeight === 'number' ? ` towards ${user.goal.targetWeight} kg` : '';
+  if (plan.direction === 'maintain') return `Maintain weight${target}; ${plan.targetCalories} kcal/day`;
+  return `${plan.direction === 'lose' ? 'Lose' : 'Gain'} ${Math.abs(plan.weeklyRate)} kg/week${target}; target ${plan.targetCalories} kcal/day`;
+};
+
+const describeConditions = (user) => {
+  const diseases = user.diseases.filter(d => d.diagnosed);
+  if (diseases.length === 0) return 'None reported';
+  return diseases.map(d => `${d.name}${d.severity ? ` (${d.severity})` : ''}`).join(', ');
+};
+
+const describeMedications = (user) => {
+  const medications = user.medications.filter(m => m.active);
+  if (medications.length === 0) return 'None reported';
+
+  const lines = medications.map(m => `- ${m.name} ${m.dosage}, ${m.frequency}`);
+  interactionsForMedications(medications).forEach(interaction => {
+    lines.push(`- Food interaction (${interaction.medications.join(', ')}): ${interaction.food}. ${interaction.advice}`);
+  });
+  return lines.join('\n');
+};
+
+const describeMeals = (week, meals) => {
+  const foodsByDay = {};
+  meals.forEach(meal => {
+    const key = toDateKey(meal.date);
+    foodsByDay[key] = foodsByDay[key] || [];
+    meal.foods.forEach(food => foodsByDay[key].push(`${food.name} (${meal.mealType})`));
+  });
+
+  return week.map(day => {
+    if (day.calories === 0) return `- ${day.date}: nothing logged`;
+    const foods = foodsByDay[day.date] || [];
+    const listed = foods.slice(0, MAX_FOODS_PER_DAY).join(', ');
+    const more = foods.length > MAX_FOODS_PER_DAY ? ` and ${foods.length - MAX_FOODS_PER_DAY} more` : '';
+    const { protein, carbs, fat } = day.macros;
+    return `- ${day.date}: ${Math.round(day.calories)} kcal (protein ${Math.round(protein)} g, carbs ${Math.round(carbs)} g, fat ${Math.round(fat)} g): ${listed}${more}`;
+  }).join('\n');
+};
+
+/**
+ * Build the coach's view of the user
+ * @param {Object} user - User document
+ * @param {Date} now
+ * @returns {Promise<string>}
+ */
+const buildCoachContext = async (user, now = new Date()) => {
+  const rangeStart = new Date(now);
+  rangeStart.setHours(0, 0, 0, 0);
+  rangeStart.setDate(rangeStart.getDate() - (RECENT_DAYS - 1));
+
+  const [week, meals] = await Promise.all([
+    Meal.getWeeklyCalories(user._id, now),
+    Meal.find({ userId: user._id, date: { $gte: rangeStart, $lte: now } }).sort({ date: 1 })
+  ]);
+
+  return `User profile (current as of ${toDateKey(now)}):
+${describeMetrics(user)}
+
+Weight goal: ${describeGoal(user)}
+
+Diagnosed conditions: ${describeConditions(user)}
+
+Active medications:
+${describeMedications(user)}
+
+Meals logged in the last ${RECENT_DAYS} days:
+${describeMeals(week, meals)}`;
+};
+
+module.exports = { buildCoachContext };
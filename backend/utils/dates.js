@@ -0,0 +1,125 @@
+/**
+ * Calendar-day helpers. Days follow the server's local time zone, the same as
+ * the meal day buckets, except where a user's IANA time zone is passed in
+ * (reminders and medication doses).
+ */
+
+// Read a bare YYYY-MM-DD as a local calendar day rather than UTC midnight
+const parseLocalDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+  }
+  return new Date(value);
+};
+
+// Local YYYY-MM-DD for a date
+const toDateKey = (date) => {
+  const day = new Date(date);
+  const year = day.getFullYear();
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${year}-${month}-${dayOfMonth}`;
+};
+
+// The same time of day, `days` calendar days later
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// 🌍 TIME ZONES
+// These take an IANA zone such as 'Europe/Berlin'; without one they use the
+// server's zone. A calendar day is a Date at UTC midnight standing for that
+// day, so its weekday is getUTCDay() and it steps with addCalendarDays().
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const partFormatters = new Map();
+
+// Wall-clock fields of an instant in the zone
+const zonedParts = (date, timeZone) => {
+  const zoneKey = timeZone || '';
+  if (!partFormatters.has(zoneKey)) {
+    partFormatters.set(zoneKey, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  partFormatters.get(zoneKey).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+};
+
+// How far the zone's wall clock is ahead of UTC at an instant, in ms
+const zoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The calendar day an instant falls on in the zone
+const calendarDay = (date, timeZone) => {
+  const { year, month, day } = zonedParts(new Date(date), timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const addCalendarDays = (day, days) => {
+  const result = new Date(day);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+/**
+ * The instant a calendar day's HH:MM happens in the zone. A time skipped by
+ * a daylight-saving jump moves forward by the jump (02:30 becomes 03:30).
+ */
+const zonedDateTime = (day, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wall = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+  const guess = wall - zoneOffset(new Date(wall), timeZone);
+  return new Date(wall - zoneOffset(new Date(guess), timeZone));
+};
+
+// First and last instants of the day `date` falls on in the zone
+const startOfZonedDay = (date, timeZone) => zonedDateTime(calendarDay(date, timeZone), '00:00', timeZone);
+
+const endOfZonedDay = (date, timeZone) =>
+  new Date(zonedDateTime(addCalendarDays(calendarDay(date, timeZone), 1), '00:00', timeZone).getTime() - 1);
+
+module.exports = {
+  parseLocalDate,
+  toDateKey,
+  addDays,
+  isValidTimeZone,
+  zonedParts,
+  calendarDay,
+  addCalendarDays,
+  zonedDateTime,
+  startOfZonedDay,
+  endOfZonedDay
+};
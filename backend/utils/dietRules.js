@@ -0,0 +1,116 @@
+/**
+ * Rules engine turning a user's diagnosed diseases into daily nutrient limits
+ */
+
+// Nutrients the rules can limit. Catalog foods record total sugars, so the
+// added-sugar limit is checked against `sugar` and errs on the cautious side.
+const LIMITED_NUTRIENTS = {
+  sodium: { label: 'Sodium', unit: 'mg' },
+  sugar: { label: 'Added sugar', unit: 'g' },
+  saturatedFat: { label: 'Saturated fat', unit: 'g' }
+};
+
+// Each rule matches disease names and sets daily limits.
+// When several rules limit the same nutrient the strictest one wins.
+const DISEASE_RULES = [
+  {
+    id: 'hypertension',
+    match: /hypertension|high blood pressure/i,
+    limits: { sodium: 1500 }
+  },
+  {
+    id: 'heart-disease',
+    match: /heart|cardi|coronary/i,
+    limits: { sodium: 1500, saturatedFat: 13 }
+  },
+  {
+    id: 'high-cholesterol',
+    match: /cholesterol|hyperlipid|dyslipid/i,
+    limits: { saturatedFat: 13 }
+  },
+  {
+    id: 'diabetes',
+    match: /diabet|prediabet|insulin resistance/i,
+    limits: { sugar: 25 }
+  },
+  {
+    id: 'kidney-disease',
+    match: /kidney|renal/i,
+    limits: { sodium: 2000 }
+  },
+  {
+    id: 'obesity',
+    match: /obes/i,
+    limits: { sugar: 25, saturatedFat: 20 }
+  },
+  {
+    id: 'fatty-liver',
+    match: /fatty liver|nafld|masld/i,
+    limits: { sugar: 25, saturatedFat: 20 }
+  }
+];
+
+/**
+ * Build daily nutrient limits from diagnosed diseases
+ * @param {Object[]} diseases - User disease entries ({ name, diagnosed })
+ * @returns {Object} - Per nutrient { limit, label, unit, diseases }
+ */
+const getNutrientLimits = (diseases = []) => {
+  const limits = {};
+
+  diseases
+    .filter(disease => disease.diagnosed)
+    .forEach(disease => {
+      DISEASE_RULES
+        .filter(rule => rule.match.test(disease.name))
+        .forEach(rule => {
+          Object.entries(rule.limits).forEach(([nutrient, limit]) => {
+            const current = limits[nutrient];
+            if (!current || limit < current.limit) {
+              limits[nutrient] = {
+                ...LIMITED_NUTRIENTS[nutrient],
+                limit,
+                diseases: current ? current.diseases : []
+              };
+            }
+            if (!limits[nutrient].diseases.includes(disease.name)) {
+              limits[nutrient].diseases.push(disease.name);
+            }
+          });
+        });
+    });
+
+  return limits;
+};
+
+/**
+ * Check the day's nutrient totals against the limits
+ * @param {Object} limits - Output of getNutrientLimits
+ * @param {Object} dayTotals - Nutrient totals for the day, including the new meal
+ * @param {Object} mealTotals - Nutrient totals for the meal just logged
+ * @returns {Object[]} - Warnings for every limit the day now exceeds
+ */
+const checkNutrientLimits = (limits, dayTotals, mealTotals = {}) => {
+  return Object.entries(limits)
+    .filter(([nutrient, { limit }]) => (dayTotals[nutrient] || 0) > limit)
+    .map(([nutrient, { limit, label, unit, diseases }]) => {
+      const consumed = dayTotals[nutrient] || 0;
+      return {
+        nutrient,
+        label,
+        unit,
+        limit,
+        consumed,
+        fromThisMeal: mealTotals[nutrient] || 0,
+        diseases,
+        message: `${label} today is ${consumed}${unit}, over your ${limit}${unit} daily limit for ${diseases.join(', ')}`
+      };
+    });
+};
+
+module.exports = {
+  LIMITED_NUTRIENTS,
+  DISEASE_RULES,
+  getNutrientLimits,
+  checkNutrientLimits
+};
@@ -0,0 +1,360 @@
+const Meal = require('../models/Meal');
+const HealthMetricReading = require('../models/HealthMetricReading');
+const DoseLog = require('../models/DoseLog');
+const Digest = require('../models/Digest');
+const { estimateEnergyNeeds } = require('./energy');
+const { computeAdherence } = require('./medicationSchedule');
+const { getLLMProvider } = require('./llm');
+const { toDateKey, addDays } = require('./dates');
+
+/**
+ * Weekly progress digest.
+ * The numbers come from the database (meals via getWeeklyCalories, metric
+ * readings, medication start/stop dates and dose logs); the narrative is
+ * written from them by the LLM when one is configured, otherwise by a
+ * template. Weeks run Monday to Sunday in server local time.
+ */
+
+// Metrics reported on, in order; height is left out
+const DIGEST_METRICS = [
+  { field: 'weight', label: 'Weight', unit: 'kg' },
+  { field: 'bloodPressureSystolic', label: 'Systolic blood pressure', unit: 'mmHg' },
+  { field: 'bloodPressureDiastolic', label: 'Diastolic blood pressure', unit: 'mmHg' },
+  { field: 'bloodSugar', label: 'Blood sugar', unit: 'mg/dL' },
+  { field: 'cholesterol', label: 'Cholesterol', unit: 'mg/dL' }
+];
+
+// A week of numbers fits comfortably; the narrative should stay short
+const DIGEST_MAX_TOKENS = 700;
+
+// Days logged below this get a logging nudge
+const MIN_LOGGED_DAYS = 5;
+// Average intake this far off target (either way) is called out
+const CALORIE_DRIFT = 0.1;
+const LOW_ADHERENCE = 80;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Monday of the week containing `date`
+const weekStartOf = (date) => startOfDay(addDays(date, -((new Date(date).getDay() + 6) % 7)));
+
+// Monday of the most recent week that has fully ended
+const lastCompletedWeekStart = (now = new Date()) => addDays(weekStartOf(now), -7);
+
+const formatDay = (date) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-US');
+
+const signed = (value) => `${value > 0 ? '+' : '−'}${Math.abs(value)}`;
+
+// 📊 STATS
+
+const collectMetrics = async (userId, from, to) => {
+  const readings = await HealthMetricReading.find({
+    userId,
+    recordedAt: { $gte: from, $lte: to }
+  }).sort({ recordedAt: 1 }).lean();
+
+  const metrics = await Promise.all(DIGEST_METRICS.map(async ({ field, label, unit }) => {
+    const values = readings.filter(reading => typeof reading[field] === 'number').map(reading => reading[field]);
+    if (values.length === 0) return null;
+
+    // Compare with the last reading before the week when there is one
+    const previous = await HealthMetricReading.findOne({
+      userId,
+      recordedAt: { $lt: from },
+      [field]: { $ne: null }
+    }).sort({ recordedAt: -1 }).lean();
+
+    const start = previous ? previous[field] : values[0];
+    const end = values[values.length - 1];
+    return { field, label, unit, start, end, change: round1(end - start), readings: values.length };
+  }));
+
+  return metrics.filter(Boolean);
+};
+
+const collectMedications = async (user, from, to) => {
+  const inWeek = (date) => date && date >= from && date <= to;
+  const describe = (date) => (medication) => ({ name: medication.name, dosage: medication.dosage, date: medication[date] });
+
+  const started = user.medications.filter(medication => inWeek(medication.startDate)).map(describe('startDate'));
+  const stopped = user.medications.filter(medication => inWeek(medication.endDate)).map(describe('endDate'));
+
+  const logs = await DoseLog.findInRange(user._id, from, to);
+  const scheduled = user.medications
+    .filter(medication => medication.active || logs.some(log => log.medicationId.equals(medication._id)))
+    .map(medication => computeAdherence(
+      medication,
+      logs.filter(log => log.medicationId.equals(medication._id)),
+      from,
+      to,
+      user.notificationSettings?.timeZone
+    ))
+    .filter(entry => !entry.asNeeded);
+
+  const expected = scheduled.reduce((sum, entry) => sum + entry.expected, 0);
+  const taken = scheduled.reduce((sum, entry) => sum + entry.taken + entry.late, 0);
+
+  return {
+    started,
+    stopped,
+    adherence: expected > 0 ? Math.round((taken / expected) * 100) : null
+  };
+};
+
+/**
+ * Everything the digest reports on for one week
+ * @param {Object} user - User document
+ * @param {Date} weekStart - Monday of the week
+ * @returns {Promise<Object>} - { weekStart, weekEnd, calories, metrics, medications }
+ */
+const collectDigestStats = async (user, weekStart) => {
+  const from = startOfDay(weekStart);
+  const to = addDays(from, 7);
+  to.setMilliseconds(-1);
+
+  const [week, metrics, medications] = await Promise.all([
+    Meal.getWeeklyCalories(user._id, to),
+    collectMetrics(user._id, from, to),
+    collectMedications(user, from, to)
+  ]);
+
+  const logged = week.filter(day => day.calories > 0);
+  const average = (key) => (logged.length > 0
+    ? logged.reduce((sum, day) => sum + key(day), 0) / logged.length
+    : 0);
+
+  const goalPlan = user.getGoalPlan(to);
+  const energy = estimateEnergyNeeds(user);
+
+  return {
+    weekStart: toDateKey(from),
+    weekEnd: toDateKey(to),
+    calories: {
+      daysLogged: logged.length,
+      average: Math.round(average(day => day.calories)),
+      target: goalPlan ? goalPlan.targetCalories : energy ? energy.tdee : null,
+      total: Math.round(logged.reduce((sum, day) => sum + day.calories, 0)),
+      days: week.map(day => ({ date: day.date, calories: Math.round(day.calories) })),
+      macros: {
+        protein: Math.round(average(day => day.macros.protein)),
+        carbs: Math.round(average(day => day.macros.carbs)),
+        fat: Math.round(average(day => day.macros.fat))
+      }
+    },
+    metrics,
+    medications
+  };
+};
+
+const hasActivity = (stats) =>
+  stats.calories.daysLogged > 0 ||
+  stats.metrics.length > 0 ||
+  stats.medications.started.length > 0 ||
+  stats.medications.stopped.length > 0 ||
+  stats.medications.adherence !== null;
+
+// ✍️ NARRATIVE
+
+const describeMedicationChange = (medication) => `${medication.name} ${medication.dosage} (${formatDay(toDateKey(medication.date))})`;
+
+// Suggestions for next week, straight from the numbers
+const nextWeekTips = (stats) => {
+  const { calories, metrics, medications } = stats;
+  const tips = [];
+
+  if (calories.daysLogged < MIN_LOGGED_DAYS) {
+    tips.push(`Try to log meals on at least ${MIN_LOGGED_DAYS} days so your weekly numbers reflect how you really eat.`);
+  }
+  if (calories.target && calories.daysLogged > 0) {
+    const drift = (calories.average - calories.target) / calories.target;
+    if (drift > CALORIE_DRIFT) tips.push('Your intake ran above target; planning snacks ahead is an easy place to trim.');
+    if (drift < -CALORIE_DRIFT) tips.push('Your intake ran well below target; make sure meals are filling enough to keep your energy up.');
+  }
+  if (metrics.length === 0) {
+    tips.push('Record your weight and other metrics at least once so next week\'s digest can show your trend.');
+  }
+  if (medications.adherence !== null && medications.adherence < LOW_ADHERENCE) {
+    tips.push('Turn on medication reminders under Notifications to help you keep up with your doses.');
+  }
+  if (tips.length === 0) {
+    tips.push('Keep doing what you\'re doing: regular logging and steady habits are paying off.');
+  }
+
+  return tips;
+};
+
+/**
+ * The digest written without the LLM
+ * @param {Object} stats - From collectDigestStats
+ * @returns {string} - Markdown-style text (**bold** headings, • bullets)
+ */
+const templateDigest = (stats) => {
+  const { calories, metrics, medications } = stats;
+  const lines = [`**Your week: ${formatDay(stats.weekStart)} – ${formatDay(stats.weekEnd)}**`, ''];
+
+  lines.push('**Eating**');
+  if (calories.daysLogged === 0) {
+    lines.push('• You didn\'t log any meals this week.');
+  } else {
+    const target = calories.target ? ` against your ${formatNumber(calories.target)} kcal target` : '';
+    lines.push(`• You logged meals on ${calories.daysLogged} of 7 days, averaging ${formatNumber(calories.average)} kcal a day${target}.`);
+
+    const loggedDays = calories.days.filter(day => day.calories > 0);
+    if (loggedDays.length > 1) {
+      const highest = loggedDays.reduce((best, day) => (day.calories > best.calories ? day : best));
+      const lowest = loggedDays.reduce((best, day) => (day.calories < best.calories ? day : best));
+      lines.push(`• Your highest day was ${formatDay(highest.date)} (${formatNumber(highest.calories)} kcal) and your lowest was ${formatDay(lowest.date)} (${formatNumber(lowest.calories)} kcal).`);
+    }
+    lines.push(`• On an average logged day you ate ${calories.macros.protein} g protein, ${calories.macros.carbs} g carbs and ${calories.macros.fat} g fat.`);
+  }
+
+  lines.push('', '**Health metrics**');
+  if (metrics.length === 0) {
+    lines.push('• No new readings this week.');
+  } else {
+    metrics.forEach(metric => {
+      const change = metric.start === metric.end
+        ? `${metric.end} ${metric.unit}, unchanged`
+        : `${metric.start} → ${metric.end} ${metric.unit} (${signed(metric.change)} ${metric.unit})`;
+      lines.push(`• ${metric.label}: ${change} over ${metric.readings} reading${metric.readings === 1 ? '' : 's'}.`);
+    });
+  }
+
+  if (medications.started.length > 0 || medications.stopped.length > 0 || medications.adherence !== null) {
+    lines.push('', '**Medications**');
+    if (medications.started.length > 0) lines.push(`• Started: ${medications.started.map(describeMedicationChange).join(', ')}.`);
+    if (medications.stopped.length > 0) lines.push(`• Stopped: ${medications.stopped.map(describeMedicationChange).join(', ')}.`);
+    if (medications.adherence !== null) lines.push(`• You took ${medications.adherence}% of your scheduled doses.`);
+  }
+
+  lines.push('', '**Next week**');
+  nextWeekTips(stats).forEach(tip => lines.push(`• ${tip}`));
+
+  return lines.join('\n');
+};
+
+const digestPrompt = (user, stats) => `Write ${user.name ? `${user.name.split(' ')[0]}'s` : 'the user\'s'} weekly health progress digest for ${formatDay(stats.weekStart)} – ${formatDay(stats.weekEnd)}.
+
+The week's numbers (JSON):
+${JSON.stringify({ calories: stats.calories, metrics: stats.metrics, medications: stats.medications }, null, 2)}
+
+Guidelines:
+- Start with a bold title line, then short sections with **bold** headings (Eating, Health metrics, Medications when there were any, Next week) and bullet points starting with "• ".
+- Use only the numbers above; do not invent readings, foods or medications. Say plainly when something wasn't logged.
+- Be encouraging and specific; under 250 words.
+- Do not diagnose or suggest changing medication doses; suggest talking to a healthcare provider if a trend looks concerning.`;
+
+// 📝 GENERATE
+
+/**
+ * Build and store the digest for one user and week, replacing any earlier one
+ * @param {Object} user - User document
+ * @param {Date} weekStart - Monday of the week
+ * @returns {Promise<Object>} - The saved Digest
+ */
+const generateDigest = async (user, weekStart) => {
+  const stats = await collectDigestStats(user, weekStart);
+  let narrative = null;
+  let source = 'template';
+  let model;
+
+  // Empty weeks don't need the model
+  const llm = hasActivity(stats) ? getLLMProvider() : null;
+  if (llm) {
+    try {
+      const completion = await llm.complete({
+        messages: [
+          {
+            role: 'system',
+            content: 'You are a supportive health coach writing a short weekly progress summary. You are not a doctor.'
+          },
+          { role: 'user', content: digestPrompt(user, stats) }
+        ],
+        maxTokens: DIGEST_MAX_TOKENS
+      });
+      if (completion.content && completion.content.trim()) {
+        narrative = completion.content.trim();
+        source = 'ai';
+        model = completion.model;
+      }
+    } catch (error) {
+      console.error('AI digest error, using template:', error.message);
+    }
+  }
+
+  const { weekStart: weekStartKey, weekEnd, ...numbers } = stats;
+  return Digest.findOneAndUpdate(
+    { userId: user._id, weekStart: weekStartKey },
+    {
+      $set: {
+        weekEnd,
+        source,
+        model,
+        narrative: narrative || templateDigest(stats),
+        stats: numbers
+      }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// 📤 EXPORT
+
+/**
+ * A digest as a standalone Markdown document
+ * @param {Object} digest - Digest document
+ * @returns {string}
+ */
+const digestToMarkdown = (digest) => {
+  const { calories, metrics, medications } = digest.stats;
+  const lines = [
+    `# Health Guard weekly digest: ${digest.weekStart} to ${digest.weekEnd}`,
+    '',
+    // The narrative uses "• " bullets; Markdown wants "- "
+    digest.narrative.replace(/^• /gm, '- '),
+    '',
+    '## Daily calories',
+    '',
+    '| Day | Calories |',
+    '| --- | ---: |',
+    ...calories.days.map(day => `| ${day.date} | ${day.calories} |`),
+    '',
+    `Average on logged days: ${calories.average} kcal${calories.target ? ` (target ${calories.target} kcal)` : ''}`
+  ];
+
+  if (metrics.length > 0) {
+    lines.push('', '## Metrics', '', '| Metric | Start | End | Change | Readings |', '| --- | ---: | ---: | ---: | ---: |');
+    metrics.forEach(metric => {
+      lines.push(`| ${metric.label} (${metric.unit}) | ${metric.start} | ${metric.end} | ${metric.change} | ${metric.readings} |`);
+    });
+  }
+
+  if (medications.started.length > 0 || medications.stopped.length > 0 || medications.adherence !== null) {
+    lines.push('', '## Medications', '');
+    medications.started.forEach(medication => lines.push(`- Started ${medication.name} ${medication.dosage} on ${toDateKey(medication.date)}`));
+    medications.stopped.forEach(medication => lines.push(`- Stopped ${medication.name} ${medication.dosage} on ${toDateKey(medication.date)}`));
+    if (medications.adherence !== null) lines.push(`- Scheduled doses taken: ${medications.adherence}%`);
+  }
+
+  lines.push('', `_Generated ${digest.updatedAt.toISOString()} (${digest.source === 'ai' ? `AI, ${digest.model}` : 'template'}). Not medical advice._`, '');
+  return lines.join('\n');
+};
+
+module.exports = {
+  weekStartOf,
+  lastCompletedWeekStart,
+  collectDigestStats,
+  hasActivity,
+  templateDigest,
+  generateDigest,
+  digestToMarkdown
+};
@@ -0,0 +1,121 @@
+const redisClient = require('../config/redis');
+const User = require('../models/User');
+const Digest = require('../models/Digest');
+const { deliver } = require('./notificationChannels');
+const { toDateKey } = require('./dates');
+const { lastCompletedWeekStart, generateDigest, hasActivity } = require('./digest');
+
+/**
+ * Weekly digest job.
+ * Every hour it writes the last completed week's digest for users who don't
+ * have one yet, so digests appear on Monday and a server that was down catches
+ * up. The stored digest is the record of success: only users without one are
+ * loaded. With Redis, a per-user claim stops two instances writing the same
+ * digest; a user whose digest fails is retried a few times, spaced out.
+ */
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+const CLAIM_KEY_PREFIX = 'digests:claimed:';
+const RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS_PER_WEEK = 3;
+
+// userId -> { weekStart, attempts, retryAt } for digests that failed
+const failures = new Map();
+
+const shouldRetry = (userId, weekStart, now) => {
+  const failure = failures.get(userId);
+  if (!failure || failure.weekStart !== weekStart) return true;
+  return failure.attempts < MAX_ATTEMPTS_PER_WEEK && failure.retryAt <= now;
+};
+
+const recordFailure = (userId, weekStart, now) => {
+  const previous = failures.get(userId);
+  const attempts = previous && previous.weekStart === weekStart ? previous.attempts + 1 : 1;
+  failures.set(userId, { weekStart, attempts, retryAt: now + RETRY_DELAY_MS });
+};
+
+const claim = async (userId, weekStart) => {
+  if (!redisClient.isConnected) return true;
+  return redisClient.setIfAbsent(`${CLAIM_KEY_PREFIX}${weekStart}:${userId}`, 1, 6 * 60 * 60);
+};
+
+const notifyDigestReady = async (user, digest) => {
+  if (user.notificationSettings?.reminders?.weeklyDigest === false) return;
+
+  await deliver(user, {
+    type: 'weekly-digest',
+    title: 'Your weekly digest is ready',
+    body: `Your progress summary for the week of ${digest.weekStart} is on your Dashboard.`,
+    data: { digestId: digest._id.toString(), weekStart: digest.weekStart }
+  });
+};
+
+/**
+ * Write the last completed week's digest for every user who doesn't have one
+ */
+const runWeeklyDigests = async (now = new Date()) => {
+  const weekStart = lastCompletedWeekStart(now);
+  const weekStartKey = toDateKey(weekStart);
+
+  // Failures from earlier weeks no longer matter
+  for (const [userId, failure] of failures) {
+    if (failure.weekStart !== weekStartKey) failures.delete(userId);
+  }
+
+  let written = 0;
+
+  const done = await Digest.distinct('userId', { weekStart: weekStartKey });
+  const users = User.find({ _id: { $nin: done } }).cursor();
+  for await (const user of users) {
+    const userId = user._id.toString();
+    if (!shouldRetry(userId, weekStartKey, now.getTime())) continue;
+
+    try {
+      // Another instance may have written it since the query above
+      if (await Digest.exists({ userId: user._id, weekStart: weekStartKey })) continue;
+      if (!(await claim(user._id, weekStartKey))) continue;
+
+      const digest = await generateDigest(user, weekStart);
+      written += 1;
+
+      // Nothing to read about an empty week
+      if (hasActivity(digest.stats)) {
+        await notifyDigestReady(user, digest);
+      }
+    } catch (error) {
+      recordFailure(userId, weekStartKey, now.getTime());
+      console.error(`❌ Weekly digest for user ${user._id} failed:`, error.message);
+    }
+  }
+
+  if (written > 0) console.log(`📰 Wrote ${written} weekly digest(s) for the week of ${weekStartKey}`);
+  return written;
+};
+
+// ▶️ LIFECYCLE
+
+let runTimer = null;
+
+const startDigestScheduler = () => {
+  if (process.env.DIGESTS_DISABLED === 'true' || runTimer) return;
+
+  const run = () => {
+    runWeeklyDigests().catch(error => console.error('❌ Weekly digest error:', error.message));
+  };
+
+  run();
+  runTimer = setInterval(run, RUN_INTERVAL_MS);
+
+  console.log('📰 Weekly digest scheduler started');
+};
+
+const stopDigestScheduler = () => {
+  clearInterval(runTimer);
+  runTimer = null;
+};
+
+module.exports = {
+  startDigestScheduler,
+  stopDigestScheduler,
+  runWeeklyDigests
+};
@@ -1,114 +1,153 @@
 const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Current password hash scheme. Hashes are stored as
+// $scrypt$v=1$ln=15,r=8,p=3$<salt>$<hash> (base64), so the parameters can be
+// raised later and older hashes recognised and upgraded on login.
+const SCRYPT_PREFIX = '$scrypt$';
+const SCRYPT_VERSION = 1;
 
 /**
  * PasswordEncryption class for secure password handling using modern crypto methods
  */
 class PasswordEncryption {
   constructor() {
-    this.algorithm = 'aes-256-cbc';
-    this.keyLength = 32; // 256 bits
-    this.ivLength = 16;  // 128 bits
-    this.saltLength = 32; // 256 bits
-    this.iterations = 100000; // PBKDF2 iterations
-    this.hashAlgorithm = 'sha512';
+    // scrypt: 2^15 × 8 × 128 bytes = 32 MiB per hash, 3 passes
+    this.scrypt = { ln: 15, r: 8, p: 3 };
+    this.hashLength = 64;
+    this.saltLength = 16;
+
+    // Legacy AES-256-CBC scheme, only read to verify and upgrade old passwords
+    this.legacy = {
+      algorithm: 'aes-256-cbc',
+      keyLength: 32, // 256 bits
+      ivLength: 16,  // 128 bits
+      saltLength: 32, // 256 bits
+      iterations: 100000, // PBKDF2 iterations
+      hashAlgorithm: 'sha512'
+    };
   }
 
   /**
-   * Generate cryptographically secure random salt
-   * @returns {Buffer} - Random salt
+   * Derive a scrypt hash
+   * @param {string} password - Plain text password
+   * @param {Buffer} salt
+   * @param {Object} params - { ln, r, p }
+   * @returns {Promise<Buffer>}
    */
-  generateSalt() {
-    return crypto.randomBytes(this.saltLength);
+  deriveScrypt(password, salt, { ln, r, p }) {
+    const N = 2 ** ln;
+    return scrypt(password, salt, this.hashLength, { N, r, p, maxmem: 256 * N * r });
   }
 
   /**
-   * Derive key from password using PBKDF2
-   * @param {string} password - Plain text password
-   * @param {Buffer} salt - Salt for key derivation
-   * @returns {Buffer} - Derived key
+   * Split a stored scrypt hash string into its parts
+   * @param {string} stored
+   * @returns {Object|null} - { version, params: { ln, r, p }, salt, hash }, null when not a scrypt hash
    */
-  deriveKey(password, salt) {
-    return crypto.pbkdf2Sync(password, salt, this.iterations, this.keyLength, this.hashAlgorithm);
+  parseScryptHash(stored) {
+    if (typeof stored !== 'string' || !stored.startsWith(SCRYPT_PREFIX)) return null;
+
+    const [version, params, salt, hash] = stored.slice(SCRYPT_PREFIX.length).split('$');
+    const versionMatch = /^v=(\d+)$/.exec(version || '');
+    const paramsMatch = /^ln=(\d+),r=(\d+),p=(\d+)$/.exec(params || '');
+    if (!versionMatch || !paramsMatch || !salt || !hash) return null;
+
+    return {
+      version: Number(versionMatch[1]),
+      params: { ln: Number(paramsMatch[1]), r: Number(paramsMatch[2]), p: Number(paramsMatch[3]) },
+      salt: Buffer.from(salt, 'base64'),
+      hash: Buffer.from(hash, 'base64')
+    };
   }
 
   /**
-   * Hash password securely using AES-256-CBC encryption
+   * Hash password with scrypt (one-way)
    * @param {string} password - Plain text password to hash
-   * @returns {Promise<string>} - Base64 encoded encrypted password
+   * @returns {Promise<string>} - Versioned hash string
    */
   async hashPassword(password) {
     try {
-      // Generate random salt and IV
-      const salt = this.generateSalt();
-      const iv = crypto.randomBytes(this.ivLength);
-      
-      // Derive key from password and salt
-      const key = this.deriveKey(password, salt);
-      
-      // Create cipher with key and IV
-      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
-      
-      // Encrypt the password
-      let encrypted = cipher.update(password, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      // Combine salt + iv + encrypted data
-      const combined = Buffer.concat([
-        salt,
-        iv,
-        Buffer.from(encrypted, 'hex')
-      ]);
-      
-      // Return base64 encoded result
-      return combined.toString('base64');
-      
+      const salt = crypto.randomBytes(this.saltLength);
+      const hash = await this.deriveScrypt(password, salt, this.scrypt);
+      const { ln, r, p } = this.scrypt;
+
+      return `${SCRYPT_PREFIX}v=${SCRYPT_VERSION}$ln=${ln},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
     } catch (error) {
-      console.error('❌ Password encryption error:', error);
-      throw new Error('Password encryption failed');
+      console.error('❌ Password hashing error:', error);
+      throw new Error('Password hashing failed');
     }
   }
 
   /**
-   * Compare plain password with encrypted password
+   * Compare plain password with a stored hash (current or legacy scheme)
    * @param {string} candidatePassword - Plain text password to check
-   * @param {string} hashedPassword - Encrypted password from database
-   * @returns {boolean} - True if passwords match
+   * @param {string} hashedPassword - Stored hash from database
+   * @returns {Promise<boolean>} - True if passwords match
    */
   async comparePassword(candidatePassword, hashedPassword) {
     try {
-      // Decode the combined data
-      const combined = Buffer.from(hashedPassword, 'base64');
-      
-      // Extract components
-      const salt = combined.slice(0, this.saltLength);
-      const iv = combined.slice(this.saltLength, this.saltLength + this.ivLength);
-      const encrypted = combined.slice(this.saltLength + this.ivLength);
-      
-      // Derive key from candidate password and extracted salt
-      const key = this.deriveKey(candidatePassword, salt);
-      
-      // Create decipher with key and IV
-      const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
-      
-      // Attempt to decrypt
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      // Compare decrypted password with candidate
-      const isMatch = decrypted === candidatePassword;
-      
-      if (!isMatch) {
-        console.log('🔓 Password comparison failed (passwords don\'t match)');
+      if (typeof hashedPassword !== 'string' || !hashedPassword) return false;
+
+      if (hashedPassword.startsWith(SCRYPT_PREFIX)) {
+        const parsed = this.parseScryptHash(hashedPassword);
+        if (!parsed) return false;
+
+        const hash = await this.deriveScrypt(candidatePassword, parsed.salt, parsed.params);
+        return hash.length === parsed.hash.length && crypto.timingSafeEqual(hash, parsed.hash);
       }
-      
-      return isMatch;
-      
+
+      return this.compareLegacyPassword(candidatePassword, hashedPassword);
     } catch (error) {
       console.error('❌ Password comparison error:', error);
       return false;
     }
   }
 
+  /**
+   * Whether a stored hash should be replaced by one in the current scheme
+   * @param {string} hashedPassword - Stored hash from database
+   * @returns {boolean}
+   */
+  needsRehash(hashedPassword) {
+    const parsed = this.parseScryptHash(hashedPassword);
+    if (!parsed || parsed.version !== SCRYPT_VERSION) return true;
+
+    const { ln, r, p } = this.scrypt;
+    return parsed.params.ln !== ln || parsed.params.r !== r || parsed.params.p !== p || parsed.hash.length !== this.hashLength;
+  }
+
+  /**
+   * Compare against the legacy format: salt + IV + the password AES-encrypted
+   * with a PBKDF2 key derived from itself (base64)
+   * @param {string} candidatePassword - Plain text password to check
+   * @param {string} hashedPassword - Legacy value from database
+   * @returns {Promise<boolean>} - True if passwords match
+   */
+  async compareLegacyPassword(candidatePassword, hashedPassword) {
+    const { algorithm, keyLength, ivLength, saltLength, iterations, hashAlgorithm } = this.legacy;
+
+    try {
+      const combined = Buffer.from(hashedPassword, 'base64');
+      const salt = combined.subarray(0, saltLength);
+      const iv = combined.subarray(saltLength, saltLength + ivLength);
+      const encrypted = combined.subarray(saltLength + ivLength);
+
+      const key = await pbkdf2(candidatePassword, salt, iterations, keyLength, hashAlgorithm);
+      const decipher = crypto.createDecipheriv(algorithm, key, iv);
+      const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+
+      const candidate = Buffer.from(candidatePassword, 'utf8');
+      return decrypted.length === candidate.length && crypto.timingSafeEqual(decrypted, candidate);
+    } catch (error) {
+      // A wrong password usually fails padding checks while decrypting
+      return false;
+    }
+  }
+
   /**
    * Generate a cryptographically secure random password
    * @param {number} length - Desired password length
@@ -218,15 +257,17 @@ class PasswordEncryption {
     // Determine strength level
     if (result.score >= 4) {
       result.strength = 'strong';
-      result.isValid = true;
     } else if (result.score >= 3) {
       result.strength = 'medium';
-      result.isValid = true;
     } else {
       result.strength = 'weak';
-      result.isValid = false;
     }
 
+    // Medium or better, and never short or built on a common pattern
+    result.isValid = result.score >= 3 &&
+      result.criteria.minLength &&
+      result.criteria.noCommonPatterns;
+
     return result;
   }
 }
@@ -239,6 +280,7 @@ module.exports = {
   hashPassword: (password) => passwordEncryption.hashPassword(password),
   comparePassword: (candidatePassword, hashedPassword) => 
     passwordEncryption.comparePassword(candidatePassword, hashedPassword),
+  needsRehash: (hashedPassword) => passwordEncryption.needsRehash(hashedPassword),
   generateSecurePassword: (length) => passwordEncryption.generateSecurePassword(length),
   validatePasswordStrength: (password) => passwordEncryption.validatePasswordStrength(password)
 };
\ No newline at end of file
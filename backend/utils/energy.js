@@ -0,0 +1,116 @@
+/**
+ * Energy expenditure estimates: basal metabolic rate (BMR) and total daily
+ * energy expenditure (TDEE) from weight, height, age, sex and activity level
+ */
+
+// Multipliers applied to BMR (Mifflin-St Jeor activity factors)
+const ACTIVITY_LEVELS = {
+  sedentary: { multiplier: 1.2, label: 'Sedentary (little or no exercise)' },
+  light: { multiplier: 1.375, label: 'Lightly active (exercise 1–3 days/week)' },
+  moderate: { multiplier: 1.55, label: 'Moderately active (exercise 3–5 days/week)' },
+  active: { multiplier: 1.725, label: 'Very active (hard exercise 6–7 days/week)' },
+  veryActive: { multiplier: 1.9, label: 'Extremely active (physical job or twice-daily training)' }
+};
+
+// 'other' uses the midpoint of the male and female equations
+const SEXES = ['female', 'male', 'other'];
+
+// Used (and reported back as assumptions) when the profile is incomplete
+const DEFAULT_AGE = 30;
+const DEFAULT_ACTIVITY_LEVEL = 'light';
+
+const MIN_AGE = 13;
+const MAX_AGE = 120;
+
+/**
+ * Age in whole years on a given date
+ */
+const ageFromDateOfBirth = (dateOfBirth, on = new Date()) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  let age = on.getFullYear() - birth.getFullYear();
+  const hadBirthday = on.getMonth() > birth.getMonth()
+    || (on.getMonth() === birth.getMonth() && on.getDate() >= birth.getDate());
+  if (!hadBirthday) age -= 1;
+  return age;
+};
+
+/**
+ * Mifflin-St Jeor BMR (kcal/day)
+ * @param {Object} params - { weight kg, height cm, age years, sex }
+ */
+const mifflinStJeor = ({ weight, height, age, sex }) => {
+  const base = 10 * weight + 6.25 * height - 5 * age;
+  if (sex === 'male') return base + 5;
+  if (sex === 'female') return base - 161;
+  return base - 78;
+};
+
+/**
+ * Revised Harris-Benedict BMR (Roza & Shizgal, 1984) (kcal/day)
+ * @param {Object} params - { weight kg, height cm, age years, sex }
+ */
+const harrisBenedict = ({ weight, height, age, sex }) => {
+  const male = 88.362 + 13.397 * weight + 4.799 * height - 5.677 * age;
+  const female = 447.593 + 9.247 * weight + 3.098 * height - 4.330 * age;
+  if (sex === 'male') return male;
+  if (sex === 'female') return female;
+  return (male + female) / 2;
+};
+
+/**
+ * Estimate a user's daily energy needs.
+ * Mifflin-St Jeor drives the estimate; Harris-Benedict is returned as a cross-check.
+ * @param {Object} user - User document (healthMetrics and profile)
+ * @returns {Object|null} - { age, sex, activityLevel, activityMultiplier, bmr, harrisBenedictBmr, tdee, assumptions }
+ *   or null without height and weight
+ */
+const estimateEnergyNeeds = (user) => {
+  const { height, weight } = user.healthMetrics || {};
+  if (!height || !weight) return null;
+
+  const profile = user.profile || {};
+  const assumptions = [];
+
+  let age = ageFromDateOfBirth(profile.dateOfBirth);
+  if (age === null) {
+    age = DEFAULT_AGE;
+    assumptions.push(`age assumed to be ${DEFAULT_AGE} (add your date of birth)`);
+  }
+
+  const sex = SEXES.includes(profile.sex) ? profile.sex : 'other';
+  if (!profile.sex) {
+    assumptions.push('sex not set, so the midpoint of the male and female equations was used');
+  }
+
+  let activityLevel = profile.activityLevel;
+  if (!ACTIVITY_LEVELS[activityLevel]) {
+    activityLevel = DEFAULT_ACTIVITY_LEVEL;
+    assumptions.push(`activity level assumed to be "${ACTIVITY_LEVELS[DEFAULT_ACTIVITY_LEVEL].label}"`);
+  }
+  const activityMultiplier = ACTIVITY_LEVELS[activityLevel].multiplier;
+
+  const bmr = Math.round(mifflinStJeor({ weight, height, age, sex }));
+
+  return {
+    age,
+    sex,
+    activityLevel,
+    activityMultiplier,
+    bmr,
+    harrisBenedictBmr: Math.round(harrisBenedict({ weight, height, age, sex })),
+    tdee: Math.round(bmr * activityMultiplier),
+    assumptions
+  };
+};
+
+module.exports = {
+  ACTIVITY_LEVELS,
+  SEXES,
+  MIN_AGE,
+  MAX_AGE,
+  ageFromDateOfBirth,
+  mifflinStJeor,
+  harrisBenedict,
+  estimateEnergyNeeds
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const Food = require('../models/Food');
+
+const DEFAULT_SEED_FILE = path.join(__dirname, '..', 'seeds', 'foods.json');
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ * @param {string} text - Raw CSV content
+ * @returns {Object[]} - One object per data row
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (values[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+/**
+ * Split a list field that may be an array or a "a|b|c" / "a;b;c" string
+ */
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  return String(value).split(/[|;]/).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Convert one raw dataset record (CSV row or JSON object) into Food fields.
+ * Serving sizes may be objects or "label:grams" strings, e.g. "1 cup:240|1 tbsp:15".
+ * @param {Object} raw - Record from the dataset
+ * @returns {{ food: Object|null, error: string|null }}
+ */
+const normalizeFoodRecord = (raw) => {
+  const name = (raw.name || raw.Name || '').toString().trim();
+  if (!name) {
+    return { food: null, error: 'Missing name' };
+  }
+
+  const food = {
+    name,
+    category: raw.category ? raw.category.toString().trim() : 'Other',
+    unit: raw.unit === '100ml' ? '100ml' : '100g',
+    aliases: toList(raw.aliases).map(alias => alias.toLowerCase())
+  };
+
+  for (const field of Food.NUTRIENT_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === '') continue;
+
+    const number = Number(value);
+    if (Number.isNaN(number) || number < 0) {
+      return { food: null, error: `Invalid ${field} for "${name}": ${value}` };
+    }
+    food[field] = number;
+  }
+
+  if (food.calories === undefined) {
+    return { food: null, error: `Missing calories for "${name}"` };
+  }
+
+  food.servingSizes = toList(raw.servingSizes)
+    .map(serving => {
+      if (typeof serving === 'object') return serving;
+      const [label, grams] = serving.split(':');
+      return { label: (label || '').trim(), grams: Number(grams) };
+    })
+    .filter(serving => serving.label && serving.grams > 0);
+
+  return { food, error: null };
+};
+
+/**
+ * Read a CSV or JSON nutrition dataset from disk
+ * @param {string} filePath - Path to a .csv or .json file
+ * @returns {Object[]} - Raw records
+ */
+const loadFoodFile = (filePath) => {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') {
+    return parseCsv(content);
+  }
+
+  if (extension === '.json') {
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : data.foods || [];
+  }
+
+  throw new Error(`Unsupported dataset format "${extension}" (use .csv or .json)`);
+};
+
+/**
+ * Upsert foods into the catalog, matching existing entries by name (case-insensitive)
+ * @param {Object[]} records - Raw dataset records
+ * @param {Object} options - { source: 'seed'|'import'|'admin', replace: boolean }
+ * @returns {Promise<Object>} - Import summary
+ */
+const importFoods = async (records, options = {}) => {
+  const { source = 'import', replace = false } = options;
+  const summary = { inserted: 0, updated: 0, skipped: 0, errors: [] };
+
+  const operations = [];
+  records.forEach((raw, index) => {
+    const { food, error } = normalizeFoodRecord(raw);
+    if (error) {
+      summary.skipped++;
+      summary.errors.push(`Record ${index + 1}: ${error}`);
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { name: food.name },
+        update: replace
+          ? { $set: { ...food, source, active: true } }
+          : { $setOnInsert: { ...food, source, active: true } },
+        upsert: true,
+        collation: { locale: 'en', strength: 2 }
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    const result = await Food.bulkWrite(operations, { ordered: false });
+    summary.inserted = result.upsertedCount;
+    summary.updated = result.modifiedCount;
+    summary.skipped += operations.length - result.upsertedCount - result.modifiedCount;
+  }
+
+  return summary;
+};
+
+/**
+ * Load the bundled starter catalog when the foods collection is empty
+ */
+const seedDefaultFoods = async () => {
+  try {
+    const count = await Food.estimatedDocumentCount();
+    if (count > 0) return;
+
+    const summary = await importFoods(loadFoodFile(DEFAULT_SEED_FILE), { source: 'seed' });
+    console.log(`🥗 Seeded food database with ${summary.inserted} foods`);
+  } catch (error) {
+    console.error('Food database seeding error:', error.message);
+  }
+};
+
+module.exports = {
+  DEFAULT_SEED_FILE,
+  parseCsv,
+  normalizeFoodRecord,
+  loadFoodFile,
+  importFoods,
+  seedDefaultFoods
+};
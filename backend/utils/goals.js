@@ -0,0 +1,178 @@
+/**
+ * Weight goals: turn a target (weight by a date, or a weekly rate) into a daily
+ * calorie adjustment, capped at rates that are considered safe
+ */
+
+// Energy stored in one kg of body weight change
+const KCAL_PER_KG = 7700;
+
+// Safe-rate guardrails (kg per week)
+const MAX_LOSS_PER_WEEK = 1;
+const MAX_LOSS_PERCENT_PER_WEEK = 1; // of current body weight
+const MAX_GAIN_PER_WEEK = 0.5;
+
+// Lowest daily intake recommended without medical supervision
+const MIN_DAILY_CALORIES = {
+  female: 1200,
+  male: 1500,
+  other: 1350
+};
+
+// Within this many kg of the target the goal counts as reached
+const MAINTAIN_TOLERANCE_KG = 0.5;
+
+const GOAL_MODES = ['target-date', 'weekly-rate'];
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Largest safe weekly change for a direction at a body weight
+ */
+const safeWeeklyRate = (direction, currentWeight) => {
+  if (direction === 'gain') return MAX_GAIN_PER_WEEK;
+  if (direction === 'lose') {
+    return Math.min(MAX_LOSS_PER_WEEK, (currentWeight * MAX_LOSS_PERCENT_PER_WEEK) / 100);
+  }
+  return 0;
+};
+
+/**
+ * Work out the calorie target for a goal.
+ * @param {Object} goal - { mode, targetWeight, targetDate, weeklyRate }
+ * @param {Object} context - { currentWeight kg, tdee, sex }
+ * @param {Date} now
+ * @returns {Object} - { direction, requestedWeeklyRate, weeklyRate, dailyCalorieAdjustment,
+ *   targetCalories, remainingKg, projectedEndDate, capped, warnings }
+ */
+const planGoal = (goal, { currentWeight, tdee, sex }, now = new Date()) => {
+  const warnings = [];
+  const hasTargetWeight = typeof goal.targetWeight === 'number';
+  const remainingKg = hasTargetWeight ? round1(goal.targetWeight - currentWeight) : null;
+
+  // Signed kg/week the user asked for (negative = loss)
+  let requestedWeeklyRate = 0;
+  if (goal.mode === 'target-date') {
+    const weeksLeft = (new Date(goal.targetDate).getTime() - now.getTime()) / MS_PER_WEEK;
+    if (weeksLeft <= 0) {
+      warnings.push('The target date has passed; set a new date to keep planning towards this goal.');
+    } else {
+      requestedWeeklyRate = remainingKg / weeksLeft;
+    }
+  } else {
+    requestedWeeklyRate = goal.weeklyRate || 0;
+    if (hasTargetWeight && Math.sign(requestedWeeklyRate) !== Math.sign(remainingKg) && requestedWeeklyRate !== 0) {
+      warnings.push('The weekly rate points away from your target weight.');
+    }
+  }
+
+  let direction = 'maintain';
+  if (hasTargetWeight && Math.abs(remainingKg) <= MAINTAIN_TOLERANCE_KG) {
+    requestedWeeklyRate = 0;
+  } else if (requestedWeeklyRate < 0) {
+    direction = 'lose';
+  } else if (requestedWeeklyRate > 0) {
+    direction = 'gain';
+  }
+
+  let weeklyRate = requestedWeeklyRate;
+  let capped = false;
+
+  const maxRate = safeWeeklyRate(direction, currentWeight);
+  if (Math.abs(weeklyRate) > maxRate) {
+    weeklyRate = Math.sign(weeklyRate) * maxRate;
+    capped = true;
+    warnings.push(direction === 'lose'
+      ? `Losing ${round2(Math.abs(requestedWeeklyRate))} kg/week is faster than recommended; the plan is capped at ${round2(maxRate)} kg/week.`
+      : `Gaining ${round2(requestedWeeklyRate)} kg/week is faster than recommended; the plan is capped at ${round2(maxRate)} kg/week.`);
+  }
+
+  let dailyCalorieAdjustment = Math.round((weeklyRate * KCAL_PER_KG) / 7);
+  let targetCalories = tdee + dailyCalorieAdjustment;
+
+  const floor = MIN_DAILY_CALORIES[sex] || MIN_DAILY_CALORIES.other;
+  if (targetCalories < floor) {
+    targetCalories = floor;
+    dailyCalorieAdjustment = floor - tdee;
+    weeklyRate = (dailyCalorieAdjustment * 7) / KCAL_PER_KG;
+    capped = true;
+    if (direction !== 'gain' && weeklyRate >= 0) {
+      // The floor is at or above maintenance: no deficit, so no planned loss (or gain)
+      weeklyRate = 0;
+      warnings.push(`Intake is kept at or above ${floor} kcal/day, which is not below your estimated maintenance of ${Math.round(tdee)} kcal, so this plan can't create a calorie deficit.`);
+    } else {
+      warnings.push(`Intake is kept at or above ${floor} kcal/day, so progress will be slower than requested.`);
+    }
+  }
+
+  let projectedEndDate = null;
+  if (hasTargetWeight && direction !== 'maintain' && weeklyRate !== 0 && Math.sign(weeklyRate) === Math.sign(remainingKg)) {
+    projectedEndDate = new Date(now.getTime() + (Math.abs(remainingKg) / Math.abs(weeklyRate)) * MS_PER_WEEK);
+    if (goal.mode === 'target-date' && projectedEndDate > new Date(goal.targetDate)) {
+      warnings.push(`At a safe pace you would reach ${goal.targetWeight} kg around ${projectedEndDate.toISOString().split('T')[0]}, after your target date.`);
+    }
+  }
+
+  return {
+    direction,
+    requestedWeeklyRate: round2(requestedWeeklyRate),
+    weeklyRate: round2(weeklyRate),
+    dailyCalorieAdjustment,
+    targetCalories: Math.round(targetCalories),
+    remainingKg,
+    projectedEndDate,
+    capped,
+    warnings
+  };
+};
+
+/**
+ * Warn when a target weight falls outside the healthy BMI range
+ */
+const targetWeightWarnings = (targetWeight, heightCm) => {
+  if (!targetWeight || !heightCm) return [];
+  const heightInMeters = heightCm / 100;
+  const targetBMI = targetWeight / (heightInMeters * heightInMeters);
+  if (targetBMI < 18.5) {
+    return [`A target of ${targetWeight} kg gives a BMI of ${targetBMI.toFixed(1)}, which is underweight.`];
+  }
+  return [];
+};
+
+/**
+ * Projected weight line from the goal's start, one point per week
+ * @param {Object} goal - { startWeight, startDate, targetWeight, plannedWeeklyRate }
+ * @param {Date} until - Last date to project
+ * @returns {Object[]} - [{ date, weight }]
+ */
+const projectWeights = (goal, until) => {
+  const points = [];
+  const start = new Date(goal.startDate);
+  const rate = goal.plannedWeeklyRate || 0;
+  const hasTarget = typeof goal.targetWeight === 'number';
+
+  for (let week = 0; start.getTime() + week * MS_PER_WEEK <= until.getTime(); week++) {
+    let weight = goal.startWeight + rate * week;
+    // Stop at the target rather than overshooting it
+    if (hasTarget && ((rate < 0 && weight < goal.targetWeight) || (rate > 0 && weight > goal.targetWeight))) {
+      weight = goal.targetWeight;
+    }
+    points.push({ date: new Date(start.getTime() + week * MS_PER_WEEK), weight: round1(weight) });
+    if (hasTarget && weight === goal.targetWeight && week > 0) break;
+  }
+
+  return points;
+};
+
+module.exports = {
+  KCAL_PER_KG,
+  MAX_LOSS_PER_WEEK,
+  MAX_GAIN_PER_WEEK,
+  MIN_DAILY_CALORIES,
+  GOAL_MODES,
+  planGoal,
+  targetWeightWarnings,
+  projectWeights
+};
@@ -0,0 +1,159 @@
+/**
+ * Local drug–food interaction knowledge base and checker.
+ * Medications and foods are matched by name (generic and common brand
+ * names for drugs, dish/ingredient words for foods).
+ */
+
+const SEVERITY_ORDER = ['major', 'moderate', 'minor'];
+
+const INTERACTIONS = [
+  {
+    id: 'warfarin-vitamin-k',
+    drug: 'Warfarin',
+    drugTerms: ['warfarin', 'coumadin', 'jantoven'],
+    food: 'Vitamin K-rich foods',
+    foodTerms: ['kale', 'spinach', 'collard', 'swiss chard', 'chard', 'turnip greens', 'mustard greens', 'broccoli',
+      'brussels sprouts', 'parsley', 'cabbage', 'green tea', 'natto', 'lettuce'],
+    severity: 'moderate',
+    effect: 'Vitamin K counteracts warfarin; swings in intake move your INR out of range.',
+    advice: 'Keep vitamin K intake steady from day to day rather than avoiding it, and tell your clinician about big diet changes.'
+  },
+  {
+    id: 'maoi-tyramine',
+    drug: 'MAO inhibitors',
+    drugTerms: ['phenelzine', 'nardil', 'tranylcypromine', 'parnate', 'isocarboxazid', 'marplan', 'selegiline',
+      'emsam', 'rasagiline', 'azilect', 'maoi'],
+    food: 'Tyramine-rich foods',
+    foodTerms: ['aged cheese', 'cheddar', 'parmesan', 'blue cheese', 'gorgonzola', 'roquefort', 'stilton', 'brie',
+      'camembert', 'salami', 'pepperoni', 'soy sauce', 'miso', 'sauerkraut', 'kimchi', 'tap beer', 'draft beer',
+      'red wine', 'chianti', 'fava beans', 'broad beans', 'marmite', 'yeast extract'],
+    severity: 'major',
+    effect: 'Tyramine can trigger a dangerous rise in blood pressure (hypertensive crisis) while taking an MAOI.',
+    advice: 'Avoid aged, cured, fermented and tap-drawn foods and drinks; seek urgent care for a sudden severe headache.'
+  },
+  {
+    id: 'statin-grapefruit',
+    drug: 'Statins (simvastatin, lovastatin, atorvastatin)',
+    drugTerms: ['simvastatin', 'zocor', 'lovastatin', 'mevacor', 'altoprev', 'atorvastatin', 'lipitor'],
+    food: 'Grapefruit',
+    foodTerms: ['grapefruit', 'pomelo', 'seville orange', 'bitter orange'],
+    severity: 'major',
+    effect: 'Grapefruit blocks the enzyme that clears these statins, raising blood levels and the risk of muscle damage.',
+    advice: 'Avoid grapefruit and its juice, or ask your prescriber about a statin that is not affected.'
+  },
+  {
+    id: 'metformin-alcohol',
+    drug: 'Metformin',
+    drugTerms: ['metformin', 'glucophage', 'fortamet', 'glumetza', 'riomet'],
+    food: 'Alcohol',
+    foodTerms: ['alcohol', 'beer', 'wine', 'vodka', 'whiskey', 'whisky', 'rum', 'gin', 'tequila', 'liquor',
+      'cocktail', 'sake', 'cider', 'champagne', 'prosecco'],
+    severity: 'moderate',
+    effect: 'Alcohol with metformin raises the risk of low blood sugar and, with heavy drinking, lactic acidosis.',
+    advice: 'Drink only in moderation and with food; avoid binge drinking.'
+  },
+  {
+    id: 'ace-inhibitor-potassium',
+    drug: 'ACE inhibitors / potassium-sparing diuretics',
+    drugTerms: ['lisinopril', 'enalapril', 'ramipril', 'captopril', 'benazepril', 'perindopril', 'quinapril',
+      'spironolactone', 'aldactone', 'eplerenone', 'amiloride', 'triamterene'],
+    food: 'High-potassium foods and salt substitutes',
+    foodTerms: ['salt substitute', 'banana', 'potato', 'sweet potato', 'avocado', 'orange juice', 'coconut water',
+      'dried apricot', 'tomato paste'],
+    severity: 'minor',
+    effect: 'These drugs make the body hold on to potassium; large extra amounts can raise blood potassium.',
+    advice: 'Normal servings are usually fine; avoid potassium-based salt substitutes unless your clinician approves.'
+  },
+  {
+    id: 'antibiotic-dairy',
+    drug: 'Tetracycline and quinolone antibiotics',
+    drugTerms: ['tetracycline', 'doxycycline', 'minocycline', 'ciprofloxacin', 'cipro', 'levofloxacin',
+      'moxifloxacin'],
+    food: 'Dairy and calcium-fortified foods',
+    foodTerms: ['milk', 'yogurt', 'yoghurt', 'cheese', 'kefir', 'calcium-fortified'],
+    severity: 'moderate',
+    effect: 'Calcium binds these antibiotics in the gut so less of the dose is absorbed.',
+    advice: 'Take the antibiotic 2 hours before or 6 hours after dairy.'
+  },
+  {
+    id: 'levothyroxine-soy-coffee',
+    drug: 'Levothyroxine',
+    drugTerms: ['levothyroxine', 'synthroid', 'levoxyl', 'euthyrox', 'tirosint'],
+    food: 'Coffee, soy and high-fibre foods',
+    foodTerms: ['coffee', 'espresso', 'soy', 'soya', 'tofu', 'edamame', 'soy milk', 'walnut'],
+    severity: 'minor',
+    effect: 'These foods reduce how much levothyroxine is absorbed when taken close together.',
+    advice: 'Take levothyroxine on an empty stomach, 30–60 minutes before breakfast or coffee.'
+  }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termsPattern = (terms) => new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\b`, 'i');
+
+// Compile the term lists once
+const COMPILED = INTERACTIONS.map(interaction => ({
+  ...interaction,
+  drugPattern: termsPattern(interaction.drugTerms),
+  foodPattern: termsPattern(interaction.foodTerms)
+}));
+
+const publicFields = ({ drugPattern, foodPattern, drugTerms, foodTerms, ...interaction }) => interaction;
+
+/**
+ * Cross-check medications against foods
+ * @param {Object[]} medications - Medication entries ({ _id, name })
+ * @param {Object[]} foods - Food entries ({ name }, optionally { date, mealId, mealType })
+ * @returns {Object[]} - One flag per interaction and medication, with the matching foods, most severe first
+ */
+const findInteractions = (medications = [], foods = []) => {
+  const flags = [];
+
+  COMPILED.forEach(interaction => {
+    const matchingFoods = foods.filter(food => interaction.foodPattern.test(food.name || ''));
+    if (matchingFoods.length === 0) return;
+
+    medications
+      .filter(medication => interaction.drugPattern.test(medication.name || ''))
+      .forEach(medication => {
+        flags.push({
+          ...publicFields(interaction),
+          medication: { _id: medication._id, name: medication.name },
+          foods: matchingFoods
+        });
+      });
+  });
+
+  return flags.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+};
+
+/**
+ * Knowledge base entries that apply to any of the medications, whether or not
+ * a matching food has been logged yet
+ */
+const interactionsForMedications = (medications = []) => COMPILED
+  .filter(interaction => medications.some(medication => interaction.drugPattern.test(medication.name || '')))
+  .map(interaction => ({
+    ...publicFields(interaction),
+    medications: medications
+      .filter(medication => interaction.drugPattern.test(medication.name || ''))
+      .map(medication => medication.name),
+    foodTerms: interaction.foodTerms
+  }));
+
+/**
+ * Flatten logged meals into food entries that remember which meal they came from
+ */
+const foodsFromMeals = (meals) => meals.flatMap(meal => meal.foods.map(food => ({
+  name: food.name,
+  mealId: meal._id,
+  mealType: meal.mealType,
+  date: meal.date
+})));
+
+module.exports = {
+  INTERACTIONS: INTERACTIONS.map(publicFields),
+  findInteractions,
+  interactionsForMedications,
+  foodsFromMeals
+};
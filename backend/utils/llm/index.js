@@ -0,0 +1,120 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mockProvider');
+
+/**
+ * LLM provider selection.
+ * LLM_PROVIDER picks the adapter: "openai" (any OpenAI-compatible API, the
+ * default) or "mock". The OpenAI adapter is only used once it has somewhere to
+ * go: an API key, or a custom LLM_BASE_URL for a local server.
+ */
+
+const PLACEHOLDER_API_KEY = 'your-openai-api-key-here';
+
+const providers = {
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Current LLM settings from the environment
+ */
+const getLLMConfig = () => {
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  return {
+    provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    baseURL: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+    customBaseURL: Boolean(process.env.LLM_BASE_URL),
+    apiKey: apiKey && apiKey !== PLACEHOLDER_API_KEY ? apiKey : null,
+    model: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+    temperature: numberFromEnv('LLM_TEMPERATURE', 0.7),
+    maxTokens: numberFromEnv('LLM_MAX_TOKENS', 1000),
+    timeoutMs: numberFromEnv('LLM_TIMEOUT_MS', 30000),
+    maxRetries: numberFromEnv('LLM_MAX_RETRIES', 1),
+    // Some local servers reject response_format; set LLM_JSON_MODE=false for those
+    jsonMode: process.env.LLM_JSON_MODE !== 'false',
+    // Attempts at a schema-valid JSON reply before giving up
+    jsonAttempts: numberFromEnv('LLM_JSON_ATTEMPTS', 2)
+  };
+};
+
+let cached = null;
+let override = null;
+
+/**
+ * Use the given provider instead of the configured one, e.g. a stub in tests;
+ * pass null to go back to the configured provider
+ */
+const setLLMProvider = (provider) => {
+  override = provider;
+};
+
+/**
+ * The configured provider, or null when none is usable (callers fall back to
+ * the rule-based engine)
+ */
+const getLLMProvider = () => {
+  if (override) return override;
+
+  const config = getLLMConfig();
+  const cacheKey = JSON.stringify(config);
+  if (cached && cached.key === cacheKey) return cached.provider;
+
+  const factory = providers[config.provider];
+  if (!factory) {
+    console.error(`❌ Unknown LLM_PROVIDER "${config.provider}" (expected ${Object.keys(providers).join(', ')})`);
+    return null;
+  }
+
+  const usable = config.provider !== 'openai' || config.apiKey || config.customBaseURL;
+  const provider = usable ? factory(config) : null;
+  cached = { key: cacheKey, provider };
+  return provider;
+};
+
+/**
+ * Ask for a JSON reply and keep asking until it passes validation.
+ * Each reply is parsed, passed through `repair`, then `validate`; on failure the
+ * model sees its reply and the errors and is asked to correct it.
+ * @param {Object} provider - From getLLMProvider()
+ * @param {Object} options - { messages, parse, repair, validate, attempts, maxTokens }
+ *   parse(text) -> object|null, repair(object) -> object,
+ *   validate(object) -> { valid, errors, value }; maxTokens overrides LLM_MAX_TOKENS
+ * @returns {Promise<Object>} - { value, completion, attempts }
+ * @throws when no attempt produced a valid reply
+ */
+const completeJson = async (provider, { messages, parse, repair = (value) => value, validate, attempts, maxTokens }) => {
+  const maxAttempts = attempts || getLLMConfig().jsonAttempts;
+  const conversation = [...messages];
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const completion = await provider.complete({ messages: conversation, responseFormat: 'json', maxTokens });
+    const parsed = parse(completion.content);
+    const result = parsed ? validate(repair(parsed)) : { valid: false, errors: ['Reply was not valid JSON'] };
+
+    if (result.valid) {
+      return { value: result.value, completion, attempts: attempt };
+    }
+
+    lastErrors = result.errors;
+    console.warn(`⚠️ LLM reply failed validation (attempt ${attempt}/${maxAttempts}): ${lastErrors.join('; ')}`);
+    conversation.push(
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: `That reply does not match the required JSON schema: ${lastErrors.join('; ')}. Reply again with only the corrected JSON object.` }
+    );
+  }
+
+  throw new Error(`LLM reply failed validation after ${maxAttempts} attempts: ${lastErrors.join('; ')}`);
+};
+
+module.exports = {
+  getLLMConfig,
+  getLLMProvider,
+  setLLMProvider,
+  completeJson
+};
@@ -0,0 +1,57 @@
+/**
+ * Deterministic provider for offline development.
+ * The reply depends only on the response format: JSON requests get a
+ * recommendation-shaped object and text requests a short calorie summary.
+ * Features expecting another JSON shape (meal plans, meal parsing) reject it
+ * and fall back to their rule-based results. Streamed replies echo the last
+ * user message back a few words at a time. Tests needing specific replies
+ * inject a stub provider with setLLMProvider instead.
+ */
+
+const defaultReply = (responseFormat) => (responseFormat === 'json' ? {
+  summary: 'A balanced plan built around whole foods (mock response for testing).',
+  calories: 2000,
+  macros: { protein: 25, carbs: 45, fat: 30 },
+  foodsToFavor: ['Vegetables', 'Lean protein', 'Whole grains'],
+  foodsToAvoid: ['Sugary drinks'],
+  warnings: [],
+  tips: ['This is a mock response for testing']
+} : [
+  '**Recommended Daily Calorie Intake: 2000 calories**',
+  '',
+  '**Dietary Recommendations:**',
+  '• Build meals around vegetables, lean protein and whole grains',
+  '',
+  '**General Health Tips:**',
+  '• This is a mock response for testing'
+].join('\n'));
+
+const createMockProvider = () => ({
+  name: 'mock',
+  model: 'mock',
+
+  async complete({ messages, responseFormat }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const reply = defaultReply(responseFormat);
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+
+    return {
+      content,
+      model: this.model,
+      provider: this.name,
+      usage: { prompt_tokens: prompt.length, completion_tokens: content.length, total_tokens: prompt.length + content.length }
+    };
+  },
+
+  async *stream({ messages, signal }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const content = `Mock coach reply to: "${lastUserMessage ? lastUserMessage.content : ''}". Keep logging your meals and metrics.`;
+    const words = content.split(/(?<= )/);
+    for (let i = 0; i < words.length; i += 3) {
+      if (signal && signal.aborted) return;
+      yield words.slice(i, i + 3).join('');
+    }
+  }
+});
+
+module.exports = { createMockProvider };
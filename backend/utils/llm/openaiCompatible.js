@@ -0,0 +1,72 @@
+const OpenAI = require('openai');
+
+/**
+ * Adapter for any OpenAI-compatible chat completions API: OpenAI itself, or a
+ * local server such as Ollama (http://localhost:11434/v1) or llama.cpp
+ * (http://localhost:8080/v1) via `baseURL`.
+ */
+const createOpenAICompatibleProvider = (config) => {
+  const client = new OpenAI({
+    baseURL: config.baseURL,
+    // Local servers ignore the key, but the SDK requires one
+    apiKey: config.apiKey || 'not-needed',
+    timeout: config.timeoutMs,
+    maxRetries: config.maxRetries
+  });
+
+  return {
+    name: 'openai-compatible',
+    model: config.model,
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { messages, model, temperature, maxTokens, responseFormat }
+     *   responseFormat 'json' asks for a JSON object (JSON mode)
+     * @returns {Promise<Object>} - { content, model, provider, usage }
+     */
+    async complete({ messages, model, temperature, maxTokens, responseFormat }) {
+      const response = await client.chat.completions.create({
+        model: model || config.model,
+        messages,
+        temperature: temperature ?? config.temperature,
+        max_tokens: maxTokens || config.maxTokens,
+        ...(responseFormat === 'json' && config.jsonMode ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      const choice = response.choices && response.choices[0];
+      if (!choice || !choice.message || !choice.message.content) {
+        throw new Error('LLM returned an empty response');
+      }
+
+      return {
+        content: choice.message.content,
+        model: response.model || model || config.model,
+        provider: this.name,
+        usage: response.usage || null
+      };
+    },
+
+    /**
+     * Run a chat completion and yield the reply as it arrives
+     * @param {Object} request - { messages, model, temperature, maxTokens, signal }
+     *   signal aborts the request (e.g. when the client disconnects)
+     * @yields {string} - Text deltas
+     */
+    async *stream({ messages, model, temperature, maxTokens, signal }) {
+      const stream = await client.chat.completions.create({
+        model: model || config.model,
+        messages,
+        temperature: temperature ?? config.temperature,
+        max_tokens: maxTokens || config.maxTokens,
+        stream: true
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
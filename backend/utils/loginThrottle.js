@@ -0,0 +1,318 @@
+const redisClient = require('../config/redis');
+const User = require('../models/User');
+const { sendUnlockEmail } = require('./authTokens');
+
+/**
+ * Brute-force protection for login.
+ * Failed attempts are counted per account (email) and per IP over a rolling
+ * window. From the third account failure each attempt must wait longer
+ * (1 s, 2 s, 4 s ... up to 30 s): attempts made sooner are refused with a
+ * retry time rather than held open, so waiting costs the server nothing. At
+ * the threshold the account is locked and its owner gets an unlock link. An
+ * IP failing across many accounts is blocked for the window. Counters live in
+ * Redis, or in a size-capped map in memory without it.
+ */
+
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+const LOCKOUT_SECONDS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60;
+const IP_BLOCK_THRESHOLD = 50;
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+// Wrong 2FA codes a user gets per window, however many challenges they start
+const MAX_SECOND_FACTOR_FAILURES = 5;
+
+const KEY_PREFIX = 'login:';
+const keys = {
+  accountFailures: (email) => `${KEY_PREFIX}failures:account:${email}`,
+  ipFailures: (ip) => `${KEY_PREFIX}failures:ip:${ip}`,
+  accountDelay: (email) => `${KEY_PREFIX}delay:account:${email}`,
+  accountLock: (email) => `${KEY_PREFIX}lock:account:${email}`,
+  ipLock: (ip) => `${KEY_PREFIX}lock:ip:${ip}`,
+  secondFactorFailures: (userId) => `${KEY_PREFIX}failures:2fa:${userId}`,
+  secondFactorLock: (userId) => `${KEY_PREFIX}lock:2fa:${userId}`,
+  usedChallenge: (challengeId) => `${KEY_PREFIX}challenge:${challengeId}`
+};
+
+// 🗂️ STORE
+
+// Keys kept in memory at most; failed logins spread over many emails or IPs
+// would otherwise grow the map without limit
+const MAX_MEMORY_KEYS = 10000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// key -> { value, expiresAt }, oldest first
+const memoryStore = new Map();
+
+const sweepMemoryStore = () => {
+  const now = Date.now();
+  memoryStore.forEach((entry, key) => {
+    if (entry.expiresAt <= now) memoryStore.delete(key);
+  });
+};
+setInterval(sweepMemoryStore, SWEEP_INTERVAL_MS).unref();
+
+// Make room for a new key: drop expired entries, then the oldest counters.
+// Locks go last, so a flood of new failures can't lift them.
+const makeRoom = () => {
+  if (memoryStore.size < MAX_MEMORY_KEYS) return;
+  sweepMemoryStore();
+
+  for (const key of memoryStore.keys()) {
+    if (memoryStore.size < MAX_MEMORY_KEYS) return;
+    if (!key.startsWith(`${KEY_PREFIX}lock:`)) memoryStore.delete(key);
+  }
+  for (const key of memoryStore.keys()) {
+    if (memoryStore.size < MAX_MEMORY_KEYS) return;
+    memoryStore.delete(key);
+  }
+};
+
+const memorySet = (key, value, ttlSeconds) => {
+  if (!memoryStore.has(key)) makeRoom();
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+const memoryEntry = (key) => {
+  const entry = memoryStore.get(key);
+  if (entry && entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const store = {
+  async incr(key, ttlSeconds) {
+    if (redisClient.isConnected) return redisClient.incr(key, ttlSeconds);
+
+    const entry = memoryEntry(key);
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+    memorySet(key, 1, ttlSeconds);
+    return 1;
+  },
+
+  async set(key, value, ttlSeconds) {
+    if (redisClient.isConnected) return redisClient.set(key, value, ttlSeconds);
+    memorySet(key, value, ttlSeconds);
+    return true;
+  },
+
+  // Set the key only when it doesn't exist; false when it did
+  async setIfAbsent(key, value, ttlSeconds) {
+    if (redisClient.isConnected) return redisClient.setIfAbsent(key, value, ttlSeconds);
+    if (memoryEntry(key)) return false;
+    memorySet(key, value, ttlSeconds);
+    return true;
+  },
+
+  // Seconds left before the key expires, 0 when it doesn't exist
+  async ttl(key) {
+    if (redisClient.isConnected) return Math.max(0, await redisClient.ttl(key));
+    const entry = memoryEntry(key);
+    return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+  },
+
+  async del(...keysToDelete) {
+    if (redisClient.isConnected) {
+      await Promise.all(keysToDelete.map(key => redisClient.del(key)));
+      return;
+    }
+    keysToDelete.forEach(key => memoryStore.delete(key));
+  },
+
+  // Values of every key starting with `prefix`
+  async list(prefix) {
+    if (redisClient.isConnected) {
+      const entries = await redisClient.getPattern(`${prefix}*`);
+      return entries.map(entry => entry.value);
+    }
+
+    const values = [];
+    for (const key of memoryStore.keys()) {
+      const entry = memoryEntry(key);
+      if (entry && key.startsWith(prefix)) values.push(entry.value);
+    }
+    return values;
+  }
+};
+
+// 🚦 CHECKS
+
+const delayFor = (failures) => (failures < DELAY_AFTER_FAILURES
+  ? 0
+  : Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS));
+
+/**
+ * Whether a login attempt may go ahead
+ * @param {string} email - Normalized email
+ * @param {string} ip
+ * @returns {Promise<Object|null>} - null when allowed, otherwise { message, retryAfter } (seconds)
+ */
+const checkLoginAllowed = async (email, ip) => {
+  const ipLockTtl = await store.ttl(keys.ipLock(ip));
+  if (ipLockTtl > 0) {
+    return { message: 'Too many failed logins from your network. Please try again later.', retryAfter: ipLockTtl };
+  }
+
+  const lockTtl = await store.ttl(keys.accountLock(email));
+  if (lockTtl > 0) {
+    return {
+      message: `Too many failed attempts. This account is locked for ${Math.ceil(lockTtl / 60)} more minute(s). ` +
+        'Check your email for a link to unlock it now.',
+      retryAfter: lockTtl,
+      locked: true
+    };
+  }
+
+  const delay = await store.ttl(keys.accountDelay(email));
+  if (delay > 0) {
+    return { message: `Too many failed attempts. Wait ${delay} second(s) and try again.`, retryAfter: delay };
+  }
+
+  return null;
+};
+
+const lockAccount = async (email, ip, failures) => {
+  const now = Date.now();
+  const lock = {
+    email,
+    ip,
+    failures,
+    lockedAt: new Date(now),
+    lockedUntil: new Date(now + LOCKOUT_SECONDS * 1000)
+  };
+  await store.set(keys.accountLock(email), lock, LOCKOUT_SECONDS);
+  console.warn(`🔒 Locked ${email} after ${failures} failed logins (last from ${ip})`);
+
+  const user = await User.findOne({ email });
+  if (user) {
+    try {
+      await sendUnlockEmail(user, lock.lockedUntil);
+    } catch (error) {
+      console.error('Failed to send unlock email:', error.message);
+    }
+  }
+};
+
+/**
+ * Count a failed password or 2FA code
+ * @returns {Promise<Object|null>} - Same shape as checkLoginAllowed when this failure
+ *   triggered a lock or delay, otherwise null
+ */
+const recordLoginFailure = async (email, ip) => {
+  const [failures, ipFailures] = await Promise.all([
+    store.incr(keys.accountFailures(email), FAILURE_WINDOW_SECONDS),
+    store.incr(keys.ipFailures(ip), FAILURE_WINDOW_SECONDS)
+  ]);
+
+  if (ipFailures >= IP_BLOCK_THRESHOLD) {
+    const block = {
+      ip,
+      failures: ipFailures,
+      lockedAt: new Date(),
+      lockedUntil: new Date(Date.now() + FAILURE_WINDOW_SECONDS * 1000)
+    };
+    await store.set(keys.ipLock(ip), block, FAILURE_WINDOW_SECONDS);
+    console.warn(`🔒 Blocked logins from ${ip} after ${ipFailures} failures`);
+  }
+
+  if (failures >= LOCKOUT_THRESHOLD) {
+    await lockAccount(email, ip, failures);
+    await store.del(keys.accountFailures(email), keys.accountDelay(email));
+  } else {
+    const delay = delayFor(failures);
+    if (delay > 0) await store.set(keys.accountDelay(email), { failures }, delay);
+  }
+
+  return checkLoginAllowed(email, ip);
+};
+
+// A successful login forgets the account's failures (not the IP's)
+const recordLoginSuccess = async (email) => {
+  await store.del(keys.accountFailures(email), keys.accountDelay(email));
+};
+
+const unlockAccount = async (email) => {
+  await store.del(keys.accountLock(email), keys.accountFailures(email), keys.accountDelay(email));
+};
+
+const unblockIp = async (ip) => {
+  await store.del(keys.ipLock(ip), keys.ipFailures(ip));
+};
+
+// 🔑 SECOND FACTOR
+// Wrong codes at /login/2fa are counted per user, not per challenge, so
+// logging in again with the password doesn't buy more guesses.
+
+/**
+ * Whether the user may try another 2FA code
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - null when allowed, otherwise { message, retryAfter } (seconds)
+ */
+const checkSecondFactorAllowed = async (userId) => {
+  const lockTtl = await store.ttl(keys.secondFactorLock(String(userId)));
+  if (lockTtl <= 0) return null;
+  return {
+    message: `Too many incorrect codes. Try again in ${Math.ceil(lockTtl / 60)} minute(s).`,
+    retryAfter: lockTtl
+  };
+};
+
+/**
+ * Count a wrong 2FA code
+ * @returns {Promise<number>} - Codes the user has left before being blocked for the window
+ */
+const recordSecondFactorFailure = async (userId) => {
+  const id = String(userId);
+  const failures = await store.incr(keys.secondFactorFailures(id), FAILURE_WINDOW_SECONDS);
+  if (failures < MAX_SECOND_FACTOR_FAILURES) return MAX_SECOND_FACTOR_FAILURES - failures;
+
+  await store.set(keys.secondFactorLock(id), { userId: id, failures }, FAILURE_WINDOW_SECONDS);
+  await store.del(keys.secondFactorFailures(id));
+  return 0;
+};
+
+const recordSecondFactorSuccess = async (userId) => {
+  await store.del(keys.secondFactorFailures(String(userId)));
+};
+
+/**
+ * Take a login challenge while its code is checked, so it signs in only once
+ * and concurrent tries can't race each other
+ * @returns {Promise<boolean>} - false when it is used or being used
+ */
+const claimLoginChallenge = (challengeId, ttlSeconds) =>
+  store.setIfAbsent(keys.usedChallenge(challengeId), true, ttlSeconds);
+
+// Give a challenge back after a wrong code so the user can try again
+const releaseLoginChallenge = async (challengeId) => {
+  await store.del(keys.usedChallenge(challengeId));
+};
+
+// Current account locks and IP blocks, newest first
+const listLocks = async () => {
+  const newestFirst = (a, b) => new Date(b.lockedAt) - new Date(a.lockedAt);
+  const [accounts, ips] = await Promise.all([
+    store.list(`${KEY_PREFIX}lock:account:`),
+    store.list(`${KEY_PREFIX}lock:ip:`)
+  ]);
+  return { accounts: accounts.sort(newestFirst), ips: ips.sort(newestFirst) };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  recordSecondFactorSuccess,
+  claimLoginChallenge,
+  releaseLoginChallenge,
+  unlockAccount,
+  unblockIp,
+  listLocks
+};
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing mail over SMTP. Defaults point at a local SMTP sink on port 1025
+ * (`npm run mail-sink`), so nothing leaves the machine in development.
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const secure = process.env.SMTP_SECURE === 'true';
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - nodemailer send info
+ */
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Health Guard <no-reply@healthguard.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail
+};
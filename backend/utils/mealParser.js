@@ -0,0 +1,470 @@
+/**
+ * Natural-language meal entry ("two eggs and a slice of toast").
+ * A deterministic parser splits the text into items, reads each item's
+ * quantity and unit and matches the food against the catalog. Items it can't
+ * pin down are marked ambiguous or unmatched and can be handed to the LLM,
+ * which only ever picks from catalog foods. Nothing is logged here: the user
+ * confirms the parsed foods first.
+ */
+const { scaleNutrients } = require('./nutrition');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_ITEMS = 15;
+const MAX_ALTERNATIVES = 3;
+const MIN_PORTION_GRAMS = 1;
+const MAX_PORTION_GRAMS = 3000;
+// Catalogs up to this size go into the LLM prompt whole; larger ones are shortlisted
+const MAX_PROMPT_FOODS = 150;
+
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  half: 0.5,
+  quarter: 0.25,
+  couple: 2,
+  few: 3,
+  dozen: 12
+};
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+// Units with a fixed size: grams (or ml for drinks) per unit
+const MEASURED_UNITS = {
+  g: 1,
+  gram: 1,
+  gr: 1,
+  kg: 1000,
+  kilogram: 1000,
+  oz: 28.35,
+  ounce: 28.35,
+  lb: 453.6,
+  pound: 453.6,
+  ml: 1,
+  milliliter: 1,
+  millilitre: 1,
+  l: 1000,
+  liter: 1000,
+  litre: 1000
+};
+
+// Household units, looked up in the food's serving sizes first
+const UNIT_ALIASES = {
+  tablespoon: 'tbsp',
+  tbs: 'tbsp',
+  teaspoon: 'tsp',
+  pc: 'piece',
+  pcs: 'piece',
+  mug: 'cup'
+};
+const HOUSEHOLD_UNITS = ['cup', 'tbsp', 'tsp', 'slice', 'piece', 'serving', 'portion', 'bowl', 'plate', 'glass', 'handful', 'scoop', 'fillet', 'breast', 'container', 'can', 'bar', 'stick'];
+// Rough sizes used when the food has no matching serving size; results are flagged as estimates
+const ESTIMATED_UNIT_GRAMS = {
+  cup: 240,
+  tbsp: 15,
+  tsp: 5,
+  bowl: 250,
+  plate: 300,
+  glass: 250,
+  handful: 30,
+  scoop: 30,
+  can: 330
+};
+// Units that just mean "one of the food's usual servings"
+const SERVING_UNITS = ['piece', 'serving', 'portion'];
+const SIZE_WORDS = ['small', 'medium', 'large'];
+const FILLER_WORDS = ['of', 'some', 'my', 'x'];
+// Preparation words that don't make a match less certain ("grilled chicken")
+const DESCRIPTOR_WORDS = ['grilled', 'boiled', 'cooked', 'steamed', 'baked', 'roasted', 'fried', 'scrambled', 'poached', 'fresh', 'raw', 'plain', 'sliced', 'chopped', 'hot', 'cold'];
+
+const singular = (word) => {
+  if (/(ss|us)$/.test(word) || word.length <= 3) return word;
+  if (/ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (/s$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const words = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(singular);
+
+const unitOf = (word) => {
+  const unit = UNIT_ALIASES[word] || word;
+  if (MEASURED_UNITS[unit]) return unit;
+  return HOUSEHOLD_UNITS.includes(unit) ? unit : null;
+};
+
+// 🔢 QUANTITIES
+
+const parseNumber = (token) => {
+  if (/^\d+(\.\d+)?$/.test(token)) return parseFloat(token);
+  if (/^\d+\/\d+$/.test(token)) {
+    const [numerator, denominator] = token.split('/').map(Number);
+    return denominator > 0 ? numerator / denominator : null;
+  }
+  return UNICODE_FRACTIONS[token] ?? null;
+};
+
+// "1 1/2", "1½", "two", "half a", "a couple of", "a dozen"
+const readQuantity = (tokens) => {
+  let index = 0;
+  let quantity = null;
+
+  while (index < tokens.length) {
+    const token = tokens[index];
+    const number = parseNumber(token);
+    if (number !== null) {
+      quantity = (quantity || 0) + number;
+      index++;
+      continue;
+    }
+    if (NUMBER_WORDS[token] !== undefined) {
+      const next = tokens[index + 1];
+      // "a couple", "a dozen", "a half": the article doesn't count on its own
+      if ((token === 'a' || token === 'an') && NUMBER_WORDS[next] !== undefined && !['a', 'an'].includes(next)) {
+        index++;
+        continue;
+      }
+      // "half a banana"
+      if (token === 'half' && quantity === null && (next === 'a' || next === 'an')) {
+        quantity = 0.5;
+        index += 2;
+        break;
+      }
+      quantity = quantity !== null && NUMBER_WORDS[token] < 1 ? quantity + NUMBER_WORDS[token] : (quantity || 1) * NUMBER_WORDS[token];
+      index++;
+      continue;
+    }
+    break;
+  }
+
+  return { quantity, rest: tokens.slice(index) };
+};
+
+/**
+ * Split one item of text into quantity, unit, size and the food phrase
+ * @param {string} text - e.g. "2 large eggs", "200g chicken", "a slice of toast"
+ * @returns {Object} - { quantity, unit, size, phrase }
+ */
+const parseItemText = (text) => {
+  const spaced = text
+    .toLowerCase()
+    .replace(/(\d)([½¼¾⅓⅔])/g, '$1 $2')
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .replace(/\bx(\d)/g, 'x $1')
+    .replace(/[^a-z0-9½¼¾⅓⅔./\s]/g, ' ')
+    .trim();
+
+  let { quantity, rest } = readQuantity(spaced.split(/\s+/).filter(Boolean));
+  let unit = null;
+  let size = null;
+
+  const skipFillers = () => {
+    while (rest.length > 0 && FILLER_WORDS.includes(rest[0])) rest = rest.slice(1);
+  };
+
+  skipFillers();
+  if (rest.length > 0 && SIZE_WORDS.includes(rest[0])) {
+    size = rest[0];
+    rest = rest.slice(1);
+  }
+  if (rest.length > 1 && unitOf(singular(rest[0]))) {
+    unit = unitOf(singular(rest[0]));
+    rest = rest.slice(1);
+  }
+  skipFillers();
+
+  // Amount after the food: "rice 200g", "eggs x2"
+  if (quantity === null && rest.length > 1) {
+    const last = rest[rest.length - 1];
+    const beforeLast = rest[rest.length - 2];
+    if (unitOf(last) && MEASURED_UNITS[unitOf(last)] && parseNumber(beforeLast) !== null) {
+      quantity = parseNumber(beforeLast);
+      unit = unitOf(last);
+      rest = rest.slice(0, -2);
+    } else if (parseNumber(last) !== null) {
+      quantity = parseNumber(last);
+      rest = rest.slice(0, beforeLast === 'x' ? -2 : -1);
+    }
+  }
+
+  return { quantity, unit, size, phrase: rest.filter(word => !/^[\d./]+$/.test(word)).join(' ') };
+};
+
+// 🔎 CATALOG MATCHING
+
+// Every way a food can be referred to, as singular word lists
+const foodKeys = (food) => {
+  const keys = [food.name, food.name.replace(/\s*\(.*?\)\s*/g, ' '), ...(food.aliases || [])];
+  const seen = new Set();
+  return keys.map(words).filter(key => {
+    const joined = key.join(' ');
+    if (key.length === 0 || seen.has(joined)) return false;
+    seen.add(joined);
+    return true;
+  });
+};
+
+const containsRun = (haystack, needle) => {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((word, offset) => haystack[i + offset] === word)) return true;
+  }
+  return false;
+};
+
+// 3: same words in any order; 2+: the phrase contains the key ("grilled chicken breast" ⊇ "chicken breast");
+// 1+: the key contains the phrase ("chicken" ⊆ "chicken breast")
+const scoreKey = (phrase, key) => {
+  if (phrase.length === key.length && [...phrase].sort().join(' ') === [...key].sort().join(' ')) return 3;
+  if (containsRun(phrase, key)) return 2 + key.length / 100;
+  if (containsRun(key, phrase)) return 1 + phrase.length / key.length / 100;
+  return 0;
+};
+
+/**
+ * Catalog foods that match a phrase, best first
+ * @returns {Object[]} - [{ food, score }]
+ */
+const matchFoods = (phrase, indexedCatalog) => {
+  const phraseWords = words(phrase);
+  if (phraseWords.length === 0) return [];
+
+  return indexedCatalog
+    .map(({ food, keys }) => ({ food, score: Math.max(...keys.map(key => scoreKey(phraseWords, key))) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name));
+};
+
+// "1/2 cup dry" -> 0.5, "1 large egg" -> 1
+const labelQuantity = (label) => {
+  const first = String(label).trim().split(/\s+/)[0];
+  const number = parseNumber(first);
+  return number && number > 0 ? number : 1;
+};
+
+/**
+ * Grams (ml for drinks) for a parsed amount of a food
+ * @returns {Object} - { grams, estimated }
+ */
+const resolvePortion = (food, { quantity, unit, size }) => {
+  const count = quantity || 1;
+  const servings = food.servingSizes || [];
+  const servingFor = (word) => servings.find(serving => words(serving.label).includes(word));
+  const perServing = (serving) => serving.grams / labelQuantity(serving.label);
+
+  if (unit && MEASURED_UNITS[unit]) {
+    return { grams: count * MEASURED_UNITS[unit], estimated: false };
+  }
+
+  if (unit && !SERVING_UNITS.includes(unit)) {
+    const serving = servingFor(unit);
+    if (serving) return { grams: count * perServing(serving), estimated: false };
+    if (ESTIMATED_UNIT_GRAMS[unit]) return { grams: count * ESTIMATED_UNIT_GRAMS[unit], estimated: true };
+    if (servings.length > 0) return { grams: count * perServing(servings[0]), estimated: true };
+    return { grams: count * 100, estimated: true };
+  }
+
+  // A count ("two eggs") or a plain serving: use the matching size, else the first serving size
+  const serving = (size && servingFor(size)) || servings[0];
+  if (serving) return { grams: count * perServing(serving), estimated: false };
+  return { grams: count * 100, estimated: true };
+};
+
+const roundGrams = (grams) => Math.max(MIN_PORTION_GRAMS, Math.round(grams));
+
+/**
+ * A meal food entry for a catalog food, ready to post to /api/meals/add
+ */
+const toMealFood = (food, grams) => ({
+  foodId: food._id,
+  name: food.name,
+  quantity: roundGrams(grams),
+  unit: food.unit === '100ml' ? 'ml' : 'grams',
+  ...scaleNutrients(food, roundGrams(grams))
+});
+
+// ✂️ SPLITTING
+
+const SEPARATORS = /\s*(?:,|;|\n|\+|&)\s*/;
+const CONJUNCTIONS = /\s+(?:and|with|plus)\s+/;
+
+/**
+ * Split meal text into item texts. Parts joined by "and"/"with" stay together
+ * when the whole part is itself a catalog food.
+ */
+const splitItems = (text, indexedCatalog) => text
+  .split(SEPARATORS)
+  .flatMap(part => {
+    if (!CONJUNCTIONS.test(part)) return [part];
+    const whole = matchFoods(parseItemText(part).phrase, indexedCatalog);
+    return whole.length > 0 && whole[0].score >= 3 ? [part] : part.split(CONJUNCTIONS);
+  })
+  .map(part => part.replace(/^(?:and|with|plus)\s+/i, '').trim())
+  .filter(Boolean)
+  .slice(0, MAX_ITEMS);
+
+/**
+ * Parse meal text against the catalog without any model help.
+ * Each item is "matched" (one clear food and a known portion), "ambiguous"
+ * (several equally good foods, only a weak match, or an estimated portion) or
+ * "unmatched" (no catalog food found).
+ * @param {string} text - Free text, e.g. "two eggs and a slice of toast"
+ * @param {Object[]} catalog - Active catalog foods
+ * @returns {Object[]} - [{ text, quantity, unit, status, reason, food, alternatives }]
+ */
+const parseMealText = (text, catalog) => {
+  const indexedCatalog = catalog.map(food => ({ food, keys: foodKeys(food) }));
+
+  return splitItems(String(text || '').slice(0, MAX_TEXT_LENGTH), indexedCatalog).map(itemText => {
+    const parsed = parseItemText(itemText);
+    const base = { text: itemText, quantity: parsed.quantity, unit: parsed.unit || parsed.size };
+    const matches = matchFoods(parsed.phrase, indexedCatalog);
+
+    if (matches.length === 0) {
+      return { ...base, status: 'unmatched', reason: `No food in the database matches "${parsed.phrase || itemText}"`, food: null, alternatives: [] };
+    }
+
+    const [best] = matches;
+    const portion = resolvePortion(best.food, parsed);
+    const alternatives = matches
+      .slice(1, MAX_ALTERNATIVES + 1)
+      .map(match => toMealFood(match.food, resolvePortion(match.food, parsed).grams));
+    const tied = matches.length > 1 && matches[1].score === best.score;
+    // Words the match doesn't account for ("chicken curry" is not just chicken)
+    const bestWords = new Set(foodKeys(best.food).flat());
+    const unexplained = words(parsed.phrase).filter(word => !bestWords.has(word) && !DESCRIPTOR_WORDS.includes(word));
+
+    let reason = null;
+    if (tied) reason = `"${parsed.phrase}" could be several foods`;
+    else if (best.score < 2 || unexplained.length > 0) reason = `Closest match for "${parsed.phrase}"`;
+    else if (portion.estimated) reason = `Portion size estimated${parsed.unit ? ` for "${parsed.unit}"` : ''}`;
+
+    return {
+      ...base,
+      status: reason ? 'ambiguous' : 'matched',
+      reason,
+      food: toMealFood(best.food, portion.grams),
+      alternatives
+    };
+  });
+};
+
+// 🤖 LLM HELP
+
+const promptFoodLine = (food) => {
+  const servings = (food.servingSizes || []).map(serving => `${serving.label} = ${serving.grams} ${food.unit === '100ml' ? 'ml' : 'g'}`);
+  return `* ${food.name}${servings.length > 0 ? ` (${servings.join('; ')})` : ''}`;
+};
+
+// Foods sharing a word with any unresolved item, so large catalogs stay promptable
+const shortlist = (items, catalog) => {
+  if (catalog.length <= MAX_PROMPT_FOODS) return catalog;
+  const itemWords = new Set(items.flatMap(item => words(item.text)));
+  return catalog
+    .filter(food => foodKeys(food).some(key => key.some(word => itemWords.has(word))))
+    .slice(0, MAX_PROMPT_FOODS);
+};
+
+/**
+ * Prompt asking the model to resolve the items the parser couldn't
+ * @param {Object[]} items - Unresolved items from parseMealText, with their index
+ * @param {Object[]} catalog - Catalog foods
+ * @returns {Object} - { prompt, foods } where foods are the catalog foods shown
+ */
+const parseHelpPrompt = (items, catalog) => {
+  const foods = shortlist(items, catalog);
+  const prompt = `A user described what they ate. Match each item below to ONE food from the catalog and estimate the amount eaten in grams (ml for drinks). Use a typical portion when no amount is given. If nothing in the catalog fits, use null for the food.
+
+Items:
+${items.map(item => `Item ${item.index}: "${item.text}"`).join('\n')}
+
+Catalog (names must be copied exactly):
+${foods.map(promptFoodLine).join('\n')}
+
+Respond with a single JSON object and nothing else:
+{ "items": [ { "index": item number, "food": catalog name or null, "grams": number } ] }`;
+
+  return { prompt, foods };
+};
+
+/**
+ * Validator for the model's reply against the catalog foods it was shown
+ * @returns {Function} - candidate -> { valid, errors, value } where value maps
+ *   item index to { food, grams } (food null when nothing fits)
+ */
+const createParseValidator = (items, foods) => {
+  const byName = new Map(foods.map(food => [food.name.toLowerCase(), food]));
+  const indexes = new Set(items.map(item => item.index));
+
+  return (candidate) => {
+    const replies = candidate && (Array.isArray(candidate) ? candidate : candidate.items);
+    if (!Array.isArray(replies)) {
+      return { valid: false, errors: ['Reply must be an object with an "items" array'], value: null };
+    }
+
+    const errors = [];
+    const value = {};
+    replies.forEach(reply => {
+      const index = Number(reply && reply.index);
+      if (!indexes.has(index)) {
+        errors.push(`Unknown item index ${reply && reply.index}`);
+        return;
+      }
+      if (reply.food === null || reply.food === undefined || reply.food === '') {
+        value[index] = { food: null, grams: null };
+        return;
+      }
+      const food = byName.get(String(reply.food).trim().toLowerCase());
+      const grams = parseFloat(reply.grams);
+      if (!food) {
+        errors.push(`"${reply.food}" is not in the catalog; copy a catalog name exactly or use null`);
+      } else if (!Number.isFinite(grams) || grams < MIN_PORTION_GRAMS || grams > MAX_PORTION_GRAMS) {
+        errors.push(`Item ${index} needs grams between ${MIN_PORTION_GRAMS} and ${MAX_PORTION_GRAMS}`);
+      } else {
+        value[index] = { food, grams };
+      }
+    });
+
+    return errors.length > 0 ? { valid: false, errors, value: null } : { valid: true, errors: [], value };
+  };
+};
+
+/**
+ * Fold the model's answers into the parsed items. Items the model matched
+ * become "matched" with the parser's pick kept as an alternative.
+ */
+const applyParseHelp = (items, answers) => items.map((item, index) => {
+  const answer = answers[index];
+  if (!answer || !answer.food) return item;
+
+  const food = toMealFood(answer.food, answer.grams);
+  const alternatives = [item.food, ...item.alternatives]
+    .filter(alternative => alternative && String(alternative.foodId) !== String(food.foodId))
+    .slice(0, MAX_ALTERNATIVES);
+
+  return { ...item, status: 'matched', reason: 'Matched with AI help', food, alternatives };
+});
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  parseItemText,
+  parseMealText,
+  parseHelpPrompt,
+  createParseValidator,
+  applyParseHelp
+};
@@ -0,0 +1,403 @@
+/**
+ * 7-day meal plans built only from the food catalog, so every entry carries
+ * real nutrient values. Plans come from the LLM (validated against the
+ * catalog) or from the rule-based builder below; both go through the same
+ * step that scales portions to the calorie target and swaps out foods that
+ * push a day over a disease-based nutrient limit.
+ */
+const { scaleNutrients, sumNutrients } = require('./nutrition');
+const { checkNutrientLimits } = require('./dietRules');
+const { findInteractions } = require('./interactions');
+const { toDateKey, addDays } = require('./dates');
+
+const PLAN_DAYS = 7;
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Share of the day's calories per meal
+const MEAL_SHARES = {
+  breakfast: 0.25,
+  lunch: 0.3,
+  dinner: 0.3,
+  snack: 0.15
+};
+
+// Catalog categories mapped to the roles meals are built from
+const ROLE_PATTERNS = {
+  protein: /protein|meat|poultry|fish|seafood|egg|legume|bean|tofu/i,
+  grain: /grain|cereal|bread|pasta|rice|starch/i,
+  vegetable: /vegetable/i,
+  fruit: /fruit/i,
+  dairy: /dairy|milk|yogurt|yoghurt|cheese/i,
+  nuts: /nut|seed/i
+};
+
+// Slots per meal; each slot takes a food from the first role that has one
+const MEAL_PATTERNS = {
+  breakfast: [['grain'], ['dairy', 'protein'], ['fruit']],
+  lunch: [['protein'], ['grain'], ['vegetable']],
+  dinner: [['protein'], ['vegetable'], ['grain', 'vegetable']],
+  snack: [['fruit', 'dairy'], ['nuts', 'fruit']]
+};
+
+const MIN_PORTION_GRAMS = 5;
+const MAX_PORTION_GRAMS = 1500;
+const MAX_ITEMS_PER_MEAL = 6;
+// How far the rule-based builder may stretch a default portion
+const MEAL_SCALE_RANGE = { min: 0.5, max: 2.5 };
+// How far an LLM day is rescaled towards the target
+const DAY_SCALE_RANGE = { min: 0.7, max: 1.4 };
+// Days further than this from the target are flagged
+const CALORIE_TOLERANCE = 0.1;
+const MAX_LIMIT_FIXES = 15;
+// Catalog entries listed in the LLM prompt
+const MAX_PROMPT_FOODS = 150;
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+const roundPortion = (grams) => Math.max(MIN_PORTION_GRAMS, Math.round(grams / 5) * 5);
+
+const roleOf = (food) => Object.keys(ROLE_PATTERNS).find(role => ROLE_PATTERNS[role].test(food.category || '')) || null;
+
+// First listed serving, else 100 g/ml
+const defaultPortion = (food) => (food.servingSizes && food.servingSizes.length > 0 ? food.servingSizes[0].grams : 100);
+
+const itemCalories = (item) => (item.food.calories * item.grams) / 100;
+const mealCalories = (items) => items.reduce((sum, item) => sum + itemCalories(item), 0);
+
+const scaleItems = (items, factor) => items.map(item => ({ ...item, grams: roundPortion(item.grams * factor) }));
+
+/**
+ * Daily calorie target for a plan: an explicit request, the weight goal, the
+ * user's own macro target, the maintenance estimate, then the default
+ * @returns {Object} - { calories, basis }
+ */
+const planCalorieTarget = (user, requested, energy) => {
+  if (requested) return { calories: requested, basis: 'requested' };
+  const goalPlan = user.getGoalPlan();
+  if (goalPlan) return { calories: goalPlan.targetCalories, basis: 'weight goal' };
+  if (user.macroTargets && user.macroTargets.calories) return { calories: user.macroTargets.calories, basis: 'macro targets' };
+  if (energy) return { calories: energy.tdee, basis: 'maintenance estimate' };
+  return { calories: user.getMacroTargets().calories, basis: 'default' };
+};
+
+/**
+ * Split the catalog into foods the plan may use and foods left out because of
+ * a major drug-food interaction with an active medication
+ * @returns {Object} - { allowed, excluded: [{ name, reason }] }
+ */
+const filterCatalog = (catalog, medications = []) => {
+  const allowed = [];
+  const excluded = [];
+
+  catalog.forEach(food => {
+    const major = findInteractions(medications, [food]).find(interaction => interaction.severity === 'major');
+    if (major) {
+      excluded.push({ name: food.name, reason: `${major.food} with ${major.medication.name}` });
+    } else {
+      allowed.push(food);
+    }
+  });
+
+  return { allowed, excluded };
+};
+
+/**
+ * Rule-based plan: fixed meal patterns filled from the catalog, rotating
+ * through each role's foods for variety, with portions scaled to each meal's
+ * share of the calorie target
+ * @returns {Object[]} - One { breakfast, lunch, dinner, snack } of { food, grams } per day
+ */
+const buildRuleBasedDays = (catalog, calorieTarget) => {
+  const byRole = {};
+  Object.keys(ROLE_PATTERNS).forEach(role => {
+    byRole[role] = catalog
+      .filter(food => roleOf(food) === role && food.calories > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  });
+
+  return Array.from({ length: PLAN_DAYS }, (unused, dayIndex) => {
+    // Two picks per role per day, so start each day two further along
+    const cursors = {};
+    Object.keys(byRole).forEach(role => { cursors[role] = dayIndex * 2; });
+
+    const day = {};
+    MEAL_TYPES.forEach(mealType => {
+      const items = [];
+      MEAL_PATTERNS[mealType].forEach(roles => {
+        const role = roles.find(candidate => byRole[candidate].some(food => !items.some(item => item.food === food)));
+        if (!role) return;
+        const options = byRole[role].filter(food => !items.some(item => item.food === food));
+        const food = options[cursors[role] % options.length];
+        cursors[role] += 1;
+        items.push({ food, grams: defaultPortion(food) });
+      });
+
+      const base = mealCalories(items);
+      const factor = base > 0 ? clamp((calorieTarget * MEAL_SHARES[mealType]) / base, MEAL_SCALE_RANGE) : 1;
+      day[mealType] = scaleItems(items, factor);
+    });
+    return day;
+  });
+};
+
+/**
+ * Swap out (or drop) the biggest contributor while a day is over a nutrient
+ * limit. Replacements have less of that nutrient per kcal and the same role,
+ * or failing that another role the meal is built from.
+ * @returns {Object} - The adjusted day
+ */
+const enforceLimits = (day, limits, catalog) => {
+  let adjusted = { ...day };
+  // Items with no better option, skipped when picking the next contributor
+  const stuck = new Set();
+
+  for (let fix = 0; fix < MAX_LIMIT_FIXES; fix++) {
+    const items = MEAL_TYPES.flatMap(mealType => adjusted[mealType]);
+    const over = checkNutrientLimits(limits, sumNutrients(items.map(item => scaleNutrients(item.food, item.grams))));
+    if (over.length === 0) break;
+
+    const { nutrient } = over[0];
+    let worst = null;
+    MEAL_TYPES.forEach(mealType => {
+      adjusted[mealType].forEach((item, index) => {
+        if (stuck.has(`${mealType}:${item.food._id}`)) return;
+        const amount = scaleNutrients(item.food, item.grams)[nutrient];
+        if (amount > 0 && (!worst || amount > worst.amount)) worst = { mealType, index, item, amount };
+      });
+    });
+    if (!worst) break;
+
+    const density = (food) => (food[nutrient] || 0) / Math.max(food.calories, 1);
+    const used = new Set(items.map(item => String(item.food._id)));
+    const candidates = catalog.filter(food => !used.has(String(food._id)) && food.calories > 0 && density(food) < density(worst.item.food));
+    const role = roleOf(worst.item.food);
+    const mealRoles = MEAL_PATTERNS[worst.mealType].flat();
+    const sameRole = candidates.filter(food => (role ? roleOf(food) === role : food.category === worst.item.food.category));
+    const alternatives = (sameRole.length > 0 ? sameRole : candidates.filter(food => mealRoles.includes(roleOf(food))))
+      .sort((a, b) => density(a) - density(b));
+
+    const meal = [...adjusted[worst.mealType]];
+    if (alternatives.length > 0) {
+      // Same calories from the replacement
+      const replacement = alternatives[0];
+      meal[worst.index] = { food: replacement, grams: roundPortion((itemCalories(worst.item) * 100) / replacement.calories) };
+      adjusted = { ...adjusted, [worst.mealType]: meal };
+    } else if (meal.length > 1) {
+      const before = mealCalories(meal);
+      meal.splice(worst.index, 1);
+      const after = mealCalories(meal);
+      adjusted = { ...adjusted, [worst.mealType]: after > 0 ? scaleItems(meal, clamp(before / after, MEAL_SCALE_RANGE)) : meal };
+    } else {
+      stuck.add(`${worst.mealType}:${worst.item.food._id}`);
+    }
+  }
+
+  return adjusted;
+};
+
+// A plan entry in the same shape as a logged meal's food item, plus the catalog id
+const planItem = ({ food, grams }) => ({
+  foodId: food._id,
+  name: food.name,
+  quantity: grams,
+  unit: food.unit === '100ml' ? 'ml' : 'grams',
+  ...scaleNutrients(food, grams)
+});
+
+/**
+ * Turn { food, grams } days into dated plan days with nutrient totals, and
+ * collect warnings for days off the calorie target or over a nutrient limit
+ * @returns {Object} - { days, warnings }
+ */
+const buildPlanDays = (rawDays, { startDate, calorieTarget, limits }) => {
+  const warnings = [];
+
+  const days = rawDays.map((rawDay, index) => {
+    const date = toDateKey(addDays(startDate, index));
+    const meals = MEAL_TYPES
+      .filter(mealType => rawDay[mealType] && rawDay[mealType].length > 0)
+      .map(mealType => {
+        const foods = rawDay[mealType].map(planItem);
+        return {
+          mealType,
+          foods,
+          totalCalories: foods.reduce((sum, food) => sum + food.calories, 0)
+        };
+      });
+    const totals = sumNutrients(meals.flatMap(meal => meal.foods));
+
+    const difference = totals.calories - calorieTarget;
+    if (Math.abs(difference) > calorieTarget * CALORIE_TOLERANCE) {
+      warnings.push(`${date}: ${totals.calories} kcal is ${Math.round(Math.abs(difference) / calorieTarget * 100)}% ${difference < 0 ? 'under' : 'over'} the ${calorieTarget} kcal target`);
+    }
+    checkNutrientLimits(limits, totals).forEach(({ label, unit, limit, consumed, diseases }) => {
+      warnings.push(`${date}: ${label} comes to ${consumed}${unit}, over the ${limit}${unit} daily limit for ${diseases.join(', ')}`);
+    });
+
+    return { date, meals, totals };
+  });
+
+  return { days, warnings };
+};
+
+/**
+ * Scale, check and date a plan
+ * @param {Object[]} rawDays - { breakfast, lunch, dinner, snack } of { food, grams } per day
+ * @param {Object} options - { catalog (allowed foods), calorieTarget, limits, startDate, rescale }
+ *   rescale scales each whole day towards the target (used for LLM plans)
+ * @returns {Object} - { days, warnings }
+ */
+const finalizePlan = (rawDays, { catalog, calorieTarget, limits, startDate, rescale = false }) => {
+  const adjusted = rawDays.map(rawDay => {
+    let day = rawDay;
+    if (rescale) {
+      const total = MEAL_TYPES.reduce((sum, mealType) => sum + mealCalories(day[mealType]), 0);
+      const factor = total > 0 ? clamp(calorieTarget / total, DAY_SCALE_RANGE) : 1;
+      day = {};
+      MEAL_TYPES.forEach(mealType => { day[mealType] = scaleItems(rawDay[mealType], factor); });
+    }
+    return enforceLimits(day, limits, catalog);
+  });
+
+  return buildPlanDays(adjusted, { startDate, calorieTarget, limits });
+};
+
+// 🤖 LLM PLANS
+
+const PLAN_SCHEMA_DESCRIPTION = `{
+  "days": [ exactly ${PLAN_DAYS} objects, one per day, each
+    { "breakfast": [ { "food": catalog name, "grams": number } ], "lunch": [...], "dinner": [...], "snack": [...] }
+  ]
+}`;
+
+// Round-robin across categories so a large catalog still shows some of everything
+const promptFoods = (catalog) => {
+  const byCategory = {};
+  [...catalog].sort((a, b) => a.name.localeCompare(b.name)).forEach(food => {
+    (byCategory[food.category] = byCategory[food.category] || []).push(food);
+  });
+
+  const lists = Object.values(byCategory);
+  const picked = [];
+  for (let i = 0; picked.length < MAX_PROMPT_FOODS && lists.some(list => i < list.length); i++) {
+    lists.forEach(list => {
+      if (i < list.length && picked.length < MAX_PROMPT_FOODS) picked.push(list[i]);
+    });
+  }
+  return picked;
+};
+
+/**
+ * Prompt asking for a plan that uses only catalog foods
+ */
+const mealPlanPrompt = ({ catalog, calorieTarget, limits, conditions, excluded }) => {
+  const foodLines = promptFoods(catalog).map(food => {
+    const serving = defaultPortion(food);
+    return `- ${food.name} [${food.category}]: ${food.calories} kcal, protein ${food.protein} g, carbs ${food.carbs} g, fat ${food.fat} g per ${food.unit}; typical portion ${serving} ${food.unit === '100ml' ? 'ml' : 'g'}`;
+  });
+  const limitLines = Object.values(limits).map(({ label, limit, unit, diseases }) => `- ${label}: at most ${limit}${unit} per day (${diseases.join(', ')})`);
+
+  return `Create a ${PLAN_DAYS}-day meal plan with breakfast, lunch, dinner and a snack each day.
+
+Daily calorie target: ${calorieTarget} kcal (roughly ${MEAL_TYPES.map(mealType => `${mealType} ${Math.round(MEAL_SHARES[mealType] * 100)}%`).join(', ')}).
+Health conditions: ${conditions.length > 0 ? conditions.join(', ') : 'None reported'}
+${limitLines.length > 0 ? `Daily nutrient limits:\n${limitLines.join('\n')}\n` : ''}${excluded.length > 0 ? `Never use (medication interactions): ${excluded.map(food => food.name).join(', ')}\n` : ''}
+Use ONLY foods from this catalog, with names copied exactly. Amounts are grams (ml for drinks):
+${foodLines.join('\n')}
+
+Vary the foods across the week and keep portions realistic.
+Respond with a single JSON object and nothing else, matching this shape:
+${PLAN_SCHEMA_DESCRIPTION}`;
+};
+
+const toGrams = (value) => (typeof value === 'number' ? value : parseFloat(value));
+
+/**
+ * Coerce common deviations into the plan shape: a bare days array, meals
+ * nested under "meals", "snacks" for "snack", "name"/"quantity" keys, single
+ * items instead of lists, amounts sent as strings ("60 g")
+ */
+const repairPlan = (raw) => {
+  if (!raw || typeof raw !== 'object') return raw;
+  const days = Array.isArray(raw) ? raw : raw.days || raw.plan || raw.week;
+  if (!Array.isArray(days)) return raw;
+
+  return {
+    days: days.map(day => {
+      const meals = (day && (day.meals || day)) || {};
+      const repaired = {};
+      MEAL_TYPES.forEach(mealType => {
+        let items = meals[mealType] ?? meals[`${mealType}s`];
+        if (items && !Array.isArray(items)) items = [items];
+        repaired[mealType] = (items || []).map(item => (typeof item === 'string'
+          ? { food: item }
+          : { food: item.food ?? item.name ?? item.foodName, grams: toGrams(item.grams ?? item.quantity ?? item.amount) }));
+      });
+      return repaired;
+    })
+  };
+};
+
+/**
+ * Validator for LLM plans against the catalog the model was shown.
+ * Food names must match a catalog entry; missing or unrealistic amounts fall
+ * back to the food's typical portion.
+ * @param {Object[]} catalog - Allowed foods
+ * @returns {Function} - candidate -> { valid, errors, value } where value is
+ *   the days as { food, grams }
+ */
+const createPlanValidator = (catalog) => {
+  const byName = new Map(catalog.map(food => [food.name.toLowerCase(), food]));
+
+  return (candidate) => {
+    if (!candidate || !Array.isArray(candidate.days)) {
+      return { valid: false, errors: ['Reply must be an object with a "days" array'], value: null };
+    }
+
+    const errors = [];
+    if (candidate.days.length !== PLAN_DAYS) {
+      errors.push(`days must have exactly ${PLAN_DAYS} entries (got ${candidate.days.length})`);
+    }
+
+    const unknown = new Set();
+    const value = candidate.days.slice(0, PLAN_DAYS).map((day, index) => {
+      const resolved = {};
+      MEAL_TYPES.forEach(mealType => {
+        const items = Array.isArray(day[mealType]) ? day[mealType] : [];
+        resolved[mealType] = items.slice(0, MAX_ITEMS_PER_MEAL).map(item => {
+          const food = byName.get(String(item.food || '').trim().toLowerCase());
+          if (!food) {
+            unknown.add(item.food);
+            return null;
+          }
+          const grams = Number.isFinite(item.grams) && item.grams >= MIN_PORTION_GRAMS && item.grams <= MAX_PORTION_GRAMS
+            ? roundPortion(item.grams)
+            : defaultPortion(food);
+          return { food, grams };
+        }).filter(Boolean);
+        if (items.length === 0) errors.push(`Day ${index + 1} has no ${mealType}`);
+      });
+      return resolved;
+    });
+
+    if (unknown.size > 0) {
+      errors.push(`Unknown foods: ${[...unknown].slice(0, 10).join(', ')}. Use only names from the catalog, copied exactly`);
+    }
+
+    return errors.length > 0 ? { valid: false, errors, value: null } : { valid: true, errors: [], value };
+  };
+};
+
+module.exports = {
+  PLAN_DAYS,
+  MEAL_TYPES,
+  MIN_PORTION_GRAMS,
+  MAX_PORTION_GRAMS,
+  planCalorieTarget,
+  filterCatalog,
+  buildRuleBasedDays,
+  buildPlanDays,
+  finalizePlan,
+  mealPlanPrompt,
+  repairPlan,
+  createPlanValidator
+};
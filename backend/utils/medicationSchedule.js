@@ -0,0 +1,152 @@
+const { calendarDay, addCalendarDays, zonedDateTime, endOfZonedDay } = require('./dates');
+
+/**
+ * Medication schedule helpers: expand schedules into expected doses and
+ * score dose logs against them. Dose times are wall-clock times in the
+ * user's time zone (`timeZone`, IANA); without one, the server's.
+ */
+
+// A dose logged more than this long after its slot counts as late
+const LATE_AFTER_MINUTES = 60;
+
+// Dose times used for medications saved before schedules existed,
+// keyed by the old free-text frequency
+const FREQUENCY_PRESETS = {
+  'once daily': ['08:00'],
+  'twice daily': ['08:00', '20:00'],
+  'three times daily': ['08:00', '14:00', '20:00'],
+  'four times daily': ['08:00', '12:00', '16:00', '20:00']
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Structured schedule for a medication. Medications without one get a
+ * schedule derived from their free-text frequency.
+ * @returns {Object} - { asNeeded, times: ['HH:MM'], daysOfWeek: [0-6] } (no days = every day)
+ */
+const getSchedule = (medication, timeZone) => {
+  const schedule = medication.schedule || {};
+  if (schedule.asNeeded || (schedule.times && schedule.times.length > 0)) {
+    return {
+      asNeeded: !!schedule.asNeeded,
+      times: [...(schedule.times || [])].sort(),
+      daysOfWeek: [...(schedule.daysOfWeek || [])]
+    };
+  }
+
+  const frequency = (medication.frequency || '').trim().toLowerCase();
+  if (frequency === 'as needed') {
+    return { asNeeded: true, times: [], daysOfWeek: [] };
+  }
+  if (frequency === 'weekly') {
+    const startDate = medication.startDate ? new Date(medication.startDate) : new Date();
+    return { asNeeded: false, times: ['08:00'], daysOfWeek: [calendarDay(startDate, timeZone).getUTCDay()] };
+  }
+
+  return {
+    asNeeded: false,
+    times: FREQUENCY_PRESETS[frequency] || ['08:00'],
+    daysOfWeek: []
+  };
+};
+
+/**
+ * Every HH:MM slot on the given weekdays between two dates (no days = every day)
+ * @returns {Date[]}
+ */
+const slotsBetween = (times, daysOfWeek, from, to, timeZone) => {
+  const slots = [];
+  const lastDay = calendarDay(to, timeZone);
+
+  for (let day = calendarDay(from, timeZone); day <= lastDay; day = addCalendarDays(day, 1)) {
+    if (daysOfWeek.length === 0 || daysOfWeek.includes(day.getUTCDay())) {
+      times.forEach(time => {
+        const slot = zonedDateTime(day, time, timeZone);
+        if (slot >= from && slot <= to) slots.push(slot);
+      });
+    }
+  }
+
+  return slots.sort((a, b) => a - b);
+};
+
+/**
+ * Every scheduled dose slot between two dates, limited to the medication's
+ * start/end dates. As-needed medications have no expected doses.
+ * @returns {Date[]}
+ */
+const expectedDoses = (medication, from, to, timeZone) => {
+  const schedule = getSchedule(medication, timeZone);
+  if (schedule.asNeeded) return [];
+
+  const rangeStart = new Date(Math.max(from.getTime(), medication.startDate ? new Date(medication.startDate).getTime() : 0));
+  const rangeEnd = medication.endDate
+    ? new Date(Math.min(to.getTime(), endOfZonedDay(medication.endDate, timeZone).getTime()))
+    : to;
+
+  return slotsBetween(schedule.times, schedule.daysOfWeek, rangeStart, rangeEnd, timeZone);
+};
+
+/**
+ * Taken doses count as late when logged well after their slot
+ */
+const doseStatus = (scheduledFor, takenAt) => {
+  if (!scheduledFor) return 'taken';
+  const lateAfter = new Date(scheduledFor).getTime() + LATE_AFTER_MINUTES * 60 * 1000;
+  return new Date(takenAt).getTime() > lateAfter ? 'late' : 'taken';
+};
+
+/**
+ * Adherence for one medication over a window
+ * @param {Object} medication - Medication entry
+ * @param {Object[]} logs - That medication's dose logs in the window
+ * @param {Date} from
+ * @param {Date} to - Slots after `to` (e.g. later today) are not counted yet
+ * @param {string} [timeZone] - The user's IANA time zone
+ */
+const computeAdherence = (medication, logs, from, to, timeZone) => {
+  const schedule = getSchedule(medication, timeZone);
+  const counts = { taken: 0, late: 0, skipped: 0 };
+  logs.forEach(log => {
+    counts[log.status] += 1;
+  });
+
+  if (schedule.asNeeded) {
+    return {
+      medicationId: medication._id,
+      name: medication.name,
+      asNeeded: true,
+      expected: null,
+      ...counts,
+      missed: null,
+      adherence: null,
+      onTime: null
+    };
+  }
+
+  const expected = expectedDoses(medication, from, to, timeZone).length;
+  const logged = counts.taken + counts.late + counts.skipped;
+
+  return {
+    medicationId: medication._id,
+    name: medication.name,
+    asNeeded: false,
+    expected,
+    ...counts,
+    missed: Math.max(expected - logged, 0),
+    adherence: expected > 0 ? Math.round(((counts.taken + counts.late) / expected) * 100) : null,
+    onTime: expected > 0 ? Math.round((counts.taken / expected) * 100) : null
+  };
+};
+
+module.exports = {
+  LATE_AFTER_MINUTES,
+  FREQUENCY_PRESETS,
+  TIME_PATTERN,
+  getSchedule,
+  slotsBetween,
+  expectedDoses,
+  doseStatus,
+  computeAdherence
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Notification = require('../models/Notification');
+const { sendMail } = require('./mailer');
+const { assertPublicUrl, publicLookup } = require('./publicAddress');
+
+/**
+ * Pluggable delivery channels for reminders and other notifications.
+ * A channel is { name, isEnabled(user), send(user, notification) }; register
+ * more with registerChannel().
+ */
+
+const channels = new Map();
+
+const registerChannel = (channel) => {
+  channels.set(channel.name, channel);
+};
+
+const settingsOf = (user) => user.notificationSettings || {};
+
+// In-app inbox
+registerChannel({
+  name: 'inApp',
+  isEnabled: (user) => settingsOf(user).channels?.inApp !== false,
+  send: (user, notification) => Notification.create({
+    userId: user._id,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    data: notification.data
+  })
+});
+
+// Email over SMTP
+registerChannel({
+  name: 'email',
+  isEnabled: (user) => !!(settingsOf(user).channels?.email && user.email),
+  send: (user, notification) => sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: `${notification.body}\n\n— Health Guard\nManage reminders under Notifications in the app.`
+  })
+});
+
+// Webhooks only ever connect to public addresses, whatever the URL's host resolves to at send time
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Generic webhook: JSON POST, signed with HMAC-SHA256 when NOTIFICATION_WEBHOOK_SECRET is set
+registerChannel({
+  name: 'webhook',
+  isEnabled: (user) => !!(settingsOf(user).channels?.webhook && settingsOf(user).webhookUrl),
+  send: async (user, notification) => {
+    const { webhookUrl } = settingsOf(user);
+    await assertPublicUrl(webhookUrl);
+
+    const payload = JSON.stringify({
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+      userId: user._id,
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      headers['X-Health-Guard-Signature'] = crypto
+        .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+        .update(payload)
+        .digest('hex');
+    }
+
+    return axios.post(webhookUrl, payload, { headers, timeout: 5000, maxRedirects: 0, ...webhookAgents });
+  }
+});
+
+/**
+ * Send a notification through every channel the user has enabled.
+ * One failing channel does not stop the others.
+ * @param {Object} user - User document
+ * @param {Object} notification - { type, title, body, data }
+ * @returns {Promise<Object>} - Per channel 'sent' or 'failed'; details only go to the server log
+ */
+const deliver = async (user, notification) => {
+  const results = {};
+
+  for (const channel of channels.values()) {
+    if (!channel.isEnabled(user)) continue;
+    try {
+      await channel.send(user, notification);
+      results[channel.name] = 'sent';
+    } catch (error) {
+      console.error(`❌ ${channel.name} delivery failed for user ${user._id}:`, error.message);
+      results[channel.name] = 'failed';
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  registerChannel,
+  deliver,
+  channelNames: () => Array.from(channels.keys())
+};
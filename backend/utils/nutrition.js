@@ -0,0 +1,164 @@
+/**
+ * Shared nutrient math for foods, custom foods, recipes and logged meals
+ */
+
+// Every nutrient tracked on a food entry (sodium/potassium in mg, the rest in g or kcal)
+const NUTRIENT_FIELDS = [
+  'calories',
+  'protein',
+  'carbs',
+  'fat',
+  'fiber',
+  'sugar',
+  'saturatedFat',
+  'sodium',
+  'potassium'
+];
+
+// Macronutrients tracked against per-user targets
+const MACRO_FIELDS = ['protein', 'carbs', 'fat', 'fiber'];
+
+// Energy per gram, used to turn percentage targets into grams
+const CALORIES_PER_GRAM = {
+  protein: 4,
+  carbs: 4,
+  fat: 9
+};
+
+// Used until a user saves their own targets
+const DEFAULT_MACRO_TARGETS = {
+  mode: 'percent',
+  calories: 2000,
+  protein: 20,
+  carbs: 50,
+  fat: 30,
+  fiber: 28
+};
+
+/**
+ * Round to one decimal place (calories to whole numbers)
+ */
+const roundNutrient = (field, value) => {
+  if (field === 'calories') return Math.round(value);
+  return Math.round(value * 10) / 10;
+};
+
+/**
+ * Scale a food's reference nutrients to an amount.
+ * Foods whose values are per 100g/100ml scale by amount / 100;
+ * foods whose values are per serving scale by the number of servings.
+ * @param {Object} source - Food-like object with nutrient fields and `unit`
+ * @param {number} amount - Grams/ml, or servings when unit is 'serving'
+ * @returns {Object} - Nutrient values for that amount
+ */
+const scaleNutrients = (source, amount) => {
+  const multiplier = source.unit === 'serving' ? amount : amount / 100;
+  const scaled = {};
+
+  NUTRIENT_FIELDS.forEach(field => {
+    scaled[field] = roundNutrient(field, (source[field] || 0) * multiplier);
+  });
+
+  return scaled;
+};
+
+/**
+ * Add up nutrient fields over a list of items
+ * @param {Object[]} items - Objects carrying nutrient fields
+ * @returns {Object} - Totals per nutrient
+ */
+const sumNutrients = (items) => {
+  const totals = {};
+
+  NUTRIENT_FIELDS.forEach(field => {
+    const total = items.reduce((sum, item) => sum + (Number(item[field]) || 0), 0);
+    totals[field] = roundNutrient(field, total);
+  });
+
+  return totals;
+};
+
+/**
+ * Divide nutrient totals evenly, e.g. a recipe's totals over its servings
+ */
+const divideNutrients = (totals, divisor) => {
+  const divided = {};
+
+  NUTRIENT_FIELDS.forEach(field => {
+    divided[field] = roundNutrient(field, (totals[field] || 0) / (divisor || 1));
+  });
+
+  return divided;
+};
+
+/**
+ * Resolve a user's macro target settings to grams per day.
+ * In percent mode protein/carbs/fat are shares of the calorie target;
+ * fiber is always a gram target.
+ * @param {Object} settings - { mode, calories, protein, carbs, fat, fiber }
+ * @returns {Object} - { mode, calories, protein, carbs, fat, fiber } in kcal/grams
+ */
+const resolveMacroTargets = (settings = {}) => {
+  const merged = { ...DEFAULT_MACRO_TARGETS };
+  ['mode', 'calories', ...MACRO_FIELDS].forEach(field => {
+    if (settings[field] !== undefined && settings[field] !== null) merged[field] = settings[field];
+  });
+
+  const targets = { mode: merged.mode, fiber: roundNutrient('fiber', merged.fiber) };
+
+  if (merged.mode === 'percent') {
+    targets.calories = Math.round(merged.calories);
+    Object.keys(CALORIES_PER_GRAM).forEach(field => {
+      const grams = (merged.calories * merged[field] / 100) / CALORIES_PER_GRAM[field];
+      targets[field] = roundNutrient(field, grams);
+    });
+  } else {
+    // Gram targets that were never set fall back to the default split
+    const defaults = resolveMacroTargets({ calories: merged.calories });
+    Object.keys(CALORIES_PER_GRAM).forEach(field => {
+      const grams = settings[field] !== undefined && settings[field] !== null ? settings[field] : defaults[field];
+      targets[field] = roundNutrient(field, grams);
+    });
+    targets.calories = Math.round(Object.keys(CALORIES_PER_GRAM)
+      .reduce((sum, field) => sum + targets[field] * CALORIES_PER_GRAM[field], 0));
+  }
+
+  return targets;
+};
+
+/**
+ * Compare macro totals with targets
+ * @param {Object} totals - Grams consumed per macro
+ * @param {Object} targets - Resolved targets from resolveMacroTargets
+ * @param {number} days - Number of days the totals cover
+ * @returns {Object} - Per macro { consumed, target, remaining, percentOfTarget }
+ */
+const compareMacros = (totals, targets, days = 1) => {
+  const comparison = {};
+
+  MACRO_FIELDS.forEach(field => {
+    const consumed = roundNutrient(field, totals[field] || 0);
+    const target = roundNutrient(field, (targets[field] || 0) * days);
+    comparison[field] = {
+      consumed,
+      target,
+      remaining: roundNutrient(field, target - consumed),
+      percentOfTarget: target > 0 ? Math.round((consumed / target) * 100) : null
+    };
+  });
+
+  return comparison;
+};
+
+module.exports = {
+  NUTRIENT_FIELDS,
+  MACRO_FIELDS,
+  CALORIES_PER_GRAM,
+  DEFAULT_MACRO_TARGETS,
+  roundNutrient,
+  scaleNutrients,
+  sumNutrients,
+  divideNutrients,
+  resolveMacroTargets,
+  compareMacros
+};
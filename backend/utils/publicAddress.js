@@ -0,0 +1,92 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards outgoing requests to user-supplied URLs (notification webhooks).
+ * Loopback, private, link-local (cloud metadata) and other non-public
+ * addresses are refused, both when the URL is saved and when it is used,
+ * so a user can't point the server at its own network.
+ */
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+const NOT_PUBLIC = 'URL must point to a public internet address';
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup replacement for HTTP agents: resolves as usual but fails on any
+// non-public address, so a hostname can't be re-pointed after it was checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const unsafe = addresses.find(entry => !isPublicAddress(entry.address));
+    if (unsafe) return callback(new Error(`${hostname} resolves to a non-public address`));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that an http(s) URL's host is, and resolves only to, public addresses
+ * @param {string} url
+ * @throws {Error} - With a message fit to show the user
+ */
+const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('URL is not valid');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('URL must use http or https');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) throw new Error(NOT_PUBLIC);
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new Error('URL host could not be resolved');
+  }
+  if (addresses.some(entry => !isPublicAddress(entry.address))) {
+    throw new Error(NOT_PUBLIC);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  assertPublicUrl
+};
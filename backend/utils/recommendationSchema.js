@@ -0,0 +1,193 @@
+/**
+ * Structured calorie recommendations: the JSON shape the LLM is asked for,
+ * a validator, and a best-effort repair step for near-miss responses
+ */
+
+const CALORIE_RANGE = { min: 800, max: 6000 };
+const MACRO_KEYS = ['protein', 'carbs', 'fat'];
+const LIST_FIELDS = ['foodsToFavor', 'foodsToAvoid', 'warnings', 'tips'];
+const MAX_LIST_ITEMS = 15;
+const MAX_ITEM_LENGTH = 300;
+// Macro percentages may be off by rounding
+const MACRO_SUM_TOLERANCE = 2;
+
+// Described to the model alongside the request
+const SCHEMA_DESCRIPTION = `{
+  "summary": string, one or two sentences,
+  "calories": integer daily calories between ${CALORIE_RANGE.min} and ${CALORIE_RANGE.max},
+  "macros": { "protein": number, "carbs": number, "fat": number } as percentages of calories that add up to 100,
+  "foodsToFavor": array of short strings,
+  "foodsToAvoid": array of short strings,
+  "warnings": array of short strings (medication or condition specific cautions; may be empty),
+  "tips": array of short strings
+}`;
+
+/**
+ * Pull the first JSON object out of a model reply (handles ```json fences and
+ * prose before or after the object)
+ * @returns {Object|null}
+ */
+const extractJson = (text) => {
+  if (typeof text !== 'string') return null;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  const body = candidate.slice(start, end + 1);
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    // Trailing commas are the most common near-miss
+    try {
+      return JSON.parse(body.replace(/,\s*([}\]])/g, '$1'));
+    } catch (retryError) {
+      return null;
+    }
+  }
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : NaN;
+  }
+  return NaN;
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    return value.split(/\n|;|•/).map(item => item.replace(/^[-*\s]+/, '').trim()).filter(Boolean);
+  }
+  return value;
+};
+
+/**
+ * Coerce common deviations into the schema shape: numbers sent as strings
+ * ("2000 kcal"), lists sent as one string, macro fractions (0.3) instead of
+ * percentages, alternate key names
+ */
+const repairRecommendation = (raw) => {
+  if (!raw || typeof raw !== 'object') return raw;
+  const repaired = { ...raw };
+
+  if (repaired.calories === undefined) {
+    repaired.calories = raw.dailyCalories ?? raw.recommendedCalories ?? raw.calorieTarget;
+  }
+  repaired.calories = Math.round(toNumber(repaired.calories));
+
+  const macros = raw.macros || raw.macroSplit || raw.macronutrients;
+  if (macros && typeof macros === 'object') {
+    const values = {};
+    MACRO_KEYS.forEach(key => {
+      values[key] = toNumber(macros[key] ?? macros[`${key}Percent`] ?? (key === 'carbs' ? macros.carbohydrates : undefined));
+    });
+    // Fractions of 1 instead of percentages
+    const total = MACRO_KEYS.reduce((sum, key) => sum + values[key], 0);
+    if (total > 0.95 && total < 1.05) {
+      MACRO_KEYS.forEach(key => { values[key] = values[key] * 100; });
+    }
+    MACRO_KEYS.forEach(key => { values[key] = Math.round(values[key]); });
+    repaired.macros = values;
+  }
+
+  LIST_FIELDS.forEach(field => {
+    repaired[field] = toList(repaired[field] === undefined ? [] : repaired[field]);
+    if (Array.isArray(repaired[field])) {
+      repaired[field] = repaired[field]
+        .map(item => (typeof item === 'string' ? item.trim() : item))
+        .filter(item => item !== '')
+        .slice(0, MAX_LIST_ITEMS);
+    }
+  });
+
+  if (typeof repaired.summary !== 'string') repaired.summary = '';
+  repaired.summary = repaired.summary.trim();
+
+  return repaired;
+};
+
+/**
+ * Check a (repaired) recommendation against the schema
+ * @returns {Object} - { valid, errors, value } where value has only schema fields
+ */
+const validateRecommendation = (candidate) => {
+  const errors = [];
+  if (!candidate || typeof candidate !== 'object') {
+    return { valid: false, errors: ['Response is not a JSON object'], value: null };
+  }
+
+  const { calories, macros, summary } = candidate;
+  if (!Number.isInteger(calories) || calories < CALORIE_RANGE.min || calories > CALORIE_RANGE.max) {
+    errors.push(`calories must be an integer between ${CALORIE_RANGE.min} and ${CALORIE_RANGE.max}`);
+  }
+
+  if (!macros || typeof macros !== 'object') {
+    errors.push('macros must be an object with protein, carbs and fat percentages');
+  } else {
+    MACRO_KEYS.forEach(key => {
+      if (!Number.isFinite(macros[key]) || macros[key] < 0 || macros[key] > 100) {
+        errors.push(`macros.${key} must be a percentage between 0 and 100`);
+      }
+    });
+    const total = MACRO_KEYS.reduce((sum, key) => sum + (macros[key] || 0), 0);
+    if (Math.abs(total - 100) > MACRO_SUM_TOLERANCE) {
+      errors.push(`macros must add up to 100 (got ${total})`);
+    }
+  }
+
+  LIST_FIELDS.forEach(field => {
+    const list = candidate[field];
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item.length > MAX_ITEM_LENGTH)) {
+      errors.push(`${field} must be an array of short strings`);
+    }
+  });
+  if (Array.isArray(candidate.foodsToFavor) && candidate.foodsToFavor.length === 0) {
+    errors.push('foodsToFavor must list at least one food');
+  }
+  if (typeof summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  if (errors.length > 0) return { valid: false, errors, value: null };
+
+  const value = {
+    summary,
+    calories,
+    macros: { protein: macros.protein, carbs: macros.carbs, fat: macros.fat }
+  };
+  LIST_FIELDS.forEach(field => { value[field] = candidate[field]; });
+  return { valid: true, errors: [], value };
+};
+
+/**
+ * Markdown rendering of a structured recommendation, stored as `content` so
+ * older clients and the history list keep working
+ */
+const renderRecommendationMarkdown = (recommendation, extraSections = []) => {
+  const list = (items) => items.map(item => `• ${item}`).join('\n');
+  const sections = [
+    `**Recommended Daily Calorie Intake: ${recommendation.calories} calories**`,
+    recommendation.summary,
+    `**Macro Split:** ${recommendation.macros.protein}% protein, ${recommendation.macros.carbs}% carbs, ${recommendation.macros.fat}% fat`,
+    ...extraSections,
+    `**Foods to Favor:**\n${list(recommendation.foodsToFavor)}`
+  ];
+  if (recommendation.foodsToAvoid.length > 0) sections.push(`**Foods to Avoid:**\n${list(recommendation.foodsToAvoid)}`);
+  if (recommendation.warnings.length > 0) sections.push(`**Warnings:**\n${list(recommendation.warnings)}`);
+  if (recommendation.tips.length > 0) sections.push(`**General Health Tips:**\n${list(recommendation.tips)}`);
+
+  return sections.filter(Boolean).join('\n\n');
+};
+
+module.exports = {
+  CALORIE_RANGE,
+  SCHEMA_DESCRIPTION,
+  extractJson,
+  repairRecommendation,
+  validateRecommendation,
+  renderRecommendationMarkdown
+};
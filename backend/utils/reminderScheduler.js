@@ -0,0 +1,337 @@
+const redisClient = require('../config/redis');
+const User = require('../models/User');
+const Meal = require('../models/Meal');
+const DoseLog = require('../models/DoseLog');
+const HealthMetricReading = require('../models/HealthMetricReading');
+const { deliver } = require('./notificationChannels');
+const { slotsBetween, expectedDoses } = require('./medicationSchedule');
+const { zonedParts, calendarDay, addCalendarDays, zonedDateTime, startOfZonedDay, endOfZonedDay } = require('./dates');
+
+/**
+ * Reminder scheduler.
+ * A planner looks ahead and queues upcoming reminders; a dispatcher sends the
+ * ones that are due. The queue is a Redis sorted set scored by due time, so
+ * several server instances can share it (each job is claimed with ZREM).
+ * Without Redis the queue lives in this process. Reminder times and quiet
+ * hours are wall-clock times in the user's time zone (server's if unset).
+ */
+
+const QUEUE_KEY = 'reminders:queue';
+const PLANNED_KEY_PREFIX = 'reminders:planned:';
+
+const PLAN_INTERVAL_MS = 15 * 60 * 1000;
+const PLAN_HORIZON_MS = 60 * 60 * 1000;
+const DISPATCH_INTERVAL_MS = 30 * 1000;
+// Reminders this far past due (e.g. the server was down) are dropped
+const MAX_LATENESS_MS = 2 * 60 * 60 * 1000;
+
+const MEAL_REMINDER_TYPES = ['breakfast', 'lunch', 'dinner'];
+
+// 🗂️ QUEUE
+
+const memoryQueue = [];
+const memoryPlanned = new Map();
+
+const queue = {
+  // Queue a job once; planning the same job again is a no-op
+  async add(job) {
+    if (redisClient.isConnected) {
+      const fresh = await redisClient.setIfAbsent(`${PLANNED_KEY_PREFIX}${job.id}`, 1, 2 * 24 * 60 * 60);
+      if (fresh) await redisClient.zAdd(QUEUE_KEY, job.dueAt, JSON.stringify(job));
+      return fresh;
+    }
+
+    if (memoryPlanned.has(job.id)) return false;
+    memoryPlanned.set(job.id, job.dueAt);
+    memoryQueue.push(job);
+    return true;
+  },
+
+  // Put a claimed job back with a new due time
+  async reschedule(job) {
+    if (redisClient.isConnected) {
+      await redisClient.zAdd(QUEUE_KEY, job.dueAt, JSON.stringify(job));
+      return;
+    }
+    memoryQueue.push(job);
+  },
+
+  // Claim every job due by `now`
+  async takeDue(now) {
+    if (redisClient.isConnected) {
+      const members = await redisClient.zRangeByScore(QUEUE_KEY, now);
+      const claimed = [];
+      for (const member of members) {
+        if (await redisClient.zRem(QUEUE_KEY, member)) claimed.push(JSON.parse(member));
+      }
+      return claimed;
+    }
+
+    const due = memoryQueue.filter(job => job.dueAt <= now);
+    due.forEach(job => memoryQueue.splice(memoryQueue.indexOf(job), 1));
+
+    // Forget dedupe entries for reminders well in the past
+    memoryPlanned.forEach((dueAt, id) => {
+      if (dueAt < now - 2 * 24 * 60 * 60 * 1000) memoryPlanned.delete(id);
+    });
+
+    return due;
+  }
+};
+
+// 🌙 QUIET HOURS
+
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isQuietTime = (date, quietHours, timeZone) => {
+  if (!quietHours || !quietHours.enabled) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  const { hours, minutes } = zonedParts(date, timeZone);
+  const current = hours * 60 + minutes;
+
+  // Windows like 22:00–07:00 wrap past midnight
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+const quietHoursEnd = (date, quietHours, timeZone) => {
+  const today = calendarDay(date, timeZone);
+  const end = zonedDateTime(today, quietHours.end, timeZone);
+  return end > date ? end : zonedDateTime(addCalendarDays(today, 1), quietHours.end, timeZone);
+};
+
+// 📝 PLANNING
+
+/**
+ * Reminders due for a user between two dates
+ * @returns {Object[]} - Jobs { id, type, userId, slotAt, dueAt, data }
+ */
+const buildJobs = (user, from, to) => {
+  const reminders = user.notificationSettings?.reminders || {};
+  const timeZone = user.notificationSettings?.timeZone;
+  const userId = user._id.toString();
+  const jobs = [];
+
+  if (reminders.medicationDoses !== false) {
+    user.medications
+      .filter(medication => medication.active)
+      .forEach(medication => {
+        expectedDoses(medication, from, to, timeZone).forEach(slot => {
+          jobs.push({
+            id: `medication-dose:${userId}:${medication._id}:${slot.toISOString()}`,
+            type: 'medication-dose',
+            userId,
+            slotAt: slot.getTime(),
+            dueAt: slot.getTime(),
+            data: { medicationId: medication._id.toString(), scheduledFor: slot.toISOString() }
+          });
+        });
+      });
+  }
+
+  if (reminders.mealLogging !== false) {
+    MEAL_REMINDER_TYPES.forEach(mealType => {
+      const time = reminders.mealTimes?.[mealType];
+      if (!time) return;
+      slotsBetween([time], [], from, to, timeZone).forEach(slot => {
+        jobs.push({
+          id: `meal-logging:${userId}:${mealType}:${slot.toISOString()}`,
+          type: 'meal-logging',
+          userId,
+          slotAt: slot.getTime(),
+          dueAt: slot.getTime(),
+          data: { mealType, date: slot.toISOString() }
+        });
+      });
+    });
+  }
+
+  if (reminders.metricCheckIn !== false && reminders.metricCheckInTime) {
+    slotsBetween([reminders.metricCheckInTime], reminders.metricCheckInDays || [], from, to, timeZone).forEach(slot => {
+      jobs.push({
+        id: `metric-check-in:${userId}:${slot.toISOString()}`,
+        type: 'metric-check-in',
+        userId,
+        slotAt: slot.getTime(),
+        dueAt: slot.getTime(),
+        data: {}
+      });
+    });
+  }
+
+  return jobs;
+};
+
+/**
+ * Queue every reminder due within the planning horizon
+ */
+const planReminders = async (now = new Date()) => {
+  const from = now;
+  const to = new Date(now.getTime() + PLAN_HORIZON_MS);
+  let planned = 0;
+
+  const users = User.find({}).select('email medications notificationSettings').cursor();
+  for await (const user of users) {
+    for (const job of buildJobs(user, from, to)) {
+      if (await queue.add(job)) planned += 1;
+    }
+  }
+
+  if (planned > 0) console.log(`⏰ Planned ${planned} reminder(s)`);
+  return planned;
+};
+
+// 📨 DISPATCH
+
+// Whether the user's current schedule and settings still produce the job.
+// Queued jobs aren't removed when those change, so a moved meal time, an
+// edited dose time or a reminder switched off leaves stale jobs behind.
+const isStillScheduled = (job, user) => {
+  // Jobs queued before slotAt was recorded are still due at their slot
+  const slot = new Date(job.slotAt || job.dueAt);
+  return buildJobs(user, slot, slot).some(current => current.id === job.id);
+};
+
+/**
+ * Build the notification for a job, or null when it no longer applies
+ * (no longer scheduled, dose already logged, meal already logged, metrics
+ * already updated)
+ */
+const buildNotification = async (job, user) => {
+  const timeZone = user.notificationSettings?.timeZone;
+  if (!isStillScheduled(job, user)) return null;
+
+  switch (job.type) {
+    case 'medication-dose': {
+      const medication = user.medications.id(job.data.medicationId);
+      if (!medication || !medication.active) return null;
+
+      const logged = await DoseLog.exists({
+        userId: user._id,
+        medicationId: medication._id,
+        scheduledFor: new Date(job.data.scheduledFor)
+      });
+      if (logged) return null;
+
+      const time = new Date(job.data.scheduledFor).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+      return {
+        type: job.type,
+        title: `Time for your ${medication.name}`,
+        body: `Your ${medication.dosage} dose of ${medication.name} is due at ${time}. Mark it as taken in Medications.`,
+        data: job.data
+      };
+    }
+
+    case 'meal-logging': {
+      const day = new Date(job.data.date);
+      const logged = await Meal.exists({
+        userId: user._id,
+        mealType: job.data.mealType,
+        date: { $gte: startOfZonedDay(day, timeZone), $lte: endOfZonedDay(day, timeZone) }
+      });
+      if (logged) return null;
+
+      return {
+        type: job.type,
+        title: `Log your ${job.data.mealType}`,
+        body: `You haven't logged ${job.data.mealType} yet today. Add it in the Meal Tracker to keep your totals accurate.`,
+        data: job.data
+      };
+    }
+
+    case 'metric-check-in': {
+      const recentReading = await HealthMetricReading.exists({
+        userId: user._id,
+        recordedAt: { $gte: new Date(job.dueAt - 24 * 60 * 60 * 1000) }
+      });
+      if (recentReading) return null;
+
+      return {
+        type: job.type,
+        title: 'Health check-in',
+        body: 'Take a minute to record your weight, blood pressure and other metrics so your trends stay up to date.',
+        data: job.data
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Send every reminder that is due
+ */
+const dispatchDue = async (now = new Date()) => {
+  const jobs = await queue.takeDue(now.getTime());
+  let sent = 0;
+
+  for (const job of jobs) {
+    try {
+      if (!job.deferred && now.getTime() - job.dueAt > MAX_LATENESS_MS) continue;
+
+      const user = await User.findById(job.userId);
+      if (!user) continue;
+
+      const { quietHours, timeZone } = user.notificationSettings || {};
+      if (isQuietTime(now, quietHours, timeZone)) {
+        await queue.reschedule({ ...job, dueAt: quietHoursEnd(now, quietHours, timeZone).getTime(), deferred: true });
+        continue;
+      }
+
+      const notification = await buildNotification(job, user);
+      if (!notification) continue;
+
+      await deliver(user, notification);
+      sent += 1;
+    } catch (error) {
+      console.error(`❌ Reminder ${job.id} failed:`, error.message);
+    }
+  }
+
+  if (sent > 0) console.log(`🔔 Sent ${sent} reminder(s)`);
+  return sent;
+};
+
+// ▶️ LIFECYCLE
+
+let planTimer = null;
+let dispatchTimer = null;
+
+const runSafely = (task, label) => () => {
+  task().catch(error => console.error(`❌ Reminder ${label} error:`, error.message));
+};
+
+const startReminderScheduler = () => {
+  if (process.env.REMINDERS_DISABLED === 'true' || planTimer) return;
+
+  const plan = runSafely(planReminders, 'planning');
+  const dispatch = runSafely(dispatchDue, 'dispatch');
+
+  plan();
+  planTimer = setInterval(plan, PLAN_INTERVAL_MS);
+  dispatchTimer = setInterval(dispatch, DISPATCH_INTERVAL_MS);
+
+  console.log(`⏰ Reminder scheduler started (${redisClient.isConnected ? 'Redis' : 'in-process'} queue)`);
+};
+
+const stopReminderScheduler = () => {
+  clearInterval(planTimer);
+  clearInterval(dispatchTimer);
+  planTimer = null;
+  dispatchTimer = null;
+};
+
+module.exports = {
+  startReminderScheduler,
+  stopReminderScheduler,
+  planReminders,
+  dispatchDue,
+  buildJobs,
+  isQuietTime
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+/**
+ * Sign-in sessions and their tokens.
+ * Access tokens are short-lived JWTs carrying the session id. Refresh tokens
+ * are "<sessionId>.<random>.<signature>" and rotate on every use. The
+ * signature proves a token was issued for its session, so presenting any
+ * older one, however old, revokes the whole session (someone else has a
+ * copy). Only the device that rotated a token may repeat it in the next few
+ * seconds without that, since its tabs can refresh at once.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REUSE_GRACE_MS = 30 * 1000;
+// lastUsedAt is only written when it is at least this old
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const signSecret = (sessionId, random) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`refresh-token:${sessionId}.${random}`)
+  .digest('base64url');
+
+// "<random>.<signature>", the part of a refresh token after the session id
+const newSecret = (sessionId) => {
+  const random = crypto.randomBytes(32).toString('base64url');
+  return `${random}.${signSecret(sessionId, random)}`;
+};
+
+const hasValidSignature = (sessionId, random, signature) => {
+  const expected = Buffer.from(signSecret(sessionId, random));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// A readable default name such as "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ].find(([pattern]) => pattern.test(userAgent));
+  const os = [
+    [/Windows/, 'Windows'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser[1]} on ${os[1]}`;
+  return (browser || os || [null, 'Unknown device'])[1];
+};
+
+const clientDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip
+});
+
+// Identifies the device behind a refresh, to tell its own retries from a replay
+const clientFingerprint = (req) => {
+  const { userAgent, ip } = clientDetails(req);
+  return hashToken(`${userAgent}|${ip}`);
+};
+
+const issueTokens = (session, secret) => {
+  const token = jwt.sign(
+    { userId: session.userId, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return {
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @param {string} [name] - Device name chosen by the client
+ * @returns {Promise<Object>} - { session, token, refreshToken, expiresAt }
+ */
+const createSession = async (user, req, name) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const secret = newSecret(sessionId);
+  const details = clientDetails(req);
+
+  const session = await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    name: name || describeDevice(details.userAgent),
+    ...details,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry()
+  });
+
+  return { session, ...issueTokens(session, secret) };
+};
+
+/**
+ * Exchange a refresh token for new tokens
+ * @param {string} refreshToken
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { ok: true, session, token, refreshToken, expiresAt }
+ *   or { ok: false, reason: 'invalid' | 'superseded' | 'reuse-detected' }
+ */
+// A genuine token that is no longer current: the rotating device retrying
+// within the grace period, or a copy someone else kept
+const handleReplay = async (session, hash, req, now) => {
+  const previous = session.previousTokenHashes.find(entry => entry.hash === hash);
+  if (previous &&
+    now - previous.rotatedAt < REUSE_GRACE_MS &&
+    previous.fingerprint === clientFingerprint(req)) {
+    return { ok: false, reason: 'superseded' };
+  }
+
+  await revokeSession(session._id, 'reuse-detected');
+  console.warn(`🚨 Refresh token reuse detected, revoked session ${session._id} for user ${session.userId}`);
+  return { ok: false, reason: 'reuse-detected' };
+};
+
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, random, signature, ...rest] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !random || !signature || rest.length ||
+    !hasValidSignature(sessionId, random, signature)) {
+    return { ok: false, reason: 'invalid' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return { ok: false, reason: 'invalid' };
+
+  const now = new Date();
+  const hash = hashToken(`${random}.${signature}`);
+
+  if (hash !== session.refreshTokenHash) return handleReplay(session, hash, req, now);
+
+  // Conditional on the current hash, so two concurrent refreshes can't both win
+  const nextSecret = newSecret(session._id);
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now),
+        ...clientDetails(req)
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [{ hash, rotatedAt: now, fingerprint: clientFingerprint(req) }],
+          $slice: -Session.MAX_PREVIOUS_TOKENS
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    // Lost a race with another refresh of the same token
+    const latest = await Session.findById(session._id);
+    return latest ? handleReplay(latest, hash, req, now) : { ok: false, reason: 'invalid' };
+  }
+
+  return { ok: true, session: updated, ...issueTokens(updated, nextSecret) };
+};
+
+/**
+ * The live session an access token belongs to, or null
+ * @param {Object} decoded - Verified JWT payload ({ userId, sid })
+ * @returns {Promise<Object|null>}
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || !session.userId.equals(decoded.userId)) return null;
+
+  if (Date.now() - session.lastUsedAt > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return session;
+};
+
+/**
+ * End one session
+ * @returns {Promise<boolean>} - False when it was already ended or not found
+ */
+const revokeSession = async (sessionId, reason = 'revoked', userId = null) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every session a user has, optionally keeping one (the caller's)
+ * @returns {Promise<number>} - Sessions ended
+ */
+const revokeUserSessions = async (userId, reason = 'revoked', exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  describeDevice,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSession,
+  revokeUserSessions
+};
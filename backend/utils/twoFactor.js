@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+/**
+ * TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30 s steps),
+ * the scheme every authenticator app supports, plus single-use recovery codes.
+ */
+
+const ISSUER = 'Health Guard';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next step too, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 🔢 TOTP
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// A new 160-bit secret, base32-encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const codeForCounter = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentCounter = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against a secret
+ * @returns {number|null} - The time step the code belongs to, or null
+ */
+const matchTotp = (secret, code, now = Date.now()) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const counter = currentCounter(now);
+  for (let step = counter - DRIFT_STEPS; step <= counter + DRIFT_STEPS; step++) {
+    const expected = codeForCounter(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI for QR codes and "open in authenticator" links
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// 🧾 RECOVERY CODES
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Make a fresh set of recovery codes
+ * @returns {Object} - { codes: plain codes to show once, stored: [{ hash }] to save }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// 👤 USER CHECKS
+
+/**
+ * Check a second factor for a user with 2FA turned on: a TOTP code (each one
+ * works once) or an unused recovery code (used up here).
+ * @param {Object} user - User document
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} - 'totp', 'recovery-code', or null when it doesn't match
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount > 0 ? 'recovery-code' : null;
+  }
+
+  const withSecret = await User.findById(user._id).select('+twoFactor.secret');
+  const secret = withSecret?.twoFactor?.secret;
+  if (!secret) return null;
+
+  const step = matchTotp(secret, code);
+  if (step === null) return null;
+
+  // Conditional on the last used step, so a code can't be replayed
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedCounter': { $not: { $gte: step } } },
+    { $set: { 'twoFactor.lastUsedCounter': step } }
+  );
+  return result.modifiedCount > 0 ? 'totp' : null;
+};
+
+module.exports = {
+  generateSecret,
+  matchTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
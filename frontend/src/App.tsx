@@ -3,12 +3,20 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
+import UnlockAccount from './components/Auth/UnlockAccount';
 import Dashboard from './components/Dashboard/Dashboard';
 import HealthMetrics from './components/Health/HealthMetrics';
 import Diseases from './components/Health/Diseases';
 import Medications from './components/Health/Medications';
 import MealTracker from './components/Health/MealTracker';
 import CalorieRecommendation from './components/AI/CalorieRecommendation';
+import HealthCoach from './components/AI/HealthCoach';
+import MealPlanner from './components/AI/MealPlanner';
+import Notifications from './components/Notifications/Notifications';
+import Account from './components/Account/Account';
 import AdminDashboard from './components/Admin/AdminDashboard';
 import AdminRoute from './components/Auth/AdminRoute';
 import AdminLayout from './components/Admin/AdminLayout';
@@ -34,6 +42,10 @@ const App: React.FC = () => {
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/unlock-account" element={<UnlockAccount />} />
             <Route path="/" element={<Welcome />} />
             <Route path="/dashboard" element={
               <ProtectedRoute>
@@ -77,6 +89,34 @@ const App: React.FC = () => {
                 </Layout>
               </ProtectedRoute>
             } />
+            <Route path="/coach" element={
+              <ProtectedRoute>
+                <Layout>
+                  <HealthCoach />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/meal-plan" element={
+              <ProtectedRoute>
+                <Layout>
+                  <MealPlanner />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/notifications" element={
+              <ProtectedRoute>
+                <Layout>
+                  <Notifications />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/account" element={
+              <ProtectedRoute>
+                <Layout>
+                  <Account />
+                </Layout>
+              </ProtectedRoute>
+            } />
             <Route path="/admin" element={
               <AdminRoute>
                 <AdminLayout>
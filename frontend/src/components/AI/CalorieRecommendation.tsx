@@ -2,6 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { API_URL } from '../../config/api';
 import './AI.css';
 
+interface MacroSplit {
+  protein: number;
+  carbs: number;
+  fat: number;
+}
+
+interface Feedback {
+  rating?: number;
+  flaggedUnsafe?: boolean;
+  flagReason?: string;
+  comment?: string;
+  updatedAt?: string;
+}
+
 interface Recommendation {
   _id: string;
   type: string;
@@ -9,13 +23,41 @@ interface Recommendation {
   calories?: number;
   reasoning: string;
   createdAt: string;
+  // Structured sections; older recommendations only have `content`
+  summary?: string;
+  macros?: MacroSplit;
+  foodsToFavor?: string[];
+  foodsToAvoid?: string[];
+  warnings?: string[];
+  tips?: string[];
+  source?: 'ai' | 'rule-based';
+  model?: string;
+  regeneratedFrom?: string;
+  userNote?: string;
+  feedback?: Feedback;
 }
 
+const MACROS: { key: keyof MacroSplit; label: string; caloriesPerGram: number; color: string }[] = [
+  { key: 'protein', label: 'Protein', caloriesPerGram: 4, color: '#e74c3c' },
+  { key: 'carbs', label: 'Carbs', caloriesPerGram: 4, color: '#f39c12' },
+  { key: 'fat', label: 'Fat', caloriesPerGram: 9, color: '#3498db' }
+];
+
+const isStructured = (recommendation: Recommendation) =>
+  Boolean(recommendation.macros && recommendation.macros.protein !== undefined && recommendation.foodsToFavor);
+
 const CalorieRecommendation: React.FC = () => {
   const [recommendation, setRecommendation] = useState<Recommendation | null>(null);
   const [previousRecommendations, setPreviousRecommendations] = useState<Recommendation[]>([]);
   const [loading, setLoading] = useState(false);
+  const [fromCache, setFromCache] = useState(false);
   const [error, setError] = useState('');
+  // Feedback and regeneration drafts for the recommendation being shown
+  const [flagging, setFlagging] = useState(false);
+  const [flagReason, setFlagReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [note, setNote] = useState('');
+  const [feedbackMessage, setFeedbackMessage] = useState('');
 
   useEffect(() => {
     fetchRecommendations();
@@ -35,6 +77,8 @@ const CalorieRecommendation: React.FC = () => {
         setPreviousRecommendations(data);
         if (data.length > 0) {
           setRecommendation(data[0]);
+          setFlagReason(data[0].feedback?.flagReason || '');
+          setComment(data[0].feedback?.comment || '');
         }
       }
     } catch (error) {
@@ -42,13 +86,23 @@ const CalorieRecommendation: React.FC = () => {
     }
   };
 
-  const generateRecommendation = async () => {
+  const showRecommendation = (rec: Recommendation) => {
+    setRecommendation(rec);
+    setFlagging(false);
+    setFlagReason(rec.feedback?.flagReason || '');
+    setComment(rec.feedback?.comment || '');
+    setNote('');
+    setFeedbackMessage('');
+  };
+
+  // fresh skips the server's cache of recommendations for an unchanged profile
+  const generateRecommendation = async (fresh = false) => {
     setLoading(true);
     setError('');
 
     try {
       const token = localStorage.getItem('token');
-      const response = await fetch(`${API_URL}/api/ai/calorie-recommendation`, {
+      const response = await fetch(`${API_URL}/api/ai/calorie-recommendation${fresh ? '?fresh=true' : ''}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -59,7 +113,8 @@ const CalorieRecommendation: React.FC = () => {
       const data = await response.json();
 
       if (response.ok) {
-        setRecommendation(data.recommendation);
+        showRecommendation(data.recommendation);
+        setFromCache(Boolean(data.cached));
         // Refresh the recommendations list
         fetchRecommendations();
       } else {
@@ -72,6 +127,67 @@ const CalorieRecommendation: React.FC = () => {
     }
   };
 
+  // Only the fields passed are changed; null clears a rating
+  const saveFeedback = async (changes: Partial<Record<keyof Feedback, string | number | boolean | null>>) => {
+    if (!recommendation) return;
+    setFeedbackMessage('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/recommendations/${recommendation._id}/feedback`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(changes)
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setRecommendation(data.recommendation);
+        setPreviousRecommendations(current =>
+          current.map(rec => (rec._id === data.recommendation._id ? data.recommendation : rec))
+        );
+        setFlagging(false);
+        setFeedbackMessage('Thanks for your feedback.');
+      } else {
+        setFeedbackMessage(data.errors?.[0]?.msg || data.message || 'Failed to save feedback');
+      }
+    } catch (error) {
+      setFeedbackMessage('Error saving feedback. Please try again.');
+    }
+  };
+
+  const regenerateRecommendation = async () => {
+    if (!recommendation) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/recommendations/${recommendation._id}/regenerate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ note: note.trim() || null })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        showRecommendation(data.recommendation);
+        setFromCache(false);
+        fetchRecommendations();
+      } else {
+        setError(data.errors?.[0]?.msg || data.message || 'Failed to regenerate recommendation');
+      }
+    } catch (error) {
+      setError('Error regenerating recommendation. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const formatRecommendationContent = (content: string) => {
     // Convert markdown-style formatting to HTML
     return content
@@ -98,13 +214,22 @@ const CalorieRecommendation: React.FC = () => {
         </p>
 
         <button
-          onClick={generateRecommendation}
+          onClick={() => generateRecommendation()}
           className="btn btn-primary"
           disabled={loading}
         >
           {loading ? 'Generating Recommendation...' : 'Get New AI Recommendation'}
         </button>
 
+        {fromCache && !loading && (
+          <p className="recommendation-cached">
+            Your profile hasn't changed since your last recommendation, so it was reused.{' '}
+            <button className="btn btn-secondary btn-sm" onClick={() => generateRecommendation(true)}>
+              Generate a fresh one
+            </button>
+          </p>
+        )}
+
         {error && <div className="error">{error}</div>}
       </div>
 
@@ -124,18 +249,177 @@ const CalorieRecommendation: React.FC = () => {
             </div>
           </div>
 
-          <div
-            className="recommendation-content"
-            dangerouslySetInnerHTML={{
-              __html: formatRecommendationContent(recommendation.content)
-            }}
-          />
+          {isStructured(recommendation) ? (
+            <div className="recommendation-content structured">
+              {recommendation.summary && <p className="recommendation-summary">{recommendation.summary}</p>}
+
+              <h4>Macro Split</h4>
+              <div className="macro-split">
+                <div className="macro-split-bar">
+                  {MACROS.map(macro => (
+                    <div
+                      key={macro.key}
+                      className="macro-split-segment"
+                      style={{ width: `${recommendation.macros![macro.key]}%`, backgroundColor: macro.color }}
+                      title={`${macro.label} ${recommendation.macros![macro.key]}%`}
+                    />
+                  ))}
+                </div>
+                <div className="macro-split-legend">
+                  {MACROS.map(macro => (
+                    <div key={macro.key} className="macro-split-item">
+                      <span className="macro-dot" style={{ backgroundColor: macro.color }} />
+                      <strong>{macro.label}</strong> {recommendation.macros![macro.key]}%
+                      {recommendation.calories && (
+                        <span className="macro-grams">
+                          {' '}≈ {Math.round((recommendation.calories * recommendation.macros![macro.key]) / 100 / macro.caloriesPerGram)} g
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="food-lists">
+                <div className="food-list favor">
+                  <h4>✅ Foods to Favor</h4>
+                  <ul>
+                    {recommendation.foodsToFavor!.map(food => <li key={food}>{food}</li>)}
+                  </ul>
+                </div>
+                {recommendation.foodsToAvoid && recommendation.foodsToAvoid.length > 0 && (
+                  <div className="food-list avoid">
+                    <h4>🚫 Foods to Avoid</h4>
+                    <ul>
+                      {recommendation.foodsToAvoid.map(food => <li key={food}>{food}</li>)}
+                    </ul>
+                  </div>
+                )}
+              </div>
+
+              {recommendation.warnings && recommendation.warnings.length > 0 && (
+                <div className="recommendation-warnings">
+                  <h4>⚠️ Warnings</h4>
+                  <ul>
+                    {recommendation.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              {recommendation.tips && recommendation.tips.length > 0 && (
+                <>
+                  <h4>Tips</h4>
+                  <ul>
+                    {recommendation.tips.map(tip => <li key={tip}>{tip}</li>)}
+                  </ul>
+                </>
+              )}
+            </div>
+          ) : (
+            <div
+              className="recommendation-content"
+              dangerouslySetInnerHTML={{
+                __html: formatRecommendationContent(recommendation.content)
+              }}
+            />
+          )}
 
           <div className="recommendation-footer">
+            {recommendation.userNote && (
+              <small className="reasoning">
+                <strong>Regenerated with your note:</strong> "{recommendation.userNote}"
+                <br />
+              </small>
+            )}
             <small className="reasoning">
               <strong>Method:</strong> {recommendation.reasoning}
             </small>
           </div>
+
+          <div className="recommendation-feedback">
+            <div className="feedback-rating">
+              <span>Was this helpful?</span>
+              {[1, 2, 3, 4, 5].map(star => (
+                <button
+                  key={star}
+                  className={`star-btn ${(recommendation.feedback?.rating || 0) >= star ? 'active' : ''}`}
+                  onClick={() => saveFeedback({ rating: star })}
+                  aria-label={`Rate ${star} out of 5`}
+                >
+                  ★
+                </button>
+              ))}
+            </div>
+
+            {recommendation.feedback?.flaggedUnsafe ? (
+              <div className="feedback-flagged">
+                🚩 You flagged this as unsafe{recommendation.feedback.flagReason && `: "${recommendation.feedback.flagReason}"`}
+                <button className="btn btn-secondary btn-sm" onClick={() => saveFeedback({ flaggedUnsafe: false })}>
+                  Remove flag
+                </button>
+              </div>
+            ) : flagging ? (
+              <div className="feedback-form">
+                <textarea
+                  className="form-input"
+                  value={flagReason}
+                  onChange={(e) => setFlagReason(e.target.value)}
+                  placeholder="What looks unsafe? (optional)"
+                  maxLength={500}
+                  rows={2}
+                />
+                <div className="medication-actions">
+                  <button
+                    className="btn btn-danger btn-sm"
+                    onClick={() => saveFeedback({ flaggedUnsafe: true, flagReason: flagReason.trim() || null })}
+                  >
+                    Flag as unsafe
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => setFlagging(false)}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button className="btn btn-secondary btn-sm" onClick={() => setFlagging(true)}>
+                🚩 Flag as unsafe
+              </button>
+            )}
+
+            <div className="feedback-form">
+              <textarea
+                className="form-input"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                placeholder="Any other comments? (optional)"
+                maxLength={1000}
+                rows={2}
+              />
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => saveFeedback({ comment: comment.trim() || null })}
+                disabled={comment.trim() === (recommendation.feedback?.comment || '')}
+              >
+                Save comment
+              </button>
+            </div>
+
+            <div className="feedback-form">
+              <input
+                type="text"
+                className="form-input"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder={'Regenerate with a note, e.g. "I\'m vegetarian"'}
+                maxLength={500}
+              />
+              <button className="btn btn-primary btn-sm" onClick={regenerateRecommendation} disabled={loading}>
+                {loading ? 'Regenerating...' : 'Regenerate'}
+              </button>
+            </div>
+
+            {feedbackMessage && <small className="feedback-message">{feedbackMessage}</small>}
+          </div>
         </div>
       )}
 
@@ -154,10 +438,16 @@ const CalorieRecommendation: React.FC = () => {
                       {rec.calories} cal/day
                     </span>
                   )}
+                  {(rec.feedback?.rating || rec.feedback?.flaggedUnsafe) && (
+                    <span className="history-feedback">
+                      {rec.feedback.rating ? `${'★'.repeat(rec.feedback.rating)}` : ''}
+                      {rec.feedback.flaggedUnsafe ? ' 🚩 Flagged' : ''}
+                    </span>
+                  )}
                 </div>
                 <button
                   className="btn btn-secondary btn-sm"
-                  onClick={() => setRecommendation(rec)}
+                  onClick={() => { showRecommendation(rec); setFromCache(false); }}
                 >
                   View Details
                 </button>
@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { API_URL } from '../../config/api';
+import '../Health/Health.css';
+import './AI.css';
+
+interface ChatMessage {
+  _id: string;
+  role: 'user' | 'assistant';
+  content: string;
+  safety?: 'red-flag' | 'diagnosis';
+  interrupted?: boolean;
+  createdAt: string;
+}
+
+interface ThreadSummary {
+  _id: string;
+  title: string;
+  updatedAt: string;
+  lastMessage: ChatMessage | null;
+}
+
+interface StreamEvent {
+  event: string;
+  data: any;
+}
+
+const SUGGESTIONS = [
+  'How did my eating look this week?',
+  'Give me a dinner idea that fits my calorie target',
+  'Which foods should I be careful with given my medications?'
+];
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+// Parse one server-sent event block ("event: x\ndata: {...}")
+const parseEvent = (block: string): StreamEvent | null => {
+  let event = 'message';
+  const dataLines: string[] = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+  });
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Plain text with **bold** runs, rendered without innerHTML
+const renderContent = (content: string) =>
+  content.split('\n').map((line, lineIndex) => (
+    <React.Fragment key={lineIndex}>
+      {lineIndex > 0 && <br />}
+      {line.split(/\*\*(.+?)\*\*/g).map((part, partIndex) =>
+        partIndex % 2 === 1 ? <strong key={partIndex}>{part}</strong> : part
+      )}
+    </React.Fragment>
+  ));
+
+const HealthCoach: React.FC = () => {
+  const [threads, setThreads] = useState<ThreadSummary[]>([]);
+  const [activeThreadId, setActiveThreadId] = useState<string | null>(null);
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [input, setInput] = useState('');
+  const [streaming, setStreaming] = useState(false);
+  const [streamingText, setStreamingText] = useState('');
+  const [error, setError] = useState('');
+  const [threadsKey, setThreadsKey] = useState(0);
+  const abortRef = useRef<AbortController | null>(null);
+  const bottomRef = useRef<HTMLDivElement | null>(null);
+
+  useEffect(() => {
+    const fetchThreads = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/ai/chat/threads`, {
+          headers: authHeaders()
+        });
+
+        if (response.ok) {
+          setThreads(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch conversations:', error);
+      }
+    };
+
+    fetchThreads();
+  }, [threadsKey]);
+
+  // Stop an in-flight reply when leaving the page
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages, streamingText]);
+
+  const openThread = async (threadId: string) => {
+    if (streaming) return;
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/chat/threads/${threadId}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const thread = await response.json();
+        setActiveThreadId(thread._id);
+        setMessages(thread.messages);
+      } else {
+        setError('Failed to load conversation');
+      }
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+      setError('Failed to load conversation');
+    }
+  };
+
+  const startNewThread = () => {
+    if (streaming) return;
+    setActiveThreadId(null);
+    setMessages([]);
+    setError('');
+  };
+
+  const deleteThread = async (threadId: string) => {
+    if (!window.confirm('Delete this conversation?')) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/chat/threads/${threadId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        if (threadId === activeThreadId) startNewThread();
+        setThreadsKey(key => key + 1);
+      }
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
+
+  const handleStreamEvent = ({ event, data }: StreamEvent) => {
+    switch (event) {
+      case 'message':
+        // Swap the optimistic copy for the saved message
+        setMessages(current => [...current.filter(message => !message._id.startsWith('pending-')), data.message]);
+        break;
+      case 'token':
+        setStreamingText(text => text + data.delta);
+        break;
+      case 'done':
+        setMessages(current => [...current, data.message]);
+        setStreamingText('');
+        break;
+      case 'error':
+        if (data.partial) setMessages(current => [...current, data.partial]);
+        setStreamingText('');
+        setError(data.message);
+        break;
+    }
+  };
+
+  const sendMessage = async (content: string) => {
+    const text = content.trim();
+    if (!text || streaming) return;
+
+    setError('');
+    setInput('');
+    setStreaming(true);
+    setMessages(current => [...current, {
+      _id: `pending-${Date.now()}`,
+      role: 'user',
+      content: text,
+      createdAt: new Date().toISOString()
+    }]);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      let threadId = activeThreadId;
+      if (!threadId) {
+        const created = await fetch(`${API_URL}/api/ai/chat/threads`, {
+          method: 'POST',
+          headers: authHeaders(),
+          body: JSON.stringify({}),
+          signal: controller.signal
+        });
+        if (!created.ok) throw new Error('Failed to start conversation');
+        threadId = (await created.json()).thread._id as string;
+        setActiveThreadId(threadId);
+      }
+
+      const response = await fetch(`${API_URL}/api/ai/chat/threads/${threadId}/messages`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ content: text }),
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        setMessages(current => current.filter(message => !message._id.startsWith('pending-')));
+        setInput(text);
+        setError(data.errors?.[0]?.msg || data.message || 'Failed to send message');
+        return;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop() || '';
+        blocks.forEach(block => {
+          const parsed = parseEvent(block);
+          if (parsed) handleStreamEvent(parsed);
+        });
+      }
+    } catch (error) {
+      if ((error as Error).name !== 'AbortError') {
+        console.error('Error sending message:', error);
+        setError('Connection lost. Please try again.');
+      }
+    } finally {
+      setStreaming(false);
+      setStreamingText('');
+      abortRef.current = null;
+      setThreadsKey(key => key + 1);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    sendMessage(input);
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      sendMessage(input);
+    }
+  };
+
+  return (
+    <div className="health-coach">
+      <h1>AI Health Coach</h1>
+
+      <div className="coach-layout">
+        <aside className="card coach-threads">
+          <button className="btn btn-primary coach-new-thread" onClick={startNewThread} disabled={streaming}>
+            + New Conversation
+          </button>
+          {threads.length === 0 ? (
+            <p className="coach-empty">No conversations yet.</p>
+          ) : (
+            <ul>
+              {threads.map(thread => (
+                <li
+                  key={thread._id}
+                  className={`coach-thread${thread._id === activeThreadId ? ' active' : ''}`}
+                  onClick={() => openThread(thread._id)}
+                >
+                  <div className="coach-thread-title">{thread.title}</div>
+                  <div className="coach-thread-date">{new Date(thread.updatedAt).toLocaleDateString()}</div>
+                  <button
+                    className="coach-thread-delete"
+                    title="Delete conversation"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      deleteThread(thread._id);
+                    }}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+
+        <section className="card coach-chat">
+          <div className="coach-messages">
+            {messages.length === 0 && !streaming && (
+              <div className="coach-welcome">
+                <p>
+                  Ask about your meals, your calorie target or how to eat well with your conditions and medications.
+                  The coach sees your health metrics and the last 7 days of logged meals.
+                </p>
+                <div className="coach-suggestions">
+                  {SUGGESTIONS.map(suggestion => (
+                    <button key={suggestion} className="btn btn-secondary btn-sm" onClick={() => sendMessage(suggestion)}>
+                      {suggestion}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {messages.map(message => (
+              <div
+                key={message._id}
+                className={`chat-message ${message.role}${message.safety ? ` safety-${message.safety}` : ''}`}
+              >
+                {message.safety === 'red-flag' && <div className="chat-safety-label">⚠️ Seek medical help</div>}
+                {renderContent(message.content)}
+                {message.interrupted && <div className="chat-interrupted">(reply interrupted)</div>}
+              </div>
+            ))}
+
+            {streaming && (
+              <div className="chat-message assistant streaming">
+                {streamingText ? renderContent(streamingText) : <span className="chat-typing">Thinking…</span>}
+              </div>
+            )}
+            <div ref={bottomRef} />
+          </div>
+
+          {error && <div className="error">{error}</div>}
+
+          <form className="coach-input" onSubmit={handleSubmit}>
+            <textarea
+              className="form-input"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder="Ask your health coach… (Shift+Enter for a new line)"
+              rows={2}
+              maxLength={2000}
+              disabled={streaming}
+            />
+            <button type="submit" className="btn btn-primary" disabled={streaming || !input.trim()}>
+              {streaming ? 'Replying...' : 'Send'}
+            </button>
+          </form>
+        </section>
+      </div>
+
+      <div className="card disclaimer">
+        <p>
+          <strong>The coach gives general nutrition guidance, not medical advice.</strong> It can't diagnose conditions
+          or change your medication. In an emergency, call your local emergency number.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default HealthCoach;
@@ -0,0 +1,411 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import '../Health/Health.css';
+import './AI.css';
+
+type MealType = 'breakfast' | 'lunch' | 'dinner' | 'snack';
+
+interface PlanFood {
+  foodId: string;
+  name: string;
+  quantity: number;
+  unit: string;
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+}
+
+interface PlannedMeal {
+  mealType: MealType;
+  foods: PlanFood[];
+  totalCalories: number;
+  loggedMealId?: string | null;
+}
+
+interface PlanDay {
+  date: string;
+  meals: PlannedMeal[];
+  totals: {
+    calories: number;
+    protein: number;
+    carbs: number;
+    fat: number;
+  };
+}
+
+interface NutrientLimit {
+  label: string;
+  limit: number;
+  unit: string;
+  diseases: string[];
+}
+
+interface MealPlan {
+  _id?: string;
+  name: string;
+  startDate: string;
+  calorieTarget: number;
+  calorieBasis?: string;
+  source: 'ai' | 'rule-based';
+  model?: string;
+  days: PlanDay[];
+  warnings: string[];
+  restrictions?: {
+    nutrientLimits: Record<string, NutrientLimit>;
+    excludedFoods: { name: string; reason: string }[];
+  };
+}
+
+const MEAL_ICONS: Record<MealType, string> = {
+  breakfast: '🌅',
+  lunch: '🌞',
+  dinner: '🌙',
+  snack: '🍿'
+};
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const todayKey = () => {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().split('T')[0];
+};
+
+const formatDay = (date: string) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+const MealPlanner: React.FC = () => {
+  const [startDate, setStartDate] = useState(todayKey());
+  const [calories, setCalories] = useState('');
+  const [plan, setPlan] = useState<MealPlan | null>(null);
+  const [planName, setPlanName] = useState('');
+  const [savedPlans, setSavedPlans] = useState<MealPlan[]>([]);
+  const [plansKey, setPlansKey] = useState(0);
+  const [generating, setGenerating] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const fetchSavedPlans = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/ai/meal-plans`, {
+          headers: authHeaders()
+        });
+
+        if (response.ok) {
+          setSavedPlans(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch meal plans:', error);
+      }
+    };
+
+    fetchSavedPlans();
+  }, [plansKey]);
+
+  const generatePlan = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setGenerating(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/meal-plan`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          startDate,
+          calories: calories ? parseInt(calories, 10) : null
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setPlan(data.plan);
+        setPlanName(data.plan.name);
+        setSuccess(data.message);
+      } else {
+        setError(data.errors?.[0]?.msg || data.message || 'Failed to generate meal plan');
+      }
+    } catch (error) {
+      console.error('Error generating meal plan:', error);
+      setError('Error generating meal plan');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const savePlan = async () => {
+    if (!plan) return;
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/meal-plans`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: planName,
+          startDate: plan.startDate,
+          calorieTarget: plan.calorieTarget,
+          source: plan.source,
+          model: plan.model,
+          days: plan.days.map(day => ({
+            meals: day.meals.map(meal => ({
+              mealType: meal.mealType,
+              foods: meal.foods.map(food => ({ foodId: food.foodId, quantity: food.quantity }))
+            }))
+          }))
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setPlan(data.plan);
+        setSuccess('Meal plan saved. Planned meals can now be logged from here or from the Meal Tracker.');
+        setPlansKey(key => key + 1);
+      } else {
+        setError(data.errors?.[0]?.msg || data.message || 'Failed to save meal plan');
+      }
+    } catch (error) {
+      console.error('Error saving meal plan:', error);
+      setError('Error saving meal plan');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openPlan = async (planId: string) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/meal-plans/${planId}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        setPlan(await response.json());
+      } else {
+        setError('Failed to load meal plan');
+      }
+    } catch (error) {
+      console.error('Error loading meal plan:', error);
+      setError('Failed to load meal plan');
+    }
+  };
+
+  const deletePlan = async (planId: string) => {
+    if (!window.confirm('Delete this meal plan?')) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/meal-plans/${planId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        if (plan?._id === planId) setPlan(null);
+        setPlansKey(key => key + 1);
+      }
+    } catch (error) {
+      console.error('Error deleting meal plan:', error);
+    }
+  };
+
+  const logMeal = async (day: PlanDay, meal: PlannedMeal) => {
+    if (!plan?._id) return;
+    setBusy(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/meal-plans/${plan._id}/log`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ date: day.date, mealType: meal.mealType })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setSuccess(`${data.message} for ${formatDay(day.date)}`);
+        openPlan(plan._id);
+      } else {
+        setError(data.message || 'Failed to log meal');
+      }
+    } catch (error) {
+      console.error('Error logging planned meal:', error);
+      setError('Error logging meal');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const limits = plan?.restrictions ? Object.values(plan.restrictions.nutrientLimits) : [];
+
+  return (
+    <div className="meal-planner">
+      <h1>Weekly Meal Plan</h1>
+
+      <div className="card">
+        <h3>Generate a 7-Day Plan</h3>
+        <p className="meal-plan-intro">
+          Plans use only foods from the food catalog, so every meal has real nutrition values. They aim for your daily
+          calorie target and stay within the nutrient limits for your health conditions.
+        </p>
+        <form onSubmit={generatePlan} className="form-grid">
+          <div className="form-group">
+            <label className="form-label">Start Date</label>
+            <input
+              type="date"
+              className="form-input"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Daily Calories (optional)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={calories}
+              onChange={(e) => setCalories(e.target.value)}
+              placeholder="From your goal or profile"
+              min="800"
+              max="6000"
+            />
+          </div>
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={generating}>
+              {generating ? 'Generating...' : 'Generate Plan'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+      {success && <div className="success">{success}</div>}
+
+      {plan && (
+        <div className="card">
+          <div className="metrics-history-header">
+            <h3>{plan._id ? plan.name : 'Plan Preview'}</h3>
+            {!plan._id && (
+              <div className="medication-actions">
+                <input
+                  type="text"
+                  className="form-input"
+                  value={planName}
+                  onChange={(e) => setPlanName(e.target.value)}
+                  maxLength={100}
+                  aria-label="Plan name"
+                />
+                <button className="btn btn-primary btn-sm" onClick={savePlan} disabled={busy || !planName.trim()}>
+                  Save Plan
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="guidelines">
+            <div className="guideline-item">
+              <strong>Target:</strong> {plan.calorieTarget} kcal/day{plan.calorieBasis && ` (${plan.calorieBasis})`}
+              {' · '}
+              {plan.source === 'ai' ? `AI-generated${plan.model ? ` (${plan.model})` : ''}` : 'Rule-based'}
+            </div>
+            {limits.map(limit => (
+              <div key={limit.label} className="guideline-item">
+                <strong>{limit.label}:</strong> at most {limit.limit}{limit.unit}/day for {limit.diseases.join(', ')}
+              </div>
+            ))}
+            {plan.restrictions && plan.restrictions.excludedFoods.length > 0 && (
+              <div className="guideline-item">
+                <strong>Left out:</strong>{' '}
+                {plan.restrictions.excludedFoods.map(food => `${food.name} (${food.reason})`).join(', ')}
+              </div>
+            )}
+            {plan.warnings.map(warning => (
+              <div key={warning} className="guideline-item goal-warning">
+                ⚠️ {warning}
+              </div>
+            ))}
+          </div>
+
+          <div className="meal-plan-days">
+            {plan.days.map(day => (
+              <div key={day.date} className="plan-day">
+                <div className="plan-day-header">
+                  <strong>{formatDay(day.date)}</strong>
+                  <span className="plan-day-total">{day.totals.calories} kcal</span>
+                </div>
+                <div className="plan-day-macros">
+                  P {Math.round(day.totals.protein)} g · C {Math.round(day.totals.carbs)} g · F {Math.round(day.totals.fat)} g
+                </div>
+                {day.meals.map(meal => (
+                  <div key={meal.mealType} className="plan-meal">
+                    <div className="plan-meal-header">
+                      <span>{MEAL_ICONS[meal.mealType]} {meal.mealType}</span>
+                      <span className="plan-meal-calories">{meal.totalCalories} kcal</span>
+                    </div>
+                    <ul>
+                      {meal.foods.map(food => (
+                        <li key={food.foodId}>
+                          {food.name} <small>{food.quantity} {food.unit === 'ml' ? 'ml' : 'g'}</small>
+                        </li>
+                      ))}
+                    </ul>
+                    {plan._id && (
+                      meal.loggedMealId ? (
+                        <span className="plan-meal-logged">✓ Logged</span>
+                      ) : (
+                        <button className="btn btn-secondary btn-sm" onClick={() => logMeal(day, meal)} disabled={busy}>
+                          Log this meal
+                        </button>
+                      )
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <h3>Saved Plans</h3>
+        {savedPlans.length === 0 ? (
+          <p className="metrics-history-empty">No saved plans yet.</p>
+        ) : (
+          <div className="recommendations-history">
+            {savedPlans.map(savedPlan => (
+              <div key={savedPlan._id} className="history-item">
+                <div className="history-header">
+                  <span className="history-date">{savedPlan.name}</span>
+                  <span className="history-calories">
+                    From {formatDay(savedPlan.startDate)} · {savedPlan.calorieTarget} kcal/day
+                  </span>
+                </div>
+                <div className="medication-actions">
+                  <button className="btn btn-secondary btn-sm" onClick={() => openPlan(savedPlan._id!)}>
+                    Open
+                  </button>
+                  <button className="btn btn-danger btn-sm" onClick={() => deletePlan(savedPlan._id!)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MealPlanner;
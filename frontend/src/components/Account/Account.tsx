@@ -0,0 +1,26 @@
+import React from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import EmailSettings from './EmailSettings';
+import Sessions from './Sessions';
+import TwoFactorSettings from './TwoFactorSettings';
+import '../Health/Health.css';
+import './Account.css';
+
+const Account: React.FC = () => {
+  const { user } = useAuth();
+
+  return (
+    <div className="account">
+      <h1>Account</h1>
+      <p className="account-summary">
+        Signed in as <strong>{user?.name}</strong> ({user?.email})
+      </p>
+
+      <EmailSettings />
+      <TwoFactorSettings />
+      <Sessions />
+    </div>
+  );
+};
+
+export default Account;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { API_URL } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const EmailSettings: React.FC = () => {
+  const { user } = useAuth();
+  const [newEmail, setNewEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const post = async (path: string, body?: object) => {
+    setSending(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/${path}`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setMessage(data.message);
+      } else {
+        setError(data.errors?.[0]?.msg || data.message || 'Request failed');
+      }
+      return response.ok;
+    } catch (error) {
+      setError('Could not reach the server. Please try again.');
+      return false;
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleChangeEmail = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (await post('change-email', { email: newEmail, password })) {
+      setNewEmail('');
+      setPassword('');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="account-card-header">
+        <h3>✉️ Email</h3>
+        {user?.emailVerified ? (
+          <span className="email-status verified">Confirmed</span>
+        ) : (
+          <span className="email-status">Not confirmed</span>
+        )}
+      </div>
+
+      <p>
+        {user?.email}
+        {!user?.emailVerified && (
+          <button
+            className="btn btn-secondary btn-sm email-resend"
+            onClick={() => post('resend-verification')}
+            disabled={sending}
+          >
+            Resend confirmation link
+          </button>
+        )}
+      </p>
+
+      <form className="account-form" onSubmit={handleChangeEmail}>
+        <div className="form-group">
+          <label className="form-label">New email</label>
+          <input
+            type="email"
+            className="form-input"
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Current password</label>
+          <input
+            type="password"
+            className="form-input"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={sending}>
+          {sending ? 'Sending...' : 'Change email'}
+        </button>
+        <small>We'll send a confirmation link to the new address. Until you follow it, you keep signing in with this one.</small>
+      </form>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+};
+
+export default EmailSettings;
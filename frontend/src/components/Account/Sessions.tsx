@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+interface DeviceSession {
+  id: string;
+  name: string;
+  userAgent?: string;
+  ip?: string;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const Sessions: React.FC = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState<DeviceSession[]>([]);
+  const [listKey, setListKey] = useState(0);
+  const [renamingId, setRenamingId] = useState('');
+  const [nameDraft, setNameDraft] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/sessions`, {
+          headers: authHeaders()
+        });
+
+        if (response.ok) {
+          setSessions(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch sessions:', error);
+      }
+    };
+
+    fetchSessions();
+  }, [listKey]);
+
+  const signOut = async (session: DeviceSession) => {
+    setMessage('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/sessions/${session.id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (!response.ok) {
+        setMessage('Failed to sign out device');
+        return;
+      }
+      if (session.current) {
+        await logout();
+        return;
+      }
+      setListKey(key => key + 1);
+    } catch (error) {
+      setMessage('Error signing out device');
+    }
+  };
+
+  const signOutOthers = async () => {
+    setMessage('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/sessions`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      setMessage(data.message);
+      setListKey(key => key + 1);
+    } catch (error) {
+      setMessage('Error signing out other devices');
+    }
+  };
+
+  const saveName = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setMessage('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/sessions/${renamingId}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ name: nameDraft })
+      });
+
+      if (response.ok) {
+        setRenamingId('');
+        setListKey(key => key + 1);
+      } else {
+        const data = await response.json();
+        setMessage(data.errors?.[0]?.msg || data.message || 'Failed to rename device');
+      }
+    } catch (error) {
+      setMessage('Error renaming device');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="account-card-header">
+        <h3>📱 Signed-in Devices</h3>
+        {sessions.length > 1 && (
+          <button className="btn btn-secondary btn-sm" onClick={signOutOthers}>
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+            <div className="session-details">
+              {renamingId === session.id ? (
+                <form className="session-rename" onSubmit={saveName}>
+                  <input
+                    className="form-input"
+                    value={nameDraft}
+                    onChange={(e) => setNameDraft(e.target.value)}
+                    maxLength={100}
+                    aria-label="Device name"
+                    autoFocus
+                  />
+                  <button type="submit" className="btn btn-primary btn-sm">Save</button>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => setRenamingId('')}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <strong>
+                  {session.name}
+                  {session.current && <span className="session-current">This device</span>}
+                </strong>
+              )}
+              <small>
+                Last active {new Date(session.lastUsedAt).toLocaleString()}
+                {session.ip && ` · ${session.ip}`}
+                {` · signed in ${new Date(session.createdAt).toLocaleDateString()}`}
+              </small>
+            </div>
+            <div className="session-actions">
+              {renamingId !== session.id && (
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => {
+                    setRenamingId(session.id);
+                    setNameDraft(session.name);
+                  }}
+                >
+                  Rename
+                </button>
+              )}
+              <button className="btn btn-danger btn-sm" onClick={() => signOut(session)}>
+                Sign out
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {message && <div className="error">{message}</div>}
+    </div>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  required: boolean;
+}
+
+interface Enrollment {
+  secret: string;
+  otpauthUri: string;
+}
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+// Groups of four are easier to type into an authenticator app
+const formatSecret = (secret: string) => secret.match(/.{1,4}/g)?.join(' ') || secret;
+
+const TwoFactorSettings: React.FC = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [statusKey, setStatusKey] = useState(0);
+  const [enrollment, setEnrollment] = useState<Enrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/2fa`, {
+          headers: authHeaders()
+        });
+
+        if (response.ok) {
+          setStatus(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch two-factor status:', error);
+      }
+    };
+
+    fetchStatus();
+  }, [statusKey]);
+
+  const post = async (path: string, body: object) => {
+    setWorking(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/2fa/${path}`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.errors?.[0]?.msg || data.message || 'Request failed');
+        return null;
+      }
+      return data;
+    } catch (error) {
+      setError('Could not reach the server. Please try again.');
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const finish = (text: string) => {
+    setPassword('');
+    setCode('');
+    setMessage(text);
+    setStatusKey(key => key + 1);
+  };
+
+  const startSetup = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await post('setup', { password });
+    if (data) {
+      setEnrollment(data);
+      setPassword('');
+    }
+  };
+
+  const enable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await post('enable', { code });
+    if (data) {
+      setEnrollment(null);
+      setRecoveryCodes(data.recoveryCodes);
+      finish(data.message);
+      refreshUser();
+    }
+  };
+
+  const disable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await post('disable', { password, code });
+    if (data) {
+      setRecoveryCodes([]);
+      finish(data.message);
+      refreshUser();
+    }
+  };
+
+  const replaceRecoveryCodes = async () => {
+    const data = await post('recovery-codes', { password, code });
+    if (data) {
+      setRecoveryCodes(data.recoveryCodes);
+      finish(data.message);
+    }
+  };
+
+  const downloadRecoveryCodes = () => {
+    const text = `Health Guard recovery codes\nEach code works once.\n\n${recoveryCodes.join('\n')}\n`;
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'health-guard-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="card">
+      <div className="account-card-header">
+        <h3>🔑 Two-Factor Authentication</h3>
+        <span className={`email-status ${status.enabled ? 'verified' : ''}`}>{status.enabled ? 'On' : 'Off'}</span>
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="error">Your administrator requires two-factor authentication for admin accounts. Turn it on to use the admin panel.</div>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="recovery-codes">
+          <p><strong>Save these recovery codes now.</strong> Each one signs you in once if you lose your phone, and they won't be shown again.</p>
+          <ul>
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+          </ul>
+          <div className="settings-actions">
+            <button className="btn btn-secondary btn-sm" onClick={downloadRecoveryCodes}>Download</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setRecoveryCodes([])}>I've saved them</button>
+          </div>
+        </div>
+      )}
+
+      {!status.enabled && !enrollment && (
+        <form className="account-form" onSubmit={startSetup}>
+          <p>Protect your health records with a code from an authenticator app (Google Authenticator, Authy, 1Password...) at every login.</p>
+          <div className="form-group">
+            <label className="form-label">Current password</label>
+            <input
+              type="password"
+              className="form-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={working}>
+            Set up two-factor authentication
+          </button>
+        </form>
+      )}
+
+      {enrollment && (
+        <form className="account-form" onSubmit={enable}>
+          <ol className="two-factor-steps">
+            <li>
+              In your authenticator app, add an account with this key:
+              <div className="two-factor-secret"><code>{formatSecret(enrollment.secret)}</code></div>
+              On a phone you can <a href={enrollment.otpauthUri}>open it in your authenticator app</a> directly.
+            </li>
+            <li>Enter the 6-digit code the app shows to finish.</li>
+          </ol>
+          <div className="form-group">
+            <label className="form-label">Authentication code</label>
+            <input
+              type="text"
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              required
+            />
+          </div>
+          <div className="settings-actions">
+            <button type="submit" className="btn btn-primary" disabled={working}>Turn on</button>
+            <button type="button" className="btn btn-secondary" onClick={() => setEnrollment(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form className="account-form" onSubmit={disable}>
+          <p>
+            On since {status.enabledAt && new Date(status.enabledAt).toLocaleDateString()}.
+            {' '}{status.recoveryCodesRemaining} recovery code(s) left.
+          </p>
+          <div className="form-group">
+            <label className="form-label">Current password</label>
+            <input
+              type="password"
+              className="form-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Authentication or recovery code</label>
+            <input
+              type="text"
+              className="form-input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+          <div className="settings-actions">
+            <button type="button" className="btn btn-secondary" onClick={replaceRecoveryCodes} disabled={working}>
+              New recovery codes
+            </button>
+            {!status.required && (
+              <button type="submit" className="btn btn-danger" disabled={working}>Turn off</button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
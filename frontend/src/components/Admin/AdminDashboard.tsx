@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { Container, Typography, Box, Alert } from '@mui/material';
 
 import UserManagement from './UserManagement';
+import FoodManagement from './FoodManagement';
+import RecommendationFeedback from './RecommendationFeedback';
+import SecuritySettings from './SecuritySettings';
+import LockedAccounts from './LockedAccounts';
 import axios from 'axios';
 import { API_URL } from '../../config/api';
 
@@ -76,6 +80,25 @@ const AdminDashboard: React.FC = () => {
                 totalPages={totalPages}
                 totalUsers={totalUsers}
             />
+
+            <Typography variant="h5" gutterBottom sx={{ mt: 4, mb: 2 }}>
+                Food Database
+            </Typography>
+
+            <FoodManagement />
+
+            <Typography variant="h5" gutterBottom sx={{ mt: 4, mb: 2 }}>
+                AI Recommendation Feedback
+            </Typography>
+
+            <RecommendationFeedback />
+
+            <Typography variant="h5" gutterBottom sx={{ mt: 4, mb: 2 }}>
+                Security
+            </Typography>
+
+            <SecuritySettings />
+            <LockedAccounts />
         </Container>
     );
 };
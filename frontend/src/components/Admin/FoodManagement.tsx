@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    IconButton,
+    Button,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    TextField,
+    MenuItem,
+    Box,
+    Alert,
+    TablePagination
+} from '@mui/material';
+import { Delete, Edit, Add } from '@mui/icons-material';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+
+interface ServingSize {
+    label: string;
+    grams: number;
+}
+
+interface Food {
+    _id?: string;
+    name: string;
+    category: string;
+    unit: '100g' | '100ml';
+    aliases: string[];
+    calories: number;
+    protein: number;
+    carbs: number;
+    fat: number;
+    fiber: number;
+    sugar: number;
+    saturatedFat: number;
+    sodium: number;
+    potassium: number;
+    servingSizes: ServingSize[];
+}
+
+type NutrientField = 'calories' | 'protein' | 'carbs' | 'fat' | 'fiber' | 'sugar' | 'saturatedFat' | 'sodium' | 'potassium';
+
+const NUTRIENT_FIELDS: { field: NutrientField; label: string }[] = [
+    { field: 'calories', label: 'Calories (kcal)' },
+    { field: 'protein', label: 'Protein (g)' },
+    { field: 'carbs', label: 'Carbs (g)' },
+    { field: 'fat', label: 'Fat (g)' },
+    { field: 'fiber', label: 'Fiber (g)' },
+    { field: 'sugar', label: 'Sugar (g)' },
+    { field: 'saturatedFat', label: 'Saturated Fat (g)' },
+    { field: 'sodium', label: 'Sodium (mg)' },
+    { field: 'potassium', label: 'Potassium (mg)' }
+];
+
+const emptyFood: Food = {
+    name: '',
+    category: 'Other',
+    unit: '100g',
+    aliases: [],
+    calories: 0,
+    protein: 0,
+    carbs: 0,
+    fat: 0,
+    fiber: 0,
+    sugar: 0,
+    saturatedFat: 0,
+    sodium: 0,
+    potassium: 0,
+    servingSizes: []
+};
+
+// Serving sizes are edited as "1 cup:240, 1 tbsp:15"
+const formatServings = (servings: ServingSize[]) =>
+    servings.map(serving => `${serving.label}:${serving.grams}`).join(', ');
+
+const parseServings = (value: string): ServingSize[] =>
+    value
+        .split(',')
+        .map(part => part.split(':'))
+        .filter(([label, grams]) => label && label.trim() && Number(grams) > 0)
+        .map(([label, grams]) => ({ label: label.trim(), grams: Number(grams) }));
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const FoodManagement: React.FC = () => {
+    const [foods, setFoods] = useState<Food[]>([]);
+    const [page, setPage] = useState(1);
+    const [totalFoods, setTotalFoods] = useState(0);
+    const [search, setSearch] = useState('');
+    const [editing, setEditing] = useState<Food | null>(null);
+    const [aliasesText, setAliasesText] = useState('');
+    const [servingsText, setServingsText] = useState('');
+    const [deleteId, setDeleteId] = useState<string | null>(null);
+    const [error, setError] = useState('');
+
+    const fetchFoods = useCallback(async () => {
+        try {
+            const res = await axios.get(`${API_URL}/api/admin/foods`, {
+                headers: authHeaders(),
+                params: { page, limit: 10, search }
+            });
+            setFoods(res.data.foods);
+            setTotalFoods(res.data.totalFoods);
+            setError('');
+        } catch (err) {
+            console.error(err);
+            setError('Failed to fetch foods');
+        }
+    }, [page, search]);
+
+    useEffect(() => {
+        fetchFoods();
+    }, [fetchFoods]);
+
+    const openEditor = (food: Food) => {
+        setEditing(food);
+        setAliasesText(food.aliases.join(', '));
+        setServingsText(formatServings(food.servingSizes));
+    };
+
+    const handleSave = async () => {
+        if (!editing) return;
+
+        const payload = {
+            ...editing,
+            aliases: aliasesText.split(',').map(alias => alias.trim()).filter(Boolean),
+            servingSizes: parseServings(servingsText)
+        };
+
+        try {
+            if (editing._id) {
+                await axios.put(`${API_URL}/api/admin/foods/${editing._id}`, payload, { headers: authHeaders() });
+            } else {
+                await axios.post(`${API_URL}/api/admin/foods`, payload, { headers: authHeaders() });
+            }
+            setEditing(null);
+            fetchFoods();
+        } catch (err: any) {
+            console.error('Failed to save food', err);
+            setError(err.response?.data?.message || 'Failed to save food');
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!deleteId) return;
+
+        try {
+            await axios.delete(`${API_URL}/api/admin/foods/${deleteId}`, { headers: authHeaders() });
+            setDeleteId(null);
+            fetchFoods();
+        } catch (err) {
+            console.error('Failed to delete food', err);
+            setError('Failed to delete food');
+        }
+    };
+
+    return (
+        <Paper sx={{ width: '100%', overflow: 'hidden', p: 2 }}>
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+                <TextField
+                    size="small"
+                    label="Search foods"
+                    value={search}
+                    onChange={(e) => {
+                        setSearch(e.target.value);
+                        setPage(1);
+                    }}
+                    sx={{ flexGrow: 1 }}
+                />
+                <Button variant="contained" startIcon={<Add />} onClick={() => openEditor({ ...emptyFood })}>
+                    Add Food
+                </Button>
+            </Box>
+
+            <TableContainer sx={{ maxHeight: 500 }}>
+                <Table stickyHeader size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Name</TableCell>
+                            <TableCell>Category</TableCell>
+                            <TableCell>Per</TableCell>
+                            <TableCell align="right">kcal</TableCell>
+                            <TableCell align="right">P / C / F (g)</TableCell>
+                            <TableCell align="right">Sodium (mg)</TableCell>
+                            <TableCell>Actions</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {foods.map((food) => (
+                            <TableRow hover key={food._id}>
+                                <TableCell>{food.name}</TableCell>
+                                <TableCell>{food.category}</TableCell>
+                                <TableCell>{food.unit}</TableCell>
+                                <TableCell align="right">{food.calories}</TableCell>
+                                <TableCell align="right">{food.protein} / {food.carbs} / {food.fat}</TableCell>
+                                <TableCell align="right">{food.sodium}</TableCell>
+                                <TableCell>
+                                    <IconButton onClick={() => openEditor(food)}>
+                                        <Edit />
+                                    </IconButton>
+                                    <IconButton color="error" onClick={() => setDeleteId(food._id!)}>
+                                        <Delete />
+                                    </IconButton>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+            <TablePagination
+                rowsPerPageOptions={[10]}
+                component="div"
+                count={totalFoods}
+                rowsPerPage={10}
+                page={page - 1} // Material UI expects 0-indexed
+                onPageChange={(event, newPage) => setPage(newPage + 1)}
+            />
+
+            <Dialog open={!!editing} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{editing?._id ? 'Edit Food' : 'Add Food'}</DialogTitle>
+                {editing && (
+                    <DialogContent>
+                        <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2, mt: 1 }}>
+                            <TextField
+                                label="Name"
+                                value={editing.name}
+                                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                required
+                            />
+                            <TextField
+                                label="Category"
+                                value={editing.category}
+                                onChange={(e) => setEditing({ ...editing, category: e.target.value })}
+                            />
+                            <TextField
+                                select
+                                label="Values per"
+                                value={editing.unit}
+                                onChange={(e) => setEditing({ ...editing, unit: e.target.value as Food['unit'] })}
+                            >
+                                <MenuItem value="100g">100g</MenuItem>
+                                <MenuItem value="100ml">100ml</MenuItem>
+                            </TextField>
+                            {NUTRIENT_FIELDS.map(({ field, label }) => (
+                                <TextField
+                                    key={field}
+                                    type="number"
+                                    label={label}
+                                    value={editing[field]}
+                                    onChange={(e) => setEditing({ ...editing, [field]: parseFloat(e.target.value) || 0 })}
+                                    inputProps={{ min: 0, step: 0.1 }}
+                                />
+                            ))}
+                        </Box>
+                        <TextField
+                            fullWidth
+                            sx={{ mt: 2 }}
+                            label="Aliases (comma separated)"
+                            value={aliasesText}
+                            onChange={(e) => setAliasesText(e.target.value)}
+                        />
+                        <TextField
+                            fullWidth
+                            sx={{ mt: 2 }}
+                            label="Serving sizes (label:grams, comma separated)"
+                            placeholder="1 cup:240, 1 tbsp:15"
+                            value={servingsText}
+                            onChange={(e) => setServingsText(e.target.value)}
+                        />
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setEditing(null)}>Cancel</Button>
+                    <Button onClick={handleSave} variant="contained" disabled={!editing?.name}>
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Dialog open={!!deleteId} onClose={() => setDeleteId(null)}>
+                <DialogTitle>Confirm Delete</DialogTitle>
+                <DialogContent>
+                    Remove this food from the catalog? Meals that already used it keep their logged values.
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDeleteId(null)}>Cancel</Button>
+                    <Button onClick={handleDelete} color="error" autoFocus>
+                        Delete
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Paper>
+    );
+};
+
+export default FoodManagement;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Paper,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Button,
+    Alert,
+    Typography,
+    Box
+} from '@mui/material';
+import { Refresh } from '@mui/icons-material';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+
+interface AccountLock {
+    email: string;
+    ip: string;
+    failures: number;
+    lockedAt: string;
+    lockedUntil: string;
+    user: { _id: string; name: string } | null;
+}
+
+interface IpBlock {
+    ip: string;
+    failures: number;
+    lockedAt: string;
+    lockedUntil: string;
+}
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatTime = (date: string) => new Date(date).toLocaleString();
+
+const LockedAccounts: React.FC = () => {
+    const [accounts, setAccounts] = useState<AccountLock[]>([]);
+    const [ips, setIps] = useState<IpBlock[]>([]);
+    const [error, setError] = useState('');
+
+    const fetchLocks = useCallback(async () => {
+        try {
+            const res = await axios.get(`${API_URL}/api/admin/locked-accounts`, { headers: authHeaders() });
+            setAccounts(res.data.accounts);
+            setIps(res.data.ips);
+            setError('');
+        } catch (err) {
+            console.error(err);
+            setError('Failed to fetch locked accounts');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchLocks();
+    }, [fetchLocks]);
+
+    const unlock = async (path: string) => {
+        try {
+            await axios.delete(`${API_URL}/api/admin/${path}`, { headers: authHeaders() });
+            fetchLocks();
+        } catch (err: any) {
+            console.error(err);
+            setError(err.response?.data?.message || 'Failed to unlock');
+        }
+    };
+
+    return (
+        <Paper sx={{ width: '100%', p: 2, mt: 2 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="h6">Locked accounts</Typography>
+                <Button size="small" startIcon={<Refresh />} onClick={fetchLocks}>
+                    Refresh
+                </Button>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Accounts lock after repeated failed logins and unlock by themselves when the time runs out.
+                Owners are emailed a link to unlock sooner.
+            </Typography>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {accounts.length === 0 ? (
+                <Typography variant="body2" sx={{ mb: 2 }}>No accounts are locked.</Typography>
+            ) : (
+                <TableContainer sx={{ mb: 2 }}>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Email</TableCell>
+                                <TableCell>User</TableCell>
+                                <TableCell>Failed attempts</TableCell>
+                                <TableCell>Last IP</TableCell>
+                                <TableCell>Locked until</TableCell>
+                                <TableCell>Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {accounts.map((lock) => (
+                                <TableRow key={lock.email}>
+                                    <TableCell>{lock.email}</TableCell>
+                                    <TableCell>{lock.user ? lock.user.name : 'No account'}</TableCell>
+                                    <TableCell>{lock.failures}</TableCell>
+                                    <TableCell>{lock.ip}</TableCell>
+                                    <TableCell>{formatTime(lock.lockedUntil)}</TableCell>
+                                    <TableCell>
+                                        <Button
+                                            size="small"
+                                            onClick={() => unlock(`locked-accounts/${encodeURIComponent(lock.email)}`)}
+                                        >
+                                            Unlock
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+
+            <Typography variant="h6" sx={{ mb: 1 }}>Blocked IP addresses</Typography>
+            {ips.length === 0 ? (
+                <Typography variant="body2">No IP addresses are blocked.</Typography>
+            ) : (
+                <TableContainer>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>IP address</TableCell>
+                                <TableCell>Failed attempts</TableCell>
+                                <TableCell>Blocked until</TableCell>
+                                <TableCell>Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {ips.map((block) => (
+                                <TableRow key={block.ip}>
+                                    <TableCell>{block.ip}</TableCell>
+                                    <TableCell>{block.failures}</TableCell>
+                                    <TableCell>{formatTime(block.lockedUntil)}</TableCell>
+                                    <TableCell>
+                                        <Button
+                                            size="small"
+                                            onClick={() => unlock(`blocked-ips/${encodeURIComponent(block.ip)}`)}
+                                        >
+                                            Unblock
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+        </Paper>
+    );
+};
+
+export default LockedAccounts;
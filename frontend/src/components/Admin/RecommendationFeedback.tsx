@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Paper,
+    IconButton,
+    Box,
+    Alert,
+    Chip,
+    TextField,
+    MenuItem,
+    Typography,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Button
+} from '@mui/material';
+import { Visibility } from '@mui/icons-material';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+
+interface Feedback {
+    rating?: number;
+    flaggedUnsafe?: boolean;
+    flagReason?: string;
+    comment?: string;
+    updatedAt: string;
+}
+
+interface FeedbackItem {
+    _id: string;
+    user: { _id: string; name: string; email: string };
+    createdAt: string;
+    source?: string;
+    model?: string;
+    summary?: string;
+    calories?: number;
+    content: string;
+    reasoning: string;
+    userNote?: string;
+    feedback: Feedback;
+}
+
+interface SourceGroup {
+    source: string;
+    model: string | null;
+    count: number;
+    averageRating: number | null;
+    flagged: number;
+    lowRated: number;
+}
+
+interface FeedbackReport {
+    summary: { total: number; rated: number; averageRating: number | null; flagged: number };
+    ratings: { rating: number; count: number }[];
+    bySource: SourceGroup[];
+    items: FeedbackItem[];
+}
+
+const FILTERS = [
+    { value: 'attention', label: 'Flagged or low-rated' },
+    { value: 'flagged', label: 'Flagged as unsafe' },
+    { value: 'low', label: 'Low-rated (1-2 stars)' },
+    { value: 'all', label: 'All feedback' }
+];
+
+const RecommendationFeedback: React.FC = () => {
+    const [report, setReport] = useState<FeedbackReport | null>(null);
+    const [filter, setFilter] = useState('attention');
+    const [viewing, setViewing] = useState<FeedbackItem | null>(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchReport = async () => {
+            try {
+                const res = await axios.get(`${API_URL}/api/admin/recommendation-feedback`, {
+                    headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+                    params: { filter }
+                });
+                setReport(res.data);
+                setError('');
+            } catch (err) {
+                console.error(err);
+                setError('Failed to fetch recommendation feedback');
+            }
+        };
+
+        fetchReport();
+    }, [filter]);
+
+    return (
+        <Paper sx={{ width: '100%', overflow: 'hidden', p: 2 }}>
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {report && (
+                <Box sx={{ display: 'flex', gap: 4, flexWrap: 'wrap', mb: 2 }}>
+                    <Typography variant="body1">
+                        <strong>{report.summary.total}</strong> with feedback
+                    </Typography>
+                    <Typography variant="body1">
+                        Average rating: <strong>{report.summary.averageRating ?? '–'}</strong> ({report.summary.rated} rated)
+                    </Typography>
+                    <Typography variant="body1" color={report.summary.flagged > 0 ? 'error' : 'textPrimary'}>
+                        <strong>{report.summary.flagged}</strong> flagged as unsafe
+                    </Typography>
+                    <Typography variant="body1">
+                        Ratings: {report.ratings.map(rating => `${rating.rating}★ ${rating.count}`).join(' · ') || '–'}
+                    </Typography>
+                </Box>
+            )}
+
+            {report && report.bySource.length > 0 && (
+                <TableContainer sx={{ mb: 3 }}>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Source</TableCell>
+                                <TableCell>Model</TableCell>
+                                <TableCell align="right">With feedback</TableCell>
+                                <TableCell align="right">Avg rating</TableCell>
+                                <TableCell align="right">Low-rated</TableCell>
+                                <TableCell align="right">Flagged</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {report.bySource.map(group => (
+                                <TableRow key={`${group.source}-${group.model}`}>
+                                    <TableCell>{group.source}</TableCell>
+                                    <TableCell>{group.model || '–'}</TableCell>
+                                    <TableCell align="right">{group.count}</TableCell>
+                                    <TableCell align="right">{group.averageRating ?? '–'}</TableCell>
+                                    <TableCell align="right">{group.lowRated}</TableCell>
+                                    <TableCell align="right">{group.flagged}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+
+            <TextField
+                select
+                size="small"
+                label="Show"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                sx={{ mb: 2, minWidth: 240 }}
+            >
+                {FILTERS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+            </TextField>
+
+            <TableContainer sx={{ maxHeight: 600 }}>
+                <Table stickyHeader size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Feedback Date</TableCell>
+                            <TableCell>User</TableCell>
+                            <TableCell>Source</TableCell>
+                            <TableCell>Rating</TableCell>
+                            <TableCell>Flag / Comment</TableCell>
+                            <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {report && report.items.length === 0 && (
+                            <TableRow>
+                                <TableCell colSpan={6} align="center">No matching feedback</TableCell>
+                            </TableRow>
+                        )}
+                        {report?.items.map(item => (
+                            <TableRow hover key={item._id}>
+                                <TableCell>{new Date(item.feedback.updatedAt).toLocaleDateString()}</TableCell>
+                                <TableCell>{item.user.name}<br /><small>{item.user.email}</small></TableCell>
+                                <TableCell>{item.source || 'unknown'}{item.model ? ` (${item.model})` : ''}</TableCell>
+                                <TableCell>{item.feedback.rating ? `${item.feedback.rating}★` : '–'}</TableCell>
+                                <TableCell>
+                                    {item.feedback.flaggedUnsafe && (
+                                        <Chip label="Unsafe" color="error" size="small" sx={{ mr: 1 }} />
+                                    )}
+                                    {item.feedback.flagReason || item.feedback.comment || ''}
+                                </TableCell>
+                                <TableCell align="right">
+                                    <IconButton color="primary" onClick={() => setViewing(item)}>
+                                        <Visibility />
+                                    </IconButton>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            <Dialog open={Boolean(viewing)} onClose={() => setViewing(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Recommendation for {viewing?.user.name}</DialogTitle>
+                <DialogContent>
+                    {viewing && (
+                        <>
+                            <Typography variant="body2" color="textSecondary" gutterBottom>
+                                Generated {new Date(viewing.createdAt).toLocaleString()} · {viewing.reasoning}
+                            </Typography>
+                            {viewing.userNote && (
+                                <Typography variant="body2" gutterBottom>
+                                    <strong>User's regeneration note:</strong> {viewing.userNote}
+                                </Typography>
+                            )}
+                            {viewing.feedback.flagReason && (
+                                <Typography variant="body2" color="error" gutterBottom>
+                                    <strong>Flag reason:</strong> {viewing.feedback.flagReason}
+                                </Typography>
+                            )}
+                            {viewing.feedback.comment && (
+                                <Typography variant="body2" gutterBottom>
+                                    <strong>Comment:</strong> {viewing.feedback.comment}
+                                </Typography>
+                            )}
+                            <Box component="pre" sx={{ whiteSpace: 'pre-wrap', fontFamily: 'inherit', bgcolor: '#f5f5f5', p: 2, borderRadius: 1 }}>
+                                {viewing.content}
+                            </Box>
+                        </>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setViewing(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+        </Paper>
+    );
+};
+
+export default RecommendationFeedback;
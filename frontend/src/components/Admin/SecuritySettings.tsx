@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { Paper, Alert, FormControlLabel, Switch, Typography } from '@mui/material';
+import axios from 'axios';
+import { API_URL } from '../../config/api';
+
+interface Settings {
+    requireAdminTwoFactor: boolean;
+}
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const SecuritySettings: React.FC = () => {
+    const [settings, setSettings] = useState<Settings | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                const res = await axios.get(`${API_URL}/api/admin/settings`, { headers: authHeaders() });
+                setSettings(res.data);
+            } catch (err) {
+                console.error(err);
+                setError('Failed to fetch security settings');
+            }
+        };
+
+        fetchSettings();
+    }, []);
+
+    const updateSetting = async (changes: Partial<Settings>) => {
+        setSaving(true);
+        setError('');
+
+        try {
+            const res = await axios.put(`${API_URL}/api/admin/settings`, changes, { headers: authHeaders() });
+            setSettings(res.data);
+        } catch (err: any) {
+            console.error(err);
+            setError(err.response?.data?.message || 'Failed to update security settings');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Paper sx={{ width: '100%', p: 2 }}>
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {settings && (
+                <>
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={settings.requireAdminTwoFactor}
+                                onChange={(e) => updateSetting({ requireAdminTwoFactor: e.target.checked })}
+                                disabled={saving}
+                            />
+                        }
+                        label="Require two-factor authentication for admin accounts"
+                    />
+                    <Typography variant="body2" color="text.secondary">
+                        Admins without two-factor authentication are sent to their Account page to set it up before the admin panel opens.
+                        Turn it on for your own account first.
+                    </Typography>
+                </>
+            )}
+        </Paper>
+    );
+};
+
+export default SecuritySettings;
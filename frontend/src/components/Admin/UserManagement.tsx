@@ -27,6 +27,9 @@ interface User {
     email: string;
     role: string;
     createdAt: string;
+    twoFactor?: {
+        enabled: boolean;
+    };
     healthMetrics?: {
         lastUpdated?: string;
     };
@@ -82,6 +85,7 @@ const UserManagement: React.FC<UserManagementProps> = ({
                             <TableCell>Name</TableCell>
                             <TableCell>Email</TableCell>
                             <TableCell>Role</TableCell>
+                            <TableCell>2FA</TableCell>
                             <TableCell>Joined</TableCell>
                             <TableCell>Actions</TableCell>
                         </TableRow>
@@ -98,6 +102,14 @@ const UserManagement: React.FC<UserManagementProps> = ({
                                         size="small"
                                     />
                                 </TableCell>
+                                <TableCell>
+                                    <Chip
+                                        label={user.twoFactor?.enabled ? 'On' : 'Off'}
+                                        color={user.twoFactor?.enabled ? 'success' : 'default'}
+                                        size="small"
+                                        variant="outlined"
+                                    />
+                                </TableCell>
                                 <TableCell>
                                     {new Date(user.createdAt).toLocaleDateString()}
                                 </TableCell>
@@ -13,6 +13,11 @@ const AdminRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
         return <Navigate to="/" />;
     }
 
+    // The Account page explains the requirement and walks through setup
+    if (user.twoFactorSetupRequired) {
+        return <Navigate to="/account" />;
+    }
+
     return <>{children}</>;
 };
 
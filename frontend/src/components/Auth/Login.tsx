@@ -8,8 +8,12 @@ const Login: React.FC = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set when the password was right but the account has 2FA on
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login, user } = useAuth();
+  const { login, completeTwoFactorLogin, user } = useAuth();
   const navigate = useNavigate();
 
   // Redirect if logged in (in case they manually go to /login)
@@ -26,15 +30,105 @@ const Login: React.FC = () => {
     setLoading(true);
 
     try {
-      await login(email, password);
-      // Navigation is handled by the useEffect hook observing the user object
-    } catch (error) {
-      setError('Invalid email or password');
+      const result = await login(email, password);
+      if (result.twoFactorRequired && result.challengeToken) {
+        setChallengeToken(result.challengeToken);
+        setCode('');
+      }
+      // Otherwise navigation is handled by the useEffect hook observing the user object
+    } catch (error: any) {
+      setError(error.message || 'Invalid email or password');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCodeSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await completeTwoFactorLogin(challengeToken, code, useRecoveryCode);
+    } catch (error: any) {
+      // An expired or already used challenge means starting again from the password
+      if (/log in again/i.test(error.message)) {
+        setChallengeToken('');
+        setPassword('');
+      }
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Two-factor verification</h2>
+          <form onSubmit={handleCodeSubmit}>
+            <p className="auth-hint">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+            <div className="form-group">
+              <label className="form-label">{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</label>
+              <input
+                type="text"
+                className="form-input"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+                autoFocus
+                required
+              />
+            </div>
+
+            {error && <div className="error">{error}</div>}
+
+            <button
+              type="submit"
+              className="btn btn-primary auth-button"
+              disabled={loading}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="auth-link">
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+                setError('');
+              }}
+            >
+              {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your phone? Use a recovery code'}
+            </button>
+          </p>
+          <p className="auth-link">
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => {
+                setChallengeToken('');
+                setError('');
+              }}
+            >
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -73,6 +167,10 @@ const Login: React.FC = () => {
           </button>
         </form>
 
+        <p className="auth-link">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
+
         <p className="auth-link">
           Don't have an account? <Link to="/register">Register here</Link>
         </p>
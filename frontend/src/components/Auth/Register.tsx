@@ -81,7 +81,11 @@ const Register: React.FC = () => {
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               required
+              minLength={8}
             />
+            <p className="password-hint">
+              At least 8 characters, using two or more of: upper case, lower case, numbers, symbols. Avoid common words like "password".
+            </p>
           </div>
           
           <div className="form-group">
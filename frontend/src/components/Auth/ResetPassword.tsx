@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_URL } from '../../config/api';
+import './Auth.css';
+
+const ResetPassword: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setMessage(data.message);
+      } else {
+        setError(data.suggestions?.join(' ') || data.errors?.[0]?.msg || data.message || 'Reset failed');
+      }
+    } catch (error) {
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Choose a new password</h2>
+        {message ? (
+          <>
+            <div className="success">{message}</div>
+            <p className="auth-link">
+              <Link to="/login">Go to login</Link>
+            </p>
+          </>
+        ) : !token ? (
+          <>
+            <div className="error">This reset link is missing its token.</div>
+            <p className="auth-link">
+              <Link to="/forgot-password">Request a new link</Link>
+            </p>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label className="form-label">New password</label>
+              <input
+                type="password"
+                className="form-input"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                minLength={8}
+              />
+              <p className="password-hint">
+                At least 8 characters, using two or more of: upper case, lower case, numbers, symbols. Avoid common words like "password".
+              </p>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Confirm new password</label>
+              <input
+                type="password"
+                className="form-input"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                minLength={8}
+              />
+            </div>
+
+            {error && <div className="error">{error}</div>}
+
+            <button
+              type="submit"
+              className="btn btn-primary auth-button"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Set new password'}
+            </button>
+
+            <p className="auth-link">
+              Every device will be signed out. <Link to="/forgot-password">Need a new link?</Link>
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_URL } from '../../config/api';
+import './Auth.css';
+
+const UnlockAccount: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<'pending' | 'done' | 'failed'>('pending');
+  const [message, setMessage] = useState('');
+  // Links are single-use, so the request must not repeat (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage('This link is missing its token.');
+      return;
+    }
+
+    const unlock = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/unlock`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+        setStatus(response.ok ? 'done' : 'failed');
+        setMessage(data.message);
+      } catch (error) {
+        setStatus('failed');
+        setMessage('Could not reach the server. Please try again.');
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Unlock your account</h2>
+        {status === 'pending' && <p className="auth-hint">Unlocking your account...</p>}
+        {status === 'done' && <div className="success">{message}</div>}
+        {status === 'failed' && <div className="error">{message}</div>}
+
+        <p className="auth-link">
+          <Link to="/login">Go to login</Link>
+        </p>
+        {status !== 'pending' && (
+          <p className="auth-link">
+            Didn't try to log in? <Link to="/forgot-password">Reset your password</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { API_URL } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+import './Auth.css';
+
+const VerifyEmail: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { user, refreshUser } = useAuth();
+  const [status, setStatus] = useState<'pending' | 'done' | 'failed'>('pending');
+  const [message, setMessage] = useState('');
+  // Links are single-use, so the request must not repeat (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage('This link is missing its token.');
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/auth/verify-email`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+        setStatus(response.ok ? 'done' : 'failed');
+        setMessage(data.message);
+        if (response.ok) refreshUser();
+      } catch (error) {
+        setStatus('failed');
+        setMessage('Could not reach the server. Please try again.');
+      }
+    };
+
+    verify();
+  }, [token, refreshUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Email confirmation</h2>
+        {status === 'pending' && <p className="auth-hint">Confirming your email...</p>}
+        {status === 'done' && <div className="success">{message}</div>}
+        {status === 'failed' && <div className="error">{message}</div>}
+
+        <p className="auth-link">
+          {user ? <Link to="/account">Go to your account</Link> : <Link to="/login">Go to login</Link>}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
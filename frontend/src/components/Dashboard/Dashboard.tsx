@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { API_URL } from '../../config/api';
+import WeeklyDigest from './WeeklyDigest';
 import './Dashboard.css';
 
 interface HealthData {
@@ -137,6 +138,8 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
       )}
+
+      <WeeklyDigest />
     </div>
   );
 };
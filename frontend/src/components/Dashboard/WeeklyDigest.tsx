@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import './Dashboard.css';
+
+interface DigestSummary {
+  _id: string;
+  weekStart: string;
+  weekEnd: string;
+  source: 'ai' | 'template';
+  model?: string;
+}
+
+interface Digest extends DigestSummary {
+  narrative: string;
+  stats: {
+    calories: {
+      daysLogged: number;
+      average: number;
+      target: number | null;
+    };
+    medications: {
+      adherence: number | null;
+    };
+  };
+}
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const formatDay = (date: string) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// **bold** spans within a line
+const renderInline = (text: string) =>
+  text.split(/\*\*(.+?)\*\*/g).map((part, index) => (index % 2 === 1 ? <strong key={index}>{part}</strong> : part));
+
+// The narrative is plain text with **bold** headings and "• " bullets
+const renderNarrative = (narrative: string) => {
+  const blocks: React.ReactNode[] = [];
+  let bullets: string[] = [];
+
+  const flushBullets = () => {
+    if (bullets.length === 0) return;
+    blocks.push(<ul key={`list-${blocks.length}`}>{bullets.map((bullet, index) => <li key={index}>{renderInline(bullet)}</li>)}</ul>);
+    bullets = [];
+  };
+
+  narrative.split('\n').map(line => line.trim()).forEach(line => {
+    if (/^[•*-] /.test(line)) {
+      bullets.push(line.slice(2));
+      return;
+    }
+    flushBullets();
+    if (line) blocks.push(<p key={`line-${blocks.length}`}>{renderInline(line)}</p>);
+  });
+  flushBullets();
+
+  return blocks;
+};
+
+const WeeklyDigest: React.FC = () => {
+  const [digests, setDigests] = useState<DigestSummary[]>([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [digest, setDigest] = useState<Digest | null>(null);
+  const [listKey, setListKey] = useState(0);
+  const [generating, setGenerating] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchDigests = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/ai/digests`, {
+          headers: authHeaders()
+        });
+
+        if (response.ok) {
+          const data: DigestSummary[] = await response.json();
+          setDigests(data);
+          setSelectedId(current => (data.some(item => item._id === current) ? current : data[0]?._id || ''));
+        }
+      } catch (error) {
+        console.error('Failed to fetch digests:', error);
+      }
+    };
+
+    fetchDigests();
+  }, [listKey]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setDigest(null);
+      return;
+    }
+
+    const fetchDigest = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/ai/digests/${selectedId}`, {
+          headers: authHeaders()
+        });
+
+        if (response.ok) {
+          setDigest(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch digest:', error);
+      }
+    };
+
+    fetchDigest();
+  }, [selectedId, listKey]);
+
+  // Without a date the server writes last week's digest
+  const generateDigest = async (date?: string) => {
+    setGenerating(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/digests`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(date ? { date } : {})
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setSelectedId(data.digest._id);
+        setListKey(key => key + 1);
+      } else {
+        setMessage(data.errors?.[0]?.msg || data.message || 'Failed to write digest');
+      }
+    } catch (error) {
+      setMessage('Error writing digest');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const downloadDigest = async (format: 'markdown' | 'json') => {
+    if (!digest) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/ai/digests/${digest._id}/export?format=${format}`, {
+        headers: authHeaders()
+      });
+
+      if (!response.ok) {
+        setMessage('Failed to export digest');
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `health-digest-${digest.weekStart}.${format === 'json' ? 'json' : 'md'}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage('Error exporting digest');
+    }
+  };
+
+  return (
+    <div className="card weekly-digest">
+      <div className="weekly-digest-header">
+        <h3>📰 Weekly Digest</h3>
+        {digests.length > 0 && (
+          <select
+            className="form-input"
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            aria-label="Digest week"
+          >
+            {digests.map(item => (
+              <option key={item._id} value={item._id}>
+                {formatDay(item.weekStart)} – {formatDay(item.weekEnd)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {!digest ? (
+        <div>
+          <p>A narrative summary of your meals, metrics and medications arrives here every Monday.</p>
+          <button className="btn btn-primary" onClick={() => generateDigest()} disabled={generating}>
+            {generating ? 'Writing...' : "Write last week's digest now"}
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="digest-stats">
+            <span><strong>{digest.stats.calories.daysLogged}/7</strong> days logged</span>
+            {digest.stats.calories.daysLogged > 0 && (
+              <span>
+                <strong>{digest.stats.calories.average}</strong> kcal/day
+                {digest.stats.calories.target && ` (target ${digest.stats.calories.target})`}
+              </span>
+            )}
+            {digest.stats.medications.adherence !== null && (
+              <span><strong>{digest.stats.medications.adherence}%</strong> doses taken</span>
+            )}
+          </div>
+
+          <div className="digest-narrative">{renderNarrative(digest.narrative)}</div>
+
+          <div className="digest-actions">
+            <small>
+              {digest.source === 'ai' ? `Written by AI${digest.model ? ` (${digest.model})` : ''}` : 'Written from your numbers'}
+            </small>
+            <button className="btn btn-secondary btn-sm" onClick={() => downloadDigest('markdown')}>
+              Download
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={() => downloadDigest('json')}>
+              JSON
+            </button>
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={() => generateDigest(digest.weekStart)}
+              disabled={generating}
+            >
+              {generating ? 'Rewriting...' : 'Rewrite'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {message && <div className="error">{message}</div>}
+    </div>
+  );
+};
+
+export default WeeklyDigest;
@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { API_URL } from '../../config/api';
+import './Health.css';
+
+type GoalMode = 'target-date' | 'weekly-rate';
+
+interface Goal {
+  mode: GoalMode;
+  targetWeight?: number;
+  targetDate?: string;
+  weeklyRate?: number;
+  startWeight: number;
+  startDate: string;
+  plannedWeeklyRate: number;
+}
+
+interface GoalPlan {
+  direction: 'lose' | 'gain' | 'maintain';
+  requestedWeeklyRate: number;
+  weeklyRate: number;
+  dailyCalorieAdjustment: number;
+  targetCalories: number;
+  remainingKg: number | null;
+  projectedEndDate: string | null;
+  capped: boolean;
+  warnings: string[];
+}
+
+interface WeightPoint {
+  date: string;
+  weight: number | null;
+}
+
+interface GoalPanelProps {
+  refreshKey?: number;
+}
+
+interface GoalForm {
+  mode: GoalMode;
+  targetWeight: string;
+  targetDate: string;
+  weeklyRate: string;
+}
+
+const EMPTY_FORM: GoalForm = {
+  mode: 'target-date',
+  targetWeight: '',
+  targetDate: '',
+  weeklyRate: '-0.5'
+};
+
+const formatDay = (value: string | number) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const GoalPanel: React.FC<GoalPanelProps> = ({ refreshKey = 0 }) => {
+  const [goal, setGoal] = useState<Goal | null>(null);
+  const [plan, setPlan] = useState<GoalPlan | null>(null);
+  const [projected, setProjected] = useState<WeightPoint[]>([]);
+  const [actual, setActual] = useState<WeightPoint[]>([]);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState<GoalForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchProgress = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(`${API_URL}/api/health/goal/progress`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setGoal(data.goal);
+          setPlan(data.plan);
+          setProjected(data.projected);
+          setActual(data.actual);
+        } else if (response.status === 404) {
+          setGoal(null);
+          setPlan(null);
+        }
+      } catch (error) {
+        console.error('Failed to fetch goal progress:', error);
+      }
+    };
+
+    fetchProgress();
+  }, [refreshKey, reloadKey]);
+
+  const startEditing = () => {
+    setForm(goal ? {
+      mode: goal.mode,
+      targetWeight: goal.targetWeight !== undefined ? String(goal.targetWeight) : '',
+      targetDate: goal.targetDate ? goal.targetDate.slice(0, 10) : '',
+      weeklyRate: goal.weeklyRate !== undefined ? String(goal.weeklyRate) : EMPTY_FORM.weeklyRate
+    } : EMPTY_FORM);
+    setMessage('');
+    setEditing(true);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_URL}/api/health/goal`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          mode: form.mode,
+          targetWeight: form.targetWeight ? parseFloat(form.targetWeight) : null,
+          targetDate: form.mode === 'target-date' ? form.targetDate : undefined,
+          weeklyRate: form.mode === 'weekly-rate' ? parseFloat(form.weeklyRate) : undefined
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setEditing(false);
+        setReloadKey(key => key + 1);
+      } else {
+        setMessage(data.errors?.[0]?.msg || data.message || 'Failed to save goal');
+      }
+    } catch (error) {
+      console.error('Error saving goal:', error);
+      setMessage('Error saving goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove your weight goal?')) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_URL}/api/health/goal`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        setReloadKey(key => key + 1);
+      }
+    } catch (error) {
+      console.error('Error removing goal:', error);
+    }
+  };
+
+  // Merge both series onto one time axis
+  const chartData = [
+    ...projected.map(point => ({ time: new Date(point.date).getTime(), projected: point.weight })),
+    ...actual.map(point => ({ time: new Date(point.date).getTime(), actual: point.weight }))
+  ].sort((a, b) => a.time - b.time);
+
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  return (
+    <div className="card goal-panel">
+      <div className="metrics-history-header">
+        <h3>Weight Goal</h3>
+        {!editing && (
+          <div className="medication-actions">
+            <button className="btn btn-primary btn-sm" onClick={startEditing}>
+              {goal ? 'Change Goal' : 'Set a Goal'}
+            </button>
+            {goal && (
+              <button className="btn btn-danger btn-sm" onClick={handleRemove}>
+                Remove
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {editing ? (
+        <form onSubmit={handleSubmit}>
+          <div className="goal-mode">
+            <label className="checkbox-label">
+              <input
+                type="radio"
+                name="goal-mode"
+                checked={form.mode === 'target-date'}
+                onChange={() => setForm({ ...form, mode: 'target-date' })}
+              />
+              Reach a target weight by a date
+            </label>
+            <label className="checkbox-label">
+              <input
+                type="radio"
+                name="goal-mode"
+                checked={form.mode === 'weekly-rate'}
+                onChange={() => setForm({ ...form, mode: 'weekly-rate' })}
+              />
+              Change weight at a weekly rate
+            </label>
+          </div>
+
+          <div className="form-grid">
+            <div className="form-group">
+              <label className="form-label">
+                Target Weight (kg){form.mode === 'weekly-rate' && ' — optional'}
+              </label>
+              <input
+                type="number"
+                className="form-input"
+                value={form.targetWeight}
+                onChange={(e) => setForm({ ...form, targetWeight: e.target.value })}
+                min="20"
+                max="300"
+                step="0.1"
+                required={form.mode === 'target-date'}
+              />
+            </div>
+
+            {form.mode === 'target-date' ? (
+              <div className="form-group">
+                <label className="form-label">Target Date</label>
+                <input
+                  type="date"
+                  className="form-input"
+                  value={form.targetDate}
+                  onChange={(e) => setForm({ ...form, targetDate: e.target.value })}
+                  min={tomorrow.toISOString().split('T')[0]}
+                  required
+                />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label className="form-label">Weekly Change (kg, negative to lose)</label>
+                <input
+                  type="number"
+                  className="form-input"
+                  value={form.weeklyRate}
+                  onChange={(e) => setForm({ ...form, weeklyRate: e.target.value })}
+                  min="-2"
+                  max="2"
+                  step="0.05"
+                  required
+                />
+              </div>
+            )}
+          </div>
+
+          {message && <div className="error">{message}</div>}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Goal'}
+            </button>
+          </div>
+        </form>
+      ) : !goal ? (
+        <p className="metrics-history-empty">
+          Set a target weight and date, or a weekly rate, to get a daily calorie target that stays within safe limits.
+        </p>
+      ) : (
+        <>
+          {plan && (
+            <div className="guidelines">
+              <div className="guideline-item">
+                <strong>Daily calories:</strong> {plan.targetCalories} kcal
+                {plan.dailyCalorieAdjustment !== 0 && (
+                  <> ({plan.dailyCalorieAdjustment < 0
+                    ? `${Math.abs(plan.dailyCalorieAdjustment)} kcal deficit`
+                    : `${plan.dailyCalorieAdjustment} kcal surplus`})</>
+                )}
+              </div>
+              <div className="guideline-item">
+                <strong>Planned rate:</strong>{' '}
+                {plan.direction === 'maintain'
+                  ? 'Maintain current weight'
+                  : `${plan.direction === 'lose' ? 'Lose' : 'Gain'} ${Math.abs(plan.weeklyRate)} kg/week`}
+                {plan.capped && ` (requested ${Math.abs(plan.requestedWeeklyRate)} kg/week)`}
+              </div>
+              {plan.remainingKg !== null && (
+                <div className="guideline-item">
+                  <strong>To go:</strong> {Math.abs(plan.remainingKg)} kg to {goal.targetWeight} kg
+                  {plan.projectedEndDate && `, projected ${new Date(plan.projectedEndDate).toLocaleDateString()}`}
+                  {goal.targetDate && ` (target ${new Date(goal.targetDate).toLocaleDateString()})`}
+                </div>
+              )}
+              {plan.warnings.map(warning => (
+                <div key={warning} className="guideline-item goal-warning">
+                  ⚠️ {warning}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {chartData.length > 1 && (
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={chartData} margin={{ top: 20, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={formatDay}
+                />
+                <YAxis domain={['auto', 'auto']} unit=" kg" width={70} />
+                <Tooltip
+                  labelFormatter={(label) => formatDay(Number(label))}
+                  formatter={(value, name) => [`${value} kg`, name]}
+                />
+                <Legend />
+                <Line
+                  type="linear"
+                  dataKey="projected"
+                  name="Projected"
+                  stroke="#95a5a6"
+                  strokeDasharray="6 4"
+                  dot={false}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey="actual"
+                  name="Actual (weekly average)"
+                  stroke="#007bff"
+                  strokeWidth={2}
+                  dot={{ r: 3 }}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GoalPanel;
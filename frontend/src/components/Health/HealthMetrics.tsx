@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { API_URL } from '../../config/api';
+import MetricsHistoryChart from './MetricsHistoryChart';
+import GoalPanel from './GoalPanel';
 import './Health.css';
 
 interface HealthMetricsData {
@@ -11,6 +13,27 @@ interface HealthMetricsData {
   cholesterol: number;
 }
 
+interface ActivityLevelOption {
+  value: string;
+  label: string;
+  multiplier: number;
+}
+
+interface ProfileData {
+  dateOfBirth: string | null;
+  sex: 'female' | 'male' | 'other' | null;
+  activityLevel: string | null;
+  age: number | null;
+  energy: {
+    bmr: number;
+    harrisBenedictBmr: number;
+    tdee: number;
+    activityMultiplier: number;
+    assumptions: string[];
+  } | null;
+  activityLevels: ActivityLevelOption[];
+}
+
 const HealthMetrics: React.FC = () => {
   const [metrics, setMetrics] = useState<HealthMetricsData>({
     height: 0,
@@ -22,11 +45,73 @@ const HealthMetrics: React.FC = () => {
   });
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [profile, setProfile] = useState<ProfileData | null>(null);
+  const [profileSaving, setProfileSaving] = useState(false);
+  const [profileMessage, setProfileMessage] = useState('');
+  // Weight and profile changes both move the goal's calorie plan
+  const [goalRefreshKey, setGoalRefreshKey] = useState(0);
 
   useEffect(() => {
     fetchMetrics();
+    fetchProfile();
   }, []);
 
+  const fetchProfile = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_URL}/api/health/profile`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setProfile(data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch profile:', error);
+    }
+  };
+
+  const handleProfileSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!profile) return;
+    setProfileSaving(true);
+    setProfileMessage('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_URL}/api/health/profile`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          dateOfBirth: profile.dateOfBirth || null,
+          sex: profile.sex || null,
+          activityLevel: profile.activityLevel || null
+        }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setProfile(data.profile);
+        setProfileMessage('Profile updated successfully!');
+        setGoalRefreshKey(key => key + 1);
+      } else {
+        setProfileMessage(data.errors?.[0]?.msg || data.message || 'Failed to update profile');
+      }
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      setProfileMessage('Error updating profile');
+    } finally {
+      setProfileSaving(false);
+    }
+  };
+
   const fetchMetrics = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -64,8 +149,13 @@ const HealthMetrics: React.FC = () => {
       if (response.ok) {
         const data = await response.json();
         setMessage('Health metrics updated successfully!');
+        // Height and weight feed the energy estimate
+        fetchProfile();
         // Update local state with returned data
         setMetrics(data.healthMetrics);
+        // A new reading was recorded, so redraw the trend chart
+        setHistoryRefreshKey(key => key + 1);
+        setGoalRefreshKey(key => key + 1);
         // Reload metrics to ensure UI is in sync
         setTimeout(() => fetchMetrics(), 500);
       } else {
@@ -195,6 +285,91 @@ const HealthMetrics: React.FC = () => {
         </form>
       </div>
 
+      {profile && (
+        <div className="card">
+          <h3>Personal Profile</h3>
+          <p>Age, sex and activity level are used to estimate how many calories you burn each day.</p>
+          <form onSubmit={handleProfileSubmit}>
+            <div className="form-grid">
+              <div className="form-group">
+                <label className="form-label">Date of Birth</label>
+                <input
+                  type="date"
+                  className="form-input"
+                  value={profile.dateOfBirth ? profile.dateOfBirth.slice(0, 10) : ''}
+                  onChange={(e) => setProfile({ ...profile, dateOfBirth: e.target.value || null })}
+                  max={new Date().toISOString().split('T')[0]}
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Sex</label>
+                <select
+                  className="form-input"
+                  value={profile.sex || ''}
+                  onChange={(e) => setProfile({ ...profile, sex: (e.target.value || null) as ProfileData['sex'] })}
+                >
+                  <option value="">Prefer not to say</option>
+                  <option value="female">Female</option>
+                  <option value="male">Male</option>
+                  <option value="other">Other</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Activity Level</label>
+                <select
+                  className="form-input"
+                  value={profile.activityLevel || ''}
+                  onChange={(e) => setProfile({ ...profile, activityLevel: e.target.value || null })}
+                >
+                  <option value="">Not set</option>
+                  {profile.activityLevels.map(level => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {profile.energy && (
+              <div className="guidelines energy-estimate">
+                <div className="guideline-item">
+                  <strong>Basal metabolic rate:</strong> {profile.energy.bmr} kcal/day
+                  (Harris-Benedict: {profile.energy.harrisBenedictBmr})
+                </div>
+                <div className="guideline-item">
+                  <strong>Maintenance calories:</strong> {profile.energy.tdee} kcal/day
+                  (×{profile.energy.activityMultiplier} for activity)
+                </div>
+                {profile.energy.assumptions.length > 0 && (
+                  <div className="guideline-item">
+                    <strong>Assumed:</strong> {profile.energy.assumptions.join('; ')}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {profileMessage && (
+              <div className={profileMessage.includes('success') ? 'success' : 'error'}>
+                {profileMessage}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={profileSaving}
+            >
+              {profileSaving ? 'Saving...' : 'Save Profile'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <GoalPanel refreshKey={goalRefreshKey} />
+
+      <MetricsHistoryChart refreshKey={historyRefreshKey} />
+
       <div className="card">
         <h3>Health Guidelines</h3>
         <div className="guidelines">
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../../config/api';
+import './Health.css';
+
+type Severity = 'major' | 'moderate' | 'minor';
+
+export interface Interaction {
+  id: string;
+  drug: string;
+  food: string;
+  severity: Severity;
+  effect: string;
+  advice: string;
+  medication: { _id?: string; name: string };
+  foods: { name: string; date?: string; mealType?: string }[];
+}
+
+interface WatchListEntry {
+  id: string;
+  drug: string;
+  food: string;
+  severity: Severity;
+  effect: string;
+  advice: string;
+  medications: string[];
+  foodTerms: string[];
+}
+
+interface InteractionReportData {
+  days: number;
+  medicationsChecked: number;
+  mealsChecked: number;
+  interactions: Interaction[];
+  watchList: WatchListEntry[];
+}
+
+interface InteractionReportProps {
+  refreshKey?: number;
+}
+
+// Collapse repeated foods to "Spinach ×3"
+export const summarizeFoods = (foods: Interaction['foods']) => {
+  const counts = new Map<string, number>();
+  foods.forEach(food => counts.set(food.name, (counts.get(food.name) || 0) + 1));
+  return Array.from(counts.entries())
+    .map(([name, count]) => (count > 1 ? `${name} ×${count}` : name))
+    .join(', ');
+};
+
+const InteractionReport: React.FC<InteractionReportProps> = ({ refreshKey = 0 }) => {
+  const [report, setReport] = useState<InteractionReportData | null>(null);
+  const [days, setDays] = useState(30);
+  const [error, setError] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/health/interactions?days=${days}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        setReport(await response.json());
+        setError('');
+      } else {
+        setError('Failed to load interaction report');
+      }
+    } catch (error) {
+      setError('Error loading interaction report');
+    }
+  }, [days]);
+
+  // refreshKey changes when medications or meals change elsewhere on the page
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport, refreshKey]);
+
+  return (
+    <div className="card interaction-report">
+      <div className="medications-header">
+        <h3>Drug–Food Interactions</h3>
+        <select className="form-input" value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))}>
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {report && (
+        <>
+          <p className="interaction-scope">
+            Checked {report.medicationsChecked} active medication(s) against {report.mealsChecked} logged meal(s).
+          </p>
+
+          {report.interactions.length === 0 ? (
+            <p>No interactions found in your logged meals.</p>
+          ) : (
+            <div className="interaction-list">
+              {report.interactions.map(interaction => (
+                <div key={`${interaction.id}-${interaction.medication.name}`} className={`interaction-item ${interaction.severity}`}>
+                  <div className="interaction-title">
+                    <span className={`severity-badge ${interaction.severity}`}>{interaction.severity}</span>
+                    <strong>{interaction.medication.name}</strong> + {interaction.food}
+                  </div>
+                  <p><strong>Logged:</strong> {summarizeFoods(interaction.foods)}</p>
+                  <p>{interaction.effect}</p>
+                  <p><em>{interaction.advice}</em></p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {report.watchList.length > 0 && (
+            <div className="interaction-watchlist">
+              <h4>Foods to watch with your medications</h4>
+              <ul>
+                {report.watchList.map(entry => (
+                  <li key={entry.id}>
+                    <span className={`severity-badge ${entry.severity}`}>{entry.severity}</span>
+                    <strong>{entry.medications.join(', ')}</strong>: {entry.food.toLowerCase()} ({entry.foodTerms.slice(0, 5).join(', ')}…)
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="interaction-disclaimer">
+            This check covers common interactions only. Ask your pharmacist or doctor about your specific medicines.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default InteractionReport;
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { API_URL } from '../../config/api';
+import './MealTracker.css';
+
+type MacroKey = 'protein' | 'carbs' | 'fat' | 'fiber';
+
+interface MacroProgress {
+  consumed: number;
+  target: number;
+  remaining: number;
+  percentOfTarget: number | null;
+}
+
+export interface MacroTargets {
+  mode: 'grams' | 'percent';
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  fiber: number;
+}
+
+interface MacroTargetsPanelProps {
+  targets: MacroTargets;
+  progress: Record<MacroKey, MacroProgress>;
+  onSaved: () => void;
+}
+
+const MACROS: { key: MacroKey; label: string; caloriesPerGram: number }[] = [
+  { key: 'protein', label: 'Protein', caloriesPerGram: 4 },
+  { key: 'carbs', label: 'Carbs', caloriesPerGram: 4 },
+  { key: 'fat', label: 'Fat', caloriesPerGram: 9 },
+  { key: 'fiber', label: 'Fiber', caloriesPerGram: 0 }
+];
+
+// Turn resolved gram targets back into the form's percentages
+const toPercent = (targets: MacroTargets, macro: typeof MACROS[number]) =>
+  Math.round((targets[macro.key] * macro.caloriesPerGram / targets.calories) * 100);
+
+const MacroTargetsPanel: React.FC<MacroTargetsPanelProps> = ({ targets, progress, onSaved }) => {
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState<MacroTargets>(targets);
+  const [message, setMessage] = useState('');
+
+  const startEditing = () => {
+    setForm(targets.mode === 'percent'
+      ? {
+          ...targets,
+          protein: toPercent(targets, MACROS[0]),
+          carbs: toPercent(targets, MACROS[1]),
+          fat: toPercent(targets, MACROS[2])
+        }
+      : targets);
+    setMessage('');
+    setEditing(true);
+  };
+
+  const switchMode = (mode: MacroTargets['mode']) => {
+    if (mode === form.mode) return;
+
+    // Convert the current values so switching modes keeps the same plan
+    const converted = { ...form, mode };
+    MACROS.filter(macro => macro.caloriesPerGram > 0).forEach(macro => {
+      converted[macro.key] = mode === 'percent'
+        ? Math.round((form[macro.key] * macro.caloriesPerGram / form.calories) * 100)
+        : Math.round((form.calories * form[macro.key] / 100) / macro.caloriesPerGram);
+    });
+    setForm(converted);
+  };
+
+  const percentTotal = form.protein + form.carbs + form.fat;
+
+  const saveTargets = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/meals/macro-targets`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          mode: form.mode,
+          protein: form.protein,
+          carbs: form.carbs,
+          fat: form.fat,
+          fiber: form.fiber,
+          ...(form.mode === 'percent' ? { calories: form.calories } : {})
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setEditing(false);
+        onSaved();
+      } else {
+        setMessage(data.errors?.[0]?.msg || data.message || 'Failed to save targets');
+      }
+    } catch (error) {
+      setMessage('Error saving targets');
+    }
+  };
+
+  return (
+    <div className="macro-targets">
+      <div className="macro-targets-header">
+        <h4>Macros</h4>
+        {!editing && (
+          <button type="button" className="secondary-btn" onClick={startEditing}>
+            Edit targets
+          </button>
+        )}
+      </div>
+
+      {!editing && (
+        <div className="macro-targets-progress">
+          {MACROS.map(macro => {
+            const { consumed, target, percentOfTarget } = progress[macro.key];
+            return (
+              <div key={macro.key} className="macro-target-row">
+                <span>{macro.label}</span>
+                <div className="macro-target-bar">
+                  <div
+                    className={`macro-target-fill ${macro.key}${(percentOfTarget || 0) > 100 ? ' over' : ''}`}
+                    style={{ width: `${Math.min(percentOfTarget || 0, 100)}%` }}
+                  ></div>
+                </div>
+                <span>{consumed}g / {target}g</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {editing && (
+        <div className="macro-targets-form">
+          <div className="macro-mode">
+            <label>
+              <input
+                type="radio"
+                checked={form.mode === 'percent'}
+                onChange={() => switchMode('percent')}
+              />
+              % of calories
+            </label>
+            <label>
+              <input
+                type="radio"
+                checked={form.mode === 'grams'}
+                onChange={() => switchMode('grams')}
+              />
+              Grams per day
+            </label>
+          </div>
+
+          {form.mode === 'percent' && (
+            <label>
+              Calorie target
+              <input
+                type="number"
+                min="800"
+                max="6000"
+                value={form.calories}
+                onChange={(e) => setForm({ ...form, calories: parseInt(e.target.value, 10) || 0 })}
+              />
+            </label>
+          )}
+
+          {MACROS.map(macro => (
+            <label key={macro.key}>
+              {macro.label} ({form.mode === 'percent' && macro.caloriesPerGram > 0 ? '%' : 'g'})
+              <input
+                type="number"
+                min="0"
+                value={form[macro.key]}
+                onChange={(e) => setForm({ ...form, [macro.key]: parseFloat(e.target.value) || 0 })}
+              />
+            </label>
+          ))}
+
+          {form.mode === 'percent' && percentTotal !== 100 && (
+            <small className="macro-targets-hint">Protein, carbs and fat add up to {percentTotal}%</small>
+          )}
+
+          <div className="macro-targets-actions">
+            <button type="button" className="secondary-btn" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+            <button type="button" className="add-food-btn" onClick={saveTargets}>
+              Save targets
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && <div className="saved-foods-message">{message}</div>}
+    </div>
+  );
+};
+
+export default MacroTargetsPanel;
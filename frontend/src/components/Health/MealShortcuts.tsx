@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import './MealTracker.css';
+
+type MealType = 'breakfast' | 'lunch' | 'dinner' | 'snack';
+
+interface MealTemplate {
+  _id: string;
+  name: string;
+  mealType: MealType;
+  totalCalories: number;
+  foods: { name: string }[];
+}
+
+interface PlannedDay {
+  plan: { _id: string; name: string; calorieTarget: number };
+  day: {
+    date: string;
+    meals: {
+      mealType: MealType;
+      totalCalories: number;
+      foods: { name: string }[];
+      loggedMealId?: string | null;
+    }[];
+  };
+}
+
+interface MealShortcutsProps {
+  selectedDate: string;
+  refreshKey: number;
+  onMealsChanged: () => void;
+}
+
+const MEAL_ICONS: Record<MealType, string> = {
+  breakfast: '🌅',
+  lunch: '🌞',
+  dinner: '🌙',
+  snack: '🍿'
+};
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const previousDay = (date: string) => {
+  const day = new Date(`${date}T12:00:00`);
+  day.setDate(day.getDate() - 1);
+  return day.toISOString().split('T')[0];
+};
+
+const MealShortcuts: React.FC<MealShortcutsProps> = ({ selectedDate, refreshKey, onMealsChanged }) => {
+  const [templates, setTemplates] = useState<MealTemplate[]>([]);
+  const [planned, setPlanned] = useState<PlannedDay | null>(null);
+  const [plannedKey, setPlannedKey] = useState(0);
+  const [copyFrom, setCopyFrom] = useState(previousDay(selectedDate));
+  const [copyMealType, setCopyMealType] = useState<MealType | ''>('');
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [refreshKey]);
+
+  // Meals from a saved meal plan that covers the day being viewed
+  useEffect(() => {
+    const fetchPlannedDay = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/ai/meal-plans/for-date/${selectedDate}`, { headers: authHeaders() });
+        setPlanned(response.ok ? await response.json() : null);
+      } catch (error) {
+        console.error('Error fetching planned meals:', error);
+      }
+    };
+
+    fetchPlannedDay();
+  }, [selectedDate, plannedKey]);
+
+  // Default the copy source to the day before whichever date is being viewed
+  useEffect(() => {
+    setCopyFrom(previousDay(selectedDate));
+    setMessage('');
+  }, [selectedDate]);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/meals/templates`, { headers: authHeaders() });
+      if (response.ok) {
+        const data = await response.json();
+        setTemplates(data.templates);
+      }
+    } catch (error) {
+      console.error('Error fetching meal templates:', error);
+    }
+  };
+
+  const applyTemplate = async (template: MealTemplate) => {
+    try {
+      setBusy(true);
+      const response = await fetch(`${API_URL}/api/meals/templates/${template._id}/apply`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ date: selectedDate })
+      });
+
+      const data = await response.json();
+      setMessage(data.message || (response.ok ? 'Meal logged' : 'Failed to log template'));
+      if (response.ok) {
+        onMealsChanged();
+        fetchTemplates();
+      }
+    } catch (error) {
+      setMessage('Error logging template');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const logPlannedMeal = async (mealType: MealType) => {
+    if (!planned) return;
+
+    try {
+      setBusy(true);
+      const response = await fetch(`${API_URL}/api/ai/meal-plans/${planned.plan._id}/log`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ date: selectedDate, mealType })
+      });
+
+      const data = await response.json();
+      setMessage(data.message || (response.ok ? 'Meal logged' : 'Failed to log planned meal'));
+      if (response.ok) {
+        onMealsChanged();
+        setPlannedKey(key => key + 1);
+      }
+    } catch (error) {
+      setMessage('Error logging planned meal');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteTemplate = async (templateId: string) => {
+    if (!window.confirm('Delete this meal template?')) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/meals/templates/${templateId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (response.ok) fetchTemplates();
+    } catch (error) {
+      setMessage('Error deleting template');
+    }
+  };
+
+  const copyMeals = async () => {
+    try {
+      setBusy(true);
+      const response = await fetch(`${API_URL}/api/meals/copy`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          fromDate: copyFrom,
+          toDate: selectedDate,
+          ...(copyMealType ? { mealType: copyMealType } : {})
+        })
+      });
+
+      const data = await response.json();
+      setMessage(data.message || (response.ok ? 'Meals copied' : 'Failed to copy meals'));
+      if (response.ok) onMealsChanged();
+    } catch (error) {
+      setMessage('Error copying meals');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="meal-shortcuts">
+      <div className="copy-meals">
+        <span>Copy</span>
+        <select
+          value={copyMealType}
+          onChange={(e) => setCopyMealType(e.target.value as MealType | '')}
+        >
+          <option value="">all meals</option>
+          <option value="breakfast">breakfast</option>
+          <option value="lunch">lunch</option>
+          <option value="dinner">dinner</option>
+          <option value="snack">snacks</option>
+        </select>
+        <span>from</span>
+        <input
+          type="date"
+          value={copyFrom}
+          onChange={(e) => setCopyFrom(e.target.value)}
+          max={selectedDate}
+        />
+        <button
+          type="button"
+          className="secondary-btn"
+          onClick={copyMeals}
+          disabled={busy || !copyFrom || copyFrom === selectedDate}
+        >
+          {copyFrom === previousDay(selectedDate) ? "Copy yesterday's meals" : 'Copy to this day'}
+        </button>
+      </div>
+
+      {templates.length > 0 && (
+        <div className="meal-templates">
+          <span className="meal-templates-label">⭐ Templates:</span>
+          {templates.map(template => (
+            <div key={template._id} className="saved-food-chip">
+              <button
+                type="button"
+                onClick={() => applyTemplate(template)}
+                disabled={busy}
+                title={template.foods.map(food => food.name).join(', ')}
+              >
+                {MEAL_ICONS[template.mealType]} {template.name} <small>{template.totalCalories} cal</small>
+              </button>
+              <button
+                type="button"
+                className="saved-food-remove"
+                onClick={() => deleteTemplate(template._id)}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {planned && planned.day.meals.length > 0 && (
+        <div className="meal-templates">
+          <span className="meal-templates-label" title={planned.plan.name}>📅 Planned:</span>
+          {planned.day.meals.map(meal => (
+            <div key={meal.mealType} className="saved-food-chip">
+              <button
+                type="button"
+                onClick={() => logPlannedMeal(meal.mealType)}
+                disabled={busy || !!meal.loggedMealId}
+                title={meal.foods.map(food => food.name).join(', ')}
+              >
+                {meal.loggedMealId ? '✓' : MEAL_ICONS[meal.mealType]} {meal.mealType} <small>{meal.totalCalories} cal</small>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && <div className="saved-foods-message">{message}</div>}
+    </div>
+  );
+};
+
+export default MealShortcuts;
@@ -2,6 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { API_URL } from '../../config/api';
 import WeeklyCalories from './WeeklyCalories';
+import SavedFoodsPanel from './SavedFoodsPanel';
+import MealShortcuts from './MealShortcuts';
+import QuickMealEntry from './QuickMealEntry';
+import MacroTargetsPanel, { MacroTargets } from './MacroTargetsPanel';
+import { Interaction, summarizeFoods } from './InteractionReport';
 import './MealTracker.css';
 
 interface Food {
@@ -12,6 +17,29 @@ interface Food {
   protein?: number;
   carbs?: number;
   fat?: number;
+  fiber?: number;
+  sugar?: number;
+  saturatedFat?: number;
+  sodium?: number;
+  potassium?: number;
+}
+
+interface NutrientLimit {
+  label: string;
+  unit: string;
+  limit: number;
+  diseases: string[];
+}
+
+interface NutrientWarning {
+  nutrient: string;
+  label: string;
+  unit: string;
+  limit: number;
+  consumed: number;
+  fromThisMeal: number;
+  diseases: string[];
+  message: string;
 }
 
 interface Meal {
@@ -32,14 +60,32 @@ interface DailyCalories {
     snack: number;
   };
   meals: Meal[];
+  macroTargets: MacroTargets;
+  macroProgress: Record<'protein' | 'carbs' | 'fat' | 'fiber', {
+    consumed: number;
+    target: number;
+    remaining: number;
+    percentOfTarget: number | null;
+  }>;
+  nutrients: Record<string, number>;
+  nutrientLimits: Record<string, NutrientLimit>;
+  nutrientWarnings: NutrientWarning[];
 }
 
 interface FoodDatabase {
+  _id?: string;
   name: string;
   calories: number;
   protein: number;
   carbs: number;
   fat: number;
+  fiber?: number;
+  sugar?: number;
+  saturatedFat?: number;
+  sodium?: number;
+  potassium?: number;
+  aliases?: string[];
+  servingSizes?: { label: string; grams: number }[];
   unit: string;
 }
 
@@ -52,6 +98,10 @@ const MealTracker: React.FC = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [templateRefreshKey, setTemplateRefreshKey] = useState(0);
+  const [weeklyRefreshKey, setWeeklyRefreshKey] = useState(0);
+  const [mealWarnings, setMealWarnings] = useState<NutrientWarning[]>([]);
+  const [mealInteractions, setMealInteractions] = useState<Interaction[]>([]);
 
   // Add meal form state
   const [newMeal, setNewMeal] = useState<{
@@ -142,6 +192,24 @@ const MealTracker: React.FC = () => {
     setError('');
   };
 
+  // One-click add from saved custom foods and recipes
+  const addSavedFoodToMeal = (food: Food) => {
+    setNewMeal(meal => ({
+      ...meal,
+      foods: [...meal.foods, food]
+    }));
+    setError('');
+  };
+
+  // Foods confirmed from a typed description ("two eggs and a slice of toast")
+  const addParsedFoodsToMeal = (foods: Food[]) => {
+    setNewMeal(meal => ({
+      ...meal,
+      foods: [...meal.foods, ...foods]
+    }));
+    setError('');
+  };
+
   const removeFoodFromMeal = (index: number) => {
     const updatedFoods = newMeal.foods.filter((_, i) => i !== index);
     setNewMeal({
@@ -150,15 +218,29 @@ const MealTracker: React.FC = () => {
     });
   };
 
+  // Database values are per 100g/ml
+  const scaleDatabaseFood = (food: FoodDatabase, quantity: number) => {
+    const multiplier = quantity / 100;
+    const scale = (value?: number) => Math.round((value || 0) * multiplier * 10) / 10;
+    return {
+      calories: Math.round(food.calories * multiplier),
+      protein: scale(food.protein),
+      carbs: scale(food.carbs),
+      fat: scale(food.fat),
+      fiber: scale(food.fiber),
+      sugar: scale(food.sugar),
+      saturatedFat: scale(food.saturatedFat),
+      sodium: scale(food.sodium),
+      potassium: scale(food.potassium)
+    };
+  };
+
   const selectFoodFromDatabase = (food: FoodDatabase) => {
     setCurrentFood({
       name: food.name,
-      quantity: 1,
-      unit: food.unit,
-      calories: Math.round(food.calories * (currentFood.quantity / 100)), // Adjust for quantity
-      protein: food.protein,
-      carbs: food.carbs,
-      fat: food.fat
+      quantity: 100,
+      unit: food.unit === '100ml' ? 'ml' : 'grams',
+      ...scaleDatabaseFood(food, 100)
     });
     setSearchTerm('');
   };
@@ -167,14 +249,10 @@ const MealTracker: React.FC = () => {
     if (currentFood.name && foodDatabase.length > 0) {
       const baseFood = foodDatabase.find(f => f.name === currentFood.name);
       if (baseFood) {
-        const multiplier = quantity / 100; // Assuming database values are per 100g/ml
         setCurrentFood({
           ...currentFood,
           quantity,
-          calories: Math.round(baseFood.calories * multiplier),
-          protein: Math.round((baseFood.protein || 0) * multiplier * 10) / 10,
-          carbs: Math.round((baseFood.carbs || 0) * multiplier * 10) / 10,
-          fat: Math.round((baseFood.fat || 0) * multiplier * 10) / 10
+          ...scaleDatabaseFood(baseFood, quantity)
         });
       }
     } else {
@@ -206,6 +284,9 @@ const MealTracker: React.FC = () => {
       });
 
       if (response.ok) {
+        const data = await response.json();
+        setMealWarnings(data.warnings || []);
+        setMealInteractions(data.interactions || []);
         setShowAddMeal(false);
         setNewMeal({
           mealType: 'breakfast',
@@ -249,8 +330,36 @@ const MealTracker: React.FC = () => {
     }
   };
 
+  const saveMealAsTemplate = async (meal: Meal) => {
+    const defaultName = `My ${meal.mealType}`;
+    const name = window.prompt('Template name:', defaultName);
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/meals/templates`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ name: name.trim(), mealId: meal._id })
+      });
+
+      if (response.ok) {
+        setTemplateRefreshKey(key => key + 1);
+        setError('');
+      } else {
+        const errorData = await response.json();
+        setError(errorData.message || 'Failed to save template');
+      }
+    } catch (error) {
+      setError('Error saving template');
+    }
+  };
+
   const filteredFoodDatabase = foodDatabase.filter(food =>
-    food.name.toLowerCase().includes(searchTerm.toLowerCase())
+    food.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (food.aliases || []).some(alias => alias.includes(searchTerm.toLowerCase()))
   );
 
   if (!user) {
@@ -273,10 +382,42 @@ const MealTracker: React.FC = () => {
       </div>
 
       {/* Weekly Calories Overview */}
-      <WeeklyCalories />
+      <WeeklyCalories refreshKey={weeklyRefreshKey} />
 
       {error && <div className="error-message">{error}</div>}
 
+      {mealInteractions.length > 0 && (
+        <div className="nutrient-warnings">
+          <div className="nutrient-warnings-header">
+            <strong>💊 This meal may interact with your medications</strong>
+            <button type="button" onClick={() => setMealInteractions([])}>✕</button>
+          </div>
+          <ul>
+            {mealInteractions.map(interaction => (
+              <li key={`${interaction.id}-${interaction.medication.name}`}>
+                <strong>{interaction.medication.name}</strong> + {summarizeFoods(interaction.foods)} ({interaction.severity}): {interaction.advice}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {mealWarnings.length > 0 && (
+        <div className="nutrient-warnings">
+          <div className="nutrient-warnings-header">
+            <strong>⚠️ This meal puts you over a daily limit</strong>
+            <button type="button" onClick={() => setMealWarnings([])}>✕</button>
+          </div>
+          <ul>
+            {mealWarnings.map(warning => (
+              <li key={warning.nutrient}>
+                {warning.message} (this meal: {warning.fromThisMeal}{warning.unit})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {loading && <div className="loading">Loading...</div>}
 
       {dailyCalories && (
@@ -316,6 +457,34 @@ const MealTracker: React.FC = () => {
               }}
             ></div>
           </div>
+
+          <MacroTargetsPanel
+            targets={dailyCalories.macroTargets}
+            progress={dailyCalories.macroProgress}
+            onSaved={() => {
+              fetchDailyCalories();
+              setWeeklyRefreshKey(key => key + 1);
+            }}
+          />
+
+          {Object.keys(dailyCalories.nutrientLimits).length > 0 && (
+            <div className="nutrient-limits">
+              <h4>Daily Limits</h4>
+              {Object.entries(dailyCalories.nutrientLimits).map(([nutrient, limit]) => {
+                const consumed = dailyCalories.nutrients[nutrient] || 0;
+                return (
+                  <div
+                    key={nutrient}
+                    className={`nutrient-limit-row${consumed > limit.limit ? ' over' : ''}`}
+                    title={`Set by: ${limit.diseases.join(', ')}`}
+                  >
+                    <span>{limit.label}</span>
+                    <span>{consumed}{limit.unit} / {limit.limit}{limit.unit}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
         </div>
       )}
 
@@ -330,6 +499,12 @@ const MealTracker: React.FC = () => {
           </button>
         </div>
 
+        <MealShortcuts
+          selectedDate={selectedDate}
+          refreshKey={templateRefreshKey}
+          onMealsChanged={fetchDailyCalories}
+        />
+
         {dailyCalories?.meals.map((meal, index) => (
           <div key={meal._id || index} className="meal-card">
             <div className="meal-header">
@@ -342,6 +517,15 @@ const MealTracker: React.FC = () => {
               </h4>
               <div className="meal-actions">
                 <span className="meal-calories">{meal.totalCalories} cal</span>
+                {meal._id && (
+                  <button
+                    className="template-btn"
+                    onClick={() => saveMealAsTemplate(meal)}
+                    title="Save as template"
+                  >
+                    ⭐
+                  </button>
+                )}
                 {meal._id && (
                   <button
                     className="delete-btn"
@@ -403,6 +587,8 @@ const MealTracker: React.FC = () => {
                 </select>
               </div>
 
+              <QuickMealEntry onAddFoods={addParsedFoodsToMeal} />
+
               <div className="food-search">
                 <label>Search Food Database:</label>
                 <input
@@ -477,6 +663,12 @@ const MealTracker: React.FC = () => {
                 </div>
               </div>
 
+              <SavedFoodsPanel
+                currentFood={currentFood}
+                mealFoods={newMeal.foods}
+                onAddFood={addSavedFoodToMeal}
+              />
+
               {newMeal.foods.length > 0 && (
                 <div className="meal-preview">
                   <h4>Meal Preview ({calculateTotalCalories(newMeal.foods)} calories)</h4>
@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { API_URL } from '../../config/api';
+import InteractionReport, { Interaction, summarizeFoods } from './InteractionReport';
+import TodaysDoses from './TodaysDoses';
 import './Health.css';
 
+interface Schedule {
+  asNeeded: boolean;
+  times: string[];
+  daysOfWeek: number[];
+}
+
 interface Medication {
   _id?: string;
   name: string;
@@ -10,9 +18,43 @@ interface Medication {
   notes?: string;
   startDate: string;
   endDate?: string;
+  schedule: Schedule;
   active: boolean;
 }
 
+interface Adherence {
+  medicationId: string;
+  asNeeded: boolean;
+  expected: number | null;
+  taken: number;
+  late: number;
+  skipped: number;
+  missed: number | null;
+  adherence: number | null;
+}
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Dose times suggested when a frequency is picked
+const FREQUENCY_TIMES: Record<string, string[]> = {
+  'Once daily': ['08:00'],
+  'Twice daily': ['08:00', '20:00'],
+  'Three times daily': ['08:00', '14:00', '20:00'],
+  'Four times daily': ['08:00', '12:00', '16:00', '20:00'],
+  'Weekly': ['08:00']
+};
+
+const emptySchedule = (): Schedule => ({ asNeeded: false, times: ['08:00'], daysOfWeek: [] });
+
+const describeSchedule = (schedule: Schedule) => {
+  if (schedule.asNeeded) return 'As needed';
+  if (schedule.times.length === 0) return '';
+  const days = schedule.daysOfWeek.length === 0 || schedule.daysOfWeek.length === 7
+    ? 'every day'
+    : schedule.daysOfWeek.map(day => DAY_LABELS[day]).join(', ');
+  return `${schedule.times.join(', ')} · ${days}`;
+};
+
 const Medications: React.FC = () => {
   const [medications, setMedications] = useState<Medication[]>([]);
   const [showForm, setShowForm] = useState(false);
@@ -24,15 +66,42 @@ const Medications: React.FC = () => {
     notes: '',
     startDate: new Date().toISOString().split('T')[0],
     endDate: '',
+    schedule: emptySchedule(),
     active: true
   });
+  const [adherence, setAdherence] = useState<Record<string, Adherence>>({});
+  const [dosesRefreshKey, setDosesRefreshKey] = useState(0);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [newInteractions, setNewInteractions] = useState<Interaction[]>([]);
+  const [reportRefreshKey, setReportRefreshKey] = useState(0);
 
   useEffect(() => {
     fetchMedications();
+    fetchAdherence();
   }, []);
 
+  const fetchAdherence = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/health/medications/adherence?days=30`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        const byMedication: Record<string, Adherence> = {};
+        data.medications.forEach((entry: Adherence) => {
+          byMedication[entry.medicationId] = entry;
+        });
+        setAdherence(byMedication);
+      }
+    } catch (error) {
+      console.error('Failed to fetch adherence:', error);
+    }
+  };
+
   const fetchMedications = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -74,9 +143,14 @@ const Medications: React.FC = () => {
       });
 
       if (response.ok) {
+        const data = await response.json();
+        setNewInteractions(data.interactions || []);
         setMessage(editingMedication ? 'Medication updated successfully!' : 'Medication added successfully!');
         resetForm();
         fetchMedications();
+        fetchAdherence();
+        setDosesRefreshKey(key => key + 1);
+        setReportRefreshKey(key => key + 1);
       } else {
         const data = await response.json();
         setMessage(data.message || 'Failed to save medication');
@@ -90,10 +164,19 @@ const Medications: React.FC = () => {
 
   const handleEdit = (medication: Medication) => {
     setEditingMedication(medication);
+    // Medications saved before schedules existed get times from their frequency
+    const hasSchedule = medication.schedule && (medication.schedule.asNeeded || medication.schedule.times.length > 0);
     setFormData({
       ...medication,
       startDate: medication.startDate.split('T')[0],
-      endDate: medication.endDate ? medication.endDate.split('T')[0] : ''
+      endDate: medication.endDate ? medication.endDate.split('T')[0] : '',
+      schedule: hasSchedule
+        ? medication.schedule
+        : {
+            asNeeded: medication.frequency === 'As needed',
+            times: FREQUENCY_TIMES[medication.frequency] || (medication.frequency === 'As needed' ? [] : ['08:00']),
+            daysOfWeek: medication.frequency === 'Weekly' ? [new Date(medication.startDate).getDay()] : []
+          }
     });
     setShowForm(true);
   };
@@ -115,6 +198,9 @@ const Medications: React.FC = () => {
       if (response.ok) {
         setMessage('Medication deleted successfully!');
         fetchMedications();
+        fetchAdherence();
+        setDosesRefreshKey(key => key + 1);
+        setReportRefreshKey(key => key + 1);
       } else {
         setMessage('Failed to delete medication');
       }
@@ -131,6 +217,7 @@ const Medications: React.FC = () => {
       notes: '',
       startDate: new Date().toISOString().split('T')[0],
       endDate: '',
+      schedule: emptySchedule(),
       active: true
     });
     setEditingMedication(null);
@@ -144,10 +231,59 @@ const Medications: React.FC = () => {
     }));
   };
 
+  const handleFrequencyChange = (frequency: string) => {
+    setFormData(prev => ({
+      ...prev,
+      frequency,
+      schedule: frequency === 'As needed'
+        ? { asNeeded: true, times: [], daysOfWeek: [] }
+        : FREQUENCY_TIMES[frequency]
+          ? {
+              asNeeded: false,
+              times: FREQUENCY_TIMES[frequency],
+              daysOfWeek: frequency === 'Weekly' ? [new Date().getDay()] : []
+            }
+          : { ...prev.schedule, asNeeded: false }
+    }));
+  };
+
+  const updateSchedule = (changes: Partial<Schedule>) => {
+    setFormData(prev => ({
+      ...prev,
+      schedule: { ...prev.schedule, ...changes }
+    }));
+  };
+
+  const toggleDay = (day: number) => {
+    const days = formData.schedule.daysOfWeek;
+    updateSchedule({
+      daysOfWeek: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()
+    });
+  };
+
   return (
     <div className="medications">
       <h1>Medication Management</h1>
 
+      {newInteractions.length > 0 && (
+        <div className="interaction-alert">
+          <div className="interaction-title">
+            <strong>⚠️ This medication interacts with foods you logged recently</strong>
+            <button className="close-btn" onClick={() => setNewInteractions([])}>×</button>
+          </div>
+          <ul>
+            {newInteractions.map(interaction => (
+              <li key={interaction.id}>
+                <span className={`severity-badge ${interaction.severity}`}>{interaction.severity}</span>
+                {interaction.food} ({summarizeFoods(interaction.foods)}): {interaction.advice}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <TodaysDoses refreshKey={dosesRefreshKey} onDoseLogged={fetchAdherence} />
+
       <div className="card">
         <div className="medications-header">
           <h3>Your Medications</h3>
@@ -169,6 +305,15 @@ const Medications: React.FC = () => {
                   <h4>{medication.name}</h4>
                   <p><strong>Dosage:</strong> {medication.dosage}</p>
                   <p><strong>Frequency:</strong> {medication.frequency}</p>
+                  {medication.schedule && describeSchedule(medication.schedule) && (
+                    <p><strong>Schedule:</strong> {describeSchedule(medication.schedule)}</p>
+                  )}
+                  {medication._id && adherence[medication._id]?.adherence != null && (
+                    <p>
+                      <strong>30-day adherence:</strong> {adherence[medication._id].adherence}%
+                      {' '}<small>({adherence[medication._id].late} late, {adherence[medication._id].skipped} skipped, {adherence[medication._id].missed} missed)</small>
+                    </p>
+                  )}
                   {medication.notes && <p><strong>Notes:</strong> {medication.notes}</p>}
                 </div>
                 <div className="medication-meta">
@@ -204,6 +349,8 @@ const Medications: React.FC = () => {
         )}
       </div>
 
+      <InteractionReport refreshKey={reportRefreshKey} />
+
       {showForm && (
         <div className="modal-overlay">
           <div className="modal">
@@ -242,7 +389,7 @@ const Medications: React.FC = () => {
                 <select
                   className="form-input"
                   value={formData.frequency}
-                  onChange={(e) => handleInputChange('frequency', e.target.value)}
+                  onChange={(e) => handleFrequencyChange(e.target.value)}
                   required
                 >
                   <option value="">Select frequency</option>
@@ -256,6 +403,72 @@ const Medications: React.FC = () => {
                 </select>
               </div>
 
+              <div className="form-group">
+                <label className="form-label">Dose Schedule</label>
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.schedule.asNeeded}
+                    onChange={(e) => updateSchedule(e.target.checked
+                      ? { asNeeded: true, times: [], daysOfWeek: [] }
+                      : { asNeeded: false, times: ['08:00'] })}
+                  />
+                  <span className="checkmark"></span>
+                  Take as needed (no fixed times)
+                </label>
+
+                {!formData.schedule.asNeeded && (
+                  <>
+                    <div className="schedule-times">
+                      {formData.schedule.times.map((time, index) => (
+                        <div key={index} className="schedule-time">
+                          <input
+                            type="time"
+                            className="form-input"
+                            value={time}
+                            onChange={(e) => updateSchedule({
+                              times: formData.schedule.times.map((t, i) => (i === index ? e.target.value : t))
+                            })}
+                            required
+                          />
+                          {formData.schedule.times.length > 1 && (
+                            <button
+                              type="button"
+                              className="btn btn-secondary btn-sm"
+                              onClick={() => updateSchedule({
+                                times: formData.schedule.times.filter((_, i) => i !== index)
+                              })}
+                            >
+                              ×
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => updateSchedule({ times: [...formData.schedule.times, '12:00'] })}
+                      >
+                        + Add time
+                      </button>
+                    </div>
+                    <div className="schedule-days">
+                      {DAY_LABELS.map((label, day) => (
+                        <button
+                          key={label}
+                          type="button"
+                          className={`day-toggle ${formData.schedule.daysOfWeek.includes(day) ? 'selected' : ''}`}
+                          onClick={() => toggleDay(day)}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <small>No days selected means every day.</small>
+                  </>
+                )}
+              </div>
+
               <div className="form-group">
                 <label className="form-label">Start Date</label>
                 <input
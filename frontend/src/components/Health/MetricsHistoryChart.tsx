@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { API_URL } from '../../config/api';
+import './Health.css';
+
+type MetricKey =
+  | 'weight'
+  | 'bloodPressure'
+  | 'bloodSugar'
+  | 'cholesterol';
+
+type Interval = 'raw' | 'daily' | 'weekly' | 'monthly';
+
+interface HistoryPoint {
+  date: string;
+  count: number;
+  height?: number | null;
+  weight?: number | null;
+  bloodPressureSystolic?: number | null;
+  bloodPressureDiastolic?: number | null;
+  bloodSugar?: number | null;
+  cholesterol?: number | null;
+}
+
+interface MetricsHistoryChartProps {
+  refreshKey?: number;
+}
+
+// Each option maps to the reading fields that are drawn as lines
+const METRIC_OPTIONS: Record<MetricKey, { label: string; unit: string; lines: { key: keyof HistoryPoint; name: string; color: string }[] }> = {
+  weight: {
+    label: 'Weight',
+    unit: 'kg',
+    lines: [{ key: 'weight', name: 'Weight', color: '#007bff' }]
+  },
+  bloodPressure: {
+    label: 'Blood Pressure',
+    unit: 'mmHg',
+    lines: [
+      { key: 'bloodPressureSystolic', name: 'Systolic', color: '#e74c3c' },
+      { key: 'bloodPressureDiastolic', name: 'Diastolic', color: '#f39c12' }
+    ]
+  },
+  bloodSugar: {
+    label: 'Blood Sugar',
+    unit: 'mg/dL',
+    lines: [{ key: 'bloodSugar', name: 'Blood Sugar', color: '#8e44ad' }]
+  },
+  cholesterol: {
+    label: 'Cholesterol',
+    unit: 'mg/dL',
+    lines: [{ key: 'cholesterol', name: 'Cholesterol', color: '#27ae60' }]
+  }
+};
+
+const RANGE_OPTIONS = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 3 months' },
+  { days: 365, label: 'Last year' }
+];
+
+const MetricsHistoryChart: React.FC<MetricsHistoryChartProps> = ({ refreshKey = 0 }) => {
+  const [metric, setMetric] = useState<MetricKey>('weight');
+  const [interval, setIntervalType] = useState<Interval>('daily');
+  const [rangeDays, setRangeDays] = useState(90);
+  const [history, setHistory] = useState<HistoryPoint[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        const from = new Date();
+        from.setDate(from.getDate() - rangeDays);
+        const params = new URLSearchParams({
+          from: from.toISOString().split('T')[0],
+          interval
+        });
+        // Blood pressure needs both fields, so fetch everything for it
+        if (metric !== 'bloodPressure') {
+          params.append('metric', metric);
+        }
+
+        const token = localStorage.getItem('token');
+        const response = await fetch(`${API_URL}/api/health/metrics/history?${params.toString()}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setHistory(data.history);
+        } else {
+          setError('Failed to fetch metric history');
+        }
+      } catch (error) {
+        console.error('Failed to fetch metric history:', error);
+        setError('Error fetching metric history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [metric, interval, rangeDays, refreshKey]);
+
+  const formatDate = (dateString: string) => {
+    const date = new Date(dateString);
+    if (interval === 'monthly') {
+      return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
+  const selected = METRIC_OPTIONS[metric];
+  const points = history.filter(point =>
+    selected.lines.some(line => point[line.key] !== null && point[line.key] !== undefined)
+  );
+
+  return (
+    <div className="card metrics-history">
+      <div className="metrics-history-header">
+        <h3>Trends</h3>
+        <div className="metrics-history-controls">
+          <select
+            className="form-input"
+            value={metric}
+            onChange={(e) => setMetric(e.target.value as MetricKey)}
+          >
+            {(Object.keys(METRIC_OPTIONS) as MetricKey[]).map(key => (
+              <option key={key} value={key}>{METRIC_OPTIONS[key].label}</option>
+            ))}
+          </select>
+          <select
+            className="form-input"
+            value={interval}
+            onChange={(e) => setIntervalType(e.target.value as Interval)}
+          >
+            <option value="raw">Every reading</option>
+            <option value="daily">Daily average</option>
+            <option value="weekly">Weekly average</option>
+            <option value="monthly">Monthly average</option>
+          </select>
+          <select
+            className="form-input"
+            value={rangeDays}
+            onChange={(e) => setRangeDays(parseInt(e.target.value, 10))}
+          >
+            {RANGE_OPTIONS.map(option => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading history...</div>
+      ) : points.length === 0 ? (
+        <p className="metrics-history-empty">
+          No {selected.label.toLowerCase()} readings in this period yet. Each time you update your metrics a new reading is recorded.
+        </p>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={points} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" tickFormatter={formatDate} />
+            <YAxis domain={['auto', 'auto']} unit={` ${selected.unit}`} width={90} />
+            <Tooltip
+              labelFormatter={(label) => formatDate(String(label))}
+              formatter={(value, name) => [`${value} ${selected.unit}`, name]}
+            />
+            <Legend />
+            {selected.lines.map(line => (
+              <Line
+                key={line.key}
+                type="monotone"
+                dataKey={line.key}
+                name={line.name}
+                stroke={line.color}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default MetricsHistoryChart;
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { API_URL } from '../../config/api';
+import './MealTracker.css';
+
+interface MealFood {
+  name: string;
+  quantity: number;
+  unit: string;
+  calories: number;
+  protein?: number;
+  carbs?: number;
+  fat?: number;
+  fiber?: number;
+  sugar?: number;
+  saturatedFat?: number;
+  sodium?: number;
+  potassium?: number;
+}
+
+interface ParsedFood extends MealFood {
+  foodId: string;
+}
+
+interface ParsedItem {
+  text: string;
+  status: 'matched' | 'ambiguous' | 'unmatched';
+  reason: string | null;
+  food: ParsedFood | null;
+  alternatives: ParsedFood[];
+}
+
+// One parsed item as the user is reviewing it
+interface ReviewRow {
+  item: ParsedItem;
+  choices: ParsedFood[];
+  selected: number;
+  quantity: number;
+  include: boolean;
+}
+
+interface QuickMealEntryProps {
+  onAddFoods: (foods: MealFood[]) => void;
+}
+
+const STATUS_ICONS: Record<ParsedItem['status'], string> = {
+  matched: '✅',
+  ambiguous: '⚠️',
+  unmatched: '❓'
+};
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'saturatedFat', 'sodium', 'potassium'] as const;
+
+// Parsed entries carry nutrients for their parsed amount; rescale for an edited amount
+const scaleParsedFood = (food: ParsedFood, quantity: number): MealFood => {
+  const factor = food.quantity > 0 ? quantity / food.quantity : 0;
+  const scaled: MealFood = { name: food.name, quantity, unit: food.unit, calories: 0 };
+
+  NUTRIENTS.forEach(nutrient => {
+    const value = (food[nutrient] || 0) * factor;
+    scaled[nutrient] = nutrient === 'calories' ? Math.round(value) : Math.round(value * 10) / 10;
+  });
+
+  return scaled;
+};
+
+const QuickMealEntry: React.FC<QuickMealEntryProps> = ({ onAddFoods }) => {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState<ReviewRow[]>([]);
+  const [parsing, setParsing] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const parseText = async () => {
+    if (!text.trim()) return;
+
+    try {
+      setParsing(true);
+      setMessage('');
+      const response = await fetch(`${API_URL}/api/meals/parse`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ text })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setRows(data.items.map((item: ParsedItem) => {
+          const choices = item.food ? [item.food, ...item.alternatives] : [];
+          return {
+            item,
+            choices,
+            selected: 0,
+            quantity: item.food ? item.food.quantity : 0,
+            include: item.status !== 'unmatched'
+          };
+        }));
+        if (data.needsReview) setMessage('Check the highlighted items before adding them.');
+      } else {
+        setMessage(data.errors?.[0]?.msg || data.message || 'Could not read that meal');
+      }
+    } catch (error) {
+      setMessage('Error reading meal description');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const updateRow = (index: number, changes: Partial<ReviewRow>) => {
+    setRows(current => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  // Switching food keeps the amount when the unit matches, else uses the new food's parsed amount
+  const selectChoice = (index: number, selected: number) => {
+    const row = rows[index];
+    const choice = row.choices[selected];
+    const sameUnit = choice.unit === row.choices[row.selected].unit;
+    updateRow(index, { selected, quantity: sameUnit ? row.quantity : choice.quantity });
+  };
+
+  const confirmedFoods = rows
+    .filter(row => row.include && row.choices.length > 0 && row.quantity > 0)
+    .map(row => scaleParsedFood(row.choices[row.selected], row.quantity));
+
+  const addToMeal = () => {
+    onAddFoods(confirmedFoods);
+    setRows([]);
+    setText('');
+    setMessage('');
+  };
+
+  return (
+    <div className="quick-entry">
+      <label>Describe Your Meal:</label>
+      <div className="quick-entry-input">
+        <input
+          type="text"
+          placeholder='e.g. "two eggs and a slice of toast"'
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              parseText();
+            }
+          }}
+          maxLength={500}
+        />
+        <button
+          type="button"
+          className="secondary-btn"
+          onClick={parseText}
+          disabled={parsing || !text.trim()}
+        >
+          {parsing ? 'Reading...' : 'Read Meal'}
+        </button>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="parsed-items">
+          {rows.map((row, index) => (
+            <div key={index} className={`parsed-item ${row.item.status}`}>
+              <input
+                type="checkbox"
+                checked={row.include}
+                disabled={row.choices.length === 0}
+                onChange={(e) => updateRow(index, { include: e.target.checked })}
+                aria-label={`Include ${row.item.text}`}
+              />
+              <div className="parsed-item-text">
+                <span>{STATUS_ICONS[row.item.status]} "{row.item.text}"</span>
+                {row.item.reason && <small>{row.item.reason}</small>}
+              </div>
+              {row.choices.length > 0 && (
+                <>
+                  <select
+                    value={row.selected}
+                    onChange={(e) => selectChoice(index, parseInt(e.target.value, 10))}
+                  >
+                    {row.choices.map((choice, choiceIndex) => (
+                      <option key={choice.foodId} value={choiceIndex}>{choice.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={row.quantity}
+                    onChange={(e) => updateRow(index, { quantity: parseFloat(e.target.value) || 0 })}
+                    min="1"
+                    aria-label={`Amount of ${row.choices[row.selected].name}`}
+                  />
+                  <span>{row.choices[row.selected].unit}</span>
+                  <span className="parsed-item-calories">
+                    {scaleParsedFood(row.choices[row.selected], row.quantity).calories} cal
+                  </span>
+                </>
+              )}
+            </div>
+          ))}
+          <button
+            type="button"
+            className="add-food-btn"
+            onClick={addToMeal}
+            disabled={confirmedFoods.length === 0}
+          >
+            Add {confirmedFoods.length} {confirmedFoods.length === 1 ? 'food' : 'foods'} to meal
+          </button>
+        </div>
+      )}
+
+      {message && <div className="saved-foods-message">{message}</div>}
+    </div>
+  );
+};
+
+export default QuickMealEntry;
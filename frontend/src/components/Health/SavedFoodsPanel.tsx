@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import './MealTracker.css';
+
+interface MealFood {
+  name: string;
+  quantity: number;
+  unit: string;
+  calories: number;
+  protein?: number;
+  carbs?: number;
+  fat?: number;
+  fiber?: number;
+  sugar?: number;
+  saturatedFat?: number;
+  sodium?: number;
+  potassium?: number;
+}
+
+interface Nutrients {
+  calories: number;
+  protein: number;
+  carbs: number;
+  fat: number;
+  fiber: number;
+  sugar: number;
+  saturatedFat: number;
+  sodium: number;
+  potassium: number;
+}
+
+interface CustomFood extends Nutrients {
+  _id: string;
+  name: string;
+  unit: '100g' | '100ml' | 'serving';
+  servingLabel: string;
+}
+
+interface Recipe {
+  _id: string;
+  name: string;
+  servings: number;
+  servingLabel: string;
+  perServing: Nutrients;
+}
+
+interface SavedFoodsPanelProps {
+  currentFood: MealFood;
+  mealFoods: MealFood[];
+  onAddFood: (food: MealFood) => void;
+}
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const SavedFoodsPanel: React.FC<SavedFoodsPanelProps> = ({ currentFood, mealFoods, onAddFood }) => {
+  const [customFoods, setCustomFoods] = useState<CustomFood[]>([]);
+  const [recipes, setRecipes] = useState<Recipe[]>([]);
+  const [recipeName, setRecipeName] = useState('');
+  const [recipeServings, setRecipeServings] = useState(1);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSavedFoods();
+  }, []);
+
+  const fetchSavedFoods = async () => {
+    try {
+      const [foodsResponse, recipesResponse] = await Promise.all([
+        fetch(`${API_URL}/api/meals/custom-foods`, { headers: authHeaders() }),
+        fetch(`${API_URL}/api/meals/recipes`, { headers: authHeaders() })
+      ]);
+
+      if (foodsResponse.ok) {
+        const data = await foodsResponse.json();
+        setCustomFoods(data.customFoods);
+      }
+      if (recipesResponse.ok) {
+        const data = await recipesResponse.json();
+        setRecipes(data.recipes);
+      }
+    } catch (error) {
+      console.error('Error fetching saved foods:', error);
+    }
+  };
+
+  const addCustomFood = (food: CustomFood) => {
+    // Per-serving foods go in as one serving, per-100 foods as 100g/ml
+    const perServing = food.unit === 'serving';
+    onAddFood({
+      name: food.name,
+      quantity: perServing ? 1 : 100,
+      unit: perServing ? food.servingLabel : food.unit === '100ml' ? 'ml' : 'grams',
+      calories: food.calories,
+      protein: food.protein,
+      carbs: food.carbs,
+      fat: food.fat,
+      fiber: food.fiber,
+      sugar: food.sugar,
+      saturatedFat: food.saturatedFat,
+      sodium: food.sodium,
+      potassium: food.potassium
+    });
+  };
+
+  const addRecipe = (recipe: Recipe) => {
+    onAddFood({
+      name: recipe.name,
+      quantity: 1,
+      unit: recipe.servingLabel,
+      ...recipe.perServing
+    });
+  };
+
+  const saveCurrentFood = async () => {
+    if (!currentFood.name || currentFood.calories <= 0) {
+      setMessage('Enter a food name and calories first');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/meals/custom-foods`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: currentFood.name,
+          unit: 'serving',
+          servingLabel: `${currentFood.quantity} ${currentFood.unit}`,
+          calories: currentFood.calories,
+          protein: currentFood.protein || 0,
+          carbs: currentFood.carbs || 0,
+          fat: currentFood.fat || 0,
+          fiber: currentFood.fiber || 0,
+          sugar: currentFood.sugar || 0,
+          saturatedFat: currentFood.saturatedFat || 0,
+          sodium: currentFood.sodium || 0,
+          potassium: currentFood.potassium || 0
+        })
+      });
+
+      const data = await response.json();
+      setMessage(response.ok ? `Saved "${currentFood.name}" to My Foods` : data.message || 'Failed to save food');
+      if (response.ok) fetchSavedFoods();
+    } catch (error) {
+      setMessage('Error saving food');
+    }
+  };
+
+  const saveMealAsRecipe = async () => {
+    if (!recipeName.trim() || mealFoods.length === 0) {
+      setMessage('Add foods to the meal and give the recipe a name');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/meals/recipes`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: recipeName.trim(),
+          servings: recipeServings,
+          ingredients: mealFoods.map(food => ({
+            name: food.name,
+            quantity: food.quantity,
+            unit: food.unit,
+            calories: food.calories,
+            protein: food.protein || 0,
+            carbs: food.carbs || 0,
+            fat: food.fat || 0,
+            fiber: food.fiber || 0,
+            sugar: food.sugar || 0,
+            saturatedFat: food.saturatedFat || 0,
+            sodium: food.sodium || 0,
+            potassium: food.potassium || 0
+          }))
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setMessage(`Saved recipe "${recipeName.trim()}"`);
+        setRecipeName('');
+        setRecipeServings(1);
+        fetchSavedFoods();
+      } else {
+        setMessage(data.message || 'Failed to save recipe');
+      }
+    } catch (error) {
+      setMessage('Error saving recipe');
+    }
+  };
+
+  const deleteSaved = async (kind: 'custom-foods' | 'recipes', id: string) => {
+    if (!window.confirm('Remove this from your saved items?')) return;
+
+    try {
+      const response = await fetch(`${API_URL}/api/meals/${kind}/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (response.ok) fetchSavedFoods();
+    } catch (error) {
+      setMessage('Error deleting saved item');
+    }
+  };
+
+  return (
+    <div className="saved-foods">
+      <h4>My Foods & Recipes</h4>
+
+      {customFoods.length === 0 && recipes.length === 0 && (
+        <p className="saved-foods-empty">
+          Nothing saved yet. Save a food you enter often, or save this meal as a recipe.
+        </p>
+      )}
+
+      <div className="saved-foods-list">
+        {customFoods.map(food => (
+          <div key={food._id} className="saved-food-chip">
+            <button type="button" onClick={() => addCustomFood(food)} title="Add to meal">
+              🥫 {food.name} <small>{food.calories} cal / {food.unit === 'serving' ? food.servingLabel : food.unit}</small>
+            </button>
+            <button type="button" className="saved-food-remove" onClick={() => deleteSaved('custom-foods', food._id)}>
+              ✕
+            </button>
+          </div>
+        ))}
+        {recipes.map(recipe => (
+          <div key={recipe._id} className="saved-food-chip recipe">
+            <button type="button" onClick={() => addRecipe(recipe)} title="Add one serving to meal">
+              🍲 {recipe.name} <small>{recipe.perServing.calories} cal / {recipe.servingLabel}</small>
+            </button>
+            <button type="button" className="saved-food-remove" onClick={() => deleteSaved('recipes', recipe._id)}>
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="saved-foods-actions">
+        <button type="button" className="secondary-btn" onClick={saveCurrentFood}>
+          Save current food to My Foods
+        </button>
+        <div className="save-recipe">
+          <input
+            type="text"
+            placeholder="Recipe name"
+            value={recipeName}
+            onChange={(e) => setRecipeName(e.target.value)}
+          />
+          <input
+            type="number"
+            min="1"
+            value={recipeServings}
+            onChange={(e) => setRecipeServings(parseInt(e.target.value, 10) || 1)}
+            title="Servings this recipe makes"
+          />
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={saveMealAsRecipe}
+            disabled={mealFoods.length === 0}
+          >
+            Save meal as recipe
+          </button>
+        </div>
+      </div>
+
+      {message && <div className="saved-foods-message">{message}</div>}
+    </div>
+  );
+};
+
+export default SavedFoodsPanel;
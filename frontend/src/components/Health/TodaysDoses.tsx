@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import './Health.css';
+
+type DoseStatus = 'taken' | 'late' | 'skipped' | 'pending' | 'missed';
+
+interface ScheduledDose {
+  medicationId: string;
+  name: string;
+  dosage: string;
+  scheduledFor: string;
+  status: DoseStatus;
+  takenAt: string | null;
+  logId: string | null;
+}
+
+interface AsNeededMedication {
+  medicationId: string;
+  name: string;
+  dosage: string;
+  logs: { _id: string; takenAt: string }[];
+}
+
+interface TodaysDosesProps {
+  refreshKey: number;
+  onDoseLogged: () => void;
+}
+
+const STATUS_LABELS: Record<DoseStatus, string> = {
+  taken: '✅ Taken',
+  late: '🕒 Taken late',
+  skipped: '⏭️ Skipped',
+  pending: 'Due',
+  missed: '⚠️ Missed'
+};
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+const formatTime = (date: string) =>
+  new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const TodaysDoses: React.FC<TodaysDosesProps> = ({ refreshKey, onDoseLogged }) => {
+  const [doses, setDoses] = useState<ScheduledDose[]>([]);
+  const [asNeeded, setAsNeeded] = useState<AsNeededMedication[]>([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchDoses();
+  }, [refreshKey]);
+
+  const fetchDoses = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/health/medications/doses`, { headers: authHeaders() });
+      if (response.ok) {
+        const data = await response.json();
+        setDoses(data.doses);
+        setAsNeeded(data.asNeeded);
+        setError('');
+      } else {
+        setError('Failed to load today\'s doses');
+      }
+    } catch (error) {
+      setError('Error loading today\'s doses');
+    }
+  };
+
+  const logDose = async (medicationId: string, status: 'taken' | 'skipped', scheduledFor?: string) => {
+    try {
+      const response = await fetch(`${API_URL}/api/health/medications/${medicationId}/doses`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ status, ...(scheduledFor ? { scheduledFor } : {}) })
+      });
+
+      if (response.ok) {
+        fetchDoses();
+        onDoseLogged();
+      } else {
+        const data = await response.json();
+        setError(data.message || 'Failed to log dose');
+      }
+    } catch (error) {
+      setError('Error logging dose');
+    }
+  };
+
+  const undoDose = async (logId: string) => {
+    try {
+      const response = await fetch(`${API_URL}/api/health/medications/doses/${logId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (response.ok) {
+        fetchDoses();
+        onDoseLogged();
+      }
+    } catch (error) {
+      setError('Error removing dose');
+    }
+  };
+
+  if (doses.length === 0 && asNeeded.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card todays-doses">
+      <h3>Today's Doses</h3>
+
+      {error && <div className="error">{error}</div>}
+
+      <ul className="dose-checklist">
+        {doses.map(dose => {
+          const logged = dose.status === 'taken' || dose.status === 'late' || dose.status === 'skipped';
+          return (
+            <li key={`${dose.medicationId}-${dose.scheduledFor}`} className={`dose-item ${dose.status}`}>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={dose.status === 'taken' || dose.status === 'late'}
+                  onChange={(e) => (e.target.checked
+                    ? logDose(dose.medicationId, 'taken', dose.scheduledFor)
+                    : dose.logId && undoDose(dose.logId))}
+                />
+                <span className="dose-time">{formatTime(dose.scheduledFor)}</span>
+                <span>{dose.name} <small>{dose.dosage}</small></span>
+              </label>
+              <span className="dose-status">
+                {STATUS_LABELS[dose.status]}
+                {dose.takenAt && ` at ${formatTime(dose.takenAt)}`}
+              </span>
+              {!logged && (
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => logDose(dose.medicationId, 'skipped', dose.scheduledFor)}
+                >
+                  Skip
+                </button>
+              )}
+              {dose.status === 'skipped' && dose.logId && (
+                <button className="btn btn-secondary btn-sm" onClick={() => undoDose(dose.logId!)}>
+                  Undo
+                </button>
+              )}
+            </li>
+          );
+        })}
+
+        {asNeeded.map(medication => (
+          <li key={medication.medicationId} className="dose-item as-needed">
+            <span className="dose-time">As needed</span>
+            <span>{medication.name} <small>{medication.dosage}</small></span>
+            <span className="dose-status">
+              {medication.logs.length > 0
+                ? `Taken ${medication.logs.map(log => formatTime(log.takenAt)).join(', ')}`
+                : 'Not taken today'}
+            </span>
+            <button className="btn btn-secondary btn-sm" onClick={() => logDose(medication.medicationId, 'taken')}>
+              Log dose
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TodaysDoses;
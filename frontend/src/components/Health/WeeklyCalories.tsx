@@ -3,6 +3,18 @@ import { useAuth } from '../../contexts/AuthContext';
 import { API_URL } from '../../config/api';
 import './WeeklyCalories.css';
 
+interface Macros {
+  protein: number;
+  carbs: number;
+  fat: number;
+  fiber: number;
+}
+
+interface MacroTargets extends Macros {
+  mode: 'grams' | 'percent';
+  calories: number;
+}
+
 interface WeeklyData {
   date: string;
   calories: number;
@@ -12,15 +24,34 @@ interface WeeklyData {
     dinner: number;
     snack: number;
   };
+  macros: Macros;
 }
 
 interface WeeklyCaloriesResponse {
   weeklyData: WeeklyData[];
   totalWeeklyCalories: number;
   averageDailyCalories: number;
+  macroTargets: MacroTargets;
+  averageDailyMacros: Macros;
+}
+
+interface WeeklyCaloriesProps {
+  refreshKey?: number;
 }
 
-const WeeklyCalories: React.FC = () => {
+// Stacked in this order, bottom to top; fiber is tracked but carries no separate energy
+const ENERGY_MACROS: { key: 'protein' | 'carbs' | 'fat'; label: string; caloriesPerGram: number }[] = [
+  { key: 'protein', label: 'Protein', caloriesPerGram: 4 },
+  { key: 'carbs', label: 'Carbs', caloriesPerGram: 4 },
+  { key: 'fat', label: 'Fat', caloriesPerGram: 9 }
+];
+
+const MACRO_LABELS: { key: keyof Macros; label: string }[] = [
+  ...ENERGY_MACROS,
+  { key: 'fiber', label: 'Fiber' }
+];
+
+const WeeklyCalories: React.FC<WeeklyCaloriesProps> = ({ refreshKey = 0 }) => {
   const { user } = useAuth();
   const [weeklyData, setWeeklyData] = useState<WeeklyCaloriesResponse | null>(null);
   const [loading, setLoading] = useState(false);
@@ -30,7 +61,7 @@ const WeeklyCalories: React.FC = () => {
     if (user) {
       fetchWeeklyData();
     }
-  }, [user]);
+  }, [user, refreshKey]);
 
   const fetchWeeklyData = async () => {
     try {
@@ -67,6 +98,9 @@ const WeeklyCalories: React.FC = () => {
     return Math.max((calories / maxCalories) * 100, 2); // Minimum 2% for visibility
   };
 
+  const getMacroCalories = (macros: Macros) =>
+    ENERGY_MACROS.reduce((sum, macro) => sum + macros[macro.key] * macro.caloriesPerGram, 0);
+
   if (!user) {
     return <div>Please log in to view your weekly calorie data.</div>;
   }
@@ -84,6 +118,11 @@ const WeeklyCalories: React.FC = () => {
   }
 
   const maxCalories = Math.max(...weeklyData.weeklyData.map(day => day.calories), 2500);
+  const { macroTargets, averageDailyMacros } = weeklyData;
+  const maxMacroCalories = Math.max(
+    ...weeklyData.weeklyData.map(day => getMacroCalories(day.macros)),
+    macroTargets.calories
+  );
 
   return (
     <div className="weekly-calories">
@@ -101,55 +140,119 @@ const WeeklyCalories: React.FC = () => {
         </div>
       </div>
 
-      <div className="weekly-chart">
-        {weeklyData.weeklyData.map((day, index) => (
-          <div key={index} className="day-bar">
-            <div className="day-label">{formatDate(day.date)}</div>
-            <div className="bar-container">
-              <div
-                className="calorie-bar"
-                style={{
-                  height: `${getCalorieBarHeight(day.calories, maxCalories)}%`,
-                  backgroundColor: day.calories > 2500 ? '#e74c3c' :
-                    day.calories > 2000 ? '#f39c12' : '#27ae60'
-                }}
-                title={`${day.calories} calories`}
-              >
-                <div className="bar-segments">
-                  <div
-                    className="bar-segment breakfast"
-                    style={{
-                      height: `${(day.mealBreakdown.breakfast / day.calories) * 100}%`
-                    }}
-                    title={`Breakfast: ${day.mealBreakdown.breakfast} cal`}
-                  ></div>
+      <div className="weekly-charts">
+        <div className="weekly-chart">
+          {weeklyData.weeklyData.map((day, index) => (
+            <div key={index} className="day-bar">
+              <div className="day-label">{formatDate(day.date)}</div>
+              <div className="bar-container">
+                <div
+                  className="calorie-bar"
+                  style={{
+                    height: `${getCalorieBarHeight(day.calories, maxCalories)}%`,
+                    backgroundColor: day.calories > 2500 ? '#e74c3c' :
+                      day.calories > 2000 ? '#f39c12' : '#27ae60'
+                  }}
+                  title={`${day.calories} calories`}
+                >
+                  <div className="bar-segments">
+                    <div
+                      className="bar-segment breakfast"
+                      style={{
+                        height: `${(day.mealBreakdown.breakfast / day.calories) * 100}%`
+                      }}
+                      title={`Breakfast: ${day.mealBreakdown.breakfast} cal`}
+                    ></div>
+                    <div
+                      className="bar-segment lunch"
+                      style={{
+                        height: `${(day.mealBreakdown.lunch / day.calories) * 100}%`
+                      }}
+                      title={`Lunch: ${day.mealBreakdown.lunch} cal`}
+                    ></div>
+                    <div
+                      className="bar-segment dinner"
+                      style={{
+                        height: `${(day.mealBreakdown.dinner / day.calories) * 100}%`
+                      }}
+                      title={`Dinner: ${day.mealBreakdown.dinner} cal`}
+                    ></div>
+                    <div
+                      className="bar-segment snack"
+                      style={{
+                        height: `${(day.mealBreakdown.snack / day.calories) * 100}%`
+                      }}
+                      title={`Snacks: ${day.mealBreakdown.snack} cal`}
+                    ></div>
+                  </div>
+                </div>
+              </div>
+              <div className="day-calories">{day.calories}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="macro-chart">
+          {weeklyData.weeklyData.map((day, index) => {
+            const macroCalories = getMacroCalories(day.macros);
+            return (
+              <div key={index} className="macro-day">
+                <div className="macro-bar-container">
                   <div
-                    className="bar-segment lunch"
-                    style={{
-                      height: `${(day.mealBreakdown.lunch / day.calories) * 100}%`
-                    }}
-                    title={`Lunch: ${day.mealBreakdown.lunch} cal`}
+                    className="macro-target-line"
+                    style={{ bottom: `${(macroTargets.calories / maxMacroCalories) * 100}%` }}
+                    title={`Target: ${macroTargets.calories} cal`}
                   ></div>
                   <div
-                    className="bar-segment dinner"
-                    style={{
-                      height: `${(day.mealBreakdown.dinner / day.calories) * 100}%`
-                    }}
-                    title={`Dinner: ${day.mealBreakdown.dinner} cal`}
-                  ></div>
+                    className="macro-bar"
+                    style={{ height: `${getCalorieBarHeight(macroCalories, maxMacroCalories)}%` }}
+                  >
+                    {ENERGY_MACROS.map(macro => (
+                      <div
+                        key={macro.key}
+                        className={`macro-segment ${macro.key}`}
+                        style={{
+                          height: macroCalories > 0
+                            ? `${(day.macros[macro.key] * macro.caloriesPerGram / macroCalories) * 100}%`
+                            : 0
+                        }}
+                        title={`${macro.label}: ${day.macros[macro.key]}g / ${macroTargets[macro.key]}g`}
+                      ></div>
+                    ))}
+                  </div>
+                </div>
+                <div className="day-label">{formatDate(day.date).split(',')[0]}</div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="macro-summary">
+        <h4>Daily Average vs Target</h4>
+        <div className="macro-summary-grid">
+          {MACRO_LABELS.map(macro => {
+            const average = averageDailyMacros[macro.key];
+            const target = macroTargets[macro.key];
+            const percent = target > 0 ? Math.round((average / target) * 100) : 0;
+            return (
+              <div key={macro.key} className="macro-summary-item">
+                <div className="macro-summary-header">
+                  <span className={`legend-color ${macro.key}`}></span>
+                  <span>{macro.label}</span>
+                  <span className="macro-summary-values">{average}g / {target}g</span>
+                </div>
+                <div className="macro-progress">
                   <div
-                    className="bar-segment snack"
-                    style={{
-                      height: `${(day.mealBreakdown.snack / day.calories) * 100}%`
-                    }}
-                    title={`Snacks: ${day.mealBreakdown.snack} cal`}
+                    className={`macro-progress-fill ${macro.key}`}
+                    style={{ width: `${Math.min(percent, 100)}%` }}
                   ></div>
                 </div>
+                <small>{percent}% of target</small>
               </div>
-            </div>
-            <div className="day-calories">{day.calories}</div>
-          </div>
-        ))}
+            );
+          })}
+        </div>
       </div>
 
       <div className="chart-legend">
@@ -169,6 +272,12 @@ const WeeklyCalories: React.FC = () => {
           <span className="legend-color snack"></span>
           <span>Snacks</span>
         </div>
+        {ENERGY_MACROS.map(macro => (
+          <div key={macro.key} className="legend-item">
+            <span className={`legend-color ${macro.key}`}></span>
+            <span>{macro.label}</span>
+          </div>
+        ))}
       </div>
 
       <div className="calorie-guidelines">
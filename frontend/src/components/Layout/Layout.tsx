@@ -1,6 +1,10 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { API_URL } from '../../config/api';
+import { NOTIFICATIONS_CHANGED_EVENT } from '../Notifications/Notifications';
+
+const UNREAD_POLL_MS = 60 * 1000;
 
 interface LayoutProps {
   children: React.ReactNode;
@@ -8,6 +12,38 @@ interface LayoutProps {
 
 const Layout: React.FC<LayoutProps> = ({ children }) => {
   const { user, logout } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchUnreadCount = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(`${API_URL}/api/notifications/unread-count`, {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setUnreadCount(data.unreadCount);
+        }
+      } catch (error) {
+        console.error('Failed to fetch unread notifications:', error);
+      }
+    };
+
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, UNREAD_POLL_MS);
+    window.addEventListener(NOTIFICATIONS_CHANGED_EVENT, fetchUnreadCount);
+
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener(NOTIFICATIONS_CHANGED_EVENT, fetchUnreadCount);
+    };
+  }, [user]);
 
   return (
     <div>
@@ -22,11 +58,17 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
             <Link to="/diseases" className="nav-link">Diseases</Link>
             <Link to="/medications" className="nav-link">Medications</Link>
             <Link to="/meal-tracker" className="nav-link">Meal Tracker</Link>
+            <Link to="/meal-plan" className="nav-link">Meal Plan</Link>
             <Link to="/calorie-recommendation" className="nav-link">AI Recommendations</Link>
+            <Link to="/coach" className="nav-link">AI Coach</Link>
+            <Link to="/notifications" className="nav-link">
+              Notifications
+              {unreadCount > 0 && <span className="nav-badge">{unreadCount}</span>}
+            </Link>
             {user?.role === 'admin' && (
               <Link to="/admin" className="nav-link" style={{ color: '#ff4444' }}>Admin Panel</Link>
             )}
-            <span className="nav-link">Welcome, {user?.name}</span>
+            <Link to="/account" className="nav-link">Welcome, {user?.name}</Link>
             <button onClick={logout} className="logout-btn">
               Logout
             </button>
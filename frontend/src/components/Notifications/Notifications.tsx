@@ -0,0 +1,477 @@
+import React, { useState, useEffect } from 'react';
+import { API_URL } from '../../config/api';
+import '../Health/Health.css';
+import './Notifications.css';
+
+interface Notification {
+  _id: string;
+  type: 'medication-dose' | 'meal-logging' | 'metric-check-in' | 'weekly-digest' | 'test';
+  title: string;
+  body: string;
+  readAt: string | null;
+  createdAt: string;
+}
+
+interface NotificationSettings {
+  channels: {
+    inApp: boolean;
+    email: boolean;
+    webhook: boolean;
+  };
+  webhookUrl?: string;
+  timeZone?: string;
+  quietHours: {
+    enabled: boolean;
+    start: string;
+    end: string;
+  };
+  reminders: {
+    medicationDoses: boolean;
+    mealLogging: boolean;
+    mealTimes: {
+      breakfast: string;
+      lunch: string;
+      dinner: string;
+    };
+    metricCheckIn: boolean;
+    metricCheckInTime: string;
+    metricCheckInDays: number[];
+    weeklyDigest: boolean;
+  };
+}
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TYPE_ICONS: Record<Notification['type'], string> = {
+  'medication-dose': '💊',
+  'meal-logging': '🍽️',
+  'metric-check-in': '📊',
+  'weekly-digest': '📰',
+  test: '🔔'
+};
+
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const MEAL_TYPES: Array<keyof NotificationSettings['reminders']['mealTimes']> = ['breakfast', 'lunch', 'dinner'];
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+// Tells the navbar badge to refresh after the inbox changes
+export const NOTIFICATIONS_CHANGED_EVENT = 'notifications-changed';
+
+const Notifications: React.FC = () => {
+  const [notifications, setNotifications] = useState<Notification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [settings, setSettings] = useState<NotificationSettings | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [testResults, setTestResults] = useState<Record<string, string> | null>(null);
+
+  useEffect(() => {
+    fetchNotifications();
+    fetchSettings();
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/notifications`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+        window.dispatchEvent(new Event(NOTIFICATIONS_CHANGED_EVENT));
+      }
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/notifications/settings`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        // Reminders follow this device's time zone until one is saved
+        setSettings({ ...data.settings, timeZone: data.settings.timeZone || BROWSER_TIME_ZONE });
+      }
+    } catch (error) {
+      console.error('Failed to fetch notification settings:', error);
+    }
+  };
+
+  const markRead = async (id: string) => {
+    try {
+      const response = await fetch(`${API_URL}/api/notifications/${id}/read`, {
+        method: 'PUT',
+        headers: authHeaders()
+      });
+      if (response.ok) fetchNotifications();
+    } catch (error) {
+      console.error('Failed to mark notification read:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/notifications/read-all`, {
+        method: 'PUT',
+        headers: authHeaders()
+      });
+      if (response.ok) fetchNotifications();
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  };
+
+  const deleteNotification = async (id: string) => {
+    try {
+      const response = await fetch(`${API_URL}/api/notifications/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (response.ok) fetchNotifications();
+    } catch (error) {
+      console.error('Failed to delete notification:', error);
+    }
+  };
+
+  const updateSettings = (update: (current: NotificationSettings) => NotificationSettings) => {
+    setSettings(prev => (prev ? update(prev) : prev));
+  };
+
+  const toggleCheckInDay = (day: number) => {
+    updateSettings(current => {
+      const days = current.reminders.metricCheckInDays;
+      return {
+        ...current,
+        reminders: {
+          ...current.reminders,
+          metricCheckInDays: days.includes(day)
+            ? days.filter(d => d !== day)
+            : [...days, day].sort((a, b) => a - b)
+        }
+      };
+    });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!settings) return;
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/notifications/settings`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify(settings)
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setSettings(data.settings);
+        setMessage('Notification settings saved successfully!');
+      } else {
+        setMessage(data.errors?.[0]?.msg || data.message || 'Failed to save notification settings');
+      }
+    } catch (error) {
+      setMessage('Error saving notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendTest = async () => {
+    setTestResults(null);
+    try {
+      const response = await fetch(`${API_URL}/api/notifications/test`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setTestResults(data.results);
+        fetchNotifications();
+      }
+    } catch (error) {
+      console.error('Failed to send test notification:', error);
+    }
+  };
+
+  return (
+    <div className="notifications">
+      <h1>Notifications</h1>
+
+      <div className="card">
+        <div className="notifications-header">
+          <h3>Inbox {unreadCount > 0 && <span className="unread-pill">{unreadCount} unread</span>}</h3>
+          {unreadCount > 0 && (
+            <button className="btn btn-secondary btn-sm" onClick={markAllRead}>
+              Mark all read
+            </button>
+          )}
+        </div>
+
+        {notifications.length === 0 ? (
+          <p className="notifications-empty">No notifications yet. Reminders you receive in-app will appear here.</p>
+        ) : (
+          <ul className="notification-list">
+            {notifications.map(notification => (
+              <li
+                key={notification._id}
+                className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+              >
+                <span className="notification-icon">{TYPE_ICONS[notification.type]}</span>
+                <div className="notification-content">
+                  <strong>{notification.title}</strong>
+                  <p>{notification.body}</p>
+                  <small>{new Date(notification.createdAt).toLocaleString()}</small>
+                </div>
+                <div className="notification-actions">
+                  {!notification.readAt && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => markRead(notification._id)}>
+                      Mark read
+                    </button>
+                  )}
+                  <button className="btn btn-danger btn-sm" onClick={() => deleteNotification(notification._id)}>
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {settings && (
+        <div className="card">
+          <h3>Reminder Settings</h3>
+          <form onSubmit={handleSave}>
+            <fieldset className="settings-section">
+              <legend>Delivery channels</legend>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.channels.inApp}
+                  onChange={(e) => updateSettings(s => ({ ...s, channels: { ...s.channels, inApp: e.target.checked } }))}
+                />
+                In-app inbox
+              </label>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.channels.email}
+                  onChange={(e) => updateSettings(s => ({ ...s, channels: { ...s.channels, email: e.target.checked } }))}
+                />
+                Email
+              </label>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.channels.webhook}
+                  onChange={(e) => updateSettings(s => ({ ...s, channels: { ...s.channels, webhook: e.target.checked } }))}
+                />
+                Webhook
+              </label>
+              {settings.channels.webhook && (
+                <div className="form-group">
+                  <label className="form-label">Webhook URL</label>
+                  <input
+                    type="url"
+                    className="form-input"
+                    placeholder="https://example.com/hooks/health-guard"
+                    value={settings.webhookUrl || ''}
+                    onChange={(e) => updateSettings(s => ({ ...s, webhookUrl: e.target.value }))}
+                  />
+                </div>
+              )}
+            </fieldset>
+
+            <fieldset className="settings-section">
+              <legend>Time zone</legend>
+              <div className="form-group">
+                <label className="form-label">Reminder times and quiet hours follow</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Europe/London"
+                  value={settings.timeZone || ''}
+                  onChange={(e) => updateSettings(s => ({ ...s, timeZone: e.target.value }))}
+                  required
+                />
+                {settings.timeZone !== BROWSER_TIME_ZONE && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => updateSettings(s => ({ ...s, timeZone: BROWSER_TIME_ZONE }))}
+                  >
+                    Use this device's time zone ({BROWSER_TIME_ZONE})
+                  </button>
+                )}
+              </div>
+            </fieldset>
+
+            <fieldset className="settings-section">
+              <legend>Quiet hours</legend>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.quietHours.enabled}
+                  onChange={(e) => updateSettings(s => ({ ...s, quietHours: { ...s.quietHours, enabled: e.target.checked } }))}
+                />
+                Hold reminders during quiet hours
+              </label>
+              {settings.quietHours.enabled && (
+                <div className="time-range">
+                  <input
+                    type="time"
+                    className="form-input"
+                    value={settings.quietHours.start}
+                    onChange={(e) => updateSettings(s => ({ ...s, quietHours: { ...s.quietHours, start: e.target.value } }))}
+                    required
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    className="form-input"
+                    value={settings.quietHours.end}
+                    onChange={(e) => updateSettings(s => ({ ...s, quietHours: { ...s.quietHours, end: e.target.value } }))}
+                    required
+                  />
+                </div>
+              )}
+            </fieldset>
+
+            <fieldset className="settings-section">
+              <legend>Reminders</legend>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.reminders.medicationDoses}
+                  onChange={(e) => updateSettings(s => ({ ...s, reminders: { ...s.reminders, medicationDoses: e.target.checked } }))}
+                />
+                Medication doses (at each scheduled dose time)
+              </label>
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.reminders.mealLogging}
+                  onChange={(e) => updateSettings(s => ({ ...s, reminders: { ...s.reminders, mealLogging: e.target.checked } }))}
+                />
+                Meal logging (only if the meal hasn't been logged)
+              </label>
+              {settings.reminders.mealLogging && (
+                <div className="reminder-times">
+                  {MEAL_TYPES.map(mealType => (
+                    <label key={mealType} className="reminder-time">
+                      <span>{mealType.charAt(0).toUpperCase() + mealType.slice(1)}</span>
+                      <input
+                        type="time"
+                        className="form-input"
+                        value={settings.reminders.mealTimes[mealType]}
+                        onChange={(e) => updateSettings(s => ({
+                          ...s,
+                          reminders: {
+                            ...s.reminders,
+                            mealTimes: { ...s.reminders.mealTimes, [mealType]: e.target.value }
+                          }
+                        }))}
+                        required
+                      />
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.reminders.metricCheckIn}
+                  onChange={(e) => updateSettings(s => ({ ...s, reminders: { ...s.reminders, metricCheckIn: e.target.checked } }))}
+                />
+                Health metric check-in
+              </label>
+              {settings.reminders.metricCheckIn && (
+                <div className="reminder-times">
+                  <div className="schedule-days">
+                    {DAY_LABELS.map((label, day) => (
+                      <button
+                        key={label}
+                        type="button"
+                        className={`day-toggle ${settings.reminders.metricCheckInDays.includes(day) ? 'selected' : ''}`}
+                        onClick={() => toggleCheckInDay(day)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <small>No days selected means every day.</small>
+                  <label className="reminder-time">
+                    <span>At</span>
+                    <input
+                      type="time"
+                      className="form-input"
+                      value={settings.reminders.metricCheckInTime}
+                      onChange={(e) => updateSettings(s => ({ ...s, reminders: { ...s.reminders, metricCheckInTime: e.target.value } }))}
+                      required
+                    />
+                  </label>
+                </div>
+              )}
+
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={settings.reminders.weeklyDigest}
+                  onChange={(e) => updateSettings(s => ({ ...s, reminders: { ...s.reminders, weeklyDigest: e.target.checked } }))}
+                />
+                Weekly digest ready (Mondays)
+              </label>
+            </fieldset>
+
+            {message && (
+              <div className={message.includes('success') ? 'success' : 'error'}>
+                {message}
+              </div>
+            )}
+
+            <div className="settings-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Settings'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={sendTest}>
+                Send Test Notification
+              </button>
+            </div>
+
+            {testResults && (
+              <ul className="test-results">
+                {Object.keys(testResults).length === 0 && (
+                  <li className="error">No delivery channels are enabled</li>
+                )}
+                {Object.entries(testResults).map(([channel, result]) => (
+                  <li key={channel} className={result === 'sent' ? 'success' : 'error'}>
+                    {channel}: {result === 'sent' ? 'delivered' : result}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
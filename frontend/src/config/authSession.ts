@@ -0,0 +1,113 @@
+// Access tokens are short-lived; this keeps them fresh.
+// Any API call answered with 401 trades the stored refresh token for a new
+// pair and is retried once. Pages keep reading localStorage 'token' as before.
+import axios from 'axios';
+import { API_URL } from './api';
+
+export const AUTH_LOGOUT_EVENT = 'auth:logout';
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Calls that must never trigger a refresh themselves
+const NO_REFRESH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+export const storeTokens = (token: string, refreshToken?: string) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+const nativeFetch = window.fetch.bind(window);
+let pendingRefresh: Promise<boolean> | null = null;
+
+const requestRefresh = async (): Promise<boolean> => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return false;
+
+  try {
+    const response = await nativeFetch(`${API_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      storeTokens(data.token, data.refreshToken);
+      return true;
+    }
+
+    // Another tab may have refreshed first and stored the newer pair
+    return localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken;
+  } catch (error) {
+    console.error('Session refresh failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Get a new access token. Concurrent callers share one request, since each
+ * refresh token only works once. Signs the app out when the session is gone.
+ */
+export const refreshSession = (): Promise<boolean> => {
+  if (!pendingRefresh) {
+    pendingRefresh = requestRefresh().then(refreshed => {
+      pendingRefresh = null;
+      if (!refreshed) {
+        clearTokens();
+        window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT));
+      }
+      return refreshed;
+    });
+  }
+  return pendingRefresh;
+};
+
+const needsRefresh = (url: string, status: number) =>
+  status === 401 &&
+  url.startsWith(`${API_URL}/api/`) &&
+  !NO_REFRESH_PATHS.some(path => url.includes(path)) &&
+  Boolean(localStorage.getItem(REFRESH_TOKEN_KEY));
+
+const withFreshToken = (headers: HeadersInit | undefined) => {
+  const next = new Headers(headers);
+  next.set('Authorization', `Bearer ${localStorage.getItem(TOKEN_KEY)}`);
+  return next;
+};
+
+let installed = false;
+
+export const installAuthSession = () => {
+  if (installed) return;
+  installed = true;
+
+  window.fetch = async (input: RequestInfo | URL, init?: RequestInit) => {
+    const response = await nativeFetch(input, init);
+
+    // Only signed-in (url, init) calls are retried; Request objects can't be replayed
+    if (typeof input !== 'string' && !(input instanceof URL)) return response;
+    if (!new Headers(init?.headers).has('Authorization') || !needsRefresh(String(input), response.status)) {
+      return response;
+    }
+    if (!(await refreshSession())) return response;
+
+    return nativeFetch(input, { ...init, headers: withFreshToken(init?.headers) });
+  };
+
+  axios.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    if (!config?.headers?.Authorization || config._retried || !needsRefresh(config.url || '', error.response?.status)) {
+      throw error;
+    }
+    if (!(await refreshSession())) throw error;
+
+    config._retried = true;
+    config.headers.Authorization = `Bearer ${localStorage.getItem(TOKEN_KEY)}`;
+    return axios(config);
+  });
+};
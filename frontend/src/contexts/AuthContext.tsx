@@ -1,18 +1,30 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { API_URL } from '../config/api';
+import { AUTH_LOGOUT_EVENT, storeTokens, clearTokens } from '../config/authSession';
 
 interface User {
   id: string;
   email: string;
   name: string;
   role: 'user' | 'admin';
+  emailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  twoFactorSetupRequired?: boolean;
+}
+
+// With 2FA on, login stops at a challenge that needs a code
+export interface LoginResult {
+  twoFactorRequired: boolean;
+  challengeToken?: string;
 }
 
 interface AuthContextType {
   user: User | null;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  completeTwoFactorLogin: (challengeToken: string, code: string, isRecoveryCode?: boolean) => Promise<void>;
   register: (name: string, email: string, password: string) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
+  refreshUser: () => Promise<void>;
   loading: boolean;
 }
 
@@ -39,6 +51,11 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     } else {
       setLoading(false);
     }
+
+    // Fired when the session can no longer be refreshed
+    const handleSessionEnded = () => setUser(null);
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleSessionEnded);
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleSessionEnded);
   }, []);
 
   const verifyToken = async (token: string) => {
@@ -53,11 +70,11 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         const userData = await response.json();
         setUser(userData);
       } else {
-        localStorage.removeItem('token');
+        clearTokens();
       }
     } catch (error) {
       console.error('Token verification failed:', error);
-      localStorage.removeItem('token');
+      clearTokens();
     } finally {
       setLoading(false);
     }
@@ -73,18 +90,43 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         body: JSON.stringify({ email, password }),
       });
 
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error('Login failed');
+        // Wrong credentials, or a 429 while failed attempts are throttled or the account is locked
+        throw new Error(data.errors?.[0]?.msg || data.message || 'Login failed');
       }
 
-      const data = await response.json();
-      localStorage.setItem('token', data.token);
+      if (data.twoFactorRequired) {
+        return { twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      storeTokens(data.token, data.refreshToken);
       setUser(data.user);
+      return { twoFactorRequired: false };
     } catch (error) {
       throw error;
     }
   };
 
+  // Second login step; the error message says whether to retry or start over
+  const completeTwoFactorLogin = async (challengeToken: string, code: string, isRecoveryCode = false) => {
+    const response = await fetch(`${API_URL}/api/auth/login/2fa`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(isRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.errors?.[0]?.msg || data.message || 'Verification failed');
+    }
+
+    storeTokens(data.token, data.refreshToken);
+    setUser(data.user);
+  };
+
   const register = async (name: string, email: string, password: string) => {
     try {
       console.log('🚀 Starting registration...', { name, email });
@@ -101,14 +143,18 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       console.log('📡 Registration response headers:', Object.fromEntries(response.headers.entries()));
 
       if (!response.ok) {
-        const errorText = await response.text();
-        console.log('❌ Registration error response:', errorText);
-        throw new Error(`Registration failed: ${response.status} - ${errorText}`);
+        const errorData = await response.json().catch(() => ({}));
+        // Weak passwords come back with suggestions for making them stronger
+        const details = errorData.suggestions?.length
+          ? `: ${errorData.suggestions.join(', ')}`
+          : '';
+        const message = errorData.errors?.[0]?.msg || errorData.message || `Server responded with ${response.status}`;
+        throw new Error(`Registration failed: ${message}${details}`);
       }
 
       const data = await response.json();
       console.log('✅ Registration successful!', data);
-      localStorage.setItem('token', data.token);
+      storeTokens(data.token, data.refreshToken);
       setUser(data.user);
     } catch (error) {
       console.error('❌ Registration error:', error);
@@ -116,16 +162,39 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  // Ends the session on the server too; signs out locally even if that fails
+  const logout = async () => {
+    const token = localStorage.getItem('token');
+    if (token) {
+      try {
+        await fetch(`${API_URL}/api/auth/logout`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
+
+    clearTokens();
     setUser(null);
   };
 
+  // Re-read the signed-in user, e.g. after their email changes
+  const refreshUser = async () => {
+    const token = localStorage.getItem('token');
+    if (token) await verifyToken(token);
+  };
+
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    refreshUser,
     loading,
   };
 
@@ -2,6 +2,9 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { installAuthSession } from './config/authSession';
+
+installAuthSession();
 
 const root = ReactDOM.createRoot(
   document.getElementById('root') as HTMLElement